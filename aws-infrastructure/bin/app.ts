@@ -11,9 +11,13 @@ const env = {
   region: process.env.CDK_DEFAULT_REGION || 'us-east-1',
 };
 
-// Create the main stack
+// Create the main stack; sidecar writes are opted into with
+// `cdk deploy -c allowMarkWrites=true` (and -c photosPrefix=... if photos
+// aren't uploaded to photos/)
 new TvSlideshowStack(app, 'TvSlideshowStack', {
   env,
+  photosPrefix: app.node.tryGetContext('photosPrefix'),
+  allowMarkWrites: String(app.node.tryGetContext('allowMarkWrites')) === 'true',
   description: 'TV Photo Slideshow Application Infrastructure',
   tags: {
     Application: 'TV-Photo-Slideshow',
@@ -7,10 +7,21 @@ import * as iam from 'aws-cdk-lib/aws-iam';
 import * as cognito from 'aws-cdk-lib/aws-cognito';
 import { Construct } from 'constructs';
 
+export interface TvSlideshowStackProps extends cdk.StackProps {
+  // Folder photos are uploaded to (see scripts/upload-photos.sh)
+  photosPrefix?: string;
+  // Let the app save favorites, hidden photos and ratings to "<photo>.json"
+  // sidecars. Off by default: the identity pool ID ships in the app bundle,
+  // so anyone who finds it can write what the unauthenticated role can
+  allowMarkWrites?: boolean;
+}
+
 export class TvSlideshowStack extends cdk.Stack {
-  constructor(scope: Construct, id: string, props?: cdk.StackProps) {
+  constructor(scope: Construct, id: string, props: TvSlideshowStackProps = {}) {
     super(scope, id, props);
 
+    const photosPrefix = props.photosPrefix ?? 'photos/';
+
     // ========================================
     // S3 Bucket for Photos
     // ========================================
@@ -21,12 +32,11 @@ export class TvSlideshowStack extends cdk.Stack {
       blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
       cors: [
         {
-          allowedMethods: [
-            s3.HttpMethods.GET,
-            s3.HttpMethods.HEAD,
-          ],
+          allowedMethods: [s3.HttpMethods.GET, s3.HttpMethods.HEAD],
           allowedOrigins: ['*'], // Update with your domain in production
           allowedHeaders: ['*'],
+          // Marks writes are conditional on the ETag of the file they read
+          exposedHeaders: ['ETag'],
           maxAge: 3000,
         },
       ],
@@ -119,6 +129,22 @@ export class TvSlideshowStack extends cdk.Stack {
     // Grant read access to photos bucket
     photosBucket.grantRead(unauthenticatedRole);
 
+    // ...and, if enabled, let the app write the "<photo>.json" sidecars that
+    // hold favorites, hidden photos and ratings: only inside the photos
+    // folder (not photos or photos.json), and only from the app's own origin
+    if (props.allowMarkWrites) {
+      ['jpg', 'jpeg', 'png', 'gif', 'webp', 'JPG', 'JPEG', 'PNG', 'GIF', 'WEBP'].forEach(extension => {
+        photosBucket.grantPut(unauthenticatedRole, `${photosPrefix}*.${extension}.json`);
+      });
+
+      photosBucket.addCorsRule({
+        allowedMethods: [s3.HttpMethods.PUT],
+        allowedOrigins: [`https://${distribution.distributionDomainName}`],
+        allowedHeaders: ['*'],
+        maxAge: 3000,
+      });
+    }
+
     // Attach role to identity pool
     new cognito.CfnIdentityPoolRoleAttachment(this, 'IdentityPoolRoleAttachment', {
       identityPoolId: identityPool.ref,
@@ -0,0 +1,222 @@
+/**
+ * Service worker: offline cache for photos and the app shell
+ *
+ * Photos are served cache-first from a bounded LRU cache, so a TV that
+ * replays the same images all day only downloads each one once and keeps
+ * running when the network or S3 is down. A cached photo is revalidated in
+ * the background (If-None-Match), so a replaced photo shows on its next turn.
+ * The app shell (HTML, JS, CSS) is served network-first with the cache as a
+ * fallback.
+ *
+ * Photos are cached by origin and path, without the query string, so a
+ * re-signed URL still hits. When each photo was last shown, and its size, are
+ * kept in a small IndexedDB index rather than in the cache's key order.
+ *
+ * The cache size limit comes from the registration URL (sw.js?limit=300).
+ */
+
+// Keep in sync with PHOTO_CACHE_NAME in src/services/cacheService.js
+const PHOTO_CACHE = 'tv-slideshow-photos-v2';
+const SHELL_CACHE = 'tv-slideshow-shell-v1';
+
+// Keep in sync with PHOTO_INDEX_DB_NAME in src/services/idbStore.js
+const INDEX_DB = 'tv-slideshow-photo-cache';
+const INDEX_DB_VERSION = 1;
+const INDEX_STORE = 'photos';
+
+const DEFAULT_LIMIT = 300;
+const limit = Number(new URL(self.location.href).searchParams.get('limit')) || DEFAULT_LIMIT;
+
+const IMAGE_PATTERN = /\.(jpe?g|png|gif|webp)$/i;
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches from older versions of this worker (v1 keyed photos by signed URL)
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names
+      .filter(name => name.startsWith('tv-slideshow-') && name !== PHOTO_CACHE && name !== SHELL_CACHE)
+      .map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+let indexPromise = null;
+
+/**
+ * Open the photo index ({ usedAt, bytes } by cache key)
+ */
+function openIndex() {
+  if (!indexPromise) {
+    indexPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(INDEX_DB, INDEX_DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(INDEX_STORE)) {
+          request.result.createObjectStore(INDEX_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      indexPromise = null;
+      throw error;
+    });
+  }
+  return indexPromise;
+}
+
+/**
+ * Run a transaction against the photo index; resolves with what callback
+ * returns once the transaction completes
+ */
+async function withIndex(mode, callback) {
+  const db = await openIndex();
+  const transaction = db.transaction(INDEX_STORE, mode);
+  const result = callback(transaction.objectStore(INDEX_STORE));
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Record that a cached photo was just shown
+ */
+function touchPhoto(cacheKey) {
+  return withIndex('readwrite', store => {
+    const request = store.get(cacheKey);
+    request.onsuccess = () => store.put({ ...request.result, usedAt: Date.now() }, cacheKey);
+  });
+}
+
+/**
+ * Drop the least recently shown photos once the cache is over its limit,
+ * and index entries whose photo is no longer cached
+ */
+async function evictPhotos(cache) {
+  const cachedKeys = (await cache.keys()).map(request => request.url);
+  const usedAt = new Map();
+  await withIndex('readonly', store => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      usedAt.set(cursor.key, cursor.value.usedAt || 0);
+      cursor.continue();
+    };
+  });
+
+  const evicted = cachedKeys
+    .sort((a, b) => (usedAt.get(a) || 0) - (usedAt.get(b) || 0))
+    .slice(0, Math.max(0, cachedKeys.length - limit));
+  await Promise.all(evicted.map(key => cache.delete(key)));
+
+  const kept = new Set(cachedKeys.filter(key => !evicted.includes(key)));
+  const stale = Array.from(usedAt.keys()).filter(key => !kept.has(key));
+  if (stale.length > 0) {
+    await withIndex('readwrite', store => stale.forEach(key => store.delete(key)));
+  }
+}
+
+/**
+ * Cache a full (200) photo response and record its size
+ */
+async function storePhoto(cache, cacheKey, response) {
+  await cache.put(cacheKey, response.clone());
+  const bytes = Number(response.headers.get('content-length')) || (await response.blob()).size;
+  await withIndex('readwrite', store => store.put({ usedAt: Date.now(), bytes }, cacheKey));
+  await evictPhotos(cache);
+}
+
+/**
+ * Fetch a photo from the network
+ * CSS backgrounds are requested no-cors; ask for a CORS response instead so
+ * the cached copy isn't opaque (S3 buckets used here allow CORS GETs)
+ */
+async function fetchPhoto(request) {
+  try {
+    return await fetch(request.url, { mode: 'cors', credentials: 'omit', headers: request.headers });
+  } catch (error) {
+    return fetch(request);
+  }
+}
+
+/**
+ * Check a cached photo against the server and replace it if it changed
+ */
+async function revalidatePhoto(cache, cacheKey, request, cached) {
+  const etag = cached.headers.get('etag');
+  const lastModified = cached.headers.get('last-modified');
+  if (!etag && !lastModified) return;
+
+  const headers = new Headers(request.headers);
+  if (etag) headers.set('If-None-Match', etag);
+  else headers.set('If-Modified-Since', lastModified);
+
+  try {
+    const response = await fetch(request.url, { mode: 'cors', credentials: 'omit', headers });
+    if (response.status === 200) await storePhoto(cache, cacheKey, response);
+  } catch (error) {
+    // Offline: keep serving the cached copy
+  }
+}
+
+/**
+ * Cache-first photo fetch with LRU bookkeeping
+ */
+async function handlePhoto(event) {
+  const { request } = event;
+  const cache = await caches.open(PHOTO_CACHE);
+  const url = new URL(request.url);
+  const cacheKey = `${url.origin}${url.pathname}`;
+
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    event.waitUntil(Promise.all([
+      touchPhoto(cacheKey),
+      revalidatePhoto(cache, cacheKey, request, cached)
+    ]).catch(() => {}));
+    return cached;
+  }
+
+  const response = await fetchPhoto(request);
+  // Partial (206) and failed responses can't be replayed as a whole photo
+  if (response.status === 200) {
+    event.waitUntil(storePhoto(cache, cacheKey, response.clone()).catch(() => {}));
+  }
+  return response;
+}
+
+/**
+ * Network-first fetch for the app shell so updates deploy immediately
+ */
+async function handleShell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) ||
+      (request.mode === 'navigate' ? await cache.match(self.registration.scope) : null);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+
+  const url = new URL(request.url);
+
+  if (IMAGE_PATTERN.test(url.pathname)) {
+    event.respondWith(handlePhoto(event));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(handleShell(request));
+  }
+});
@@ -39,9 +39,10 @@ fi
 echo "Bootstrapping CDK..."
 cdk bootstrap
 
-# Deploy the stack
+# Deploy the stack (ALLOW_MARK_WRITES=true lets TVs save marks to sidecars)
 echo "Deploying CDK stack..."
-cdk deploy --require-approval never --outputs-file cdk-outputs.json
+cdk deploy --require-approval never --outputs-file cdk-outputs.json \
+    -c allowMarkWrites="${ALLOW_MARK_WRITES:-false}"
 
 # Extract outputs
 PHOTOS_BUCKET=$(cat cdk-outputs.json | grep "PhotosBucketName" | cut -d'"' -f4)
@@ -87,6 +88,8 @@ echo -e "${GREEN}✅ Application built successfully!${NC}"
 # Step 4: Deploy to S3
 echo -e "\n${YELLOW}☁️  Step 4: Uploading to S3...${NC}"
 aws s3 sync dist/ "s3://${WEBAPP_BUCKET}/" --delete
+# The service worker must always be revalidated so TVs pick up new versions
+aws s3 cp dist/sw.js "s3://${WEBAPP_BUCKET}/sw.js" --cache-control "no-cache" --content-type "application/javascript"
 
 echo -e "${GREEN}✅ Files uploaded to S3!${NC}"
 
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Build src/utils/geocoding/data/places.json from GeoNames data
+ *
+ * Cities (with population) come from all-the-cities, admin-1 region names
+ * from cities.json and country names from the ICU data built into Node.
+ * Only places above MIN_POPULATION, plus capitals and region seats, are
+ * kept, so the file stays small enough to ship to a TV.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const OUTPUT = path.resolve(__dirname, '../../src/utils/geocoding/data/places.json');
+
+// Smaller places are dropped unless they are a capital or region seat
+const MIN_POPULATION = 15000;
+const ALWAYS_KEEP = new Set(['PPLC', 'PPLA']);
+
+// ~100 m, plenty for "nearest town"
+const COORDINATE_DECIMALS = 3;
+
+const cities = require('all-the-cities');
+const admin1 = require('cities.json/admin1.json');
+
+const regionNames = new Map(admin1.map(({ code, name }) => [code, name]));
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+const round = value => Number(value.toFixed(COORDINATE_DECIMALS));
+
+const regions = [];
+const regionIndex = new Map();
+const countries = {};
+
+function getRegion(country, adminCode) {
+  const name = regionNames.get(`${country}.${adminCode}`) || null;
+  const key = `${country}|${name}`;
+  if (!regionIndex.has(key)) {
+    regionIndex.set(key, regions.length);
+    regions.push([country, name]);
+  }
+  return regionIndex.get(key);
+}
+
+// Largest first, so the spatial index can prefer them on ties
+const places = cities
+  .filter(city => city.population >= MIN_POPULATION || ALWAYS_KEEP.has(city.featureCode))
+  .sort((a, b) => b.population - a.population)
+  .map(city => {
+    const [lon, lat] = city.loc.coordinates;
+    if (!countries[city.country]) {
+      countries[city.country] = countryNames.of(city.country);
+    }
+    return [city.name, round(lat), round(lon), getRegion(city.country, city.adminCode)];
+  });
+
+const data = {
+  version: 1,
+  attribution: 'Place names from GeoNames (https://www.geonames.org), CC BY 4.0',
+  countries,
+  regions,
+  places
+};
+
+fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+fs.writeFileSync(OUTPUT, `${JSON.stringify(data)}\n`);
+
+console.log(`Wrote ${places.length} places in ${regions.length} regions and ` +
+  `${Object.keys(countries).length} countries to ${path.relative(process.cwd(), OUTPUT)} ` +
+  `(${Math.round(fs.statSync(OUTPUT).size / 1024)} KB)`);
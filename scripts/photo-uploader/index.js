@@ -8,6 +8,7 @@ import { fileURLToPath } from 'url';
 import { scanPaths } from './lib/fileScanner.js';
 import { validateFiles } from './lib/exifValidator.js';
 import { createS3Client, testBucketAccess, uploadBatch } from './lib/s3Uploader.js';
+import { writeLocationCache } from './lib/locationCache.js';
 import {
   displayScanSummary,
   displayValidationSummary,
@@ -15,8 +16,10 @@ import {
   displayNonImageFiles,
   displayDryRunReport,
   displayUploadProgress,
+  displayLocationProgress,
   displayUploadReport,
   displayError,
+  displayWarning,
   displaySuccess,
   confirmPrompt
 } from './lib/reporter.js';
@@ -48,6 +51,7 @@ program
   .option('-v, --verbose', 'Show detailed output', false)
   .option('-q, --quiet', 'Show only errors', false)
   .option('-f, --force', 'Skip confirmation prompt', false)
+  .option('-l, --location-cache <file>', 'Look up place names and save them for the app to import')
   .action(async (paths, options) => {
     try {
       await main(paths, options);
@@ -108,6 +112,24 @@ async function main(paths, options) {
     process.exit(EXIT_NO_VALID);
   }
 
+  // Optional: precompute place names for the app's location cache
+  if (options.locationCache) {
+    if (!quiet) console.log('Looking up place names (one a second)...');
+
+    const cacheResult = await writeLocationCache(validFiles, options.locationCache, {
+      onProgress: quiet ? null : displayLocationProgress
+    });
+
+    if (!quiet) {
+      console.log();
+      console.log(`${cacheResult.added} place names added to ${options.locationCache} ` +
+        `(${cacheResult.skipped} already there)`);
+    }
+    if (cacheResult.failed > 0) {
+      displayWarning(`${cacheResult.failed} locations could not be looked up; run again to retry them`);
+    }
+  }
+
   // Step 4: Dry run mode - just show what would be uploaded
   if (dryRun) {
     displayDryRunReport(validFiles, bucket, normalizedPrefix);
@@ -0,0 +1,124 @@
+import fs from 'fs/promises';
+
+/**
+ * Build a location cache file for the slideshow app
+ *
+ * Each photo's coordinates are looked up with Nominatim (one request a
+ * second, per its usage policy) and written in the app's location cache
+ * export format, keyed by coordinates rounded to 4 decimal places. Import
+ * the file on a TV (Settings → Offline Cache → Place Names) to name photos
+ * without looking them up there.
+ */
+
+const EXPORT_TYPE = 'tv-slideshow-location-cache';
+const EXPORT_VERSION = 1;
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/reverse';
+const REQUEST_INTERVAL_MS = 1100;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Cache key for a coordinate (must match the app's getLocationCacheKey)
+ */
+export function getLocationCacheKey(latitude, longitude) {
+  return `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+}
+
+/**
+ * Name a coordinate like the app's Nominatim geocoder:
+ * "Venue, City, State" (the country is added outside the US)
+ */
+async function lookUpLocation(latitude, longitude) {
+  const url = `${NOMINATIM_URL}?format=json&lat=${latitude}&lon=${longitude}&zoom=18&addressdetails=1`;
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'TV-Photo-Slideshow-Uploader' },
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Nominatim request failed (${response.status})`);
+  }
+
+  const data = await response.json();
+  const address = data.address || {};
+
+  const venue = data.name && data.name !== address.city
+    && data.name !== address.town && data.name !== address.state
+    ? data.name : null;
+
+  const parts = [address.city || address.town || address.village || address.county, address.state];
+  if (address.country && address.country_code !== 'us') {
+    parts.push(address.country);
+  }
+
+  return [venue, ...parts].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * Read an existing cache file, or start a new one
+ */
+async function readCacheFile(filePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (data.type === EXPORT_TYPE && data.version === EXPORT_VERSION && data.entries) {
+      return data.entries;
+    }
+    throw new Error(`${filePath} is not a location cache file`);
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+/**
+ * Look up the files' coordinates and add them to a location cache file
+ * Coordinates already in the file are not looked up again.
+ *
+ * @param {Array<object>} files - Valid files from validateFiles (with validation.gps)
+ * @param {string} filePath - Cache file to create or update
+ * @param {object} options - Options
+ * @param {function} options.onProgress - Called with (done, total) after each lookup
+ * @returns {Promise<{added: number, skipped: number, failed: number}>} Counts of coordinates
+ */
+export async function writeLocationCache(files, filePath, { onProgress = null } = {}) {
+  const entries = await readCacheFile(filePath);
+
+  const keys = new Map();
+  for (const file of files) {
+    const { latitude, longitude } = file.validation.gps;
+    keys.set(getLocationCacheKey(latitude, longitude), { latitude, longitude });
+  }
+
+  const pending = [...keys].filter(([key]) => !entries[key]);
+  const result = { added: 0, skipped: keys.size - pending.length, failed: 0 };
+
+  for (let i = 0; i < pending.length; i++) {
+    const [key, { latitude, longitude }] = pending[i];
+    if (i > 0) await sleep(REQUEST_INTERVAL_MS);
+
+    try {
+      const name = await lookUpLocation(latitude, longitude);
+      if (name) {
+        entries[key] = name;
+        result.added++;
+      }
+    } catch (error) {
+      result.failed++;
+    }
+
+    if (onProgress) {
+      onProgress(i + 1, pending.length);
+    }
+  }
+
+  const data = {
+    type: EXPORT_TYPE,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries
+  };
+  await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+
+  return result;
+}
@@ -163,6 +163,14 @@ export function displayUploadProgress(current, total, fileName) {
   process.stdout.write(`\r${bar} ${current}/${total} ${chalk.dim(fileName.slice(0, 30))}    `);
 }
 
+/**
+ * Display location lookup progress
+ */
+export function displayLocationProgress(current, total) {
+  const percent = Math.round((current / total) * 100);
+  process.stdout.write(`\r${createProgressBar(percent)} ${current}/${total} locations    `);
+}
+
 /**
  * Create a simple progress bar
  */
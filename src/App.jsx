@@ -3,17 +3,46 @@ import Slideshow from './components/Slideshow';
 import Settings from './components/Settings';
 import { useKeyboardNavigation } from './hooks/useKeyboardNavigation';
 import { loadConfig, saveConfig } from './services/configService';
+import { registerServiceWorker, DEFAULT_PHOTO_CACHE_LIMIT } from './services/cacheService';
+import { getPlaylistForColorKey } from './utils/smartPlaylists';
+import { DEFAULT_WIDGETS } from './utils/widgets';
 import './App.css';
 
 const DEFAULT_CONFIG = {
+  photoSource: 's3',
   s3Bucket: import.meta.env.VITE_S3_PHOTOS_BUCKET || '',
   s3Region: import.meta.env.VITE_AWS_REGION || 'us-east-1',
   s3Prefix: 'photos/',
+  s3Endpoint: import.meta.env.VITE_S3_ENDPOINT || '',
+  s3AddressingStyle: 'auto',
+  s3Albums: [],
+  manifestUrl: '',
+  webdavUrl: '',
+  webdavUsername: '',
+  webdavPassword: '',
+  staticPath: '/photos/',
   displayDuration: 10,
   transitionEffect: 'fade',
+  transitionDuration: 0,
   shuffleMode: false,
+  refreshInterval: 0,
+  pairPortraits: false,
+  saveMarksToSource: true,
+  playbackMode: 'all',
+  orderMode: 'listing',
+  playlists: [],
+  activePlaylist: null,
+  schedule: [],
+  places: [],
+  homeLatitude: '',
+  homeLongitude: '',
+  displayMode: 'contain',
+  smartCoverThreshold: 20,
+  photoCacheLimit: DEFAULT_PHOTO_CACHE_LIMIT,
+  widgets: DEFAULT_WIDGETS,
   exifDisplay: {
     enabled: true,
+    showCaption: true,
     showDateTime: true,
     showLocation: true,
     showCameraInfo: false,
@@ -46,6 +75,12 @@ function App() {
     loadConfiguration();
   }, []);
 
+  // Register the offline photo cache once the configured size is known
+  useEffect(() => {
+    if (isLoading) return;
+    registerServiceWorker(Number(config.photoCacheLimit) || DEFAULT_PHOTO_CACHE_LIMIT);
+  }, [isLoading, config.photoCacheLimit]);
+
   // Handle settings key press (button to open settings)
   useKeyboardNavigation({
     onMenu: () => {
@@ -55,9 +90,30 @@ function App() {
       if (view === 'settings') {
         setView('slideshow');
       }
+    },
+    // Switch smart playlists from the slideshow with the colored buttons
+    onColorKey: (colorIndex) => {
+      if (view !== 'slideshow') return;
+      const activePlaylist = getPlaylistForColorKey(config, colorIndex);
+      if (activePlaylist !== undefined) {
+        handleSwitchPlaylist(activePlaylist);
+      }
     }
   });
 
+  const handleSwitchPlaylist = (activePlaylist) => {
+    const newConfig = { ...config, activePlaylist };
+    setConfig(newConfig);
+    saveConfig(newConfig).catch(error => console.error('Error saving config:', error));
+  };
+
+  // A place saved from the remote (hold Up)
+  const handleAddPlace = (place) => {
+    const newConfig = { ...config, places: [...(config.places || []), place] };
+    setConfig(newConfig);
+    saveConfig(newConfig).catch(error => console.error('Error saving config:', error));
+  };
+
   const handleSaveConfig = async (newConfig) => {
     try {
       await saveConfig(newConfig);
@@ -88,6 +144,7 @@ function App() {
         <Slideshow
           config={config}
           onOpenSettings={() => setView('settings')}
+          onAddPlace={handleAddPlace}
         />
       ) : (
         <Settings
@@ -0,0 +1,214 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getExifCacheKey,
+  getCachedExif,
+  getCachedExifMap,
+  setCachedExif,
+  savePhotoList,
+  loadPhotoList,
+  getCacheStats,
+  clearCaches,
+  formatBytes,
+  registerServiceWorker,
+} from '../services/cacheService';
+import { getPhotoMetadata, indexPhotoMetadata } from '../services/providers';
+import { closeDb, createStore, PHOTO_INDEX_DB_NAME } from '../services/idbStore';
+
+const photo = { id: 'photos/beach.jpg', url: 'https://example.com/photos/beach.jpg', etag: 'abc123' };
+const exif = { dateTime: '2023-07-04T10:12:00', make: 'Apple', latitude: null, longitude: null };
+
+describe('cacheService', () => {
+  beforeEach(async () => {
+    await clearCaches();
+  });
+
+  // ─── EXIF cache ────────────────────────────────────────────────────────────
+
+  describe('EXIF cache', () => {
+    it('keys entries by photo id and ETag', () => {
+      expect(getExifCacheKey(photo)).toBe('photos/beach.jpg@abc123');
+    });
+
+    it('falls back to the last-modified date when there is no ETag', () => {
+      const key = getExifCacheKey({ id: 'a.jpg', lastModified: '2024-01-02T03:04:05Z' });
+      expect(key).toBe('a.jpg@2024-01-02T03:04:05.000Z');
+    });
+
+    it('does not cache photos without version information', async () => {
+      const unversioned = { id: 'a.jpg' };
+      expect(getExifCacheKey(unversioned)).toBeNull();
+      await setCachedExif(unversioned, exif);
+      expect(await getCachedExif(unversioned)).toBeUndefined();
+    });
+
+    it('round-trips EXIF data', async () => {
+      await setCachedExif(photo, exif);
+      expect(await getCachedExif(photo)).toEqual(exif);
+    });
+
+    it('misses when the ETag changes (photo replaced)', async () => {
+      await setCachedExif(photo, exif);
+      expect(await getCachedExif({ ...photo, etag: 'def456' })).toBeUndefined();
+    });
+
+    it('does not cache failed reads', async () => {
+      await setCachedExif(photo, null);
+      expect(await getCachedExif(photo)).toBeUndefined();
+    });
+
+    it('caches coordinates without the place name', async () => {
+      const located = { ...exif, latitude: 21.27, longitude: -157.82 };
+      await setCachedExif(photo, { ...located, locationName: 'Honolulu, Hawaii' });
+      expect(await getCachedExif(photo)).toEqual(located);
+    });
+
+    it('reads cached EXIF for many photos at once', async () => {
+      const other = { id: 'photos/hike.jpg', etag: 'def456' };
+      await setCachedExif(photo, exif);
+
+      const found = await getCachedExifMap([photo, other, { id: 'unversioned.jpg' }]);
+      expect(Array.from(found.keys())).toEqual([photo.id]);
+      expect(found.get(photo.id)).toEqual(exif);
+    });
+
+    it('lets getPhotoMetadata skip extraction on a cache hit', async () => {
+      await setCachedExif(photo, exif);
+      const provider = { fetchBytes: vi.fn(), getMetadata: vi.fn() };
+
+      const data = await getPhotoMetadata(provider, photo, {});
+      expect(data).toEqual(exif);
+      expect(provider.getMetadata).not.toHaveBeenCalled();
+      expect(provider.fetchBytes).not.toHaveBeenCalled();
+    });
+
+    it('names cached photos when they are read, so new places rename them', async () => {
+      const located = { ...exif, latitude: 21.265, longitude: -157.8226 };
+      await setCachedExif(photo, located);
+      const places = [{ id: 'place-1', name: 'Beach House', latitude: 21.265, longitude: -157.8226, radius: 100 }];
+
+      expect(await getPhotoMetadata({}, photo, { places })).toMatchObject({ locationName: 'Beach House' });
+      expect(await getPhotoMetadata({}, photo, {})).toMatchObject({ locationName: 'Honolulu, Hawaii' });
+    });
+
+    it('stores what getPhotoMetadata extracts', async () => {
+      const provider = { getMetadata: vi.fn().mockResolvedValue(exif) };
+
+      await getPhotoMetadata(provider, photo, {});
+      expect(await getCachedExif(photo)).toEqual(exif);
+    });
+  });
+
+  // ─── background indexing ───────────────────────────────────────────────────
+
+  describe('indexPhotoMetadata', () => {
+    it('caches the metadata of photos that have none yet', async () => {
+      const cached = { id: 'cached.jpg', name: 'cached.jpg', etag: 'v1' };
+      await setCachedExif(cached, exif);
+      const photos = [
+        photo,
+        cached,
+        { id: 'manifest.jpg', name: 'manifest.jpg', etag: 'v1', exif: { dateTime: '2023-07-04' } },
+        { id: 'unversioned.jpg', name: 'unversioned.jpg' },
+      ];
+      const provider = { getMetadata: vi.fn().mockResolvedValue({ ...exif, rating: 5 }) };
+      const onProgress = vi.fn();
+
+      expect(await indexPhotoMetadata(provider, photos, {}, { onProgress })).toBe(1);
+      expect(provider.getMetadata).toHaveBeenCalledTimes(1);
+      expect(await getCachedExif(photo)).toEqual({ ...exif, rating: 5 });
+      expect(onProgress).toHaveBeenCalledWith(1);
+    });
+
+    it('stops when cancelled', async () => {
+      const provider = { getMetadata: vi.fn().mockResolvedValue(exif) };
+      const photos = ['a', 'b', 'c', 'd'].map(id => ({ id, name: id, etag: 'v1' }));
+
+      expect(await indexPhotoMetadata(provider, photos, {}, { isCancelled: () => true })).toBe(0);
+      expect(provider.getMetadata).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('blocked upgrade', () => {
+    it('misses instead of waiting while another tab holds an older version open', async () => {
+      await setCachedExif(photo, exif);
+      await closeDb();
+      await new Promise(resolve => { indexedDB.deleteDatabase('tv-slideshow').onsuccess = resolve; });
+      // Another tab that never closes its connection
+      const other = await new Promise(resolve => {
+        indexedDB.open('tv-slideshow', 1).onsuccess = event => resolve(event.target.result);
+      });
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(await getCachedExif(photo)).toBeUndefined();
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('blocked'));
+      other.close();
+      await closeDb();
+      vi.restoreAllMocks();
+    });
+  });
+
+  // ─── photo lists ───────────────────────────────────────────────────────────
+
+  describe('photo lists', () => {
+    it('saves and loads the last listing per source', async () => {
+      await savePhotoList('["s3","bucket"]', [photo]);
+      expect(await loadPhotoList('["s3","bucket"]')).toEqual([photo]);
+      expect(await loadPhotoList('["s3","other"]')).toBeNull();
+    });
+  });
+
+  // ─── stats / clearing ──────────────────────────────────────────────────────
+
+  describe('getCacheStats / clearCaches', () => {
+    it('counts cached EXIF entries and resets on clear', async () => {
+      await setCachedExif(photo, exif);
+      expect((await getCacheStats()).exifCount).toBe(1);
+
+      await clearCaches();
+      expect(await getCacheStats()).toEqual({ photoCount: 0, photoBytes: 0, exifCount: 0, locationCount: 0 });
+    });
+
+    it('sums photo sizes from the service worker index without reading the photos', async () => {
+      const url = 'https://example.com/photos/beach.jpg';
+      const match = vi.fn();
+      vi.stubGlobal('caches', {
+        open: vi.fn().mockResolvedValue({ keys: async () => [{ url }], match }),
+        delete: vi.fn(),
+      });
+      await createStore('photos', PHOTO_INDEX_DB_NAME).put(url, { usedAt: 1, bytes: 2048 });
+
+      expect(await getCacheStats()).toMatchObject({ photoCount: 1, photoBytes: 2048 });
+      expect(match).not.toHaveBeenCalled();
+      vi.unstubAllGlobals();
+    });
+  });
+
+  // ─── service worker ────────────────────────────────────────────────────────
+
+  describe('registerServiceWorker', () => {
+    afterEach(() => {
+      vi.unstubAllEnvs();
+      delete navigator.serviceWorker;
+    });
+
+    it('registers the worker under the base path, scoped to it', async () => {
+      vi.stubEnv('PROD', true);
+      vi.stubEnv('BASE_URL', '/slideshow/');
+      const register = vi.fn().mockResolvedValue({});
+      Object.defineProperty(navigator, 'serviceWorker', { value: { register }, configurable: true });
+
+      await registerServiceWorker(120);
+      expect(register).toHaveBeenCalledWith('/slideshow/sw.js?limit=120', { scope: '/slideshow/' });
+    });
+  });
+
+  describe('formatBytes', () => {
+    it('formats sizes with a sensible unit', () => {
+      expect(formatBytes(512)).toBe('512 B');
+      expect(formatBytes(2048)).toBe('2.0 KB');
+      expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+      expect(formatBytes(3 * 1024 ** 3)).toBe('3.0 GB');
+    });
+  });
+});
@@ -4,6 +4,7 @@ import {
   saveConfig,
   clearConfig,
   validateConfig,
+  buildConfigExport,
 } from '../services/configService';
 
 const CONFIG_KEY = 'tv-slideshow-config';
@@ -83,6 +84,21 @@ describe('configService', () => {
     });
   });
 
+  // ─── settings files ────────────────────────────────────────────────────────
+
+  describe('buildConfigExport', () => {
+    it('leaves credentials out of the file', () => {
+      const config = {
+        photoSource: 'webdav',
+        webdavUrl: 'https://nas.local/dav/photos/',
+        webdavUsername: 'tv',
+        webdavPassword: 'secret',
+      };
+      expect(buildConfigExport(config)).toEqual({ photoSource: 'webdav', webdavUrl: 'https://nas.local/dav/photos/' });
+      expect(config.webdavPassword).toBe('secret');
+    });
+  });
+
   // ─── validateConfig ────────────────────────────────────────────────────────
 
   describe('validateConfig', () => {
@@ -122,15 +138,127 @@ describe('configService', () => {
     });
 
     it('returns false for an unrecognised transitionEffect', () => {
-      expect(validateConfig({ ...base, transitionEffect: 'dissolve' })).toBe(false);
+      expect(validateConfig({ ...base, transitionEffect: 'spin' })).toBe(false);
     });
 
     it('accepts every documented transition effect', () => {
-      for (const effect of ['fade', 'slide-transition', 'zoom']) {
+      const effects = [
+        'fade', 'fade-through-black', 'slide-transition', 'push', 'wipe', 'zoom',
+        'dissolve', 'cube', 'page-curl', 'ken-burns', 'random',
+      ];
+      for (const effect of effects) {
         expect(validateConfig({ ...base, transitionEffect: effect })).toBe(true);
       }
     });
 
+    it('validates the transition duration', () => {
+      expect(validateConfig({ ...base, transitionDuration: 0 })).toBe(true);
+      expect(validateConfig({ ...base, transitionDuration: 2.5 })).toBe(true);
+      expect(validateConfig({ ...base, transitionDuration: -1 })).toBe(false);
+      expect(validateConfig({ ...base, transitionDuration: 60 })).toBe(false);
+    });
+
+    it('validates smart playlists', () => {
+      expect(validateConfig({ ...base, playlists: [{ id: 'p1', name: 'A', rules: {} }] })).toBe(true);
+      expect(validateConfig({ ...base, playlists: [{ name: 'No id', rules: {} }] })).toBe(false);
+      expect(validateConfig({ ...base, playlists: [{ id: 'p1', rules: null }] })).toBe(false);
+      expect(validateConfig({ ...base, playlists: 'p1' })).toBe(false);
+    });
+
+    it('validates the playback mode', () => {
+      expect(validateConfig({ ...base, playbackMode: 'on-this-day' })).toBe(true);
+      expect(validateConfig({ ...base, playbackMode: 'yesterday' })).toBe(false);
+    });
+
+    it('validates the order mode', () => {
+      expect(validateConfig({ ...base, orderMode: 'trips' })).toBe(true);
+      expect(validateConfig({ ...base, orderMode: 'alphabetical' })).toBe(false);
+    });
+
+    it('validates schedule entries and the home location', () => {
+      const night = { id: 's1', days: [], start: '22:00', end: 'sunrise', action: 'blank' };
+      expect(validateConfig({ ...base, schedule: [night], homeLatitude: '51.5', homeLongitude: '-0.12' })).toBe(true);
+      expect(validateConfig({ ...base, schedule: [{ ...night, action: 'explode' }] })).toBe(false);
+      expect(validateConfig({ ...base, schedule: [{ ...night, end: '25:00' }] })).toBe(false);
+      expect(validateConfig({ ...base, schedule: [{ ...night, action: 'dim', brightness: 140 }] })).toBe(false);
+      expect(validateConfig({ ...base, homeLatitude: '95' })).toBe(false);
+    });
+
+    it('validates widget positions, styles and the weather URL', () => {
+      const widgets = {
+        clock: { enabled: true, position: 'top-right', style: 'style-minimal' },
+        weather: { enabled: true, url: 'http://localhost:8080/weather.json' },
+      };
+      expect(validateConfig({ ...base, widgets })).toBe(true);
+      expect(validateConfig({ ...base, widgets: { clock: { position: 'middle' } } })).toBe(false);
+      expect(validateConfig({ ...base, widgets: { date: { style: 'style-neon' } } })).toBe(false);
+      expect(validateConfig({ ...base, widgets: { weather: { url: 'ftp://example.com' } } })).toBe(false);
+    });
+
+    it('validates the geocoder chain', () => {
+      const geocoders = [
+        { id: 'custom', enabled: true, timeout: 5, radius: 150, url: 'https://geo.example.com/reverse?lat={lat}&lon={lon}' },
+        { id: 'offline', enabled: true, radius: 25000 },
+      ];
+      expect(validateConfig({ ...base, geocoders })).toBe(true);
+      expect(validateConfig({ ...base, geocoders: [{ id: 'google', enabled: true }] })).toBe(false);
+      expect(validateConfig({ ...base, geocoders: [{ id: 'offline' }, { id: 'offline' }] })).toBe(false);
+      expect(validateConfig({ ...base, geocoders: [{ id: 'nominatim', timeout: 0 }] })).toBe(false);
+      expect(validateConfig({ ...base, geocoders: [{ id: 'overpass', radius: 500000 }] })).toBe(false);
+      expect(validateConfig({ ...base, geocoders: [{ id: 'custom', url: 'ftp://example.com' }] })).toBe(false);
+    });
+
+    it('validates places', () => {
+      const place = { id: 'place-1', name: 'Home', latitude: '21.265', longitude: '-157.8226', radius: '100' };
+      expect(validateConfig({ ...base, places: [place] })).toBe(true);
+      expect(validateConfig({ ...base, places: place })).toBe(false);
+      expect(validateConfig({ ...base, places: [{ ...place, name: '' }] })).toBe(false);
+      expect(validateConfig({ ...base, places: [{ ...place, latitude: 95 }] })).toBe(false);
+      expect(validateConfig({ ...base, places: [{ ...place, id: undefined }] })).toBe(false);
+    });
+
+    it('validates the display mode and smart-cover crop limit', () => {
+      expect(validateConfig({ ...base, displayMode: 'smart-cover', smartCoverThreshold: 20 })).toBe(true);
+      expect(validateConfig({ ...base, displayMode: 'stretch' })).toBe(false);
+      expect(validateConfig({ ...base, smartCoverThreshold: 80 })).toBe(false);
+    });
+
+    it('only requires S3 fields when the photo source is S3', () => {
+      expect(validateConfig({ photoSource: 'static' })).toBe(true);
+      expect(validateConfig({ photoSource: 'manifest', manifestUrl: 'https://a/photos.json' })).toBe(true);
+    });
+
+    it('requires the fields of the selected photo source', () => {
+      expect(validateConfig({ photoSource: 'manifest' })).toBe(false);
+      expect(validateConfig({ photoSource: 'webdav' })).toBe(false);
+    });
+
+    it('returns false for an unknown photo source', () => {
+      expect(validateConfig({ ...base, photoSource: 'ftp' })).toBe(false);
+    });
+
+    it('accepts an http(s) custom S3 endpoint', () => {
+      expect(validateConfig({ ...base, s3Endpoint: 'http://localhost:9000' })).toBe(true);
+    });
+
+    it('returns false for a malformed custom S3 endpoint', () => {
+      expect(validateConfig({ ...base, s3Endpoint: 'localhost:9000' })).toBe(false);
+      expect(validateConfig({ ...base, s3Endpoint: 'not a url' })).toBe(false);
+    });
+
+    it('requires s3Albums to be a list of prefixes', () => {
+      expect(validateConfig({ ...base, s3Albums: ['photos/2023 Hawaii/'] })).toBe(true);
+      expect(validateConfig({ ...base, s3Albums: 'photos/2023 Hawaii/' })).toBe(false);
+      expect(validateConfig({ ...base, s3Albums: [42] })).toBe(false);
+    });
+
+    it('accepts a refresh interval of 0 (off) up to a day', () => {
+      expect(validateConfig({ ...base, refreshInterval: 0 })).toBe(true);
+      expect(validateConfig({ ...base, refreshInterval: 1440 })).toBe(true);
+      expect(validateConfig({ ...base, refreshInterval: -1 })).toBe(false);
+      expect(validateConfig({ ...base, refreshInterval: 1441 })).toBe(false);
+    });
+
     it('ignores optional fields when they are absent', () => {
       // Only required fields present
       expect(validateConfig({ s3Bucket: 'bucket', s3Region: 'us-east-1' })).toBe(true);
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_DISPLAY_MODE,
+  getCoverCrop,
+  getPhotoFit,
+  normalizeDisplayMode,
+} from '../utils/displayModes';
+
+const TV = { width: 1920, height: 1080 };
+
+describe('displayModes', () => {
+  // ─── validation ────────────────────────────────────────────────────────────
+
+  describe('normalizeDisplayMode', () => {
+    it('keeps known modes and drops anything else', () => {
+      expect(normalizeDisplayMode('smart-cover')).toBe('smart-cover');
+      expect(normalizeDisplayMode('stretch')).toBeNull();
+      expect(normalizeDisplayMode(undefined)).toBeNull();
+    });
+  });
+
+  // ─── cropping ──────────────────────────────────────────────────────────────
+
+  describe('getCoverCrop', () => {
+    it('is zero when the shapes match', () => {
+      expect(getCoverCrop({ width: 3840, height: 2160 }, TV)).toBeCloseTo(0);
+    });
+
+    it('is the share of the photo cut off', () => {
+      // 4:3 on 16:9 loses a quarter of the height
+      expect(getCoverCrop({ width: 4000, height: 3000 }, TV)).toBeCloseTo(0.25);
+    });
+  });
+
+  // ─── fit ───────────────────────────────────────────────────────────────────
+
+  describe('getPhotoFit', () => {
+    const photo = { id: 'a.jpg' };
+
+    it('uses the global mode', () => {
+      expect(getPhotoFit(photo, { mode: 'cover', frame: TV })).toEqual({ size: 'cover', blurFill: false });
+      expect(getPhotoFit(photo, { mode: 'contain', frame: TV })).toEqual({ size: 'contain', blurFill: false });
+      expect(getPhotoFit(photo, { mode: 'contain-blur', frame: TV })).toEqual({ size: 'contain', blurFill: true });
+    });
+
+    it('lets the photo override the global mode', () => {
+      expect(getPhotoFit({ ...photo, displayMode: 'cover' }, { mode: 'contain', frame: TV }).size).toBe('cover');
+    });
+
+    it('defaults to black bars; the blurred fill is opt-in', () => {
+      expect(DEFAULT_DISPLAY_MODE).toBe('contain');
+    });
+
+    it('falls back to the default for unknown modes', () => {
+      expect(getPhotoFit(photo, { mode: 'stretch', frame: TV }))
+        .toEqual(getPhotoFit(photo, { mode: DEFAULT_DISPLAY_MODE, frame: TV }));
+    });
+
+    it('smart-cover crops only within the threshold', () => {
+      const options = { mode: 'smart-cover', threshold: 20, frame: TV };
+      expect(getPhotoFit(photo, { ...options, image: { width: 3000, height: 2000 } }).size).toBe('cover');
+      expect(getPhotoFit(photo, { ...options, image: { width: 4000, height: 3000 } }))
+        .toEqual({ size: 'contain', blurFill: true });
+      expect(getPhotoFit(photo, { ...options, threshold: 30, image: { width: 4000, height: 3000 } }).size)
+        .toBe('cover');
+    });
+
+    it('smart-cover letterboxes photos of unknown size', () => {
+      expect(getPhotoFit(photo, { mode: 'smart-cover', frame: TV, image: null }).blurFill).toBe(true);
+    });
+  });
+});
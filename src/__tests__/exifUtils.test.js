@@ -1,4 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
 
 // Mock AWS + exifr so tests never touch the network or real credentials.
 vi.mock('@aws-sdk/client-s3', () => ({
@@ -14,12 +15,19 @@ vi.mock('exifr', () => ({
 
 import {
   extractExifData,
+  EXIF_HEADER_BYTES,
+  getHeaderState,
   formatCoordinatesDMS,
   calculateDistance,
   groupPhotosByLocation,
 } from '../utils/exifUtils';
+import { getGeocoderChain } from '../utils/geocoding';
+import { clearLocationCache } from '../services/locationCache';
 import exifr from 'exifr';
 
+// Nominatim and Overpass turned on, as by the old online lookups checkbox
+const ONLINE_GEOCODERS = getGeocoderChain({ onlineGeocoding: true });
+
 // ─── formatCoordinatesDMS ─────────────────────────────────────────────────────
 
 describe('formatCoordinatesDMS', () => {
@@ -144,10 +152,22 @@ describe('groupPhotosByLocation', () => {
 // getS3Client() returns null, forcing all image fetches through global.fetch.
 
 describe('extractExifData', () => {
-  beforeEach(() => {
-    localStorage.clear();
+  // Online geocoders are queued a second apart: each test moves the clock
+  // past the previous test's requests
+  beforeAll(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterAll(() => {
+    vi.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    vi.setSystemTime(Date.now() + 60 * 1000);
+    await clearLocationCache();
     // Default: image fetch succeeds with an empty buffer
     global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
       arrayBuffer: () => Promise.resolve(new ArrayBuffer(0)),
     });
   });
@@ -157,6 +177,69 @@ describe('extractExifData', () => {
     expect(await extractExifData('https://example.com/photo.jpg')).toBeNull();
   });
 
+  it('only downloads the file header with a ranged request', async () => {
+    exifr.parse.mockResolvedValue({ Make: 'Canon' });
+    await extractExifData('https://example.com/photo.jpg');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith('https://example.com/photo.jpg', {
+      headers: { Range: `bytes=0-${EXIF_HEADER_BYTES - 1}` },
+    });
+  });
+
+  it('reads the whole file when the metadata runs past the header', async () => {
+    exifr.parse
+      .mockRejectedValueOnce(new Error('Offset is outside the bounds of the DataView'))
+      .mockResolvedValueOnce({ Make: 'Canon' });
+    const result = await extractExifData('https://example.com/photo.jpg');
+    expect(result.make).toBe('Canon');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1]).toEqual(['https://example.com/photo.jpg', undefined]);
+  });
+
+  it('reads the whole file when a JPEG segment runs past the header', async () => {
+    // An APP1 segment claiming 0xFFFF bytes, then the header range ends
+    const header = new Uint8Array(EXIF_HEADER_BYTES);
+    header.set([0xFF, 0xD8, 0xFF, 0xE1, 0xFF, 0xFF]);
+    header.set([0xFF, 0xE1, 0xFF, 0xFF], 2 + 2 + 0xFFFF);
+    const fetchImageData = vi.fn().mockResolvedValue(header.buffer);
+    exifr.parse.mockResolvedValue({ Make: 'Canon' });
+
+    await extractExifData('https://example.com/photo.jpg', { fetchImageData, locate: false });
+    expect(fetchImageData.mock.calls).toEqual([[{ range: EXIF_HEADER_BYTES }], [{ range: undefined }]]);
+  });
+
+  it('reads the whole file when a header of unknown layout has no metadata', async () => {
+    const fetchImageData = vi.fn().mockResolvedValue(new ArrayBuffer(EXIF_HEADER_BYTES));
+    exifr.parse.mockResolvedValueOnce(undefined).mockResolvedValueOnce({ Make: 'Canon' });
+
+    const result = await extractExifData('https://example.com/photo.png', { fetchImageData, locate: false });
+    expect(result.make).toBe('Canon');
+    expect(fetchImageData).toHaveBeenCalledTimes(2);
+  });
+
+  it('trusts a complete JPEG header without metadata', async () => {
+    const header = new Uint8Array(EXIF_HEADER_BYTES);
+    header.set([0xFF, 0xD8, 0xFF, 0xDA]);
+    const fetchImageData = vi.fn().mockResolvedValue(header.buffer);
+    exifr.parse.mockResolvedValue(undefined);
+
+    expect(await extractExifData('https://example.com/photo.jpg', { fetchImageData })).toBeNull();
+    expect(fetchImageData).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns null when the server refuses the download', async () => {
+    global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 403 });
+    expect(await extractExifData('https://example.com/photo.jpg')).toBeNull();
+    expect(exifr.parse).not.toHaveBeenCalled();
+  });
+
+  it('passes the header range to a custom fetchImageData', async () => {
+    exifr.parse.mockResolvedValue({ Make: 'Canon' });
+    const fetchImageData = vi.fn().mockResolvedValue(new ArrayBuffer(0));
+    await extractExifData('https://example.com/photo.jpg', { fetchImageData });
+    expect(fetchImageData).toHaveBeenCalledWith({ range: EXIF_HEADER_BYTES });
+  });
+
   it('returns null when the image fetch fails', async () => {
     global.fetch = vi.fn().mockRejectedValue(new Error('Network error'));
     expect(await extractExifData('https://example.com/photo.jpg')).toBeNull();
@@ -195,12 +278,52 @@ describe('extractExifData', () => {
     expect(result.exposureTime).toBeNull();
   });
 
-  it('fetches a location name when GPS coordinates are present', async () => {
+  it('extracts the title, caption, keywords and rating from XMP', async () => {
+    exifr.parse.mockResolvedValue({
+      title: { lang: 'x-default', value: 'Sunset' },
+      description: { lang: 'x-default', value: ' First swim of the year ' },
+      subject: ['beach', 'Kids'],
+      Keywords: ['kids', 'Hawaii'],
+      Rating: 4,
+    });
+    const result = await extractExifData('https://example.com/photo.jpg');
+    expect(result).toMatchObject({
+      title: 'Sunset',
+      caption: 'First swim of the year',
+      keywords: ['beach', 'Kids', 'Hawaii'],
+      rating: 4,
+    });
+  });
+
+  it('picks EXIF tags without switching off the XMP segment', async () => {
+    exifr.parse.mockResolvedValue({ Make: 'Canon' });
+    await extractExifData('https://example.com/photo.jpg');
+    const options = exifr.parse.mock.calls.at(-1)[1];
+    expect(options.pick).toBeUndefined();
+    expect(options.xmp).toBe(true);
+  });
+
+  it('falls back to IPTC text and leaves unrated photos unrated', async () => {
+    exifr.parse.mockResolvedValue({ ObjectName: 'Old title', Caption: 'IPTC caption', Keywords: 'beach', Rating: -1 });
+    const result = await extractExifData('https://example.com/photo.jpg');
+    expect(result).toMatchObject({ title: 'Old title', caption: 'IPTC caption', keywords: ['beach'], rating: null });
+  });
+
+  it('names the location offline by default, without any network request', async () => {
+    exifr.parse.mockResolvedValue({ latitude: 48.8566, longitude: 2.3522 });
+
+    const result = await extractExifData('https://example.com/photo.jpg');
+    expect(result.locationName).toBe('Paris, Île-de-France, France');
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['https://example.com/photo.jpg']);
+  });
+
+  it('looks the location up online when enabled', async () => {
     exifr.parse.mockResolvedValue({ latitude: 40.7128, longitude: -74.006 });
 
     global.fetch = vi.fn().mockImplementation((url) => {
       if (url === 'https://example.com/photo.jpg') {
         return Promise.resolve({
+          ok: true,
           arrayBuffer: () => Promise.resolve(new ArrayBuffer(0)),
         });
       }
@@ -220,8 +343,8 @@ describe('extractExifData', () => {
       });
     });
 
-    const result = await extractExifData('https://example.com/photo.jpg');
-    expect(result.locationName).toContain('New York');
+    const result = await extractExifData('https://example.com/photo.jpg', { geocoders: ONLINE_GEOCODERS });
+    expect(result.locationName).toBe('New York, NY');
   });
 
   it('caches location lookups so the same coordinates skip geocoding on repeat calls', async () => {
@@ -231,6 +354,7 @@ describe('extractExifData', () => {
     global.fetch = vi.fn().mockImplementation((url) => {
       if (url === 'https://example.com/photo.jpg') {
         return Promise.resolve({
+          ok: true,
           arrayBuffer: () => Promise.resolve(new ArrayBuffer(0)),
         });
       }
@@ -247,18 +371,19 @@ describe('extractExifData', () => {
       return Promise.resolve({ ok: true, json: () => Promise.resolve({ elements: [] }) });
     });
 
-    await extractExifData('https://example.com/photo.jpg');
-    await extractExifData('https://example.com/photo.jpg');
+    await extractExifData('https://example.com/photo.jpg', { geocoders: ONLINE_GEOCODERS });
+    await extractExifData('https://example.com/photo.jpg', { geocoders: ONLINE_GEOCODERS });
 
     expect(nominatimCallCount).toBe(1); // second call must use the cache
   });
 
-  it('sets locationName to null when geocoding fails', async () => {
+  it('falls back to the offline name when online geocoding fails', async () => {
     exifr.parse.mockResolvedValue({ latitude: 40.7128, longitude: -74.006 });
 
     global.fetch = vi.fn().mockImplementation((url) => {
       if (url === 'https://example.com/photo.jpg') {
         return Promise.resolve({
+          ok: true,
           arrayBuffer: () => Promise.resolve(new ArrayBuffer(0)),
         });
       }
@@ -266,8 +391,33 @@ describe('extractExifData', () => {
       return Promise.reject(new Error('geocoding unavailable'));
     });
 
-    const result = await extractExifData('https://example.com/photo.jpg');
+    const result = await extractExifData('https://example.com/photo.jpg', { geocoders: ONLINE_GEOCODERS });
     expect(result).not.toBeNull();
+    expect(result.locationName).toBe('New York City, New York');
+  });
+
+  it('sets locationName to null far out at sea', async () => {
+    exifr.parse.mockResolvedValue({ latitude: 30, longitude: -40 });
+
+    const result = await extractExifData('https://example.com/photo.jpg');
     expect(result.locationName).toBeNull();
   });
 });
+
+// ─── getHeaderState ───────────────────────────────────────────────────────────
+
+describe('getHeaderState', () => {
+  it('finds the start of scan after the metadata segments', () => {
+    const bytes = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1, 0x00, 0x04, 0x00, 0x00, 0xFF, 0xDA]);
+    expect(getHeaderState(bytes)).toBe('complete');
+    expect(getHeaderState(bytes.buffer)).toBe('complete');
+  });
+
+  it('spots a segment that runs past the bytes read', () => {
+    expect(getHeaderState(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1, 0x10, 0x00, 0x00, 0x00]))).toBe('truncated');
+  });
+
+  it('cannot tell for other formats', () => {
+    expect(getHeaderState(new Uint8Array([0x89, 0x50, 0x4E, 0x47]))).toBe('unknown');
+  });
+});
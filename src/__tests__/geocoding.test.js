@@ -0,0 +1,350 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createSpatialIndex } from '../utils/geocoding/spatialIndex';
+import { createRequestQueue } from '../utils/geocoding/requestQueue';
+import {
+  createOfflineGeocoder,
+  formatPlace,
+  getOfflineLocationName,
+  offlineGeocoder,
+} from '../utils/geocoding/offlineGeocoder';
+import { nominatimGeocoder, overpassGeocoder, customGeocoder } from '../utils/geocoding/onlineGeocoders';
+import { getChainKey, getGeocoderChain, getLocationName, registerGeocoder } from '../utils/geocoding';
+import { applyPlaceName, createPlace, findPlace, isValidPlace } from '../utils/geocoding/places';
+import { clearLocationCache, seedLocationCache, LOCATION_CACHE_EXPORT_TYPE } from '../services/locationCache';
+
+// A tiny dataset in the places.json shape
+const dataset = {
+  countries: { US: 'United States', FR: 'France', FJ: 'Fiji' },
+  regions: [['US', 'New York'], ['FR', 'Île-de-France'], ['FJ', 'Northern']],
+  places: [
+    ['New York City', 40.713, -74.006, 0],
+    ['Yonkers', 40.931, -73.899, 0],
+    ['Paris', 48.857, 2.352, 1],
+    ['Labasa', -16.417, 179.383, 2],
+  ],
+};
+
+describe('geocoding', () => {
+  // ─── spatial index ─────────────────────────────────────────────────────────
+
+  describe('createSpatialIndex', () => {
+    const index = createSpatialIndex(dataset.places, ([, lat, lon]) => [lat, lon]);
+
+    it('finds the nearest point within the radius', () => {
+      const match = index.nearest(40.9, -73.9, 50);
+      expect(match.item[0]).toBe('Yonkers');
+      expect(match.distanceKm).toBeLessThan(5);
+    });
+
+    it('finds nothing beyond the radius', () => {
+      expect(index.nearest(30, -40, 500)).toBeNull();
+    });
+
+    it('searches across cell edges and the antimeridian', () => {
+      expect(index.nearest(40.713, -73.99, 5).item[0]).toBe('New York City');
+      expect(index.nearest(-16.4, -179.9, 200).item[0]).toBe('Labasa');
+    });
+
+    it('prefers the point indexed first on a tie', () => {
+      const twins = createSpatialIndex([['big', 10, 10], ['small', 10, 10]], ([, lat, lon]) => [lat, lon]);
+      expect(twins.nearest(10, 10, 1).item[0]).toBe('big');
+    });
+  });
+
+  // ─── offline geocoder ──────────────────────────────────────────────────────
+
+  describe('createOfflineGeocoder', () => {
+    const geocoder = createOfflineGeocoder(dataset);
+
+    it('names the nearest town with its region and country', () => {
+      expect(geocoder.reverseGeocode(48.86, 2.34)).toMatchObject({
+        city: 'Paris', region: 'Île-de-France', country: 'France', countryCode: 'FR',
+      });
+    });
+
+    it('names only the region, then only the country, farther out', () => {
+      expect(geocoder.reverseGeocode(48.3, 3.2)).toMatchObject({ city: null, region: 'Île-de-France' });
+      expect(geocoder.reverseGeocode(47, 4)).toMatchObject({ city: null, region: null, country: 'France' });
+      expect(geocoder.reverseGeocode(30, -40)).toBeNull();
+    });
+
+    it('names towns farther away with a larger town radius', () => {
+      expect(geocoder.reverseGeocode(48.3, 3.2, { cityRadiusKm: 100 })).toMatchObject({ city: 'Paris' });
+    });
+  });
+
+  describe('formatPlace', () => {
+    it('leaves the country out for US places', () => {
+      expect(formatPlace({ city: 'Yonkers', region: 'New York', country: 'United States', countryCode: 'US' }))
+        .toBe('Yonkers, New York');
+      expect(formatPlace({ city: null, region: null, country: 'United States', countryCode: 'US' }))
+        .toBe('United States');
+    });
+
+    it('collapses repeated names', () => {
+      expect(formatPlace({ city: 'Singapore', region: null, country: 'Singapore', countryCode: 'SG' }))
+        .toBe('Singapore');
+      expect(formatPlace(null)).toBeNull();
+    });
+  });
+
+  // ─── bundled dataset ───────────────────────────────────────────────────────
+
+  describe('getOfflineLocationName', () => {
+    it('names places around the world from the bundled dataset', async () => {
+      expect(await getOfflineLocationName(51.5074, -0.1278)).toBe('London, England, United Kingdom');
+      expect(await getOfflineLocationName(37.7749, -122.4194)).toBe('San Francisco, California');
+      expect(await getOfflineLocationName(-33.8688, 151.2093)).toBe('Sydney, New South Wales, Australia');
+      expect(await getOfflineLocationName(21.27, -157.82)).toBe('Honolulu, Hawaii');
+    });
+
+    it('returns null in the middle of the ocean', async () => {
+      expect(await getOfflineLocationName(30, -40)).toBeNull();
+    });
+  });
+
+  // ─── request queue ─────────────────────────────────────────────────────────
+
+  describe('createRequestQueue', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('starts requests one at a time, minInterval apart', async () => {
+      const queue = createRequestQueue({ minInterval: 1000 });
+      const started = [];
+      const start = Date.now();
+      const results = Promise.all([1, 2, 3].map(n => queue.schedule(async () => {
+        started.push(Date.now() - start);
+        return n;
+      })));
+
+      await vi.advanceTimersByTimeAsync(2000);
+      expect(await results).toEqual([1, 2, 3]);
+      expect(started).toEqual([0, 1000, 2000]);
+      expect(queue.size).toBe(0);
+    });
+
+    it('rejects a failed request and carries on with the next', async () => {
+      const queue = createRequestQueue();
+      const failed = queue.schedule(() => Promise.reject(new Error('down')));
+      const next = queue.schedule(async () => 'ok');
+
+      await expect(failed).rejects.toThrow('down');
+      expect(await next).toBe('ok');
+    });
+  });
+
+  // ─── geocoder chain ────────────────────────────────────────────────────────
+
+  describe('getGeocoderChain', () => {
+    it('turns only the bundled dataset on by default', () => {
+      const chain = getGeocoderChain({});
+      expect(chain.map(settings => settings.id)).toEqual(['overpass', 'nominatim', 'custom', 'offline']);
+      expect(chain.filter(settings => settings.enabled).map(settings => settings.id)).toEqual(['offline']);
+      expect(chain.find(settings => settings.id === 'overpass')).toMatchObject({ timeout: 5, radius: 150 });
+    });
+
+    it('keeps online lookups on for a config from before the chain', () => {
+      const chain = getGeocoderChain({ onlineGeocoding: true });
+      expect(chain.filter(settings => settings.enabled).map(settings => settings.id))
+        .toEqual(['overpass', 'nominatim', 'offline']);
+    });
+
+    it('keeps the saved order, fills in defaults and adds missing geocoders switched off', () => {
+      const chain = getGeocoderChain({
+        geocoders: [
+          { id: 'offline', enabled: true, radius: 5000 },
+          { id: 'nominatim', enabled: true, timeout: 3 },
+          { id: 'retired', enabled: true }
+        ]
+      });
+      expect(chain).toEqual([
+        { id: 'offline', enabled: true, radius: 5000 },
+        { id: 'nominatim', enabled: true, timeout: 3 },
+        { id: 'overpass', enabled: false, timeout: 5, radius: 150 },
+        { id: 'custom', enabled: false, timeout: 5, radius: 150, url: '' }
+      ]);
+    });
+  });
+
+  describe('getLocationName', () => {
+    // Swap a built-in geocoder's lookup for a stub, without queue spacing
+    const stub = (geocoder, lookup) => {
+      const fake = vi.fn(lookup);
+      registerGeocoder({ ...geocoder, minInterval: 0, lookup: fake });
+      return fake;
+    };
+    const chain = (...ids) => ids.map(id => ({ id, enabled: true, timeout: 1, radius: 150 }));
+
+    beforeEach(async () => {
+      await clearLocationCache();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      [offlineGeocoder, nominatimGeocoder, overpassGeocoder, customGeocoder].forEach(registerGeocoder);
+    });
+
+    it('takes the first answer for each part and skips geocoders with nothing to add', async () => {
+      stub(overpassGeocoder, async () => ({ venue: 'Katz\'s Delicatessen' }));
+      const nominatim = stub(nominatimGeocoder, async () => ({ location: 'New York, NY', venue: 'Houston Street' }));
+      const offline = stub(offlineGeocoder, async () => ({ location: 'New York City, New York' }));
+
+      expect(await getLocationName(40.7223, -73.9874, chain('overpass', 'nominatim', 'offline')))
+        .toBe('Katz\'s Delicatessen, New York, NY');
+      expect(nominatim).toHaveBeenCalledTimes(1);
+      expect(offline).not.toHaveBeenCalled();
+    });
+
+    it('leaves switched-off geocoders out', async () => {
+      const nominatim = stub(nominatimGeocoder, async () => ({ location: 'New York, NY' }));
+      stub(offlineGeocoder, async () => ({ location: 'New York City, New York' }));
+
+      const settings = [{ id: 'nominatim', enabled: false }, { id: 'offline', enabled: true }];
+      expect(await getLocationName(40.7128, -74.006, settings)).toBe('New York City, New York');
+      expect(nominatim).not.toHaveBeenCalled();
+    });
+
+    it('shares one lookup between requests for the same spot', async () => {
+      const nominatim = stub(nominatimGeocoder, async () => ({ location: 'New York, NY' }));
+
+      const names = await Promise.all([
+        getLocationName(40.71281, -74.00601, chain('nominatim')),
+        getLocationName(40.71279, -74.00599, chain('nominatim'))
+      ]);
+      expect(names).toEqual(['New York, NY', 'New York, NY']);
+      expect(nominatim).toHaveBeenCalledTimes(1);
+    });
+
+    it('caches online answers, but asks again after a failure', async () => {
+      const nominatim = stub(nominatimGeocoder, async () => ({ location: 'New York, NY' }));
+      const overpass = stub(overpassGeocoder, async () => { throw new Error('busy'); });
+      stub(offlineGeocoder, async () => ({ location: 'New York City, New York' }));
+
+      const settings = chain('overpass', 'nominatim', 'offline');
+      expect(await getLocationName(40.7128, -74.006, settings)).toBe('New York, NY');
+      overpass.mockResolvedValue({ venue: null });
+      expect(await getLocationName(40.7128, -74.006, settings)).toBe('New York, NY');
+      expect(await getLocationName(40.7128, -74.006, settings)).toBe('New York, NY');
+
+      expect(overpass).toHaveBeenCalledTimes(2);
+      expect(nominatim).toHaveBeenCalledTimes(2);
+    });
+
+    it('answers offline from the cache and offline geocoders only', async () => {
+      const nominatim = stub(nominatimGeocoder, async () => ({ location: 'New York, NY' }));
+      stub(offlineGeocoder, async () => ({ location: 'New York City, New York' }));
+
+      const settings = chain('nominatim', 'offline');
+      expect(await getLocationName(40.7128, -74.006, settings, { offline: true })).toBe('New York City, New York');
+      expect(nominatim).not.toHaveBeenCalled();
+
+      expect(await getLocationName(40.7128, -74.006, settings)).toBe('New York, NY');
+      expect(await getLocationName(40.7128, -74.006, settings, { offline: true })).toBe('New York, NY');
+      expect(nominatim).toHaveBeenCalledTimes(1);
+    });
+
+    it('names photos from imported names without asking any geocoder', async () => {
+      const offline = stub(offlineGeocoder, async () => ({ location: 'Honolulu, Hawaii' }));
+      await seedLocationCache({
+        type: LOCATION_CACHE_EXPORT_TYPE,
+        version: 1,
+        entries: { '21.2650,-157.8226': 'Waikiki Aquarium, Honolulu, Hawaii' }
+      });
+
+      expect(await getLocationName(21.26501, -157.82259, chain('offline'))).toBe('Waikiki Aquarium, Honolulu, Hawaii');
+      expect(offline).not.toHaveBeenCalled();
+    });
+
+    it('names photos inside a place after it, without asking any geocoder', async () => {
+      const offline = stub(offlineGeocoder, async () => ({ location: 'Honolulu, Hawaii' }));
+      const places = [{ id: 'place-1', name: 'Grandma\'s House ', latitude: 21.265, longitude: -157.8226, radius: 100 }];
+
+      expect(await getLocationName(21.2652, -157.8226, chain('offline'), { places })).toBe('Grandma\'s House');
+      expect(offline).not.toHaveBeenCalled();
+      expect(await getLocationName(21.28, -157.8226, chain('offline'), { places })).toBe('Honolulu, Hawaii');
+    });
+
+    it('keys the cache by the settings that change answers', () => {
+      const base = [{ id: 'overpass', enabled: true, timeout: 5, radius: 150 }, { id: 'nominatim', enabled: false }];
+      expect(getChainKey(base)).toBe(getChainKey([{ ...base[0], timeout: 20 }, base[1]]));
+      expect(getChainKey(base)).not.toBe(getChainKey([{ ...base[0], radius: 300 }, base[1]]));
+      expect(getChainKey(base)).not.toBe(getChainKey([base[0], { ...base[1], enabled: true }]));
+    });
+
+    it('gives up on a geocoder after its timeout and moves on', async () => {
+      // Only timeouts are faked: IndexedDB still needs its own scheduling
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+      let started;
+      const lookupStarted = new Promise(resolve => { started = resolve; });
+      stub(nominatimGeocoder, (latitude, longitude, settings, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+        started();
+      }));
+      stub(offlineGeocoder, async () => ({ location: 'New York City, New York' }));
+
+      const name = getLocationName(40.7128, -74.006, chain('nominatim', 'offline'));
+      await lookupStarted;
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(await name).toBe('New York City, New York');
+    });
+
+    it('fills a custom endpoint\'s URL placeholders', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ location: 'Home', venue: null }),
+      });
+
+      const result = await customGeocoder.lookup(51.5, -0.12, {
+        url: 'https://geo.example.com/reverse?lat={lat}&lon={lon}&r={radius}', radius: 150
+      });
+      expect(result).toEqual({ location: 'Home', venue: null });
+      expect(global.fetch.mock.calls[0][0]).toBe('https://geo.example.com/reverse?lat=51.5&lon=-0.12&r=150');
+    });
+
+    it('leaves the Overpass server timeout out when none is set', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ elements: [] }) });
+      const query = () => decodeURIComponent(global.fetch.mock.lastCall[1].body);
+
+      await overpassGeocoder.lookup(51.5, -0.12, { radius: 150, timeout: 0 });
+      expect(query()).toContain('[out:json];');
+
+      await overpassGeocoder.lookup(51.5, -0.12, { radius: 150, timeout: 2.5 });
+      expect(query()).toContain('[out:json][timeout:3];');
+    });
+  });
+
+  // ─── places ────────────────────────────────────────────────────────────────
+
+  describe('places', () => {
+    const house = { id: 'place-1', name: 'House', latitude: 21.265, longitude: -157.8226, radius: 100 };
+    const town = { id: 'place-2', name: 'Town', latitude: 21.27, longitude: -157.82, radius: '5000' };
+
+    it('picks the smallest place containing a coordinate', () => {
+      expect(findPlace([town, house], 21.2651, -157.8226)).toBe(house);
+      expect(findPlace([town, house], 21.28, -157.82)).toBe(town);
+      expect(findPlace([town, house], 22, -157.82)).toBeNull();
+    });
+
+    it('ignores incomplete places', () => {
+      expect(isValidPlace(createPlace({ name: 'New', latitude: 1, longitude: 2 }))).toBe(true);
+      expect(isValidPlace(createPlace({ latitude: 1, longitude: 2 }))).toBe(false);
+      expect(isValidPlace({ ...house, latitude: '' })).toBe(false);
+      expect(isValidPlace({ ...house, radius: 100000 })).toBe(false);
+      expect(findPlace([{ ...house, name: ' ' }], 21.265, -157.8226)).toBeNull();
+    });
+
+    it('renames metadata inside a place and leaves the rest alone', () => {
+      const metadata = { latitude: 21.265, longitude: -157.8226, locationName: 'Honolulu, Hawaii' };
+      expect(applyPlaceName(metadata, [house])).toEqual({ ...metadata, locationName: 'House' });
+      expect(applyPlaceName(metadata, [])).toBe(metadata);
+      expect(applyPlaceName({ locationName: 'Paris' }, [house])).toEqual({ locationName: 'Paris' });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_FOCUS,
+  findSalientPoint,
+  getKenBurnsRects,
+  normalizeFocus,
+  orientFocus,
+  rectToTransform,
+} from '../utils/kenBurns';
+
+describe('kenBurns', () => {
+  // ─── rectangles ────────────────────────────────────────────────────────────
+
+  describe('getKenBurnsRects', () => {
+    it('moves between the full frame and a crop around the focal point', () => {
+      const { start, end } = getKenBurnsRects('photo.jpg', { x: 0.5, y: 0.5 });
+      const rects = [start, end];
+      expect(rects).toContainEqual({ x: 0, y: 0, width: 1, height: 1 });
+
+      const crop = rects.find((rect) => rect.width < 1);
+      expect(crop.x + crop.width / 2).toBeCloseTo(0.5);
+      expect(crop.y + crop.height / 2).toBeCloseTo(0.5);
+    });
+
+    it('keeps the crop inside the frame for focal points near an edge', () => {
+      const { start, end } = getKenBurnsRects('photo.jpg', { x: 0, y: 1 });
+      for (const rect of [start, end]) {
+        expect(rect.x).toBeGreaterThanOrEqual(0);
+        expect(rect.y + rect.height).toBeLessThanOrEqual(1);
+      }
+    });
+
+    it('always picks the same direction for the same photo', () => {
+      expect(getKenBurnsRects('a.jpg')).toEqual(getKenBurnsRects('a.jpg'));
+    });
+
+    it('zooms in for some photos and out for others', () => {
+      const directions = new Set(['a', 'b', 'c', 'd', 'e', 'f'].map((id) =>
+        getKenBurnsRects(id).start.width === 1 ? 'in' : 'out'));
+      expect(directions).toEqual(new Set(['in', 'out']));
+    });
+  });
+
+  describe('rectToTransform', () => {
+    it('leaves the full frame untransformed', () => {
+      expect(rectToTransform({ x: 0, y: 0, width: 1, height: 1 })).toBe('scale(1) translate(0%, 0%)');
+    });
+
+    it('scales up and shifts to the rectangle origin', () => {
+      expect(rectToTransform({ x: 0.1, y: 0.2, width: 0.5, height: 0.5 }))
+        .toBe('scale(2) translate(-10%, -20%)');
+    });
+  });
+
+  // ─── focal points ──────────────────────────────────────────────────────────
+
+  describe('normalizeFocus', () => {
+    it('accepts numeric coordinates and clamps them', () => {
+      expect(normalizeFocus({ x: '0.25', y: -1 })).toEqual({ x: 0.25, y: 0 });
+    });
+
+    it('rejects missing or non-numeric values', () => {
+      expect(normalizeFocus(null)).toBeNull();
+      expect(normalizeFocus({ x: 'left', y: 0.5 })).toBeNull();
+    });
+  });
+
+  describe('findSalientPoint', () => {
+    const size = 16;
+
+    it('falls back to the default for a flat image', () => {
+      expect(findSalientPoint(new Array(size * size).fill(128), size, size)).toEqual(DEFAULT_FOCUS);
+    });
+
+    it('moves towards a detailed region', () => {
+      // Checkerboard detail in the left half, flat on the right
+      const luminance = [];
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          luminance.push(x < size / 2 && (Math.floor(x / 2) + Math.floor(y / 2)) % 2 === 0 ? 255 : 0);
+        }
+      }
+      const point = findSalientPoint(luminance, size, size);
+      expect(point.x).toBeLessThan(DEFAULT_FOCUS.x);
+    });
+  });
+
+  describe('orientFocus', () => {
+    const point = { x: 0.2, y: 0.1 };
+
+    it('leaves upright images alone', () => {
+      expect(orientFocus(point, 1)).toEqual(point);
+      expect(orientFocus(point)).toEqual(point);
+    });
+
+    it('turns the point with the image', () => {
+      // 6: stored on its side, shown turned 90° clockwise
+      expect(orientFocus(point, 6)).toEqual({ x: 0.9, y: 0.2 });
+      expect(orientFocus(point, 3)).toEqual({ x: 0.8, y: 0.9 });
+      expect(orientFocus(point, 8)).toEqual({ x: 0.1, y: 0.8 });
+    });
+  });
+});
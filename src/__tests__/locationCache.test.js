@@ -0,0 +1,127 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getLocationCacheKey,
+  getCachedLocation,
+  setCachedLocation,
+  countCachedLocations,
+  clearLocationCache,
+  buildLocationCacheExport,
+  seedLocationCache,
+  LOCATION_CACHE_EXPORT_TYPE,
+  LOCATION_CACHE_LIMIT,
+  LOCATION_CACHE_TTL_DAYS,
+} from '../services/locationCache';
+
+const WAIKIKI = getLocationCacheKey(21.265, -157.8226);
+const CHAIN = '[["nominatim",null,null]]';
+const OTHER_CHAIN = '[["offline",25000,null]]';
+
+const exportFile = entries => ({ type: LOCATION_CACHE_EXPORT_TYPE, version: 1, entries });
+
+describe('locationCache', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    await clearLocationCache();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // ─── lookups ───────────────────────────────────────────────────────────────
+
+  it('rounds coordinates to 4 decimal places for keys', () => {
+    expect(getLocationCacheKey(21.26504, -157.82261)).toBe('21.2650,-157.8226');
+  });
+
+  it('returns a name cached by the same chain', async () => {
+    await setCachedLocation(WAIKIKI, 'Waikiki Aquarium, Honolulu, Hawaii', CHAIN);
+    expect(await getCachedLocation(WAIKIKI, CHAIN)).toBe('Waikiki Aquarium, Honolulu, Hawaii');
+    expect(await countCachedLocations()).toBe(1);
+  });
+
+  it('drops names from a previous chain when the chain changes', async () => {
+    await setCachedLocation(WAIKIKI, 'Waikiki Aquarium, Honolulu, Hawaii', CHAIN);
+    expect(await getCachedLocation(WAIKIKI, OTHER_CHAIN)).toBeUndefined();
+    expect(await countCachedLocations()).toBe(0);
+  });
+
+  it('expires names after the TTL', async () => {
+    const now = Date.now();
+    await setCachedLocation(WAIKIKI, 'Honolulu, Hawaii', CHAIN);
+
+    vi.spyOn(Date, 'now').mockReturnValue(now + (LOCATION_CACHE_TTL_DAYS + 1) * 24 * 60 * 60 * 1000);
+    expect(await getCachedLocation(WAIKIKI, CHAIN)).toBeUndefined();
+  });
+
+  it('records a hit at most once a day', async () => {
+    await setCachedLocation(WAIKIKI, 'Honolulu, Hawaii', CHAIN);
+    const put = vi.spyOn(IDBObjectStore.prototype, 'put');
+
+    await getCachedLocation(WAIKIKI, CHAIN);
+    expect(put).not.toHaveBeenCalled();
+
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 25 * 60 * 60 * 1000);
+    await getCachedLocation(WAIKIKI, CHAIN);
+    expect(put).toHaveBeenCalledTimes(1);
+  });
+
+  it('evicts the least recently used names past the limit', async () => {
+    const entries = {};
+    for (let i = 0; i < LOCATION_CACHE_LIMIT; i++) {
+      entries[getLocationCacheKey(i / 1000, 0)] = `Place ${i}`;
+    }
+    await seedLocationCache(exportFile(entries));
+
+    // Touch one seeded name a couple of days later so it's the most recently used
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    expect(await getCachedLocation(getLocationCacheKey(0, 0), CHAIN)).toBe('Place 0');
+    await setCachedLocation(WAIKIKI, 'Honolulu, Hawaii', CHAIN);
+
+    expect(await countCachedLocations()).toBe(LOCATION_CACHE_LIMIT * 0.9);
+    expect(await getCachedLocation(getLocationCacheKey(0, 0), CHAIN)).toBe('Place 0');
+    expect(await getCachedLocation(WAIKIKI, CHAIN)).toBe('Honolulu, Hawaii');
+    expect(await getCachedLocation(getLocationCacheKey(0.001, 0), CHAIN)).toBeUndefined();
+  });
+
+  it('moves names from the old localStorage cache into IndexedDB', async () => {
+    localStorage.setItem('tv-slideshow-location-cache', JSON.stringify({ [WAIKIKI]: 'Honolulu, Hawaii' }));
+
+    expect(await getCachedLocation(WAIKIKI, CHAIN)).toBe('Honolulu, Hawaii');
+    expect(localStorage.getItem('tv-slideshow-location-cache')).toBeNull();
+  });
+
+  // ─── import / export ───────────────────────────────────────────────────────
+
+  describe('buildLocationCacheExport / seedLocationCache', () => {
+    it('exports cached names and imports them on another TV', async () => {
+      await setCachedLocation(WAIKIKI, 'Waikiki Aquarium, Honolulu, Hawaii', CHAIN);
+      const data = await buildLocationCacheExport();
+      expect(data).toMatchObject({
+        type: LOCATION_CACHE_EXPORT_TYPE,
+        version: 1,
+        entries: { [WAIKIKI]: 'Waikiki Aquarium, Honolulu, Hawaii' },
+      });
+
+      await clearLocationCache();
+      expect(await seedLocationCache(JSON.parse(JSON.stringify(data)))).toBe(1);
+      expect(await getCachedLocation(WAIKIKI, CHAIN)).toBe('Waikiki Aquarium, Honolulu, Hawaii');
+    });
+
+    it('keeps imported names whatever the chain, past the TTL', async () => {
+      const now = Date.now();
+      await seedLocationCache(exportFile({ [WAIKIKI]: 'Honolulu, Hawaii' }));
+      expect(await getCachedLocation(WAIKIKI, CHAIN)).toBe('Honolulu, Hawaii');
+
+      vi.spyOn(Date, 'now').mockReturnValue(now + (LOCATION_CACHE_TTL_DAYS + 1) * 24 * 60 * 60 * 1000);
+      expect(await getCachedLocation(WAIKIKI, OTHER_CHAIN)).toBe('Honolulu, Hawaii');
+    });
+
+    it('skips malformed entries and rejects other files', async () => {
+      expect(await seedLocationCache(exportFile({ [WAIKIKI]: 'Honolulu', '21.26,-157.8': 'x', [getLocationCacheKey(1, 1)]: 42 })))
+        .toBe(1);
+      await expect(seedLocationCache({ photoSource: 's3' })).rejects.toThrow('Not a location cache file');
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parseManifest,
+  parsePhotoListText,
+  mergeManifestMetadata,
+  saveManifestMarks,
+  setManifestMarks,
+} from '../services/manifestService';
+
+const BASE = 'https://example.com/photos/photos.json';
+
+describe('manifestService', () => {
+  // ─── parseManifest — legacy formats ────────────────────────────────────────
+
+  describe('parseManifest (v1 array)', () => {
+    it('maps bare file names to entries resolved against the manifest URL', () => {
+      const photos = parseManifest(['a.jpg', '2023/b.jpg'], BASE);
+      expect(photos).toEqual([
+        { id: 'a.jpg', key: 'a.jpg', url: 'https://example.com/photos/a.jpg', name: 'a.jpg' },
+        { id: '2023/b.jpg', key: '2023/b.jpg', url: 'https://example.com/photos/2023/b.jpg', name: 'b.jpg' },
+      ]);
+    });
+
+    it('skips blank entries', () => {
+      expect(parseManifest(['a.jpg', '  ', ''], BASE)).toHaveLength(1);
+    });
+
+    it('throws for JSON that is neither an array nor a manifest object', () => {
+      expect(() => parseManifest({ files: [] }, BASE)).toThrow();
+      expect(() => parseManifest('a.jpg', BASE)).toThrow();
+    });
+  });
+
+  describe('parsePhotoListText', () => {
+    it('reads one file per line, trimming whitespace and blank lines', () => {
+      const photos = parsePhotoListText(' a.jpg \n\nb.jpg\n', BASE);
+      expect(photos.map(photo => photo.key)).toEqual(['a.jpg', 'b.jpg']);
+    });
+  });
+
+  // ─── parseManifest — v2 schema ─────────────────────────────────────────────
+
+  describe('parseManifest (v2)', () => {
+    const manifest = {
+      version: 2,
+      photos: [
+        {
+          file: 'beach.jpg',
+          caption: 'First swim',
+          album: '2023 Hawaii',
+          tags: ['beach', 'kids'],
+          exif: { dateTime: '2023-07-04T10:12:00', latitude: 21.27, longitude: -157.82, bogus: 1 },
+          location: 'Waikiki Beach, Hawaii',
+          width: 4032,
+          height: '3024',
+          favorite: true,
+          rating: 4,
+          weight: 3,
+        },
+        'plain.jpg',
+      ],
+    };
+
+    it('keeps per-photo metadata on each entry', () => {
+      const [beach] = parseManifest(manifest, BASE);
+      expect(beach).toMatchObject({
+        id: 'beach.jpg',
+        url: 'https://example.com/photos/beach.jpg',
+        caption: 'First swim',
+        album: '2023 Hawaii',
+        tags: ['beach', 'kids'],
+        location: 'Waikiki Beach, Hawaii',
+        width: 4032,
+        height: 3024,
+        favorite: true,
+        hidden: false,
+        rating: 4,
+        weight: 3,
+      });
+    });
+
+    it('normalises the exif block to known fields', () => {
+      const [beach] = parseManifest(manifest, BASE);
+      expect(beach.exif.latitude).toBe(21.27);
+      expect(beach.exif.make).toBeNull();
+      expect(beach.exif).not.toHaveProperty('bogus');
+    });
+
+    it('preserves manifest order and accepts plain strings alongside objects', () => {
+      const photos = parseManifest(manifest, BASE);
+      expect(photos.map(photo => photo.id)).toEqual(['beach.jpg', 'plain.jpg']);
+      expect(photos[1].caption).toBeUndefined();
+    });
+
+    it('defaults weight to 1 and drops invalid weights', () => {
+      const photos = parseManifest({ version: 2, photos: [{ file: 'a.jpg' }, { file: 'b.jpg', weight: -2 }] }, BASE);
+      expect(photos.map(photo => photo.weight)).toEqual([1, 1]);
+    });
+
+    it('clamps focal points to the frame and drops invalid ones', () => {
+      const photos = parseManifest({
+        version: 2,
+        photos: [
+          { file: 'a.jpg', focus: { x: 0.3, y: 1.4 } },
+          { file: 'b.jpg', focus: { x: 'left' } },
+        ],
+      }, BASE);
+      expect(photos.map(photo => photo.focus)).toEqual([{ x: 0.3, y: 1 }, null]);
+    });
+
+    it('keeps known display modes and drops unknown ones', () => {
+      const photos = parseManifest({
+        version: 2,
+        photos: [{ file: 'a.jpg', displayMode: 'cover' }, { file: 'b.jpg', displayMode: 'stretch' }],
+      }, BASE);
+      expect(photos.map(photo => photo.displayMode)).toEqual(['cover', null]);
+    });
+
+    it('skips entries without a file', () => {
+      expect(parseManifest({ version: 2, photos: [{ caption: 'orphan' }] }, BASE)).toEqual([]);
+    });
+
+    it('warns but still parses manifests from a newer version', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(parseManifest({ version: 3, photos: ['a.jpg'] }, BASE)).toHaveLength(1);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+
+  // ─── marks write-back ──────────────────────────────────────────────────────
+
+  describe('setManifestMarks', () => {
+    const marks = { favorite: true, hidden: false, rating: 5, markedAt: 1720088000000, ratedAt: 1720088000000 };
+
+    it('updates the matching entry of a v2 manifest', () => {
+      const manifest = { version: 2, photos: [{ file: 'a.jpg', caption: 'Hi' }, 'b.jpg'] };
+      expect(setManifestMarks(manifest, 'a.jpg', marks).photos).toEqual([
+        { file: 'a.jpg', caption: 'Hi', ...marks },
+        'b.jpg',
+      ]);
+      expect(manifest.photos[0]).toEqual({ file: 'a.jpg', caption: 'Hi' });
+    });
+
+    it('upgrades a v1 array so the entry can hold marks', () => {
+      expect(setManifestMarks(['a.jpg', 'b.jpg'], 'b.jpg', marks)).toEqual({
+        version: 2,
+        photos: ['a.jpg', { file: 'b.jpg', ...marks }],
+      });
+    });
+
+    it('throws for photos missing from the manifest', () => {
+      expect(() => setManifestMarks(['a.jpg'], 'c.jpg', marks)).toThrow('not in the manifest');
+    });
+  });
+
+  describe('saveManifestMarks', () => {
+    const marks = { favorite: false, hidden: true, rating: null, markedAt: 1 };
+
+    it('reads the manifest and PUTs it back with the marks', async () => {
+      global.fetch = vi.fn()
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(['a.jpg']) })
+        .mockResolvedValueOnce({ ok: true });
+
+      await saveManifestMarks(BASE, { id: 'a.jpg' }, marks);
+
+      const [url, options] = global.fetch.mock.calls[1];
+      expect(url).toBe(BASE);
+      expect(options.method).toBe('PUT');
+      expect(JSON.parse(options.body).photos).toEqual([{ file: 'a.jpg', ...marks }]);
+    });
+
+    it('rejects when the server refuses the upload or the list is plain text', async () => {
+      global.fetch = vi.fn()
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(['a.jpg']) })
+        .mockResolvedValueOnce({ ok: false, status: 405 });
+      await expect(saveManifestMarks(BASE, { id: 'a.jpg' }, marks)).rejects.toThrow('405');
+
+      await expect(saveManifestMarks('https://example.com/photos.txt', { id: 'a.jpg' }, marks))
+        .rejects.toThrow('photos.txt');
+    });
+
+    it('makes the PUT conditional on the ETag it read and retries once on a conflict', async () => {
+      const read = (etag) => ({
+        ok: true,
+        headers: new Headers({ ETag: etag }),
+        json: () => Promise.resolve(['a.jpg']),
+      });
+      global.fetch = vi.fn()
+        .mockResolvedValueOnce(read('"v1"'))
+        .mockResolvedValueOnce({ ok: false, status: 412 })
+        .mockResolvedValueOnce(read('"v2"'))
+        .mockResolvedValueOnce({ ok: true });
+
+      await saveManifestMarks(BASE, { id: 'a.jpg' }, marks);
+      expect(global.fetch.mock.calls[1][1].headers['If-Match']).toBe('"v1"');
+      expect(global.fetch.mock.calls[3][1].headers['If-Match']).toBe('"v2"');
+
+      global.fetch = vi.fn()
+        .mockResolvedValueOnce(read('"v1"'))
+        .mockResolvedValueOnce({ ok: false, status: 412 })
+        .mockResolvedValueOnce(read('"v2"'))
+        .mockResolvedValueOnce({ ok: false, status: 412 });
+      await expect(saveManifestMarks(BASE, { id: 'a.jpg' }, marks)).rejects.toThrow('412');
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  // ─── mergeManifestMetadata ─────────────────────────────────────────────────
+
+  describe('mergeManifestMetadata', () => {
+    it('returns EXIF data untouched for entries without manifest metadata', () => {
+      const exif = { make: 'Canon' };
+      expect(mergeManifestMetadata(exif, { id: 'a.jpg' })).toBe(exif);
+      expect(mergeManifestMetadata(null, { id: 'a.jpg' })).toBeNull();
+    });
+
+    it('builds metadata from the manifest alone when there is no EXIF data', () => {
+      const result = mergeManifestMetadata(null, {
+        caption: 'First swim',
+        location: 'Waikiki',
+        exif: { dateTime: '2023-07-04', latitude: null },
+      });
+      expect(result).toEqual({ caption: 'First swim', locationName: 'Waikiki', dateTime: '2023-07-04' });
+    });
+
+    it('lets manifest values override extracted EXIF values', () => {
+      const result = mergeManifestMetadata(
+        { dateTime: '2020-01-01', make: 'Canon', locationName: 'Geocoded' },
+        { location: 'Grandma\'s', exif: { dateTime: '2023-07-04' } }
+      );
+      expect(result).toMatchObject({ dateTime: '2023-07-04', make: 'Canon', locationName: 'Grandma\'s' });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getMemoryScope,
+  getMemoryTitle,
+  getPhotoDate,
+  getTimeUntilTomorrow,
+  selectMemories,
+} from '../utils/memories';
+
+const TODAY = new Date(2024, 6, 4, 9, 0); // 4 July 2024
+
+const photoOn = (id, year, month, day) => ({ id, name: id, exif: { dateTime: new Date(year, month - 1, day, 12) } });
+
+describe('memories', () => {
+  // ─── dates ─────────────────────────────────────────────────────────────────
+
+  describe('getPhotoDate', () => {
+    it('prefers cached EXIF over the manifest', () => {
+      const photo = { id: 'a.jpg', name: 'a.jpg', exif: { dateTime: '2020-01-01T10:00:00' } };
+      expect(getPhotoDate(photo, { dateTime: '2021-02-02T10:00:00' }).getFullYear()).toBe(2021);
+      expect(getPhotoDate(photo).getFullYear()).toBe(2020);
+    });
+
+    it('reads dates from camera and phone file names', () => {
+      expect(getPhotoDate({ id: 'x', name: 'IMG_20230704_101200.jpg' })).toEqual(new Date(2023, 6, 4));
+      expect(getPhotoDate({ id: 'x', name: '2019-12-25 08.00.00.jpg' })).toEqual(new Date(2019, 11, 25));
+    });
+
+    it('returns null without a date', () => {
+      expect(getPhotoDate({ id: 'x', name: 'beach.jpg' })).toBeNull();
+      expect(getPhotoDate({ id: 'x', name: 'IMG_1234.jpg' })).toBeNull();
+    });
+  });
+
+  // ─── scopes ────────────────────────────────────────────────────────────────
+
+  describe('getMemoryScope', () => {
+    it('matches the same day in earlier years', () => {
+      expect(getMemoryScope(new Date(2021, 6, 4, 18), TODAY)).toBe('day');
+    });
+
+    it('widens to a few days either side, then the month', () => {
+      expect(getMemoryScope(new Date(2021, 6, 1), TODAY)).toBe('week');
+      expect(getMemoryScope(new Date(2021, 6, 7), TODAY)).toBe('week');
+      expect(getMemoryScope(new Date(2021, 6, 20), TODAY)).toBe('month');
+      expect(getMemoryScope(new Date(2021, 8, 4), TODAY)).toBeNull();
+    });
+
+    it('counts the week across a year boundary', () => {
+      expect(getMemoryScope(new Date(2020, 11, 30), new Date(2024, 0, 2))).toBe('week');
+    });
+
+    it('ignores this year and undated photos', () => {
+      expect(getMemoryScope(new Date(2024, 6, 4), TODAY)).toBeNull();
+      expect(getMemoryScope(new Date(2023, 11, 31), new Date(2024, 0, 2))).toBeNull();
+      expect(getMemoryScope(null, TODAY)).toBeNull();
+    });
+  });
+
+  // ─── selection ─────────────────────────────────────────────────────────────
+
+  describe('selectMemories', () => {
+    const getDate = (photo) => getPhotoDate(photo);
+
+    it('plays only today when there are enough', () => {
+      const photos = [
+        photoOn('day1', 2020, 7, 4), photoOn('day2', 2021, 7, 4),
+        photoOn('week', 2021, 7, 2), photoOn('other', 2021, 3, 1),
+      ];
+      const result = selectMemories(photos, getDate, TODAY, 2);
+      expect(result.scope).toBe('day');
+      expect(result.photos.map((photo) => photo.id)).toEqual(['day1', 'day2']);
+    });
+
+    it('falls back to the week, then the month', () => {
+      const photos = [photoOn('day', 2020, 7, 4), photoOn('week', 2021, 7, 2), photoOn('month', 2019, 7, 25)];
+      expect(selectMemories(photos, getDate, TODAY, 2).scope).toBe('week');
+      expect(selectMemories(photos, getDate, TODAY, 3).scope).toBe('month');
+    });
+
+    it('orders memories oldest first', () => {
+      const photos = [photoOn('b', 2022, 7, 4), photoOn('a', 2018, 7, 4)];
+      expect(selectMemories(photos, getDate, TODAY, 1).photos.map((photo) => photo.id)).toEqual(['a', 'b']);
+    });
+
+    it('plays whatever the month has when it is still too few', () => {
+      const result = selectMemories([photoOn('month', 2019, 7, 25)], getDate, TODAY, 5);
+      expect(result).toEqual({ photos: [expect.objectContaining({ id: 'month' })], scope: 'month' });
+    });
+
+    it('returns nothing when no photo matches', () => {
+      expect(selectMemories([photoOn('x', 2019, 1, 1)], getDate, TODAY)).toEqual({ photos: [], scope: null });
+    });
+  });
+
+  // ─── titles ────────────────────────────────────────────────────────────────
+
+  describe('getMemoryTitle', () => {
+    it('says how long ago and how close to today', () => {
+      expect(getMemoryTitle(new Date(2021, 6, 4), TODAY)).toBe('3 years ago today');
+      expect(getMemoryTitle(new Date(2023, 6, 2), TODAY)).toBe('1 year ago this week');
+      expect(getMemoryTitle(new Date(2014, 6, 20), TODAY)).toBe('10 years ago this month');
+    });
+
+    it('returns null for photos that are not memories', () => {
+      expect(getMemoryTitle(new Date(2024, 6, 1), TODAY)).toBeNull();
+    });
+  });
+
+  // ─── day changes ───────────────────────────────────────────────────────────
+
+  describe('getTimeUntilTomorrow', () => {
+    it('counts to the next local midnight', () => {
+      expect(getTimeUntilTomorrow(TODAY)).toBe(15 * 60 * 60 * 1000);
+      expect(getTimeUntilTomorrow(new Date(2024, 11, 31, 23, 59))).toBe(60 * 1000);
+    });
+  });
+});
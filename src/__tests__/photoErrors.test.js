@@ -0,0 +1,74 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  PhotoSourceError,
+  PHOTO_ERROR_TYPES,
+  classifyError,
+  getRetryDelay,
+} from '../services/photoErrors';
+
+describe('photoErrors', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // ─── classifyError ─────────────────────────────────────────────────────────
+
+  describe('classifyError', () => {
+    it('passes PhotoSourceErrors through unchanged', () => {
+      const error = new PhotoSourceError(PHOTO_ERROR_TYPES.EMPTY, 'No photos');
+      expect(classifyError(error)).toBe(error);
+    });
+
+    it('classifies AWS credential errors by name', () => {
+      const error = Object.assign(new Error('Could not load credentials'), {
+        name: 'CredentialsProviderError',
+      });
+      expect(classifyError(error).type).toBe('credentials');
+    });
+
+    it('classifies 403 responses as credential errors', () => {
+      const error = Object.assign(new Error('UnknownError'), {
+        $metadata: { httpStatusCode: 403 },
+      });
+      expect(classifyError(error).type).toBe('credentials');
+    });
+
+    it('classifies NoSuchBucket and 404 responses as bucket-not-found', () => {
+      expect(classifyError(Object.assign(new Error('x'), { name: 'NoSuchBucket' })).type)
+        .toBe('bucket-not-found');
+      expect(classifyError(Object.assign(new Error('x'), { status: 404 })).type)
+        .toBe('bucket-not-found');
+    });
+
+    it('classifies fetch TypeErrors as CORS while online', () => {
+      expect(classifyError(new TypeError('Failed to fetch')).type).toBe('cors');
+    });
+
+    it('classifies any error as offline when the browser is offline', () => {
+      vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      expect(classifyError(new TypeError('Failed to fetch')).type).toBe('offline');
+    });
+
+    it('keeps the original error as the cause', () => {
+      const original = new Error('Something odd');
+      const classified = classifyError(original);
+      expect(classified.type).toBe('unknown');
+      expect(classified.message).toBe('Something odd');
+      expect(classified.cause).toBe(original);
+    });
+  });
+
+  // ─── getRetryDelay ─────────────────────────────────────────────────────────
+
+  describe('getRetryDelay', () => {
+    it('doubles the delay on each attempt', () => {
+      expect(getRetryDelay(0)).toBe(5000);
+      expect(getRetryDelay(1)).toBe(10000);
+      expect(getRetryDelay(2)).toBe(20000);
+    });
+
+    it('caps the delay at five minutes', () => {
+      expect(getRetryDelay(20)).toBe(5 * 60 * 1000);
+    });
+  });
+});
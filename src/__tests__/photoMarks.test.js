@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { applyMarks, clearMarks, getMarks, getPhotoRating, normalizeMarks, setMarks } from '../services/photoMarks';
+
+describe('photoMarks', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 6, 4, 12, 0));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // ─── stored marks ──────────────────────────────────────────────────────────
+
+  describe('setMarks / getMarks', () => {
+    it('keeps marks per source and photo, starting from the photo\'s own', () => {
+      const marks = setMarks('source', { id: 'a.jpg', rating: 3 }, { favorite: true });
+      expect(marks).toEqual({ favorite: true, hidden: false, rating: 3, markedAt: Date.now(), ratedAt: null });
+      expect(getMarks('source')).toEqual({ 'a.jpg': marks });
+      expect(getMarks('other')).toEqual({});
+    });
+
+    it('forgets a source', () => {
+      setMarks('source', { id: 'a.jpg' }, { hidden: true });
+      clearMarks('source');
+      expect(getMarks('source')).toEqual({});
+    });
+
+    it('survives corrupted storage', () => {
+      localStorage.setItem('tv-slideshow-photo-marks', '{not json');
+      expect(getMarks('source')).toEqual({});
+      setMarks('source', { id: 'a.jpg' }, { hidden: true });
+      expect(getMarks('source')['a.jpg'].hidden).toBe(true);
+    });
+  });
+
+  describe('normalizeMarks', () => {
+    it('keeps ratings from 1 to 5 and drops anything else', () => {
+      expect(normalizeMarks({ rating: '4' }).rating).toBe(4);
+      expect(normalizeMarks({ rating: 0 }).rating).toBeNull();
+      expect(normalizeMarks({ rating: 6 }).rating).toBeNull();
+      expect(normalizeMarks({ rating: null }).rating).toBeNull();
+    });
+
+    it('defaults to unmarked', () => {
+      expect(normalizeMarks()).toEqual({ favorite: false, hidden: false, rating: null, markedAt: null, ratedAt: null });
+    });
+  });
+
+  // ─── applying marks to a listing ───────────────────────────────────────────
+
+  describe('applyMarks', () => {
+    it('applies marks set on this TV', () => {
+      const marks = { 'a.jpg': setMarks('source', { id: 'a.jpg' }, { hidden: true }) };
+      const [a, b] = applyMarks([{ id: 'a.jpg' }, { id: 'b.jpg' }], marks);
+      expect(a.hidden).toBe(true);
+      expect(b).toEqual({ id: 'b.jpg' });
+    });
+
+    it('keeps marks from the source when they are newer', () => {
+      const marks = { 'a.jpg': setMarks('source', { id: 'a.jpg' }, { favorite: true }) };
+      const fromSource = { id: 'a.jpg', favorite: false, markedAt: Date.now() + 1000 };
+      expect(applyMarks([fromSource], marks)[0].favorite).toBe(false);
+
+      const older = { id: 'a.jpg', favorite: false, markedAt: Date.now() - 1000 };
+      expect(applyMarks([older], marks)[0].favorite).toBe(true);
+    });
+  });
+
+  // ─── ratings ───────────────────────────────────────────────────────────────
+
+  describe('getPhotoRating', () => {
+    it('prefers a rating set from the remote over the photo metadata', () => {
+      expect(getPhotoRating({ id: 'a.jpg', rating: 2, markedAt: 1 }, { rating: 5 })).toBe(2);
+      expect(getPhotoRating({ id: 'a.jpg' }, { rating: 5 })).toBe(5);
+      expect(getPhotoRating({ id: 'a.jpg' }, null)).toBeNull();
+    });
+
+    it('keeps a rating cleared from the remote cleared', () => {
+      const cleared = setMarks('source', { id: 'a.jpg', rating: 3 }, { rating: null });
+      expect(getPhotoRating({ id: 'a.jpg', ...cleared }, { rating: 5 })).toBeNull();
+    });
+
+    it('keeps the metadata rating of a photo that is only favorited or hidden', () => {
+      const favorited = setMarks('source', { id: 'a.jpg' }, { favorite: true });
+      expect(favorited.ratedAt).toBeNull();
+      expect(getPhotoRating({ id: 'a.jpg', ...favorited }, { rating: 5 })).toBe(5);
+
+      const rated = setMarks('source', { id: 'b.jpg' }, { rating: 2 });
+      const hidden = setMarks('source', { id: 'b.jpg', ...rated }, { hidden: true });
+      expect(getPhotoRating({ id: 'b.jpg', ...hidden }, { rating: 5 })).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createTitleCard,
+  formatDateRange,
+  groupIntoEvents,
+  isTitleCard,
+  orderPhotos,
+  sortByDate,
+} from '../utils/photoOrder';
+
+const HONOLULU = { latitude: 21.3069, longitude: -157.8583 };
+const MAUI = { latitude: 20.7984, longitude: -156.3319 };
+
+const photo = (id, dateTime, extra = {}) => ({
+  id,
+  name: id,
+  exif: dateTime ? { dateTime, ...extra } : null,
+});
+const ids = (photos) => photos.map((p) => p.id);
+
+describe('photoOrder', () => {
+  // ─── date order ────────────────────────────────────────────────────────────
+
+  describe('sortByDate', () => {
+    const photos = [
+      photo('b.jpg', '2023-07-05T10:00:00'),
+      photo('undated.jpg', null),
+      photo('a.jpg', '2021-01-01T10:00:00'),
+      photo('IMG_20220301_090000.jpg', null),
+    ];
+
+    it('sorts oldest first, using file name dates and keeping undated photos last', () => {
+      expect(ids(sortByDate(photos))).toEqual([
+        'a.jpg', 'IMG_20220301_090000.jpg', 'b.jpg', 'undated.jpg',
+      ]);
+    });
+
+    it('sorts newest first', () => {
+      expect(ids(sortByDate(photos, undefined, true))).toEqual([
+        'b.jpg', 'IMG_20220301_090000.jpg', 'a.jpg', 'undated.jpg',
+      ]);
+    });
+
+    it('prefers the EXIF passed in over manifest EXIF', () => {
+      const cached = { 'a.jpg': { dateTime: new Date(2024, 0, 1) } };
+      const sorted = sortByDate(photos, (p) => cached[p.id] || p.exif);
+      expect(ids(sorted)[0]).toBe('IMG_20220301_090000.jpg');
+    });
+  });
+
+  // ─── events ────────────────────────────────────────────────────────────────
+
+  describe('groupIntoEvents', () => {
+    it('starts a new event after a gap of more than two days', () => {
+      const events = groupIntoEvents([
+        photo('c.jpg', '2023-07-10T09:00:00'),
+        photo('a.jpg', '2023-07-01T09:00:00'),
+        photo('b.jpg', '2023-07-02T18:00:00'),
+      ]);
+
+      expect(events.map((event) => ids(event.photos))).toEqual([['a.jpg', 'b.jpg'], ['c.jpg']]);
+      expect(events[0].start).toEqual(new Date('2023-07-01T09:00:00'));
+      expect(events[0].end).toEqual(new Date('2023-07-02T18:00:00'));
+    });
+
+    it('splits photos taken close together in time but far apart', () => {
+      const events = groupIntoEvents([
+        photo('oahu-1.jpg', '2023-07-01T09:00:00', HONOLULU),
+        photo('no-gps.jpg', '2023-07-01T12:00:00'),
+        photo('maui-1.jpg', '2023-07-02T09:00:00', MAUI),
+        photo('maui-2.jpg', '2023-07-02T11:00:00', MAUI),
+      ]);
+
+      // The photo without GPS joins the place of the photo nearest in time
+      expect(events.map((event) => ids(event.photos))).toEqual([
+        ['oahu-1.jpg', 'no-gps.jpg'],
+        ['maui-1.jpg', 'maui-2.jpg'],
+      ]);
+    });
+
+    it('names events after the geocoded place, manifest location or album', () => {
+      const events = groupIntoEvents([
+        photo('a.jpg', '2023-07-01T09:00:00', { ...HONOLULU, locationName: 'Honolulu, Hawaii' }),
+        { ...photo('b.jpg', '2024-01-01T09:00:00'), album: 'New Year' },
+        photo('c.jpg', '2025-01-01T09:00:00'),
+      ]);
+
+      expect(events.map((event) => event.place)).toEqual(['Honolulu, Hawaii', 'New Year', null]);
+    });
+
+    it('puts undated photos in a final event without dates', () => {
+      const events = groupIntoEvents([photo('undated.jpg', null), photo('a.jpg', '2023-07-01T09:00:00')]);
+      expect(events).toHaveLength(2);
+      expect(events[1]).toMatchObject({ start: null, end: null });
+      expect(ids(events[1].photos)).toEqual(['undated.jpg']);
+    });
+  });
+
+  // ─── title cards ───────────────────────────────────────────────────────────
+
+  describe('formatDateRange', () => {
+    it('collapses the parts the two dates share', () => {
+      expect(formatDateRange(new Date(2023, 6, 4), new Date(2023, 6, 4, 20))).toBe('July 4, 2023');
+      expect(formatDateRange(new Date(2023, 6, 4), new Date(2023, 6, 9))).toBe('July 4–9, 2023');
+      expect(formatDateRange(new Date(2023, 5, 28), new Date(2023, 6, 3))).toBe('June 28 – July 3, 2023');
+      expect(formatDateRange(new Date(2022, 11, 30), new Date(2023, 0, 2)))
+        .toBe('December 30, 2022 – January 2, 2023');
+    });
+  });
+
+  describe('createTitleCard', () => {
+    const event = {
+      photos: [photo('a.jpg'), photo('b.jpg')],
+      start: new Date(2023, 6, 4),
+      end: new Date(2023, 6, 9),
+      place: 'Maui, Hawaii',
+    };
+
+    it('shows the place over the dates', () => {
+      const card = createTitleCard(event);
+      expect(card).toMatchObject({ title: 'Maui, Hawaii', subtitle: 'July 4–9, 2023', photoIds: ['a.jpg', 'b.jpg'] });
+      expect(isTitleCard(card)).toBe(true);
+      expect(isTitleCard(event.photos[0])).toBe(false);
+    });
+
+    it('shows just the dates when the place is unknown', () => {
+      expect(createTitleCard({ ...event, place: null })).toMatchObject({ title: 'July 4–9, 2023', subtitle: null });
+    });
+  });
+
+  // ─── orderPhotos ───────────────────────────────────────────────────────────
+
+  describe('orderPhotos', () => {
+    const photos = [
+      photo('undated.jpg', null),
+      photo('c.jpg', '2023-07-10T09:00:00'),
+      photo('a.jpg', '2023-07-01T09:00:00'),
+      photo('b.jpg', '2023-07-02T09:00:00'),
+    ];
+
+    it('keeps the listing order by default', () => {
+      expect(ids(orderPhotos(photos, 'listing'))).toEqual(ids(photos));
+    });
+
+    it('plays each event after its title card, undated photos last', () => {
+      expect(ids(orderPhotos(photos, 'trips'))).toEqual([
+        'title:a.jpg', 'a.jpg', 'b.jpg', 'title:c.jpg', 'c.jpg', 'undated.jpg',
+      ]);
+    });
+
+    it('shuffles whole events, keeping each one in date order', () => {
+      const ordered = ids(orderPhotos(photos, 'trips', { shuffle: true }));
+      const first = ordered.indexOf('title:a.jpg');
+      expect(ordered.slice(first, first + 3)).toEqual(['title:a.jpg', 'a.jpg', 'b.jpg']);
+      expect(ordered.at(-1)).toBe('undated.jpg');
+      expect(ordered).toHaveLength(6);
+    });
+  });
+});
@@ -13,13 +13,19 @@ vi.mock('@aws-sdk/client-s3', () => ({
   ListObjectsV2Command: vi.fn().mockImplementation(function (input) {
     Object.assign(this, input);
   }),
+  GetObjectCommand: vi.fn().mockImplementation(function (input) {
+    Object.assign(this, input, { type: 'get' });
+  }),
+  PutObjectCommand: vi.fn().mockImplementation(function (input) {
+    Object.assign(this, input, { type: 'put' });
+  }),
 }));
 
 vi.mock('@aws-sdk/credential-providers', () => ({
   fromCognitoIdentityPool: vi.fn().mockReturnValue({}),
 }));
 
-import { fetchPhotos } from '../services/photoService';
+import { fetchPhotos, listPhotos, listAlbums, listAlbumPhotos, saveSidecarMarks } from '../services/photoService';
 
 describe('photoService', () => {
   beforeEach(() => {
@@ -76,6 +82,17 @@ describe('photoService', () => {
       expect(photos[0]).toContain('real.jpg');
     });
 
+    it('builds image URLs under a custom endpoint', async () => {
+      mockSend.mockResolvedValue({
+        Contents: [{ Key: 'photos/dog.jpg' }],
+      });
+
+      const photos = await fetchPhotos('test-bucket', 'us-east-1', 'photos/', {
+        endpointConfig: { endpoint: 'http://localhost:4566', forcePathStyle: true },
+      });
+      expect(photos[0]).toBe('http://localhost:4566/test-bucket/photos/dog.jpg');
+    });
+
     it('returns an empty array when Contents is an empty list', async () => {
       mockSend.mockResolvedValue({ Contents: [] });
       expect(await fetchPhotos('test-bucket', 'us-east-1', 'photos/')).toEqual([]);
@@ -87,10 +104,284 @@ describe('photoService', () => {
     });
   });
 
+  // ─── fetchPhotos — pagination ──────────────────────────────────────────────
+
+  describe('fetchPhotos (pagination)', () => {
+    it('follows NextContinuationToken until the listing is no longer truncated', async () => {
+      mockSend
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'photos/a.jpg' }],
+          IsTruncated: true,
+          NextContinuationToken: 'page-2',
+        })
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'photos/b.jpg' }],
+          IsTruncated: true,
+          NextContinuationToken: 'page-3',
+        })
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'photos/c.jpg' }],
+          IsTruncated: false,
+        });
+
+      const photos = await fetchPhotos('test-bucket', 'us-east-1', 'photos/');
+      expect(photos).toHaveLength(3);
+      expect(mockSend).toHaveBeenCalledTimes(3);
+      expect(mockSend.mock.calls[1][0].ContinuationToken).toBe('page-2');
+      expect(mockSend.mock.calls[2][0].ContinuationToken).toBe('page-3');
+    });
+
+    it('reports each page and the running total through onPage', async () => {
+      mockSend
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'photos/a.jpg' }, { Key: 'photos/b.jpg' }],
+          IsTruncated: true,
+          NextContinuationToken: 'page-2',
+        })
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'photos/c.jpg' }],
+          IsTruncated: false,
+        });
+
+      const onPage = vi.fn();
+      await fetchPhotos('test-bucket', 'us-east-1', 'photos/', { onPage });
+
+      // b.jpg's sidecar could still be on page 2, so b.jpg comes with that page
+      expect(onPage).toHaveBeenCalledTimes(2);
+      expect(onPage.mock.calls[0][0]).toHaveLength(1);
+      expect(onPage.mock.calls[0][1]).toBe(1);
+      expect(onPage.mock.calls[1][0][0]).toContain('b.jpg');
+      expect(onPage.mock.calls[1][0][1]).toContain('c.jpg');
+      expect(onPage.mock.calls[1][1]).toBe(3);
+    });
+
+    it('returns the pages already listed when a later page fails', async () => {
+      mockSend
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'photos/a.jpg' }],
+          IsTruncated: true,
+          NextContinuationToken: 'page-2',
+        })
+        .mockRejectedValueOnce(new Error('Network error'));
+      global.fetch = vi.fn();
+
+      const photos = await fetchPhotos('test-bucket', 'us-east-1', 'photos/');
+      expect(photos).toHaveLength(1);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  // ─── listAlbums / listAlbumPhotos ──────────────────────────────────────────
+
+  describe('listAlbums', () => {
+    it('lists sub-folders with a delimiter listing, sorted by name', async () => {
+      mockSend.mockResolvedValue({
+        CommonPrefixes: [{ Prefix: 'photos/Grandkids/' }, { Prefix: 'photos/2023 Hawaii/' }],
+      });
+
+      const albums = await listAlbums('test-bucket', 'us-east-1', 'photos/');
+      expect(mockSend.mock.calls[0][0]).toMatchObject({ Prefix: 'photos/', Delimiter: '/' });
+      expect(albums).toEqual([
+        { prefix: 'photos/2023 Hawaii/', name: '2023 Hawaii' },
+        { prefix: 'photos/Grandkids/', name: 'Grandkids' },
+      ]);
+    });
+
+    it('follows continuation tokens', async () => {
+      mockSend
+        .mockResolvedValueOnce({
+          CommonPrefixes: [{ Prefix: 'photos/a/' }],
+          IsTruncated: true,
+          NextContinuationToken: 'next',
+        })
+        .mockResolvedValueOnce({ CommonPrefixes: [{ Prefix: 'photos/b/' }] });
+
+      const albums = await listAlbums('test-bucket', 'us-east-1', 'photos/');
+      expect(albums.map((album) => album.name)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('listAlbumPhotos', () => {
+    it('combines the selected albums and tags photos with their album', async () => {
+      mockSend.mockImplementation((command) => Promise.resolve({
+        Contents: [{ Key: `${command.Prefix}one.jpg` }],
+      }));
+
+      const photos = await listAlbumPhotos('test-bucket', 'us-east-1', ['photos/2023 Hawaii/', 'photos/Grandkids/']);
+      expect(photos.map((photo) => photo.key)).toEqual([
+        'photos/2023 Hawaii/one.jpg',
+        'photos/Grandkids/one.jpg',
+      ]);
+      expect(photos.map((photo) => photo.album)).toEqual(['2023 Hawaii', 'Grandkids']);
+    });
+
+    it('reports a running count across albums to onPage', async () => {
+      mockSend.mockImplementation((command) => Promise.resolve({
+        Contents: [{ Key: `${command.Prefix}one.jpg` }, { Key: `${command.Prefix}two.jpg` }],
+      }));
+      const onPage = vi.fn();
+
+      await listAlbumPhotos('test-bucket', 'us-east-1', ['photos/a/', 'photos/b/'], { onPage });
+      expect(onPage.mock.calls.map(([, indexed]) => indexed)).toEqual([2, 4]);
+    });
+
+    it('skips an album that cannot be listed', async () => {
+      mockSend.mockImplementation((command) => command.Prefix === 'photos/gone/'
+        ? Promise.reject(Object.assign(new Error('gone'), { name: 'NoSuchBucket' }))
+        : Promise.resolve({ Contents: [{ Key: `${command.Prefix}one.jpg` }] }));
+      global.fetch = vi.fn().mockResolvedValue({ ok: false });
+
+      const photos = await listAlbumPhotos('test-bucket', 'us-east-1', ['photos/gone/', 'photos/kept/']);
+      expect(photos.map((photo) => photo.album)).toEqual(['kept']);
+    });
+  });
+
+  // ─── marks sidecars ────────────────────────────────────────────────────────
+
+  describe('marks sidecars', () => {
+    it('applies "<key>.json" sidecars to their photos', async () => {
+      mockSend.mockImplementation((command) => Promise.resolve(command.type === 'get'
+        ? { Body: JSON.stringify({ favorite: true, rating: 4, markedAt: 5 }) }
+        : { Contents: [{ Key: 'photos/a.jpg' }, { Key: 'photos/a.jpg.json' }, { Key: 'photos/b.jpg' }] }));
+
+      const photos = await listPhotos('test-bucket', 'us-east-1', 'photos/');
+      expect(photos.map((photo) => photo.key)).toEqual(['photos/a.jpg', 'photos/b.jpg']);
+      expect(photos[0]).toMatchObject({ favorite: true, hidden: false, rating: 4, markedAt: 5 });
+      expect(photos[1].favorite).toBeUndefined();
+    });
+
+    it('marks a photo listed on the page before its sidecar', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Contents: [{ Key: 'photos/a.jpg' }], IsTruncated: true, NextContinuationToken: 't' })
+        .mockResolvedValueOnce({ Contents: [{ Key: 'photos/a.jpg.json' }] })
+        .mockResolvedValueOnce({ Body: JSON.stringify({ hidden: true }) });
+
+      const onPage = vi.fn();
+      const photos = await listPhotos('test-bucket', 'us-east-1', 'photos/', { onPage });
+      expect(photos).toHaveLength(1);
+      expect(photos[0].hidden).toBe(true);
+      // ...and only passes it on once its marks are known
+      expect(onPage.mock.calls[0][0]).toEqual([]);
+      expect(onPage.mock.calls[1][0][0].hidden).toBe(true);
+    });
+
+    it('skips sidecars that cannot be read', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mockSend.mockImplementation((command) => (command.type === 'get'
+        ? Promise.reject(new Error('AccessDenied'))
+        : Promise.resolve({ Contents: [{ Key: 'photos/a.jpg' }, { Key: 'photos/a.jpg.json' }] })));
+
+      const photos = await listPhotos('test-bucket', 'us-east-1', 'photos/');
+      expect(photos).toHaveLength(1);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('downloads a sidecar again only when its ETag changes', async () => {
+      let sidecarEtag = '"v1"';
+      mockSend.mockImplementation((command) => Promise.resolve(command.type === 'get'
+        ? { Body: JSON.stringify({ favorite: true }) }
+        : { Contents: [{ Key: 'photos/c.jpg' }, { Key: 'photos/c.jpg.json', ETag: sidecarEtag }] }));
+      const gets = () => mockSend.mock.calls.filter(([command]) => command.type === 'get').length;
+
+      await listPhotos('cached-bucket', 'us-east-1', 'photos/');
+      const photos = await listPhotos('cached-bucket', 'us-east-1', 'photos/');
+      expect(photos[0].favorite).toBe(true);
+      expect(gets()).toBe(1);
+
+      sidecarEtag = '"v2"';
+      await listPhotos('cached-bucket', 'us-east-1', 'photos/');
+      expect(gets()).toBe(2);
+    });
+
+    it('downloads a few sidecars at a time', async () => {
+      const keys = Array.from({ length: 30 }, (_, i) => `photos/p${i}.jpg`);
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mockSend.mockImplementation(async (command) => {
+        if (command.type !== 'get') return { Contents: keys.flatMap((Key) => [{ Key }, { Key: `${Key}.json` }]) };
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        inFlight -= 1;
+        return { Body: JSON.stringify({ rating: 3 }) };
+      });
+
+      const photos = await listPhotos('test-bucket', 'us-east-1', 'photos/');
+      expect(photos.every((photo) => photo.rating === 3)).toBe(true);
+      expect(maxInFlight).toBeLessThanOrEqual(8);
+    });
+
+    it('writes marks to the sidecar', async () => {
+      mockSend.mockResolvedValue({});
+      const marks = { favorite: true, hidden: false, rating: null, markedAt: 1 };
+
+      await saveSidecarMarks('test-bucket', 'us-east-1', 'photos/a.jpg', marks);
+      expect(mockSend).toHaveBeenLastCalledWith(expect.objectContaining({
+        type: 'put',
+        Bucket: 'test-bucket',
+        Key: 'photos/a.jpg.json',
+        Body: JSON.stringify(marks),
+      }));
+    });
+
+    it('makes the sidecar write conditional on the ETag it read', async () => {
+      mockSend.mockImplementation(async (command) => (
+        command.type === 'get' ? { ETag: '"v1"', Body: JSON.stringify({ favorite: true, markedAt: 1 }) } : {}
+      ));
+
+      await saveSidecarMarks('test-bucket', 'us-east-1', 'photos/a.jpg', { hidden: true, markedAt: 2 });
+      expect(mockSend).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'put', IfMatch: '"v1"' }));
+    });
+
+    it('only creates a sidecar when there is none yet', async () => {
+      mockSend.mockImplementation(async (command) => {
+        if (command.type === 'get') throw Object.assign(new Error('missing'), { name: 'NoSuchKey' });
+        return {};
+      });
+
+      await saveSidecarMarks('test-bucket', 'us-east-1', 'photos/a.jpg', { hidden: true, markedAt: 2 });
+      expect(mockSend).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'put', IfNoneMatch: '*' }));
+    });
+
+    it('reads the sidecar again and retries once when another write got there first', async () => {
+      let puts = 0;
+      mockSend.mockImplementation(async (command) => {
+        if (command.type === 'get') return { ETag: `"v${puts + 1}"`, Body: JSON.stringify({ markedAt: 1 }) };
+        puts += 1;
+        if (puts === 1) throw Object.assign(new Error('conflict'), { name: 'PreconditionFailed' });
+        return {};
+      });
+
+      await saveSidecarMarks('test-bucket', 'us-east-1', 'photos/a.jpg', { hidden: true, markedAt: 2 });
+      expect(puts).toBe(2);
+      expect(mockSend).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'put', IfMatch: '"v2"' }));
+
+      puts = 0;
+      mockSend.mockImplementation(async (command) => {
+        if (command.type === 'get') return { ETag: '"v1"', Body: '{}' };
+        puts += 1;
+        throw Object.assign(new Error('conflict'), { name: 'PreconditionFailed' });
+      });
+      await expect(saveSidecarMarks('test-bucket', 'us-east-1', 'photos/a.jpg', { markedAt: 2 }))
+        .rejects.toThrow('conflict');
+      expect(puts).toBe(2);
+    });
+
+    it('keeps a sidecar that was marked more recently than the write', async () => {
+      mockSend.mockImplementation(async (command) => (
+        command.type === 'get' ? { ETag: '"v1"', Body: JSON.stringify({ favorite: true, markedAt: 5 }) } : {}
+      ));
+
+      await saveSidecarMarks('test-bucket', 'us-east-1', 'photos/a.jpg', { hidden: true, markedAt: 2 });
+      expect(mockSend).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'put' }));
+    });
+  });
+
   // ─── fetchPhotos — fallback chain ──────────────────────────────────────────
   //
   // When ListObjectsV2 fails (e.g. permission denied), the service tries:
-  //   1. photos.json  →  2. photos.txt  →  3. hardcoded list
+  //   1. photos.json  →  2. photos.txt  →  3. a typed PhotoSourceError
   //
   // This chain is the only recovery path, so it must be airtight.
 
@@ -111,6 +402,24 @@ describe('photoService', () => {
       expect(photos[0]).toMatch(/^https:\/\/test-bucket\.s3\.us-east-1\.amazonaws\.com/);
     });
 
+    it('keeps v2 manifest metadata and makes keys bucket-relative', async () => {
+      global.fetch = vi.fn().mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          version: 2,
+          photos: [{ file: 'beach.jpg', caption: 'First swim', favorite: true }],
+        }),
+      });
+
+      const [photo] = await listPhotos('test-bucket', 'us-east-1', 'photos/');
+      expect(photo).toMatchObject({
+        id: 'photos/beach.jpg',
+        url: 'https://test-bucket.s3.us-east-1.amazonaws.com/photos/beach.jpg',
+        caption: 'First swim',
+        favorite: true,
+      });
+    });
+
     it('falls back to photos.txt when photos.json returns 404', async () => {
       global.fetch = vi
         .fn()
@@ -138,22 +447,35 @@ describe('photoService', () => {
       expect(photos).toHaveLength(2);
     });
 
-    it('falls back to the hardcoded list when both manifest files fail', async () => {
+    it('throws a typed error when both manifest files fail', async () => {
       global.fetch = vi
         .fn()
         .mockResolvedValueOnce({ ok: false }) // photos.json
         .mockResolvedValueOnce({ ok: false }); // photos.txt
 
-      const photos = await fetchPhotos('test-bucket', 'us-east-1', 'photos/');
-      expect(photos.length).toBeGreaterThan(0);
-      expect(photos.every((url) => url.startsWith('https://'))).toBe(true);
+      await expect(fetchPhotos('test-bucket', 'us-east-1', 'photos/')).rejects.toMatchObject({
+        name: 'PhotoSourceError',
+        type: 'credentials',
+      });
     });
 
-    it('falls back to the hardcoded list when fetch itself throws', async () => {
+    it('reports the S3 error, not the manifest error, when fetch itself throws', async () => {
       global.fetch = vi.fn().mockRejectedValue(new Error('Network error'));
 
-      const photos = await fetchPhotos('test-bucket', 'us-east-1', 'photos/');
-      expect(photos.length).toBeGreaterThan(0);
+      await expect(fetchPhotos('test-bucket', 'us-east-1', 'photos/')).rejects.toMatchObject({
+        type: 'credentials',
+      });
+    });
+
+    it('reports a missing bucket as bucket-not-found', async () => {
+      mockSend.mockRejectedValue(
+        Object.assign(new Error('The specified bucket does not exist'), { name: 'NoSuchBucket' })
+      );
+      global.fetch = vi.fn().mockResolvedValue({ ok: false });
+
+      await expect(listPhotos('missing-bucket', 'us-east-1', 'photos/')).rejects.toMatchObject({
+        type: 'bucket-not-found',
+      });
     });
   });
 });
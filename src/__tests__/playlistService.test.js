@@ -0,0 +1,135 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { clearCaches, setCachedExif } from '../services/cacheService';
+import { needsFullListing, orderPlaylist, selectPlaylist } from '../services/playlistService';
+
+const TODAY = new Date(2024, 6, 4, 9, 0);
+
+const photos = [
+  { id: 'IMG_20210704_120000.jpg', name: 'IMG_20210704_120000.jpg' },
+  { id: 'cached.jpg', name: 'cached.jpg', etag: 'v1' },
+  { id: 'manifest.jpg', name: 'manifest.jpg', exif: { dateTime: '2019-07-04T10:00:00' } },
+  { id: 'undated.jpg', name: 'undated.jpg', etag: 'v1' },
+];
+
+describe('playlistService', () => {
+  beforeEach(async () => {
+    await clearCaches();
+  });
+
+  // ─── playback modes ────────────────────────────────────────────────────────
+
+  describe('needsFullListing', () => {
+    it('streams pages only when every photo plays', () => {
+      expect(needsFullListing({})).toBe(false);
+      expect(needsFullListing({ playbackMode: 'all' })).toBe(false);
+      expect(needsFullListing({ playbackMode: 'on-this-day' })).toBe(true);
+      expect(needsFullListing({ orderMode: 'newest' })).toBe(true);
+    });
+  });
+
+  describe('selectPlaylist', () => {
+    it('plays every photo by default', async () => {
+      expect(await selectPlaylist(photos, {})).toEqual({ photos, notice: null });
+    });
+
+    it('leaves out hidden photos', async () => {
+      const marked = [...photos, { id: 'hidden.jpg', name: 'hidden.jpg', hidden: true }];
+      const { photos: playlist } = await selectPlaylist(marked, {});
+      expect(playlist.map((photo) => photo.id)).not.toContain('hidden.jpg');
+      expect(playlist).toHaveLength(photos.length);
+    });
+
+    it('picks memories using file names, the EXIF cache and manifest dates', async () => {
+      await setCachedExif(photos[1], { dateTime: new Date(2020, 6, 4, 8), latitude: null });
+
+      const { photos: playlist, notice } = await selectPlaylist(
+        photos, { playbackMode: 'on-this-day' }, { today: TODAY });
+
+      expect(playlist.map((photo) => photo.id)).toEqual([
+        'manifest.jpg', 'cached.jpg', 'IMG_20210704_120000.jpg',
+      ]);
+      expect(notice).toBeNull();
+    });
+
+    it('plays only the photos matching the active smart playlist', async () => {
+      const config = {
+        playlists: [{ id: 'p1', name: 'Old', rules: { dateTo: '2020-12-31' } }],
+        activePlaylist: 'p1',
+      };
+      const { photos: playlist } = await selectPlaylist(photos, config, { today: TODAY });
+      expect(playlist.map((photo) => photo.id)).toEqual(['manifest.jpg']);
+      expect(needsFullListing(config)).toBe(true);
+    });
+
+    it('plays everything with a notice when the playlist matches nothing', async () => {
+      const config = {
+        playlists: [{ id: 'p1', name: 'Canon', rules: { camera: 'Canon' } }],
+        activePlaylist: 'p1',
+      };
+      const { photos: playlist, notice } = await selectPlaylist(photos, config, { today: TODAY });
+      expect(playlist).toBe(photos);
+      expect(notice).toMatch(/"Canon"/);
+    });
+
+    it('plays photos rated 4 stars or more in top-rated mode', async () => {
+      await setCachedExif(photos[1], { rating: 4, latitude: null });
+      const rated = [...photos, { id: 'five.jpg', name: 'five.jpg', rating: 5, markedAt: 1 }];
+
+      const { photos: playlist, notice } = await selectPlaylist(rated, { playbackMode: 'top-rated' });
+      expect(playlist.map((photo) => photo.id)).toEqual(['cached.jpg', 'five.jpg']);
+      expect(notice).toBeNull();
+      expect(needsFullListing({ playbackMode: 'top-rated' })).toBe(true);
+    });
+
+    it('plays every photo with a notice when none is top rated', async () => {
+      const { photos: playlist, notice } = await selectPlaylist(photos, { playbackMode: 'top-rated' });
+      expect(playlist).toBe(photos);
+      expect(notice).toMatch(/rated 4 stars or more/);
+    });
+
+    it('falls back to every photo with a notice when nothing matches', async () => {
+      const { photos: playlist, notice } = await selectPlaylist(
+        photos, { playbackMode: 'on-this-day' }, { today: new Date(2024, 0, 15) });
+
+      expect(playlist).toBe(photos);
+      expect(notice).toMatch(/playing all photos/);
+    });
+  });
+
+  // ─── order modes ───────────────────────────────────────────────────────────
+
+  describe('orderPlaylist', () => {
+    it('keeps the listing order by default', async () => {
+      expect(await orderPlaylist(photos, {})).toBe(photos);
+    });
+
+    it('sorts by date using the EXIF cache', async () => {
+      await setCachedExif(photos[1], { dateTime: new Date(2020, 6, 4, 8), latitude: null });
+
+      const ordered = await orderPlaylist(photos, { orderMode: 'newest' });
+      expect(ordered.map((photo) => photo.id)).toEqual([
+        'IMG_20210704_120000.jpg', 'cached.jpg', 'manifest.jpg', 'undated.jpg',
+      ]);
+    });
+
+    it('lets shuffle override date order', async () => {
+      const shuffled = await orderPlaylist(photos, { orderMode: 'oldest', shuffleMode: true });
+      expect(shuffled.map((photo) => photo.id).sort()).toEqual(photos.map((photo) => photo.id).sort());
+    });
+
+    it('adds title cards between events in trips mode', async () => {
+      const ordered = await orderPlaylist(photos, { orderMode: 'trips' });
+      expect(ordered.filter((entry) => entry.type === 'title')).toHaveLength(2);
+      expect(ordered.at(-1).id).toBe('undated.jpg');
+    });
+
+    it('names trips after the places of cached coordinates', async () => {
+      await setCachedExif(photos[1], { dateTime: new Date(2020, 6, 4, 8), latitude: 21.265, longitude: -157.8226 });
+      const places = [{ id: 'place-1', name: 'Beach House', latitude: 21.265, longitude: -157.8226, radius: 100 }];
+
+      const ordered = await orderPlaylist(photos, { orderMode: 'trips', places });
+      expect(ordered.find((entry) => entry.id === 'title:cached.jpg').title).toBe('Beach House');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  FAVORITE_WEIGHT,
+  getClusterKeys,
+  getShuffleWeight,
+  insertRandomly,
+  mergePhotoLists,
+  shuffleArray,
+  smartShuffle,
+  spreadClusters,
+} from '../utils/playlistUtils';
+
+const photo = (id, extra = {}) => ({ id, url: `https://example.com/${id}`, ...extra });
+const ids = (photos) => photos.map((p) => p.id);
+
+describe('playlistUtils', () => {
+  // ─── shuffleArray / insertRandomly ─────────────────────────────────────────
+
+  describe('shuffleArray', () => {
+    it('returns every photo exactly once without mutating the input', () => {
+      const photos = ['a', 'b', 'c', 'd'].map((id) => photo(id));
+      const shuffled = shuffleArray(photos);
+      expect(ids(shuffled).sort()).toEqual(['a', 'b', 'c', 'd']);
+      expect(ids(photos)).toEqual(['a', 'b', 'c', 'd']);
+    });
+  });
+
+  describe('getShuffleWeight', () => {
+    it('boosts favorites on top of the manifest weight', () => {
+      expect(getShuffleWeight(photo('a'))).toBe(1);
+      expect(getShuffleWeight(photo('a', { weight: 2 }))).toBe(2);
+      expect(getShuffleWeight(photo('a', { weight: 2, favorite: true }))).toBe(2 * FAVORITE_WEIGHT);
+    });
+  });
+
+  describe('insertRandomly', () => {
+    it('never inserts before fromIndex', () => {
+      const photos = ['a', 'b', 'c'].map((id) => photo(id));
+      const result = insertRandomly(photos, [photo('x'), photo('y')], 2);
+      expect(ids(result).slice(0, 2)).toEqual(['a', 'b']);
+      expect(result).toHaveLength(5);
+    });
+  });
+
+  // ─── mergePhotoLists ───────────────────────────────────────────────────────
+
+  describe('mergePhotoLists', () => {
+    const current = ['a', 'b', 'c', 'd'].map((id) => photo(id));
+
+    it('reports no changes for an identical listing', () => {
+      const merged = mergePhotoLists(current, current, 2);
+      expect(merged.added).toEqual([]);
+      expect(merged.removed).toEqual([]);
+      expect(ids(merged.photos)).toEqual(['a', 'b', 'c', 'd']);
+      expect(merged.currentIndex).toBe(2);
+    });
+
+    it('queues new photos right after the upcoming slide', () => {
+      const fresh = [...current, photo('e'), photo('f')];
+      const merged = mergePhotoLists(current, fresh, 1);
+      expect(ids(merged.photos)).toEqual(['a', 'b', 'c', 'e', 'f', 'd']);
+      expect(merged.currentIndex).toBe(1);
+      expect(ids(merged.added)).toEqual(['e', 'f']);
+    });
+
+    it('drops deleted photos and keeps the photo on screen in place', () => {
+      const fresh = [photo('b'), photo('c'), photo('d')];
+      const merged = mergePhotoLists(current, fresh, 2);
+      expect(ids(merged.photos)).toEqual(['b', 'c', 'd']);
+      expect(merged.photos[merged.currentIndex].id).toBe('c');
+      expect(ids(merged.removed)).toEqual(['a']);
+    });
+
+    it('moves on to the following photo when the one on screen was deleted', () => {
+      const fresh = [photo('a'), photo('b'), photo('d')];
+      const merged = mergePhotoLists(current, fresh, 2);
+      expect(merged.photos[merged.currentIndex].id).toBe('d');
+    });
+
+    it('wraps to the start when the last photo on screen was deleted', () => {
+      const fresh = [photo('a'), photo('b'), photo('c')];
+      const merged = mergePhotoLists(current, fresh, 3);
+      expect(merged.currentIndex).toBe(0);
+    });
+
+    it('picks up updated metadata for surviving photos', () => {
+      const fresh = current.map((p) => (p.id === 'b' ? photo('b', { etag: 'new' }) : p));
+      const merged = mergePhotoLists(current, fresh, 0);
+      expect(merged.photos[1].etag).toBe('new');
+    });
+
+    it('keeps title cards until every photo of their event is deleted', () => {
+      const card = { id: 'title:a', type: 'title', photoIds: ['a', 'b'] };
+      const withCard = [card, ...current];
+
+      const kept = mergePhotoLists(withCard, [photo('b'), photo('c'), photo('d')], 0);
+      expect(ids(kept.photos)).toEqual(['title:a', 'b', 'c', 'd']);
+      expect(ids(kept.removed)).toEqual(['a']);
+
+      const dropped = mergePhotoLists(withCard, [photo('c'), photo('d')], 3);
+      expect(ids(dropped.photos)).toEqual(['c', 'd']);
+      expect(dropped.photos[dropped.currentIndex].id).toBe('c');
+    });
+
+    it('plays a rebuilt list in its own order from the photo on screen', () => {
+      const card = { id: 'title:e', type: 'title', photoIds: ['e'] };
+      const fresh = [photo('a'), card, photo('e'), photo('b'), photo('d')];
+      const merged = mergePhotoLists(current, fresh, 2, { rebuild: true });
+      expect(ids(merged.photos)).toEqual(['a', 'title:e', 'e', 'b', 'd']);
+      expect(merged.photos[merged.currentIndex].id).toBe('d');
+      expect(ids(merged.added)).toEqual(['e']);
+      expect(ids(merged.removed)).toEqual(['c']);
+    });
+
+    it('replaces the list entirely when nothing survives', () => {
+      const fresh = [photo('x'), photo('y')];
+      const merged = mergePhotoLists(current, fresh, 3);
+      expect(ids(merged.photos)).toEqual(['x', 'y']);
+      expect(merged.currentIndex).toBe(0);
+    });
+  });
+
+  // ─── smart shuffle ─────────────────────────────────────────────────────────
+
+  describe('getClusterKeys', () => {
+    it('groups by capture day and ~1 km position', () => {
+      const keys = getClusterKeys(photo('a', {
+        exif: { dateTime: '2023-07-04T15:30:00Z', latitude: 21.2712, longitude: -157.8231 },
+      }));
+      expect(keys).toEqual(['date:2023-07-04', 'place:21.27,-157.82']);
+    });
+
+    it('falls back to the upload hour without a capture date', () => {
+      expect(getClusterKeys(photo('a', { lastModified: '2024-01-02T03:04:05Z' })))
+        .toEqual(['upload:2024-01-02T03']);
+    });
+
+    it('returns no keys for a photo with no date information', () => {
+      expect(getClusterKeys(photo('a'))).toEqual([]);
+    });
+
+    it('uses EXIF passed in (e.g. cached) over the manifest', () => {
+      const keys = getClusterKeys(photo('a', { lastModified: '2024-01-02T03:04:05Z' }), {
+        dateTime: new Date(Date.UTC(2023, 6, 4, 12)),
+      });
+      expect(keys).toEqual(['date:2023-07-04']);
+    });
+  });
+
+  describe('spreadClusters', () => {
+    it('keeps photos from the same cluster apart when possible', () => {
+      const burst = ['b1', 'b2', 'b3'].map((id) => photo(id, { group: 'burst' }));
+      const others = ['x', 'y', 'z', 'w'].map((id) => photo(id, { group: id }));
+      const spread = spreadClusters([...burst, ...others], (p) => [p.group]);
+
+      for (let i = 1; i < spread.length; i++) {
+        const sameAsPrevious = spread[i].group === 'burst' && spread[i - 1].group === 'burst';
+        expect(sameAsPrevious).toBe(false);
+      }
+      expect(spread).toHaveLength(7);
+    });
+
+    it('still places every photo when one cluster dominates', () => {
+      const photos = ['a', 'b', 'c'].map((id) => photo(id, { group: 'same' }));
+      expect(ids(spreadClusters(photos, (p) => [p.group]))).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('smartShuffle', () => {
+    it('plays photos not yet shown before ones already shown', () => {
+      const photos = ['a', 'b', 'c', 'd', 'e'].map((id) => photo(id));
+      const shuffled = smartShuffle(photos, new Set(['a', 'c']));
+      expect(ids(shuffled.slice(0, 3)).sort()).toEqual(['b', 'd', 'e']);
+      expect(ids(shuffled.slice(3)).sort()).toEqual(['a', 'c']);
+    });
+
+    it('spreads photos by the EXIF getExif returns', () => {
+      const photos = ['b1', 'b2', 'x', 'y'].map((id) => photo(id));
+      const getExif = vi.fn((p) => ({ dateTime: p.id.startsWith('b') ? '2023-07-04T12:00:00Z' : null }));
+      const shuffled = smartShuffle(photos, new Set(), { getExif });
+
+      expect(getExif).toHaveBeenCalled();
+      // The same-day pair can only meet once nothing else is left to play
+      expect(shuffled[0].id.startsWith('b') && shuffled[1].id.startsWith('b')).toBe(false);
+    });
+  });
+});
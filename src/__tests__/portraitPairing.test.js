@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  arePhotosRelated,
+  findPortraitPartner,
+  getDisplayDimensions,
+  isPortrait,
+} from '../utils/portraitPairing';
+
+const PORTRAIT = { width: 3000, height: 4000 };
+const LANDSCAPE = { width: 4000, height: 3000 };
+
+describe('portraitPairing', () => {
+  // ─── dimensions ────────────────────────────────────────────────────────────
+
+  describe('getDisplayDimensions', () => {
+    it('prefers the decoded image size', () => {
+      const photo = { id: 'a.jpg', width: 4000, height: 3000 };
+      expect(getDisplayDimensions(photo, { decoded: PORTRAIT })).toEqual(PORTRAIT);
+    });
+
+    it('falls back to manifest and EXIF sizes', () => {
+      expect(getDisplayDimensions({ id: 'a.jpg', ...PORTRAIT })).toEqual(PORTRAIT);
+      expect(getDisplayDimensions({ id: 'a.jpg' }, { exif: PORTRAIT })).toEqual(PORTRAIT);
+    });
+
+    it('swaps width and height for rotated EXIF orientations', () => {
+      const exif = { ...LANDSCAPE, orientation: 6 };
+      expect(getDisplayDimensions({ id: 'a.jpg' }, { exif })).toEqual(PORTRAIT);
+    });
+
+    it('returns null when the size is unknown', () => {
+      expect(getDisplayDimensions({ id: 'a.jpg' })).toBeNull();
+    });
+  });
+
+  describe('isPortrait', () => {
+    it('is true only for images taller than wide', () => {
+      expect(isPortrait(PORTRAIT)).toBe(true);
+      expect(isPortrait(LANDSCAPE)).toBe(false);
+      expect(isPortrait({ width: 100, height: 100 })).toBe(false);
+      expect(isPortrait(null)).toBe(false);
+    });
+  });
+
+  // ─── relatedness ───────────────────────────────────────────────────────────
+
+  describe('arePhotosRelated', () => {
+    const a = { id: 'trip/a.jpg', key: 'trip/a.jpg' };
+    const b = { id: 'other/b.jpg', key: 'other/b.jpg' };
+
+    it('relates photos taken within a couple of days', () => {
+      expect(arePhotosRelated(a, b,
+        { dateTime: '2024-06-01T10:00:00Z' },
+        { dateTime: '2024-06-02T18:00:00Z' })).toBe(true);
+    });
+
+    it('relates photos taken close together', () => {
+      expect(arePhotosRelated(a, b,
+        { dateTime: '2020-01-01T00:00:00Z', latitude: 48.8566, longitude: 2.3522 },
+        { dateTime: '2024-01-01T00:00:00Z', latitude: 48.8049, longitude: 2.1204 })).toBe(true);
+    });
+
+    it('keeps apart photos far apart in time and space', () => {
+      expect(arePhotosRelated(a, { ...b, key: 'trip/b.jpg' },
+        { dateTime: '2020-01-01T00:00:00Z', latitude: 48.8566, longitude: 2.3522 },
+        { dateTime: '2024-01-01T00:00:00Z', latitude: 40.7128, longitude: -74.006 })).toBe(false);
+    });
+
+    it('falls back to the folder without metadata', () => {
+      expect(arePhotosRelated(a, { id: 'trip/c.jpg', key: 'trip/c.jpg' })).toBe(true);
+      expect(arePhotosRelated(a, b)).toBe(false);
+    });
+  });
+
+  // ─── partners ──────────────────────────────────────────────────────────────
+
+  describe('findPortraitPartner', () => {
+    const photos = [
+      { id: 'trip/1.jpg', ...PORTRAIT },
+      { id: 'trip/2.jpg', ...PORTRAIT },
+      { id: 'trip/3.jpg', ...LANDSCAPE },
+      { id: 'trip/4.jpg' },
+    ];
+    const getInfo = () => ({});
+
+    it('pairs two related portraits', () => {
+      expect(findPortraitPartner(photos, 0, getInfo)).toBe(1);
+    });
+
+    it('does not pair with a landscape photo', () => {
+      expect(findPortraitPartner(photos, 1, getInfo)).toBeNull();
+    });
+
+    it('does not pair photos whose size is unknown', () => {
+      const list = [photos[0], photos[3]];
+      expect(findPortraitPartner(list, 0, getInfo)).toBeNull();
+    });
+
+    it('uses decoded sizes from getInfo', () => {
+      const list = [photos[0], photos[3]];
+      const info = (photo) => (photo.id === 'trip/4.jpg' ? { decoded: PORTRAIT } : {});
+      expect(findPortraitPartner(list, 0, info)).toBe(1);
+    });
+
+    it('does not wrap around past the end of the list', () => {
+      expect(findPortraitPartner(photos, 3, getInfo)).toBeNull();
+    });
+
+    it('does not pair unrelated portraits', () => {
+      const info = (photo) => ({
+        exif: { dateTime: photo.id === 'trip/1.jpg' ? '2020-01-01T00:00:00Z' : '2024-01-01T00:00:00Z' },
+      });
+      expect(findPortraitPartner(photos, 0, info)).toBeNull();
+    });
+  });
+});
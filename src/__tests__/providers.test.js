@@ -0,0 +1,290 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('@aws-sdk/client-s3', () => ({
+  S3Client: vi.fn(),
+  ListObjectsV2Command: vi.fn(),
+  GetObjectCommand: vi.fn(),
+}));
+vi.mock('@aws-sdk/credential-providers', () => ({
+  fromCognitoIdentityPool: vi.fn().mockReturnValue({}),
+}));
+
+import {
+  getFocalPoint,
+  getPhotoMetadata,
+  getProvider,
+  getProviderForConfig,
+  getSourceKey,
+  listProviders,
+  registerProvider,
+} from '../services/providers';
+import { EXIF_HEADER_BYTES } from '../utils/exifUtils';
+import { DEFAULT_FOCUS } from '../utils/kenBurns';
+
+// Minimal PROPFIND multistatus response for a folder with one photo, one
+// non-image file and one sub-folder
+const propfindXml = (folder, entries) => `<?xml version="1.0" encoding="utf-8"?>
+<d:multistatus xmlns:d="DAV:">
+  <d:response>
+    <d:href>${folder}</d:href>
+    <d:propstat><d:prop><d:resourcetype><d:collection/></d:resourcetype></d:prop></d:propstat>
+  </d:response>
+  ${entries.map(({ href, folder: isFolder, etag }) => `
+  <d:response>
+    <d:href>${href}</d:href>
+    <d:propstat><d:prop>
+      <d:resourcetype>${isFolder ? '<d:collection/>' : ''}</d:resourcetype>
+      ${etag ? `<d:getetag>"${etag}"</d:getetag>` : ''}
+    </d:prop></d:propstat>
+  </d:response>`).join('')}
+</d:multistatus>`;
+
+describe('photo providers', () => {
+  // ─── registry ──────────────────────────────────────────────────────────────
+
+  describe('registry', () => {
+    it('offers S3, manifest, WebDAV and static sources in Settings', () => {
+      const ids = listProviders().map(provider => provider.id);
+      expect(ids).toEqual(expect.arrayContaining(['s3', 'manifest', 'webdav', 'static']));
+      expect(ids).not.toContain('demo');
+    });
+
+    it('defaults to S3 when photoSource is not set', () => {
+      expect(getProviderForConfig({ s3Bucket: 'bucket' }).id).toBe('s3');
+    });
+
+    it('falls back to demo photos until the chosen source is configured', () => {
+      expect(getProviderForConfig({ photoSource: 's3', s3Bucket: '' }).id).toBe('demo');
+      expect(getProviderForConfig({ photoSource: 'webdav', webdavUrl: '' }).id).toBe('demo');
+    });
+
+    it('lets new providers be registered', () => {
+      registerProvider({ id: 'test-source', label: 'Test', configKeys: [], isConfigured: () => true });
+      expect(getProvider('test-source').label).toBe('Test');
+      expect(getProviderForConfig({ photoSource: 'test-source' }).id).toBe('test-source');
+    });
+
+    it('changes the source key only when source config changes', () => {
+      const config = { photoSource: 'manifest', manifestUrl: 'https://a/photos.json', displayDuration: 10 };
+      const key = getSourceKey(config);
+      expect(getSourceKey({ ...config, displayDuration: 20 })).toBe(key);
+      expect(getSourceKey({ ...config, manifestUrl: 'https://b/photos.json' })).not.toBe(key);
+    });
+  });
+
+  // ─── manifest ──────────────────────────────────────────────────────────────
+
+  describe('manifest provider', () => {
+    it('resolves entries relative to the manifest URL', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve(['a.jpg', 'trips/b.jpg', 'https://cdn.example.com/c.jpg']),
+      });
+
+      const photos = await getProvider('manifest').list({
+        manifestUrl: 'https://example.com/family/photos.json',
+      });
+
+      expect(photos.map(photo => photo.url)).toEqual([
+        'https://example.com/family/a.jpg',
+        'https://example.com/family/trips/b.jpg',
+        'https://cdn.example.com/c.jpg',
+      ]);
+      expect(photos[1].name).toBe('b.jpg');
+    });
+
+    it('reads plain text manifests one file per line', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve('a.jpg\n\nb.jpg\n'),
+      });
+
+      const photos = await getProvider('manifest').list({
+        manifestUrl: 'https://example.com/photos.txt',
+      });
+      expect(photos).toHaveLength(2);
+    });
+
+    it('throws when the manifest is missing', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false });
+      await expect(
+        getProvider('manifest').list({ manifestUrl: 'https://example.com/photos.json' })
+      ).rejects.toThrow('Manifest not found');
+    });
+  });
+
+  // ─── static ────────────────────────────────────────────────────────────────
+
+  describe('static provider', () => {
+    it('reads photos.json from the same-origin folder, then photos.txt', async () => {
+      global.fetch = vi
+        .fn()
+        .mockResolvedValueOnce({ ok: false })
+        .mockResolvedValueOnce({ ok: true, text: () => Promise.resolve('a.jpg') });
+
+      const photos = await getProvider('static').list({ staticPath: '/photos' });
+
+      expect(global.fetch.mock.calls[0][0]).toBe(`${window.location.origin}/photos/photos.json`);
+      expect(global.fetch.mock.calls[1][0]).toBe(`${window.location.origin}/photos/photos.txt`);
+      expect(photos[0].url).toBe(`${window.location.origin}/photos/a.jpg`);
+    });
+
+    it('returns an empty list when the folder has no photo list', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false });
+      expect(await getProvider('static').list({})).toEqual([]);
+    });
+  });
+
+  // ─── WebDAV ────────────────────────────────────────────────────────────────
+
+  describe('WebDAV provider', () => {
+    it('walks sub-folders and keeps only image files', async () => {
+      global.fetch = vi.fn().mockImplementation((url) => Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(url.endsWith('/2023/')
+          ? propfindXml('/dav/photos/2023/', [{ href: '/dav/photos/2023/b.png' }])
+          : propfindXml('/dav/photos/', [
+            { href: '/dav/photos/a.jpg', etag: 'abc' },
+            { href: '/dav/photos/notes.txt' },
+            { href: '/dav/photos/2023/', folder: true },
+          ])),
+      }));
+
+      const onPage = vi.fn();
+      const photos = await getProvider('webdav').list(
+        { webdavUrl: 'https://nas.local/dav/photos' },
+        { onPage }
+      );
+
+      expect(photos.map(photo => photo.id)).toEqual(['a.jpg', '2023/b.png']);
+      expect(photos[0]).toMatchObject({ url: 'https://nas.local/dav/photos/a.jpg', etag: 'abc' });
+      expect(onPage).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[0][1]).toMatchObject({ method: 'PROPFIND' });
+    });
+
+    it('recognises the folder in its own listing however the server writes its href', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(propfindXml('/dav/My%20Photos', [{ href: '/dav/My%20Photos/a.jpg' }])),
+      });
+
+      const photos = await getProvider('webdav').list({ webdavUrl: 'https://nas.local/dav/My Photos' });
+      expect(photos.map(photo => photo.id)).toEqual(['a.jpg']);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('sends basic auth and defers URLs to resolveUrl when a username is set', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(propfindXml('/dav/', [{ href: '/dav/a.jpg' }])),
+      });
+
+      const photos = await getProvider('webdav').list({
+        webdavUrl: 'https://nas.local/dav/',
+        webdavUsername: 'tv',
+        webdavPassword: 'secret',
+      });
+
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe(`Basic ${btoa('tv:secret')}`);
+      expect(photos[0].url).toBeNull();
+    });
+
+    it('revokes the least recently used blob URLs and reports them', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        arrayBuffer: () => Promise.resolve(new ArrayBuffer(0)),
+      });
+      const { createObjectURL, revokeObjectURL } = URL;
+      let created = 0;
+      URL.createObjectURL = vi.fn(() => `blob:${++created}`);
+      URL.revokeObjectURL = vi.fn();
+      const webdav = getProvider('webdav');
+      const evicted = vi.fn();
+      const unsubscribe = webdav.onUrlEvicted(evicted);
+      const photo = n => ({ id: `${n}.jpg`, name: `${n}.jpg`, url: null, sourceUrl: `https://nas.local/dav/${n}.jpg` });
+
+      for (let n = 0; n < 8; n++) await webdav.resolveUrl(photo(n), { webdavUsername: 'tv' });
+      // Showing photo 0 again keeps it, so photo 1 is the one revoked
+      expect(await webdav.resolveUrl(photo(0), { webdavUsername: 'tv' })).toBe('blob:1');
+      await webdav.resolveUrl(photo(8), { webdavUsername: 'tv' });
+
+      expect(evicted).toHaveBeenCalledWith('1.jpg');
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:2');
+      unsubscribe();
+      Object.assign(URL, { createObjectURL, revokeObjectURL });
+    });
+
+    it('throws when the server rejects the listing', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 401 });
+      await expect(
+        getProvider('webdav').list({ webdavUrl: 'https://nas.local/dav/' })
+      ).rejects.toThrow('401');
+    });
+
+    it('requests only the header range when reading EXIF', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        arrayBuffer: () => Promise.resolve(new ArrayBuffer(0)),
+      });
+      const photo = { id: 'a.jpg', name: 'a.jpg', sourceUrl: 'https://nas.local/dav/a.jpg' };
+
+      await getProvider('webdav').fetchBytes(photo, { webdavUsername: 'tv' }, { range: 1024 });
+      expect(global.fetch.mock.calls[0][1].headers).toMatchObject({
+        Range: 'bytes=0-1023',
+        Authorization: `Basic ${btoa('tv:')}`,
+      });
+    });
+  });
+
+  // ─── metadata ──────────────────────────────────────────────────────────────
+
+  describe('getPhotoMetadata', () => {
+    it('uses a manifest EXIF block without downloading the photo', async () => {
+      const provider = { fetchBytes: vi.fn() };
+      const photo = {
+        id: 'a.jpg',
+        url: 'https://example.com/a.jpg',
+        caption: 'Hello',
+        exif: { dateTime: '2023-07-04' },
+      };
+
+      const data = await getPhotoMetadata(provider, photo, {});
+      expect(provider.fetchBytes).not.toHaveBeenCalled();
+      expect(data).toMatchObject({ dateTime: '2023-07-04', caption: 'Hello' });
+    });
+
+    it('prefers a provider getMetadata hook over EXIF extraction', async () => {
+      const provider = {
+        fetchBytes: vi.fn(),
+        getMetadata: vi.fn().mockResolvedValue({ make: 'Sony' }),
+      };
+      const data = await getPhotoMetadata(provider, { id: 'a.jpg', caption: 'Hi' }, {});
+      expect(provider.fetchBytes).not.toHaveBeenCalled();
+      expect(data).toEqual({ make: 'Sony', caption: 'Hi' });
+    });
+
+    it('names photos inside a place after it, unless the manifest names them', async () => {
+      const config = {
+        places: [{ id: 'place-1', name: 'Beach House', latitude: 21.265, longitude: -157.8226, radius: 100 }],
+      };
+      const exif = { latitude: 21.265, longitude: -157.8226, locationName: 'Honolulu, Hawaii' };
+
+      expect(await getPhotoMetadata({}, { id: 'a.jpg', exif }, config))
+        .toMatchObject({ locationName: 'Beach House' });
+      expect(await getPhotoMetadata({}, { id: 'b.jpg', exif, location: 'Kailua' }, config))
+        .toMatchObject({ locationName: 'Kailua' });
+    });
+  });
+
+  describe('getFocalPoint', () => {
+    it('reads only the header for its thumbnail, never the whole photo', async () => {
+      const provider = { fetchBytes: vi.fn().mockResolvedValue(new ArrayBuffer(16)) };
+      const photo = { id: 'a.jpg', url: 'https://example.com/a.jpg' };
+
+      // No embedded thumbnail: the default focus, without another download
+      expect(await getFocalPoint(provider, photo, {}, photo.url)).toEqual(DEFAULT_FOCUS);
+      expect(provider.fetchBytes).toHaveBeenCalledTimes(1);
+      expect(provider.fetchBytes).toHaveBeenCalledWith(photo, {}, { range: EXIF_HEADER_BYTES });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  getEndpointConfig,
+  buildObjectUrl,
+  getBucketBaseUrl,
+  parseObjectUrl,
+} from '../services/s3Endpoint';
+
+const AWS = { endpoint: null, forcePathStyle: false };
+const MINIO = { endpoint: 'http://localhost:9000', forcePathStyle: true };
+
+describe('s3Endpoint', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  // ─── getEndpointConfig ─────────────────────────────────────────────────────
+
+  describe('getEndpointConfig', () => {
+    it('defaults to AWS virtual-hosted addressing with no endpoint', () => {
+      vi.stubEnv('VITE_S3_ENDPOINT', '');
+      expect(getEndpointConfig()).toEqual(AWS);
+    });
+
+    it('reads VITE_S3_ENDPOINT and defaults it to path-style', () => {
+      vi.stubEnv('VITE_S3_ENDPOINT', 'http://localhost:4566/');
+      expect(getEndpointConfig()).toEqual({
+        endpoint: 'http://localhost:4566',
+        forcePathStyle: true,
+      });
+    });
+
+    it('lets VITE_S3_FORCE_PATH_STYLE=false keep virtual-hosted URLs', () => {
+      vi.stubEnv('VITE_S3_ENDPOINT', 'http://garage.local:3900');
+      vi.stubEnv('VITE_S3_FORCE_PATH_STYLE', 'false');
+      expect(getEndpointConfig().forcePathStyle).toBe(false);
+    });
+
+    it('prefers the config endpoint and addressing style over env', () => {
+      vi.stubEnv('VITE_S3_ENDPOINT', 'http://localhost:4566');
+      const result = getEndpointConfig({
+        s3Endpoint: 'http://minio:9000',
+        s3AddressingStyle: 'virtual-hosted',
+      });
+      expect(result).toEqual({ endpoint: 'http://minio:9000', forcePathStyle: false });
+    });
+  });
+
+  // ─── buildObjectUrl ────────────────────────────────────────────────────────
+
+  describe('buildObjectUrl', () => {
+    it('builds AWS virtual-hosted URLs', () => {
+      expect(buildObjectUrl('bucket', 'us-east-1', 'photos/a.jpg', AWS))
+        .toBe('https://bucket.s3.us-east-1.amazonaws.com/photos/a.jpg');
+    });
+
+    it('builds AWS path-style URLs', () => {
+      expect(buildObjectUrl('bucket', 'eu-west-1', 'photos/a.jpg', { ...AWS, forcePathStyle: true }))
+        .toBe('https://s3.eu-west-1.amazonaws.com/bucket/photos/a.jpg');
+    });
+
+    it('builds path-style URLs under a custom endpoint', () => {
+      expect(buildObjectUrl('bucket', 'us-east-1', 'photos/a.jpg', MINIO))
+        .toBe('http://localhost:9000/bucket/photos/a.jpg');
+    });
+
+    it('builds virtual-hosted URLs under a custom endpoint', () => {
+      const config = { endpoint: 'http://garage.local:3900', forcePathStyle: false };
+      expect(getBucketBaseUrl('bucket', 'garage', config))
+        .toBe('http://bucket.garage.local:3900');
+    });
+
+    it('encodes key segments but keeps folder separators', () => {
+      expect(buildObjectUrl('bucket', 'us-east-1', 'photos/2023 Hawaii/a.jpg', AWS))
+        .toBe('https://bucket.s3.us-east-1.amazonaws.com/photos/2023%20Hawaii/a.jpg');
+    });
+  });
+
+  // ─── parseObjectUrl ────────────────────────────────────────────────────────
+
+  describe('parseObjectUrl', () => {
+    it('round-trips AWS virtual-hosted and path-style URLs', () => {
+      for (const config of [AWS, { ...AWS, forcePathStyle: true }]) {
+        const url = buildObjectUrl('bucket', 'us-west-2', 'photos/2023 Hawaii/a.jpg', config);
+        expect(parseObjectUrl(url, config)).toEqual({
+          bucket: 'bucket',
+          region: 'us-west-2',
+          key: 'photos/2023 Hawaii/a.jpg',
+        });
+      }
+    });
+
+    it('parses URLs under a custom path-style endpoint', () => {
+      expect(parseObjectUrl('http://localhost:9000/bucket/photos/a.jpg', MINIO)).toEqual({
+        bucket: 'bucket',
+        region: null,
+        key: 'photos/a.jpg',
+      });
+    });
+
+    it('parses URLs under a custom virtual-hosted endpoint', () => {
+      const config = { endpoint: 'http://garage.local:3900', forcePathStyle: false };
+      expect(parseObjectUrl('http://bucket.garage.local:3900/photos/a.jpg', config)).toEqual({
+        bucket: 'bucket',
+        region: null,
+        key: 'photos/a.jpg',
+      });
+    });
+
+    it('returns null for URLs that are not object URLs', () => {
+      expect(parseObjectUrl('https://picsum.photos/1920/1080', AWS)).toBeNull();
+      expect(parseObjectUrl('https://example.com/bucket/a.jpg', MINIO)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createScheduleEntry,
+  getNextSleepTimer,
+  getScheduleState,
+  getSunTimes,
+  isEntryActive,
+  isValidScheduleTime,
+} from '../utils/schedule';
+
+// Wednesday 3 July 2024
+const at = (hours, minutes = 0, day = 3) => new Date(2024, 6, day, hours, minutes);
+const entry = (extra) => ({ id: 'e1', days: [], action: 'blank', ...extra });
+const minutesUTC = (date) => date.getUTCHours() * 60 + date.getUTCMinutes();
+
+describe('schedule', () => {
+  // ─── windows ───────────────────────────────────────────────────────────────
+
+  describe('isValidScheduleTime', () => {
+    it('accepts times and sun events', () => {
+      expect(isValidScheduleTime('07:00')).toBe(true);
+      expect(isValidScheduleTime('7:30')).toBe(true);
+      expect(isValidScheduleTime('sunset')).toBe(true);
+      expect(isValidScheduleTime('24:00')).toBe(false);
+      expect(isValidScheduleTime('noon')).toBe(false);
+      expect(isValidScheduleTime(undefined)).toBe(false);
+    });
+  });
+
+  describe('isEntryActive', () => {
+    it('covers a daytime window, including its start but not its end', () => {
+      const morning = entry({ start: '07:00', end: '09:00' });
+      expect(isEntryActive(morning, at(7))).toBe(true);
+      expect(isEntryActive(morning, at(8, 59))).toBe(true);
+      expect(isEntryActive(morning, at(9))).toBe(false);
+      expect(isEntryActive(morning, at(6, 59))).toBe(false);
+    });
+
+    it('runs an overnight window into the next morning', () => {
+      const night = entry({ start: '22:00', end: '07:00' });
+      expect(isEntryActive(night, at(23))).toBe(true);
+      expect(isEntryActive(night, at(6, 30))).toBe(true);
+      expect(isEntryActive(night, at(12))).toBe(false);
+    });
+
+    it('only starts on the chosen days', () => {
+      // Fridays from 22:00; 4 July is a Thursday, 6 July a Saturday
+      const friday = entry({ days: [5], start: '22:00', end: '07:00' });
+      expect(isEntryActive(friday, at(23, 0, 4))).toBe(false);
+      expect(isEntryActive(friday, at(23, 0, 5))).toBe(true);
+      expect(isEntryActive(friday, at(6, 0, 6))).toBe(true);
+      expect(isEntryActive(friday, at(6, 0, 5))).toBe(false);
+    });
+
+    it('uses sunrise and sunset, or 07:00 and 19:00 without a home location', () => {
+      const evening = entry({ start: 'sunset', end: '23:00' });
+      expect(isEntryActive(evening, at(19, 30))).toBe(true);
+      expect(isEntryActive(evening, at(18, 30))).toBe(false);
+
+      const sunTimes = { sunrise: at(5, 30), sunset: at(21, 15) };
+      expect(isEntryActive(evening, at(19, 30), sunTimes)).toBe(false);
+      expect(isEntryActive(evening, at(21, 30), sunTimes)).toBe(true);
+    });
+
+    it('ignores entries with invalid times', () => {
+      expect(isEntryActive(entry({ start: 'later', end: '07:00' }), at(23))).toBe(false);
+    });
+  });
+
+  describe('getSunTimes', () => {
+    it('matches published times for London at midsummer', () => {
+      const { sunrise, sunset } = getSunTimes(new Date(2024, 5, 21), 51.5074, -0.1278);
+      // 03:43 and 20:21 UTC
+      expect(Math.abs(minutesUTC(sunrise) - (3 * 60 + 43))).toBeLessThanOrEqual(5);
+      expect(Math.abs(minutesUTC(sunset) - (20 * 60 + 21))).toBeLessThanOrEqual(5);
+    });
+
+    it('lands on the local date where it differs from the UTC one', () => {
+      const timeZone = process.env.TZ;
+      process.env.TZ = 'Pacific/Tongatapu'; // UTC+13
+      try {
+        const { sunrise, sunset } = getSunTimes(new Date(2024, 6, 3), -21.14, -175.2);
+        expect(sunrise.getDate()).toBe(3);
+        expect(sunrise.getHours()).toBeGreaterThanOrEqual(5);
+        expect(sunrise.getHours()).toBeLessThan(8);
+        expect(sunset.getDate()).toBe(3);
+        expect(sunset.getHours()).toBeGreaterThanOrEqual(17);
+        expect(sunset.getHours()).toBeLessThan(19);
+      } finally {
+        if (timeZone === undefined) delete process.env.TZ;
+        else process.env.TZ = timeZone;
+      }
+    });
+
+    it('returns null during the midnight sun', () => {
+      expect(getSunTimes(new Date(2024, 5, 21), 69.65, 18.96)).toBeNull();
+    });
+  });
+
+  // ─── state ─────────────────────────────────────────────────────────────────
+
+  describe('getScheduleState', () => {
+    const schedule = [
+      entry({ id: 'night', start: '22:00', end: '07:00' }),
+      entry({ id: 'dim', action: 'dim', brightness: '40', start: '19:00', end: '23:00' }),
+      entry({ id: 'dimmer', action: 'dim', brightness: 20, start: '20:00', end: '21:00' }),
+      entry({ id: 'kids', action: 'playlist', playlistId: 'p1', start: '07:00', end: '09:00' }),
+    ];
+
+    it('plays normally outside every window', () => {
+      expect(getScheduleState(schedule, at(12))).toEqual({ blank: null, brightness: 100, playlistId: null });
+      expect(getScheduleState(undefined, at(12)).brightness).toBe(100);
+    });
+
+    it('reports the blank window, the dimmest brightness and the playlist', () => {
+      expect(getScheduleState(schedule, at(22, 30)).blank.id).toBe('night');
+      expect(getScheduleState(schedule, at(19, 30)).brightness).toBe(40);
+      expect(getScheduleState(schedule, at(20, 30)).brightness).toBe(20);
+      expect(getScheduleState(schedule, at(8)).playlistId).toBe('p1');
+    });
+
+    it('uses the home location for sunset', () => {
+      const london = { latitude: '51.5074', longitude: '-0.1278' };
+      const evening = [entry({ action: 'dim', brightness: 40, start: 'sunset', end: 'sunrise' })];
+      const { sunset } = getSunTimes(at(12), 51.5074, -0.1278);
+      const minutes = 60 * 1000;
+
+      expect(getScheduleState(evening, new Date(sunset - 10 * minutes), london).brightness).toBe(100);
+      expect(getScheduleState(evening, new Date(sunset.getTime() + 10 * minutes), london).brightness).toBe(40);
+    });
+  });
+
+  // ─── sleep timer ───────────────────────────────────────────────────────────
+
+  describe('getNextSleepTimer', () => {
+    it('cycles through the lengths and then off', () => {
+      expect(getNextSleepTimer(null)).toBe(15);
+      expect(getNextSleepTimer(15)).toBe(30);
+      expect(getNextSleepTimer(90)).toBeNull();
+    });
+  });
+
+  describe('createScheduleEntry', () => {
+    it('starts as a valid overnight blank window', () => {
+      const created = createScheduleEntry();
+      expect(created.id).toMatch(/^schedule-/);
+      expect(isEntryActive(created, at(23))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getShownIds,
+  recordShown,
+  clearShownIds,
+  flushShownIds,
+  getHistoryKey,
+} from '../services/shuffleHistory';
+
+describe('shuffleHistory', () => {
+  beforeEach(() => {
+    flushShownIds();
+    localStorage.clear();
+  });
+
+  it('starts empty', () => {
+    expect(getShownIds('source').size).toBe(0);
+  });
+
+  it('remembers shown photos per source across reads', () => {
+    recordShown('source', 'a', ['a', 'b', 'c']);
+    recordShown('source', 'b', ['a', 'b', 'c']);
+    expect(getShownIds('source')).toEqual(new Set(['a', 'b']));
+    expect(getShownIds('other').size).toBe(0);
+  });
+
+  it('hands out a copy of the shown ids', () => {
+    recordShown('source', 'a', ['a', 'b', 'c']);
+    getShownIds('source').add('b');
+    expect(getShownIds('source')).toEqual(new Set(['a']));
+  });
+
+  it('starts a new cycle once every photo has been shown', () => {
+    recordShown('source', 'a', ['a', 'b']);
+    recordShown('source', 'b', ['a', 'b']);
+    expect(getShownIds('source')).toEqual(new Set(['b']));
+  });
+
+  it('keeps a cycle per source, playlist and playback mode', () => {
+    const library = getHistoryKey('source', {});
+    const playlist = getHistoryKey('source', { activePlaylist: 'p1' });
+    expect(getHistoryKey('source', { playbackMode: 'top-rated' })).not.toBe(library);
+
+    recordShown(library, 'a', ['a', 'b', 'c']);
+    // Finishing the playlist's cycle leaves the library's alone
+    recordShown(playlist, 'b', ['b']);
+    expect(getShownIds(library)).toEqual(new Set(['a']));
+    expect(getShownIds(playlist)).toEqual(new Set(['b']));
+  });
+
+  it('batches writes to storage until flushed', () => {
+    recordShown('source', 'a', ['a', 'b']);
+    expect(localStorage.getItem('tv-slideshow-shuffle-history')).toBeNull();
+
+    flushShownIds();
+    const stored = JSON.parse(localStorage.getItem('tv-slideshow-shuffle-history'));
+    expect(stored.source.shown).toEqual(['a']);
+    expect(getShownIds('source')).toEqual(new Set(['a']));
+  });
+
+  it('only keeps the most recently used histories', () => {
+    for (let i = 0; i < 12; i++) {
+      recordShown(`source-${i}`, 'a', ['a', 'b']);
+    }
+    flushShownIds();
+    const stored = JSON.parse(localStorage.getItem('tv-slideshow-shuffle-history'));
+    expect(Object.keys(stored)).toHaveLength(10);
+  });
+
+  it('survives corrupted storage', () => {
+    localStorage.setItem('tv-slideshow-shuffle-history', '{not json');
+    expect(getShownIds('source').size).toBe(0);
+    recordShown('source', 'a', ['a', 'b']);
+    expect(getShownIds('source')).toEqual(new Set(['a']));
+  });
+
+  it('clears every history of one source', () => {
+    recordShown(getHistoryKey('source', {}), 'a', ['a', 'b']);
+    recordShown(getHistoryKey('source', { activePlaylist: 'p1' }), 'a', ['a', 'b']);
+    recordShown(getHistoryKey('other', {}), 'a', ['a', 'b']);
+    clearShownIds('source');
+    expect(getShownIds(getHistoryKey('source', {})).size).toBe(0);
+    expect(getShownIds(getHistoryKey('source', { activePlaylist: 'p1' })).size).toBe(0);
+    expect(getShownIds(getHistoryKey('other', {})).size).toBe(1);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EMPTY_RULES,
+  createPlaylist,
+  getActivePlaylist,
+  getPlaylistForColorKey,
+  matchesRules,
+  parseTags,
+} from '../utils/smartPlaylists';
+
+const photo = {
+  id: 'photos/2023 Hawaii/beach.jpg',
+  key: 'photos/2023 Hawaii/beach.jpg',
+  name: 'beach.jpg',
+  album: null,
+  tags: ['Beach', 'kids'],
+  favorite: true,
+};
+
+const exif = {
+  dateTime: new Date(2023, 6, 4, 10, 12),
+  latitude: 21.2767,
+  longitude: -157.8275,
+  make: 'Apple',
+  model: 'iPhone 14',
+};
+
+describe('smartPlaylists', () => {
+  // ─── rules ─────────────────────────────────────────────────────────────────
+
+  describe('matchesRules', () => {
+    it('matches everything with empty rules', () => {
+      expect(matchesRules(photo, exif, EMPTY_RULES)).toBe(true);
+      expect(matchesRules({ id: 'x.jpg' }, null, EMPTY_RULES)).toBe(true);
+    });
+
+    it('filters by date range, inclusive of both days', () => {
+      expect(matchesRules(photo, exif, { dateFrom: '2023-07-04', dateTo: '2023-07-04' })).toBe(true);
+      expect(matchesRules(photo, exif, { dateFrom: '2023-07-05' })).toBe(false);
+      expect(matchesRules(photo, exif, { dateTo: '2023-07-03' })).toBe(false);
+      expect(matchesRules({ id: 'undated.jpg' }, null, { dateFrom: '2000-01-01' })).toBe(false);
+    });
+
+    it('filters by distance from a point', () => {
+      const honolulu = { latitude: '21.3069', longitude: '-157.8583' };
+      expect(matchesRules(photo, exif, { ...honolulu, radiusKm: '50' })).toBe(true);
+      expect(matchesRules(photo, exif, { ...honolulu, radiusKm: '1' })).toBe(false);
+      expect(matchesRules(photo, { ...exif, latitude: null }, { ...honolulu, radiusKm: '50' })).toBe(false);
+    });
+
+    it('ignores a location rule without a radius', () => {
+      expect(matchesRules(photo, exif, { latitude: '0', longitude: '0', radiusKm: '' })).toBe(true);
+    });
+
+    it('filters by camera make or model', () => {
+      expect(matchesRules(photo, exif, { camera: 'iphone' })).toBe(true);
+      expect(matchesRules(photo, exif, { camera: 'apple' })).toBe(true);
+      expect(matchesRules(photo, exif, { camera: 'Canon' })).toBe(false);
+    });
+
+    it('filters by album or folder prefix', () => {
+      expect(matchesRules(photo, exif, { albumPrefix: 'photos/2023 Hawaii/' })).toBe(true);
+      expect(matchesRules({ ...photo, key: 'x.jpg', album: '2023 Hawaii' }, exif, { albumPrefix: '2023' })).toBe(true);
+      expect(matchesRules(photo, exif, { albumPrefix: 'photos/2024' })).toBe(false);
+    });
+
+    it('matches any listed tag, ignoring case', () => {
+      expect(matchesRules(photo, exif, { tags: 'sunset, beach' })).toBe(true);
+      expect(matchesRules(photo, exif, { tags: 'sunset' })).toBe(false);
+    });
+
+    it('matches keywords from the photo metadata as tags', () => {
+      expect(matchesRules(photo, { ...exif, keywords: ['Sunset'] }, { tags: 'sunset' })).toBe(true);
+    });
+
+    it('filters by minimum rating, from the remote or the metadata', () => {
+      expect(matchesRules(photo, { ...exif, rating: 4 }, { minRating: '4' })).toBe(true);
+      expect(matchesRules(photo, { ...exif, rating: 3 }, { minRating: '4' })).toBe(false);
+      expect(matchesRules({ ...photo, rating: 5 }, exif, { minRating: '4' })).toBe(true);
+      expect(matchesRules(photo, exif, { minRating: '4' })).toBe(false);
+      expect(matchesRules(photo, exif, { minRating: '' })).toBe(true);
+    });
+
+    it('filters favorites', () => {
+      expect(matchesRules(photo, exif, { favoritesOnly: true })).toBe(true);
+      expect(matchesRules({ ...photo, favorite: false }, exif, { favoritesOnly: true })).toBe(false);
+    });
+
+    it('requires every rule that is set', () => {
+      expect(matchesRules(photo, exif, { camera: 'iPhone', tags: 'sunset' })).toBe(false);
+    });
+  });
+
+  describe('parseTags', () => {
+    it('splits, trims and lower-cases tags', () => {
+      expect(parseTags(' Beach, kids ,,')).toEqual(['beach', 'kids']);
+      expect(parseTags(['A', 'b'])).toEqual(['a', 'b']);
+      expect(parseTags(undefined)).toEqual([]);
+    });
+  });
+
+  // ─── selection ─────────────────────────────────────────────────────────────
+
+  describe('getActivePlaylist', () => {
+    it('finds the selected playlist', () => {
+      const playlist = createPlaylist('Hawaii');
+      expect(getActivePlaylist({ playlists: [playlist], activePlaylist: playlist.id })).toBe(playlist);
+      expect(getActivePlaylist({ playlists: [playlist], activePlaylist: null })).toBeNull();
+      expect(getActivePlaylist({ playlists: [], activePlaylist: playlist.id })).toBeNull();
+    });
+  });
+
+  describe('getPlaylistForColorKey', () => {
+    const config = {
+      playlists: [{ id: 'a', rules: {} }, { id: 'b', rules: {} }],
+      activePlaylist: 'a',
+    };
+
+    it('switches to the playlist for that color', () => {
+      expect(getPlaylistForColorKey(config, 1)).toBe('b');
+    });
+
+    it('goes back to all photos when the playing playlist is pressed again', () => {
+      expect(getPlaylistForColorKey(config, 0)).toBeNull();
+    });
+
+    it('does nothing for colors without a playlist', () => {
+      expect(getPlaylistForColorKey(config, 3)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_TRANSITION_DURATION,
+  getTransition,
+  getTransitionDuration,
+  listTransitions,
+  pickTransition,
+  registerTransition,
+} from '../utils/transitions';
+
+describe('transitions', () => {
+  // ─── registry ──────────────────────────────────────────────────────────────
+
+  describe('registry', () => {
+    it('registers the built-in effects', () => {
+      const ids = listTransitions().map((transition) => transition.id);
+      expect(ids).toEqual(expect.arrayContaining([
+        'fade', 'fade-through-black', 'slide-transition', 'push', 'wipe', 'zoom',
+        'dissolve', 'cube', 'page-curl', 'ken-burns', 'random',
+      ]));
+    });
+
+    it('gives every effect a label, duration and container class', () => {
+      for (const transition of listTransitions()) {
+        expect(transition.label).toBeTruthy();
+        expect(transition.duration).toBeGreaterThan(0);
+        expect(transition.className).toBeTruthy();
+      }
+    });
+
+    it('implements dissolve on a canvas', () => {
+      expect(typeof getTransition('dissolve').canvas).toBe('function');
+    });
+
+    it('returns null for unknown ids', () => {
+      expect(getTransition('spin')).toBeNull();
+    });
+
+    it('replaces a transition registered with the same id', () => {
+      const original = getTransition('wipe');
+      registerTransition({ ...original, duration: 5000 });
+      expect(getTransition('wipe').duration).toBe(5000);
+      registerTransition(original);
+    });
+  });
+
+  // ─── picking ───────────────────────────────────────────────────────────────
+
+  describe('pickTransition', () => {
+    it('returns the configured transition', () => {
+      expect(pickTransition('cube').id).toBe('cube');
+    });
+
+    it('falls back to fade for unknown ids', () => {
+      expect(pickTransition('spin').id).toBe('fade');
+      expect(pickTransition(undefined).id).toBe('fade');
+    });
+
+    it('random picks a concrete transition other than Ken Burns', () => {
+      const picked = new Set();
+      for (let i = 0; i < 20; i++) {
+        picked.add(pickTransition('random', () => i / 20).id);
+      }
+      expect(picked.has('random')).toBe(false);
+      expect(picked.has('ken-burns')).toBe(false);
+      expect(picked.size).toBeGreaterThan(5);
+    });
+  });
+
+  // ─── duration ──────────────────────────────────────────────────────────────
+
+  describe('getTransitionDuration', () => {
+    const fade = { id: 'fade', duration: 1000 };
+
+    it("uses the transition's own duration by default", () => {
+      expect(getTransitionDuration(fade, 0)).toBe(1000);
+      expect(getTransitionDuration(fade, '')).toBe(1000);
+      expect(getTransitionDuration({ id: 'custom' }, 0)).toBe(DEFAULT_TRANSITION_DURATION);
+    });
+
+    it('uses the duration from Settings, in seconds', () => {
+      expect(getTransitionDuration(fade, '2.5')).toBe(2500);
+    });
+
+    it('clamps the configured duration', () => {
+      expect(getTransitionDuration(fade, 0.01)).toBe(200);
+      expect(getTransitionDuration(fade, 99)).toBe(10000);
+    });
+  });
+
+  // ─── canvas ────────────────────────────────────────────────────────────────
+
+  describe('dissolve', () => {
+    it('draws every block exactly once by the end', () => {
+      const context = { canvas: { width: 48, height: 48 }, drawImage: vi.fn() };
+      const draw = getTransition('dissolve').canvas(context, {});
+
+      draw(0);
+      expect(context.drawImage).not.toHaveBeenCalled();
+      draw(0.5);
+      expect(context.drawImage).toHaveBeenCalledTimes(2);
+      draw(1);
+      draw(1);
+      expect(context.drawImage).toHaveBeenCalledTimes(4);
+
+      const origins = context.drawImage.mock.calls.map(([, x, y]) => `${x},${y}`);
+      expect(new Set(origins)).toEqual(new Set(['0,0', '24,0', '0,24', '24,24']));
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect, vi } from 'vitest';
 import { renderHook } from '@testing-library/react';
-import { useKeyboardNavigation } from '../hooks/useKeyboardNavigation';
+import { useKeyboardNavigation, useTizenKeys } from '../hooks/useKeyboardNavigation';
 
 // Dispatch a keydown event on window and return it (so callers can assert
 // preventDefault was/wasn't called if needed).
@@ -94,6 +94,47 @@ describe('useKeyboardNavigation', () => {
     unmount();
   });
 
+  // ─── onColorKey ──────────────────────────────────────────────────────────
+
+  it('calls onColorKey with the button index for color key names', () => {
+    const onColorKey = vi.fn();
+    const { unmount } = renderHook(() => useKeyboardNavigation({ onColorKey }));
+    fireKey('ColorF0Red');
+    fireKey('ColorF3Blue');
+    expect(onColorKey.mock.calls).toEqual([[0], [3]]);
+    unmount();
+  });
+
+  it('calls onColorKey for remote keyCodes 403–406', () => {
+    const onColorKey = vi.fn();
+    const { unmount } = renderHook(() => useKeyboardNavigation({ onColorKey }));
+    fireKey('Unidentified', { keyCode: 404 });
+    fireKey('Unidentified', { keyCode: 405 });
+    expect(onColorKey.mock.calls).toEqual([[1], [2]]);
+    unmount();
+  });
+
+  it('registers the color keys on Tizen', () => {
+    const registerKey = vi.fn();
+    window.tizen = { tvinputdevice: { registerKey } };
+    const { unmount } = renderHook(() => useKeyboardNavigation({ onColorKey: vi.fn() }));
+    expect(registerKey).toHaveBeenCalledWith('ColorF0Red');
+    expect(registerKey).toHaveBeenCalledTimes(4);
+    unmount();
+    delete window.tizen;
+  });
+
+  it('registers other keys on request, and none when disabled', () => {
+    const registerKey = vi.fn();
+    window.tizen = { tvinputdevice: { registerKey } };
+    renderHook(() => useTizenKeys(['1', '2'], false)).unmount();
+    expect(registerKey).not.toHaveBeenCalled();
+
+    renderHook(() => useTizenKeys(['1', '2'])).unmount();
+    expect(registerKey.mock.calls).toEqual([['1'], ['2']]);
+    delete window.tizen;
+  });
+
   // ─── no spurious calls ───────────────────────────────────────────────────
 
   it('does not fire any callback for unrelated keys', () => {
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { fetchWeather, parseWeather } from '../services/weatherService';
+
+const respond = (body, ok = true, status = 200) => {
+  global.fetch = vi.fn().mockResolvedValue({ ok, status, json: () => Promise.resolve(body) });
+};
+
+describe('weatherService', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // ─── parseWeather ──────────────────────────────────────────────────────────
+
+  describe('parseWeather', () => {
+    it('reads the app format', () => {
+      expect(parseWeather({ temperature: '21.4', unit: '°C', condition: 'Sunny', icon: '☀️', high: 24, low: 15 }))
+        .toEqual({ temperature: 21.4, unit: '°C', condition: 'Sunny', icon: '☀️', high: 24, low: 15, location: null });
+    });
+
+    it('reads an Open-Meteo forecast', () => {
+      const weather = parseWeather({
+        current_weather: { temperature: 18.2, weathercode: 2 },
+        current_weather_units: { temperature: '°F' },
+        daily: { temperature_2m_max: [22], temperature_2m_min: [12] },
+      });
+      expect(weather).toMatchObject({ temperature: 18.2, unit: '°F', condition: 'Partly cloudy', high: 22, low: 12 });
+    });
+
+    it('rejects responses without a temperature', () => {
+      expect(parseWeather({ condition: 'Sunny' })).toBeNull();
+      expect(parseWeather(null)).toBeNull();
+    });
+  });
+
+  // ─── fetchWeather ──────────────────────────────────────────────────────────
+
+  describe('fetchWeather', () => {
+    it('fetches and parses the endpoint', async () => {
+      respond({ temperature: 20 });
+      await expect(fetchWeather('http://localhost:8080/weather.json')).resolves.toMatchObject({ temperature: 20 });
+      expect(global.fetch).toHaveBeenCalledWith('http://localhost:8080/weather.json', expect.objectContaining({
+        signal: expect.any(AbortSignal),
+      }));
+    });
+
+    it('throws on HTTP errors and unusable responses', async () => {
+      respond({}, false, 503);
+      await expect(fetchWeather('http://localhost/weather')).rejects.toThrow('503');
+
+      respond({ hello: 'world' });
+      await expect(fetchWeather('http://localhost/weather')).rejects.toThrow('no temperature');
+    });
+  });
+});
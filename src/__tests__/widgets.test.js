@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_WIDGETS,
+  formatClock,
+  formatCountdown,
+  formatToday,
+  getOccupiedPositions,
+  getWidgetConfig,
+  layoutWidgets,
+  resolveWidgetPosition,
+} from '../utils/widgets';
+
+const exif = (position, style) => ({ enabled: true, position, style });
+
+describe('widgets', () => {
+  // ─── layout ────────────────────────────────────────────────────────────────
+
+  describe('getOccupiedPositions', () => {
+    it('covers the whole edge for full-width EXIF styles', () => {
+      expect(getOccupiedPositions(exif('bottom-left', 'style-modern-blur')))
+        .toEqual(['bottom-left', 'bottom-center', 'bottom-right']);
+      expect(getOccupiedPositions(exif('top-right', 'style-film-strip')))
+        .toEqual(['top-left', 'top-center', 'top-right']);
+    });
+
+    it('covers one corner for boxed EXIF styles', () => {
+      expect(getOccupiedPositions(exif('bottom-right', 'style-rounded-box'))).toEqual(['bottom-right']);
+    });
+
+    it('covers the corners of both halves while a portrait pair is showing', () => {
+      expect(getOccupiedPositions(exif('bottom-left', 'style-rounded-box'), { paired: true }))
+        .toEqual(['bottom-left', 'bottom-center']);
+      expect(getOccupiedPositions(exif('top-right', 'style-corner-tag'), { paired: true }))
+        .toEqual(['top-center', 'top-right']);
+      expect(getOccupiedPositions(exif('top-left', 'style-minimal'), { paired: true }))
+        .toEqual(['top-left', 'top-center', 'top-right']);
+    });
+
+    it('covers nothing when the EXIF overlay is off', () => {
+      expect(getOccupiedPositions({ ...exif('bottom-left', 'style-minimal'), enabled: false })).toEqual([]);
+      expect(getOccupiedPositions(undefined)).toEqual([]);
+    });
+  });
+
+  describe('resolveWidgetPosition', () => {
+    it('moves a widget off the EXIF overlay to the other edge', () => {
+      expect(resolveWidgetPosition('bottom-right', ['bottom-right'])).toBe('top-right');
+      expect(resolveWidgetPosition('bottom-center', ['bottom-left', 'bottom-center', 'bottom-right'])).toBe('top-center');
+      expect(resolveWidgetPosition('top-left', ['bottom-left'])).toBe('top-left');
+    });
+  });
+
+  describe('layoutWidgets', () => {
+    it('stacks enabled widgets by position, avoiding the EXIF overlay', () => {
+      const config = {
+        exifDisplay: exif('bottom-left', 'style-corner-tag'),
+        widgets: {
+          clock: { enabled: true, position: 'top-right' },
+          date: { enabled: true, position: 'top-right' },
+          countdown: { enabled: false },
+          weather: { enabled: true, position: 'bottom-left' },
+        },
+      };
+
+      expect(layoutWidgets(config).map(({ position, widgets }) => [position, widgets.map((w) => w.id)]))
+        .toEqual([['top-right', ['clock', 'date']], ['top-left', ['weather']]]);
+    });
+
+    it('moves widgets off the right half\'s caption of a portrait pair', () => {
+      const config = {
+        exifDisplay: exif('bottom-left', 'style-corner-tag'),
+        widgets: { clock: { enabled: true, position: 'bottom-center' } },
+      };
+
+      expect(layoutWidgets(config)[0].position).toBe('bottom-center');
+      expect(layoutWidgets(config, { paired: true })[0].position).toBe('top-center');
+    });
+
+    it('shows nothing by default', () => {
+      expect(layoutWidgets({ exifDisplay: exif('bottom-left') })).toEqual([]);
+    });
+  });
+
+  describe('getWidgetConfig', () => {
+    it('fills in defaults for settings saved before a widget existed', () => {
+      expect(getWidgetConfig({}, 'weather')).toEqual(DEFAULT_WIDGETS.weather);
+      expect(getWidgetConfig({ widgets: { clock: { enabled: true } } }, 'clock'))
+        .toMatchObject({ enabled: true, position: 'top-right' });
+    });
+  });
+
+  // ─── text ──────────────────────────────────────────────────────────────────
+
+  describe('formatClock / formatToday', () => {
+    const evening = new Date(2024, 6, 4, 19, 5);
+
+    it('formats 12- and 24-hour time', () => {
+      expect(formatClock(evening)).toBe('7:05 PM');
+      expect(formatClock(evening, true)).toBe('19:05');
+    });
+
+    it('formats the date', () => {
+      expect(formatToday(evening)).toBe('Thursday, July 4');
+    });
+  });
+
+  describe('formatCountdown', () => {
+    const now = new Date(2024, 6, 4, 22, 0);
+
+    it('counts whole days to the event', () => {
+      expect(formatCountdown('2024-07-16', 'Hawaii', now)).toBe('12 days until Hawaii');
+      expect(formatCountdown('2024-07-05', 'Hawaii', now)).toBe('Tomorrow: Hawaii');
+      expect(formatCountdown('2024-07-04', 'Hawaii', now)).toBe('Hawaii is today!');
+    });
+
+    it('hides once the event has passed or without a date', () => {
+      expect(formatCountdown('2024-07-03', 'Hawaii', now)).toBeNull();
+      expect(formatCountdown('', 'Hawaii', now)).toBeNull();
+    });
+  });
+});
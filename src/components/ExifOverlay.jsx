@@ -83,8 +83,13 @@ function ExifOverlay({ exifData, config }) {
     ? formatCameraInfo()
     : null;
 
+  // A caption (from the manifest or the photo's XMP/IPTC), else its title
+  const caption = config.showCaption !== false
+    ? exifData.caption || exifData.title || null
+    : null;
+
   // Don't render if no data to show
-  if (!dateTime && !locationName && !cameraInfo) {
+  if (!caption && !dateTime && !locationName && !cameraInfo) {
     return null;
   }
 
@@ -93,6 +98,13 @@ function ExifOverlay({ exifData, config }) {
       className={`exif-overlay ${config.style || 'style-modern-blur'} ${config.position} ${isVisible ? 'visible' : 'hidden'}`}
     >
       <div className="exif-content">
+        {caption && (
+          <div className="exif-item caption">
+            <span className="exif-icon">💬</span>
+            <span className="exif-text">{caption}</span>
+          </div>
+        )}
+
         {dateTime && (
           <div className="exif-item">
             <span className="exif-icon">📅</span>
@@ -0,0 +1,104 @@
+import React from 'react';
+import { getGeocoder } from '../utils/geocoding';
+
+/**
+ * Settings editor for the geocoder chain (config.geocoders)
+ * Geocoders are tried top to bottom; the first answer wins
+ */
+function GeocoderEditor({ geocoders = [], onChange }) {
+  const updateGeocoder = (id, changes) => {
+    onChange(geocoders.map(settings => (settings.id === id ? { ...settings, ...changes } : settings)));
+  };
+
+  const moveGeocoder = (index, offset) => {
+    const moved = [...geocoders];
+    [moved[index], moved[index + offset]] = [moved[index + offset], moved[index]];
+    onChange(moved);
+  };
+
+  const renderNumber = (settings, name, label, min, max) => (
+    <div className="playlist-rule">
+      <span>{label}</span>
+      <input
+        type="number"
+        className="focusable"
+        min={min}
+        max={max}
+        value={settings[name] ?? ''}
+        onChange={(e) => updateGeocoder(settings.id, { [name]: e.target.value })}
+      />
+    </div>
+  );
+
+  return (
+    <div className="playlist-editor">
+      {geocoders.map((settings, index) => {
+        const geocoder = getGeocoder(settings.id);
+        return (
+          <div key={settings.id} className="playlist">
+            <div className="playlist-header">
+              <label
+                className="checkbox-label album-option focusable"
+                tabIndex={0}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    updateGeocoder(settings.id, { enabled: !settings.enabled });
+                  }
+                }}
+              >
+                <span className="album-name">{geocoder.label}</span>
+                <input
+                  type="checkbox"
+                  checked={settings.enabled}
+                  onChange={(e) => updateGeocoder(settings.id, { enabled: e.target.checked })}
+                  tabIndex={-1}
+                />
+                <span className="checkbox-custom"></span>
+              </label>
+              <div className="schedule-days">
+                <button
+                  type="button"
+                  className="btn btn-secondary focusable"
+                  disabled={index === 0}
+                  onClick={() => moveGeocoder(index, -1)}
+                >
+                  Earlier
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary focusable"
+                  disabled={index === geocoders.length - 1}
+                  onClick={() => moveGeocoder(index, 1)}
+                >
+                  Later
+                </button>
+              </div>
+            </div>
+
+            {settings.enabled && (
+              <div className="playlist-rules">
+                {'url' in geocoder.defaults && (
+                  <div className="playlist-rule">
+                    <span>URL ({'{lat}'}, {'{lon}'}, {'{radius}'})</span>
+                    <input
+                      type="text"
+                      className="focusable"
+                      value={settings.url ?? ''}
+                      placeholder="https://example.com/reverse?lat={lat}&lon={lon}"
+                      onChange={(e) => updateGeocoder(settings.id, { url: e.target.value })}
+                    />
+                  </div>
+                )}
+                {'timeout' in geocoder.defaults && renderNumber(settings, 'timeout', 'Timeout (seconds)', 1, 60)}
+                {'radius' in geocoder.defaults && renderNumber(settings, 'radius', 'Radius (metres)', 1, 100000)}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default GeocoderEditor;
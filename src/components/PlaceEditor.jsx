@@ -0,0 +1,76 @@
+import React from 'react';
+import { createPlace, MAX_PLACE_RADIUS } from '../utils/geocoding/places';
+
+/**
+ * Settings editor for named places (config.places)
+ * Photos inside a place are named after it instead of the geocoders' answer
+ */
+function PlaceEditor({ places = [], onChange }) {
+  const updatePlace = (id, changes) => {
+    onChange(places.map(place => (place.id === id ? { ...place, ...changes } : place)));
+  };
+
+  const addPlace = () => {
+    onChange([...places, createPlace()]);
+  };
+
+  const removePlace = (id) => {
+    onChange(places.filter(place => place.id !== id));
+  };
+
+  const renderNumber = (place, name, label, min, max, step) => (
+    <div className="playlist-rule">
+      <span>{label}</span>
+      <input
+        type="number"
+        className="focusable"
+        min={min}
+        max={max}
+        step={step}
+        value={place[name] ?? ''}
+        onChange={(e) => updatePlace(place.id, { [name]: e.target.value })}
+      />
+    </div>
+  );
+
+  return (
+    <div className="playlist-editor">
+      {places.length === 0 && (
+        <p className="albums-status">No places yet: hold Up on the remote to save the location of the photo on screen</p>
+      )}
+
+      {places.map(place => (
+        <div key={place.id} className="playlist">
+          <div className="playlist-header">
+            <input
+              type="text"
+              className="focusable playlist-name"
+              value={place.name}
+              onChange={(e) => updatePlace(place.id, { name: e.target.value })}
+              placeholder="Place name"
+            />
+            <button
+              type="button"
+              className="btn btn-secondary focusable"
+              onClick={() => removePlace(place.id)}
+            >
+              Remove
+            </button>
+          </div>
+
+          <div className="playlist-rules">
+            {renderNumber(place, 'latitude', 'Latitude', -90, 90, 'any')}
+            {renderNumber(place, 'longitude', 'Longitude', -180, 180, 'any')}
+            {renderNumber(place, 'radius', 'Radius (metres)', 1, MAX_PLACE_RADIUS)}
+          </div>
+        </div>
+      ))}
+
+      <button type="button" className="btn btn-secondary focusable" onClick={addPlace}>
+        Add Place
+      </button>
+    </div>
+  );
+}
+
+export default PlaceEditor;
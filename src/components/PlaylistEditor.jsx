@@ -0,0 +1,128 @@
+import React from 'react';
+import { createPlaylist, PLAYLIST_COLORS } from '../utils/smartPlaylists';
+
+// Rule inputs, in the order they're shown
+const RULE_FIELDS = [
+  { rule: 'dateFrom', label: 'Taken From', type: 'date' },
+  { rule: 'dateTo', label: 'Taken Until', type: 'date' },
+  { rule: 'latitude', label: 'Near Latitude', type: 'number', step: 'any' },
+  { rule: 'longitude', label: 'Near Longitude', type: 'number', step: 'any' },
+  { rule: 'radiusKm', label: 'Within (km)', type: 'number', min: 0 },
+  { rule: 'camera', label: 'Camera Make or Model', type: 'text' },
+  { rule: 'albumPrefix', label: 'Album or Folder Prefix', type: 'text' },
+  { rule: 'tags', label: 'Tags or Keywords (comma-separated)', type: 'text' },
+  { rule: 'minRating', label: 'Rated at Least (stars)', type: 'number', min: 1, max: 5 },
+  { rule: 'favoritesOnly', label: 'Favorites Only', type: 'checkbox' }
+];
+
+/**
+ * Settings editor for smart playlists
+ * Blank rules are ignored; the first four playlists get a color button
+ */
+function PlaylistEditor({ playlists = [], onChange }) {
+  const updatePlaylist = (id, changes) => {
+    onChange(playlists.map(playlist => (playlist.id === id ? { ...playlist, ...changes } : playlist)));
+  };
+
+  const updateRule = (playlist, rule, value) => {
+    updatePlaylist(playlist.id, { rules: { ...playlist.rules, [rule]: value } });
+  };
+
+  const addPlaylist = () => {
+    onChange([...playlists, createPlaylist(`Playlist ${playlists.length + 1}`)]);
+  };
+
+  const removePlaylist = (id) => {
+    onChange(playlists.filter(playlist => playlist.id !== id));
+  };
+
+  const renderRule = (playlist, field) => {
+    const value = playlist.rules?.[field.rule];
+
+    if (field.type === 'checkbox') {
+      return (
+        <label
+          className="checkbox-label focusable"
+          tabIndex={0}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+              e.preventDefault();
+              updateRule(playlist, field.rule, !value);
+            }
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={value || false}
+            onChange={(e) => updateRule(playlist, field.rule, e.target.checked)}
+            tabIndex={-1}
+          />
+          <span className="checkbox-custom"></span>
+        </label>
+      );
+    }
+
+    return (
+      <input
+        type={field.type}
+        className="focusable"
+        value={value ?? ''}
+        min={field.min}
+        max={field.max}
+        step={field.step}
+        onChange={(e) => updateRule(playlist, field.rule, e.target.value)}
+        placeholder={field.label}
+      />
+    );
+  };
+
+  return (
+    <div className="playlist-editor">
+      {playlists.length === 0 && (
+        <p className="albums-status">No playlists yet: add one to play a subset of photos</p>
+      )}
+
+      {playlists.map((playlist, index) => (
+        <div key={playlist.id} className="playlist">
+          <div className="playlist-header">
+            {index < PLAYLIST_COLORS.length && (
+              <span
+                className={`color-key color-${PLAYLIST_COLORS[index]}`}
+                title={`${PLAYLIST_COLORS[index]} button`}
+              />
+            )}
+            <input
+              type="text"
+              className="focusable playlist-name"
+              value={playlist.name}
+              onChange={(e) => updatePlaylist(playlist.id, { name: e.target.value })}
+              placeholder="Playlist name"
+            />
+            <button
+              type="button"
+              className="btn btn-secondary focusable"
+              onClick={() => removePlaylist(playlist.id)}
+            >
+              Remove
+            </button>
+          </div>
+
+          <div className="playlist-rules">
+            {RULE_FIELDS.map(field => (
+              <div key={field.rule} className="playlist-rule">
+                <span>{field.label}</span>
+                {renderRule(playlist, field)}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <button type="button" className="btn btn-secondary focusable" onClick={addPlaylist}>
+        Add Playlist
+      </button>
+    </div>
+  );
+}
+
+export default PlaylistEditor;
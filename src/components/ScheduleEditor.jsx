@@ -0,0 +1,156 @@
+import React from 'react';
+import { createScheduleEntry, SCHEDULE_ACTIONS, SUN_EVENTS } from '../utils/schedule';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const ACTION_NAMES = {
+  blank: 'Blank Screen',
+  dim: 'Dim Screen',
+  playlist: 'Play Playlist'
+};
+
+/**
+ * Settings editor for the weekly schedule
+ * No days selected means every day
+ */
+function ScheduleEditor({ schedule = [], playlists = [], onChange }) {
+  const updateEntry = (id, changes) => {
+    onChange(schedule.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  };
+
+  const toggleDay = (entry, day) => {
+    const days = entry.days || [];
+    updateEntry(entry.id, {
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort((a, b) => a - b)
+    });
+  };
+
+  const addEntry = () => {
+    onChange([...schedule, createScheduleEntry()]);
+  };
+
+  const removeEntry = (id) => {
+    onChange(schedule.filter(entry => entry.id !== id));
+  };
+
+  // A time, or sunrise/sunset at the home location
+  const renderTime = (entry, name) => {
+    const value = entry[name];
+    const isSunEvent = SUN_EVENTS.includes(value);
+
+    return (
+      <div className="schedule-time">
+        <select
+          className="focusable"
+          value={isSunEvent ? value : 'time'}
+          onChange={(e) => updateEntry(entry.id, {
+            [name]: e.target.value === 'time' ? '12:00' : e.target.value
+          })}
+        >
+          <option value="time">Time</option>
+          <option value="sunrise">Sunrise</option>
+          <option value="sunset">Sunset</option>
+        </select>
+        {!isSunEvent && (
+          <input
+            type="time"
+            className="focusable"
+            value={value ?? ''}
+            onChange={(e) => updateEntry(entry.id, { [name]: e.target.value })}
+          />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="playlist-editor">
+      {schedule.length === 0 && (
+        <p className="albums-status">Nothing scheduled: the slideshow plays around the clock</p>
+      )}
+
+      {schedule.map(entry => (
+        <div key={entry.id} className="playlist">
+          <div className="playlist-header">
+            <div className="schedule-days">
+              {DAY_NAMES.map((name, day) => (
+                <button
+                  key={name}
+                  type="button"
+                  className={`schedule-day focusable ${entry.days?.includes(day) ? 'selected' : ''}`}
+                  onClick={() => toggleDay(entry, day)}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+            <button
+              type="button"
+              className="btn btn-secondary focusable"
+              onClick={() => removeEntry(entry.id)}
+            >
+              Remove
+            </button>
+          </div>
+
+          <div className="playlist-rules">
+            <div className="playlist-rule">
+              <span>From</span>
+              {renderTime(entry, 'start')}
+            </div>
+            <div className="playlist-rule">
+              <span>Until</span>
+              {renderTime(entry, 'end')}
+            </div>
+            <div className="playlist-rule">
+              <span>Action</span>
+              <select
+                className="focusable"
+                value={entry.action}
+                onChange={(e) => updateEntry(entry.id, { action: e.target.value })}
+              >
+                {SCHEDULE_ACTIONS.map(action => (
+                  <option key={action} value={action}>{ACTION_NAMES[action]}</option>
+                ))}
+              </select>
+            </div>
+            {entry.action === 'dim' && (
+              <div className="playlist-rule">
+                <span>Brightness (%)</span>
+                <input
+                  type="number"
+                  className="focusable"
+                  min={0}
+                  max={100}
+                  value={entry.brightness ?? ''}
+                  onChange={(e) => updateEntry(entry.id, { brightness: e.target.value })}
+                />
+              </div>
+            )}
+            {entry.action === 'playlist' && (
+              <div className="playlist-rule">
+                <span>Playlist</span>
+                <select
+                  className="focusable"
+                  value={entry.playlistId || ''}
+                  onChange={(e) => updateEntry(entry.id, { playlistId: e.target.value })}
+                >
+                  <option value="">Choose a playlist</option>
+                  {playlists.map(playlist => (
+                    <option key={playlist.id} value={playlist.id}>{playlist.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+
+      <button type="button" className="btn btn-secondary focusable" onClick={addEntry}>
+        Add to Schedule
+      </button>
+    </div>
+  );
+}
+
+export default ScheduleEditor;
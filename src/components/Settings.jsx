@@ -1,26 +1,110 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { listProviders, getProvider } from '../services/providers';
+import { getCacheStats, clearCaches, formatBytes } from '../services/cacheService';
+import { exportLocationCache, importLocationCache } from '../services/locationCache';
+import { exportConfig, importConfig, validateConfig } from '../services/configService';
+import { DISPLAY_MODES } from '../utils/displayModes';
+import { PLAYBACK_MODES, TOP_RATED_MIN } from '../services/playlistService';
+import { ORDER_MODES } from '../utils/photoOrder';
+import PlaylistEditor from './PlaylistEditor';
+import ScheduleEditor from './ScheduleEditor';
+import GeocoderEditor from './GeocoderEditor';
+import PlaceEditor from './PlaceEditor';
+import { listTransitions, getTransition, MAX_TRANSITION_SECONDS } from '../utils/transitions';
+import { OVERLAY_POSITIONS, OVERLAY_STYLES } from '../utils/widgets';
+import { getGeocoderChain } from '../utils/geocoding';
+import { isValidPlace, MAX_PLACE_RADIUS } from '../utils/geocoding/places';
 import './Settings.css';
 
 function Settings({ config, onSave, onCancel }) {
   const [formData, setFormData] = useState(config);
   const [focusedElement, setFocusedElement] = useState(0);
+  const [albums, setAlbums] = useState([]);
+  const [albumsStatus, setAlbumsStatus] = useState('idle');
+  const [cacheStats, setCacheStats] = useState(null);
+  const [locationCacheStatus, setLocationCacheStatus] = useState(null);
+  const [backupStatus, setBackupStatus] = useState(null);
   const formRef = useRef(null);
+  const locationFileRef = useRef(null);
+  const configFileRef = useRef(null);
 
   const fields = [
-    { name: 's3Bucket', label: 'S3 Bucket Name', type: 'text', required: true },
-    { name: 's3Region', label: 'S3 Region', type: 'text', required: true },
-    { name: 's3Prefix', label: 'S3 Folder Prefix (optional)', type: 'text' },
-    { name: 'displayDuration', label: 'Display Duration (seconds)', type: 'number', min: 3, max: 300 },
-    { name: 'transitionEffect', label: 'Transition Effect', type: 'select', options: ['fade', 'slide-transition', 'zoom'] },
-    { name: 'shuffleMode', label: 'Shuffle Photos', type: 'checkbox' },
-    { name: 'exifDisplay.enabled', label: 'Show EXIF Data', type: 'checkbox' },
-    { name: 'exifDisplay.showDateTime', label: 'Show Date/Time', type: 'checkbox' },
-    { name: 'exifDisplay.showLocation', label: 'Show Location', type: 'checkbox' },
-    { name: 'exifDisplay.showCameraInfo', label: 'Show Camera Info', type: 'checkbox' },
-    { name: 'exifDisplay.position', label: 'EXIF Position', type: 'select', options: ['bottom-left', 'bottom-right', 'top-left', 'top-right', 'bottom-center'] },
-    { name: 'exifDisplay.style', label: 'EXIF Style', type: 'select', options: ['style-modern-blur', 'style-minimal', 'style-rounded-box', 'style-film-strip', 'style-corner-tag'] },
-    { name: 'exifDisplay.autoHide', label: 'Auto-hide EXIF', type: 'checkbox' },
-    { name: 'exifDisplay.autoHideDelay', label: 'Auto-hide Delay (seconds)', type: 'number', min: 1, max: 60 }
+    { name: 'photoSource', label: 'Photo Source', type: 'select', options: listProviders().map(provider => provider.id), section: 'source' },
+    { name: 's3Bucket', label: 'S3 Bucket Name', type: 'text', required: true, section: 'source', source: 's3' },
+    { name: 's3Region', label: 'S3 Region', type: 'text', required: true, section: 'source', source: 's3' },
+    { name: 's3Prefix', label: 'S3 Folder Prefix (optional)', type: 'text', section: 'source', source: 's3' },
+    { name: 's3Endpoint', label: 'Custom S3 Endpoint (optional)', type: 'text', section: 'source', source: 's3' },
+    { name: 's3AddressingStyle', label: 'S3 Addressing Style', type: 'select', options: ['auto', 'path', 'virtual-hosted'], section: 'source', source: 's3' },
+    { name: 's3Albums', label: 'Albums', type: 'albums', section: 'source', source: 's3' },
+    { name: 'manifestUrl', label: 'Manifest URL', type: 'text', required: true, section: 'source', source: 'manifest' },
+    { name: 'webdavUrl', label: 'WebDAV Folder URL', type: 'text', required: true, section: 'source', source: 'webdav' },
+    { name: 'webdavUsername', label: 'WebDAV Username (optional)', type: 'text', section: 'source', source: 'webdav' },
+    { name: 'webdavPassword', label: 'WebDAV Password (optional)', type: 'password', section: 'source', source: 'webdav' },
+    { name: 'staticPath', label: 'Photos Folder Path', type: 'text', section: 'source', source: 'static' },
+    { name: 'saveMarksToSource', label: 'Save Favorites, Hidden Photos and Ratings to the Source (S3 or manifest)', type: 'checkbox', section: 'source' },
+    { name: 'displayDuration', label: 'Display Duration (seconds)', type: 'number', min: 3, max: 300, section: 'slideshow' },
+    { name: 'transitionEffect', label: 'Transition Effect', type: 'select', options: listTransitions().map(transition => transition.id), section: 'slideshow' },
+    { name: 'transitionDuration', label: 'Transition Duration (seconds, 0 = effect default)', type: 'number', min: 0, max: MAX_TRANSITION_SECONDS, step: 0.1, section: 'slideshow' },
+    { name: 'displayMode', label: 'Display Mode', type: 'select', options: DISPLAY_MODES, section: 'slideshow' },
+    { name: 'smartCoverThreshold', label: 'Smart Cover Max Crop (%)', type: 'number', min: 0, max: 50, section: 'slideshow' },
+    { name: 'playbackMode', label: 'Play', type: 'select', options: PLAYBACK_MODES, section: 'slideshow' },
+    { name: 'orderMode', label: 'Order', type: 'select', options: ORDER_MODES, section: 'slideshow' },
+    { name: 'shuffleMode', label: 'Shuffle Photos', type: 'checkbox', section: 'slideshow' },
+    { name: 'pairPortraits', label: 'Pair Portrait Photos', type: 'checkbox', section: 'slideshow' },
+    { name: 'refreshInterval', label: 'Check for New Photos (minutes, 0 = never)', type: 'number', min: 0, max: 1440, section: 'slideshow' },
+    { name: 'exifDisplay.enabled', label: 'Show EXIF Data', type: 'checkbox', section: 'exif' },
+    { name: 'exifDisplay.showCaption', label: 'Show Caption or Title', type: 'checkbox', section: 'exif' },
+    { name: 'exifDisplay.showDateTime', label: 'Show Date/Time', type: 'checkbox', section: 'exif' },
+    { name: 'exifDisplay.showLocation', label: 'Show Location', type: 'checkbox', section: 'exif' },
+    { name: 'geocoders', label: 'Place Names (tried top to bottom; online services are rate-limited)', type: 'geocoders', section: 'exif' },
+    { name: 'places', label: 'Places (named instead of looked up; the smallest containing circle wins)', type: 'places', section: 'exif' },
+    { name: 'exifDisplay.showCameraInfo', label: 'Show Camera Info', type: 'checkbox', section: 'exif' },
+    { name: 'exifDisplay.position', label: 'EXIF Position', type: 'select', options: OVERLAY_POSITIONS, section: 'exif' },
+    { name: 'exifDisplay.style', label: 'EXIF Style', type: 'select', options: OVERLAY_STYLES, section: 'exif' },
+    { name: 'exifDisplay.autoHide', label: 'Auto-hide EXIF', type: 'checkbox', section: 'exif' },
+    { name: 'exifDisplay.autoHideDelay', label: 'Auto-hide Delay (seconds)', type: 'number', min: 1, max: 60, section: 'exif' },
+    { name: 'widgets.clock.enabled', label: 'Show Clock', type: 'checkbox', section: 'widgets' },
+    { name: 'widgets.clock.use24Hour', label: '24-Hour Clock', type: 'checkbox', section: 'widgets' },
+    { name: 'widgets.clock.position', label: 'Clock Position', type: 'select', options: OVERLAY_POSITIONS, section: 'widgets' },
+    { name: 'widgets.clock.style', label: 'Clock Style', type: 'select', options: OVERLAY_STYLES, section: 'widgets' },
+    { name: 'widgets.date.enabled', label: 'Show Date', type: 'checkbox', section: 'widgets' },
+    { name: 'widgets.date.position', label: 'Date Position', type: 'select', options: OVERLAY_POSITIONS, section: 'widgets' },
+    { name: 'widgets.date.style', label: 'Date Style', type: 'select', options: OVERLAY_STYLES, section: 'widgets' },
+    { name: 'widgets.countdown.enabled', label: 'Show Countdown', type: 'checkbox', section: 'widgets' },
+    { name: 'widgets.countdown.label', label: 'Countdown To (event name)', type: 'text', section: 'widgets' },
+    { name: 'widgets.countdown.date', label: 'Countdown Date', type: 'date', section: 'widgets' },
+    { name: 'widgets.countdown.position', label: 'Countdown Position', type: 'select', options: OVERLAY_POSITIONS, section: 'widgets' },
+    { name: 'widgets.countdown.style', label: 'Countdown Style', type: 'select', options: OVERLAY_STYLES, section: 'widgets' },
+    { name: 'widgets.weather.enabled', label: 'Show Weather', type: 'checkbox', section: 'widgets' },
+    { name: 'widgets.weather.url', label: 'Weather URL (JSON endpoint)', type: 'text', section: 'widgets' },
+    { name: 'widgets.weather.refreshMinutes', label: 'Weather Refresh (minutes)', type: 'number', min: 5, max: 1440, section: 'widgets' },
+    { name: 'widgets.weather.position', label: 'Weather Position', type: 'select', options: OVERLAY_POSITIONS, section: 'widgets' },
+    { name: 'widgets.weather.style', label: 'Weather Style', type: 'select', options: OVERLAY_STYLES, section: 'widgets' },
+    { name: 'activePlaylist', label: 'Now Playing', type: 'select', options: ['', ...(formData.playlists || []).map(playlist => playlist.id)], section: 'playlists' },
+    { name: 'playlists', label: 'Playlists (red, green, yellow and blue buttons switch the first four)', type: 'playlists', section: 'playlists' },
+    { name: 'homeLatitude', label: 'Home Latitude (for sunrise and sunset)', type: 'number', min: -90, max: 90, step: 'any', section: 'schedule' },
+    { name: 'homeLongitude', label: 'Home Longitude', type: 'number', min: -180, max: 180, step: 'any', section: 'schedule' },
+    { name: 'schedule', label: 'Weekly Schedule (Down arrow on the remote sets a sleep timer)', type: 'schedule', section: 'schedule' },
+    { name: 'photoCacheLimit', label: 'Photos to Keep Offline', type: 'number', min: 10, max: 5000, section: 'cache' },
+    { name: 'cacheStatus', label: 'Cached Now', type: 'cacheStatus', section: 'cache' },
+    { name: 'locationCache', label: 'Place Names (share between TVs, or load the photo uploader\'s)', type: 'locationCache', section: 'cache' },
+    { name: 'backup', label: 'Settings File (share settings and places between TVs)', type: 'backup', section: 'backup' }
+  ];
+
+  // Only show the settings for the selected photo source
+  const visibleFields = fields.filter(field =>
+    !field.source || field.source === (formData.photoSource || 's3')
+  );
+
+  const sections = [
+    { id: 'source', title: 'Photo Source' },
+    { id: 'slideshow', title: 'Slideshow' },
+    { id: 'playlists', title: 'Smart Playlists' },
+    { id: 'schedule', title: 'Schedule' },
+    { id: 'exif', title: 'EXIF Display' },
+    { id: 'widgets', title: 'Widgets' },
+    { id: 'cache', title: 'Offline Cache' },
+    { id: 'backup', title: 'Backup' }
   ];
 
   useEffect(() => {
@@ -33,6 +117,104 @@ function Settings({ config, onSave, onCancel }) {
     }
   }, []);
 
+  const refreshCacheStats = () => {
+    getCacheStats()
+      .then(setCacheStats)
+      .catch(err => console.warn('Could not read cache size:', err));
+  };
+
+  useEffect(() => {
+    refreshCacheStats();
+  }, []);
+
+  const handleClearCache = async () => {
+    await clearCaches();
+    refreshCacheStats();
+  };
+
+  const handleExportLocations = async () => {
+    try {
+      await exportLocationCache();
+    } catch (err) {
+      setLocationCacheStatus(`Could not export place names: ${err.message}`);
+    }
+  };
+
+  const handleImportLocations = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = await importLocationCache(file);
+      setLocationCacheStatus(`Imported ${count.toLocaleString()} place names`);
+      refreshCacheStats();
+    } catch (err) {
+      setLocationCacheStatus(`Could not import place names: ${err.message}`);
+    }
+  };
+
+  const handleImportSettings = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await importConfig(file);
+      if (!validateConfig(imported)) {
+        throw new Error('Invalid configuration file');
+      }
+      setFormData(prev => ({ ...prev, ...imported }));
+      setBackupStatus('Imported: review and save to apply');
+    } catch (err) {
+      setBackupStatus(`Could not import settings: ${err.message}`);
+    }
+  };
+
+  // Discover albums (sub-folders) for the source being edited; debounced so
+  // typing a bucket name doesn't fire a listing per keystroke
+  const albumSource = getProvider(formData.photoSource || 's3');
+  const albumSourceKey = albumSource?.listAlbums
+    ? JSON.stringify(albumSource.configKeys.filter(key => key !== 's3Albums').map(key => formData[key] ?? null))
+    : null;
+
+  useEffect(() => {
+    if (!albumSourceKey || !albumSource.isConfigured(formData)) {
+      setAlbums([]);
+      setAlbumsStatus('idle');
+      return;
+    }
+
+    let cancelled = false;
+    setAlbumsStatus('loading');
+
+    const timer = setTimeout(async () => {
+      try {
+        const found = await albumSource.listAlbums(formData);
+        if (cancelled) return;
+        setAlbums(found);
+        setAlbumsStatus('ready');
+      } catch (err) {
+        if (cancelled) return;
+        console.warn('Could not list albums:', err);
+        setAlbums([]);
+        setAlbumsStatus('error');
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [albumSourceKey]);
+
+  const toggleAlbum = (albumPrefix) => {
+    const selected = formData.s3Albums || [];
+    handleInputChange('s3Albums', selected.includes(albumPrefix)
+      ? selected.filter(prefix => prefix !== albumPrefix)
+      : [...selected, albumPrefix]);
+  };
+
   const handleInputChange = (name, value) => {
     setFormData(prev => {
       const newData = { ...prev };
@@ -40,12 +222,11 @@ function Settings({ config, onSave, onCancel }) {
       if (keys.length === 1) {
         newData[name] = value;
       } else {
-        // Handle nested properties (e.g., exifDisplay.enabled)
+        // Handle nested properties (e.g., exifDisplay.enabled), copying
+        // each level so the saved config isn't changed before Save
         let current = newData;
         for (let i = 0; i < keys.length - 1; i++) {
-          if (!current[keys[i]]) {
-            current[keys[i]] = {};
-          }
+          current[keys[i]] = { ...current[keys[i]] };
           current = current[keys[i]];
         }
         current[keys[keys.length - 1]] = value;
@@ -66,9 +247,26 @@ function Settings({ config, onSave, onCancel }) {
   const handleSubmit = (e) => {
     e.preventDefault();
 
-    // Validate required fields
-    if (!formData.s3Bucket || !formData.s3Region) {
-      alert('S3 Bucket Name and Region are required');
+    // Validate required fields for the selected source
+    const missing = visibleFields.filter(field => field.required && !getValue(field.name));
+    if (missing.length > 0) {
+      alert(`${missing.map(field => field.label).join(' and ')} ${missing.length > 1 ? 'are' : 'is'} required`);
+      return;
+    }
+
+    if (formData.s3Endpoint && !/^https?:\/\/[^/]+/.test(formData.s3Endpoint)) {
+      alert('Custom S3 Endpoint must be an http:// or https:// URL');
+      return;
+    }
+
+    const customGeocoder = getGeocoderChain(formData).find(settings => settings.id === 'custom');
+    if (customGeocoder?.enabled && !/^https?:\/\/[^/]+/.test(customGeocoder.url || '')) {
+      alert('Custom geocoder URL must be an http:// or https:// URL');
+      return;
+    }
+
+    if ((formData.places || []).some(place => !isValidPlace(place))) {
+      alert(`Each place needs a name, a latitude, a longitude and a radius of up to ${MAX_PLACE_RADIUS / 1000} km`);
       return;
     }
 
@@ -106,7 +304,7 @@ function Settings({ config, onSave, onCancel }) {
 
   const formatOptionLabel = (option, fieldName) => {
     // Special formatting for EXIF style options
-    if (fieldName === 'exifDisplay.style') {
+    if (fieldName === 'exifDisplay.style' || /^widgets\.\w+\.style$/.test(fieldName)) {
       const styleNames = {
         'style-modern-blur': 'Modern Blur',
         'style-minimal': 'Clean Minimal',
@@ -116,6 +314,41 @@ function Settings({ config, onSave, onCancel }) {
       };
       return styleNames[option] || option;
     }
+    if (fieldName === 'photoSource') {
+      return listProviders().find(provider => provider.id === option)?.label || option;
+    }
+    if (fieldName === 'playbackMode') {
+      const modeNames = {
+        'all': 'All Photos',
+        'on-this-day': 'On This Day (memories)',
+        'top-rated': `Top Rated (${TOP_RATED_MIN}★ and up)`
+      };
+      return modeNames[option] || option;
+    }
+    if (fieldName === 'orderMode') {
+      const orderNames = {
+        'listing': 'As Listed',
+        'oldest': 'Oldest First',
+        'newest': 'Newest First',
+        'trips': 'By Trip or Event'
+      };
+      return orderNames[option] || option;
+    }
+    if (fieldName === 'activePlaylist') {
+      const playlist = (formData.playlists || []).find(item => item.id === option);
+      return playlist ? playlist.name : 'All Photos';
+    }
+    if (fieldName === 'transitionEffect') {
+      return getTransition(option)?.label || option;
+    }
+    if (fieldName === 's3AddressingStyle') {
+      const addressingNames = {
+        'auto': 'Auto (path-style for custom endpoints)',
+        'path': 'Path-style',
+        'virtual-hosted': 'Virtual-hosted'
+      };
+      return addressingNames[option] || option;
+    }
     // Default formatting
     return option.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
   };
@@ -125,16 +358,19 @@ function Settings({ config, onSave, onCancel }) {
 
     switch (field.type) {
       case 'text':
+      case 'password':
       case 'number':
+      case 'date':
         return (
           <input
             type={field.type}
             className="focusable"
-            value={value || ''}
+            value={value ?? ''}
             onChange={(e) => handleInputChange(field.name, e.target.value)}
             required={field.required}
             min={field.min}
             max={field.max}
+            step={field.step}
             placeholder={field.label}
           />
         );
@@ -152,6 +388,150 @@ function Settings({ config, onSave, onCancel }) {
           </label>
         );
 
+      case 'albums': {
+        const selected = value || [];
+        if (albumsStatus === 'loading') {
+          return <p className="albums-status">Looking for albums…</p>;
+        }
+        if (albums.length === 0) {
+          return (
+            <p className="albums-status">
+              {albumsStatus === 'error'
+                ? 'Could not list albums; all photos will be shown'
+                : 'No sub-folders found; all photos will be shown'}
+            </p>
+          );
+        }
+        return (
+          <div className="album-list">
+            <p className="albums-status">
+              {selected.length === 0
+                ? 'No albums selected: showing all photos'
+                : `${selected.length} selected`}
+            </p>
+            {albums.map(album => (
+              <label
+                key={album.prefix}
+                className="checkbox-label album-option focusable"
+                tabIndex={0}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    toggleAlbum(album.prefix);
+                  }
+                }}
+              >
+                <span className="album-name">{album.name}</span>
+                <input
+                  type="checkbox"
+                  checked={selected.includes(album.prefix)}
+                  onChange={() => toggleAlbum(album.prefix)}
+                  tabIndex={-1}
+                />
+                <span className="checkbox-custom"></span>
+              </label>
+            ))}
+          </div>
+        );
+      }
+
+      case 'playlists':
+        return (
+          <PlaylistEditor
+            playlists={value || []}
+            onChange={(playlists) => {
+              handleInputChange('playlists', playlists);
+              // Don't leave a deleted playlist selected
+              if (!playlists.some(playlist => playlist.id === formData.activePlaylist)) {
+                handleInputChange('activePlaylist', null);
+              }
+            }}
+          />
+        );
+
+      case 'schedule':
+        return (
+          <ScheduleEditor
+            schedule={value || []}
+            playlists={formData.playlists || []}
+            onChange={(schedule) => handleInputChange('schedule', schedule)}
+          />
+        );
+
+      case 'geocoders':
+        return (
+          <GeocoderEditor
+            geocoders={getGeocoderChain(formData)}
+            onChange={(geocoders) => handleInputChange('geocoders', geocoders)}
+          />
+        );
+
+      case 'places':
+        return (
+          <PlaceEditor
+            places={value || []}
+            onChange={(places) => handleInputChange('places', places)}
+          />
+        );
+
+      case 'backup':
+        return (
+          <div className="cache-status">
+            <p className="cache-summary">{backupStatus || 'Everything on this page except the WebDAV login, as a JSON file'}</p>
+            <div className="cache-actions">
+              <button type="button" className="btn btn-secondary focusable" onClick={() => exportConfig(formData)}>
+                Export
+              </button>
+              <button type="button" className="btn btn-secondary focusable" onClick={() => configFileRef.current.click()}>
+                Import
+              </button>
+              <input
+                ref={configFileRef}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={handleImportSettings}
+              />
+            </div>
+          </div>
+        );
+
+      case 'cacheStatus':
+        return (
+          <div className="cache-status">
+            <p className="cache-summary">
+              {cacheStats
+                ? `${cacheStats.photoCount.toLocaleString()} photos (${formatBytes(cacheStats.photoBytes)}) · EXIF for ${cacheStats.exifCount.toLocaleString()} · ${cacheStats.locationCount.toLocaleString()} place names`
+                : 'Checking…'}
+            </p>
+            <button type="button" className="btn btn-secondary focusable" onClick={handleClearCache}>
+              Clear Cache
+            </button>
+          </div>
+        );
+
+      case 'locationCache':
+        return (
+          <div className="cache-status">
+            <p className="cache-summary">{locationCacheStatus || 'Names looked up online, by coordinate'}</p>
+            <div className="cache-actions">
+              <button type="button" className="btn btn-secondary focusable" onClick={handleExportLocations}>
+                Export
+              </button>
+              <button type="button" className="btn btn-secondary focusable" onClick={() => locationFileRef.current.click()}>
+                Import
+              </button>
+              <input
+                ref={locationFileRef}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={handleImportLocations}
+              />
+            </div>
+          </div>
+        );
+
       case 'select':
         return (
           <select
@@ -179,35 +559,17 @@ function Settings({ config, onSave, onCancel }) {
 
         <form ref={formRef} onSubmit={handleSubmit} className="settings-form">
           <div className="settings-sections">
-            <section className="settings-section">
-              <h2>Photo Source</h2>
-              {fields.slice(0, 3).map(field => (
-                <div key={field.name} className="form-group">
-                  <label>{field.label}</label>
-                  {renderField(field)}
-                </div>
-              ))}
-            </section>
-
-            <section className="settings-section">
-              <h2>Slideshow</h2>
-              {fields.slice(3, 6).map(field => (
-                <div key={field.name} className="form-group">
-                  <label>{field.label}</label>
-                  {renderField(field)}
-                </div>
-              ))}
-            </section>
-
-            <section className="settings-section">
-              <h2>EXIF Display</h2>
-              {fields.slice(6).map(field => (
-                <div key={field.name} className="form-group">
-                  <label>{field.label}</label>
-                  {renderField(field)}
-                </div>
-              ))}
-            </section>
+            {sections.map(section => (
+              <section key={section.id} className="settings-section">
+                <h2>{section.title}</h2>
+                {visibleFields.filter(field => field.section === section.id).map(field => (
+                  <div key={field.name} className="form-group">
+                    <label>{field.label}</label>
+                    {renderField(field)}
+                  </div>
+                ))}
+              </section>
+            ))}
           </div>
 
           <div className="settings-actions">
@@ -1,85 +1,517 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import ExifOverlay from './ExifOverlay';
-import { fetchPhotos } from '../services/photoService';
-import { fetchPhotos as fetchMockPhotos } from '../services/photoService.mock';
-import { extractExifData } from '../utils/exifUtils';
+import TransitionCanvas from './TransitionCanvas';
+import WidgetLayer from './WidgetLayer';
+import {
+  getProviderForConfig,
+  getSourceKey,
+  getPhotoMetadata,
+  getFocalPoint,
+  indexPhotoMetadata
+} from '../services/providers';
+import {
+  PhotoSourceError,
+  PHOTO_ERROR_TYPES,
+  classifyError,
+  getRetryDelay
+} from '../services/photoErrors';
+import { insertRandomly, mergePhotoLists } from '../utils/playlistUtils';
+import { getHistoryKey, getShownIds, recordShown } from '../services/shuffleHistory';
+import { getMarks, setMarks, applyMarks, MAX_RATING } from '../services/photoMarks';
+import { savePhotoList, loadPhotoList } from '../services/cacheService';
+import { selectPlaylist, orderPlaylist, needsFullListing } from '../services/playlistService';
+import { getPhotoDate, getMemoryTitle, getTimeUntilTomorrow } from '../utils/memories';
+import { getActivePlaylist } from '../utils/smartPlaylists';
+import { isTitleCard } from '../utils/photoOrder';
+import {
+  DEFAULT_FOCUS,
+  getKenBurnsRects,
+  rectToTransform
+} from '../utils/kenBurns';
+import { findPortraitPartner, getDisplayDimensions } from '../utils/portraitPairing';
+import { getPhotoFit } from '../utils/displayModes';
+import { pickTransition, getTransition, getTransitionDuration } from '../utils/transitions';
+import { getNextSleepTimer } from '../utils/schedule';
+import { createPlace } from '../utils/geocoding/places';
+import { useSchedule } from '../hooks/useSchedule';
+import { useTizenKeys } from '../hooks/useKeyboardNavigation';
 import './Slideshow.css';
 
-function Slideshow({ config, onOpenSettings }) {
+// How long the "N new photos" toast stays up
+const TOAST_DURATION = 5000;
+
+// Holding OK this long favorites the photo instead of pausing
+const LONG_PRESS_DURATION = 700;
+
+// Number keys: 1–5 rate the photo on screen, 0 hides it
+const MARK_KEY_NAMES = ['0', '1', '2', '3', '4', '5'];
+
+// How long past its duration a transition may run before the slide is
+// swapped anyway (transitionend never fires if the browser skips it)
+const TRANSITION_END_GRACE = 1000;
+
+// What the error screen says for each failure type
+const ERROR_SCREENS = {
+  [PHOTO_ERROR_TYPES.CREDENTIALS]: {
+    icon: '🔒',
+    title: 'Access denied',
+    hint: 'The photo source rejected the app\'s credentials. Check the Cognito identity pool, the bucket policy, or the WebDAV username and password.'
+  },
+  [PHOTO_ERROR_TYPES.BUCKET_NOT_FOUND]: {
+    icon: '🔍',
+    title: 'Photo source not found',
+    hint: 'The bucket, folder or manifest doesn\'t exist. Check the bucket name, region and prefix or URL in Settings.'
+  },
+  [PHOTO_ERROR_TYPES.CORS]: {
+    icon: '🚧',
+    title: 'Blocked by the browser',
+    hint: 'The photo source didn\'t allow requests from this page. Add this site\'s origin to the bucket\'s CORS configuration.'
+  },
+  [PHOTO_ERROR_TYPES.EMPTY]: {
+    icon: '🖼',
+    title: 'No photos yet',
+    hint: 'The photo source is reachable but has no images. Upload some photos or choose a different folder.'
+  },
+  [PHOTO_ERROR_TYPES.OFFLINE]: {
+    icon: '📡',
+    title: 'No network connection',
+    hint: 'The TV is offline. Photos will load as soon as it reconnects.'
+  },
+  [PHOTO_ERROR_TYPES.UNKNOWN]: {
+    icon: '⚠',
+    title: 'Couldn\'t load photos',
+    hint: 'Something went wrong while listing photos.'
+  }
+};
+
+function Slideshow({ config: savedConfig, onOpenSettings, onAddPlace }) {
+  // Weekly schedule: blank or dim the screen, or play another playlist
+  const schedule = useSchedule(savedConfig);
+  const config = useMemo(() => (
+    schedule.playlistId && savedConfig.playlists?.some(playlist => playlist.id === schedule.playlistId)
+      ? { ...savedConfig, activePlaylist: schedule.playlistId }
+      : savedConfig
+  ), [savedConfig, schedule.playlistId]);
+
   const [photos, setPhotos] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [nextIndex, setNextIndex] = useState(1);
   const [isTransitioning, setIsTransitioning] = useState(false);
   const [exifData, setExifData] = useState(null);
+  // Index of the portrait shown beside the current/next photo, or null
+  const [currentPartner, setCurrentPartner] = useState(null);
+  const [nextPartner, setNextPartner] = useState(null);
+  const [partnerExifData, setPartnerExifData] = useState(null);
+  // Decoded image sizes by photo id, for portrait pairing
+  const dimensions = useRef({});
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [retryAttempt, setRetryAttempt] = useState(0);
+  const [retryIn, setRetryIn] = useState(0);
+  const [reloadCount, setReloadCount] = useState(0);
   const [isPaused, setIsPaused] = useState(false);
+  // Sleep timer set from the remote ({ minutes, endsAt }); the screen blanks when it runs out
+  const [sleepTimer, setSleepTimer] = useState(null);
+  const [isAsleep, setIsAsleep] = useState(false);
+  const isBlank = isAsleep || Boolean(schedule.blank);
   const preloadedImages = useRef({});
+  const [resolvedUrls, setResolvedUrls] = useState({});
+
+  // Photo source (S3, manifest, WebDAV...) chosen in Settings
+  const sourceKey = getSourceKey(config);
+  // Shuffle cycles are kept per source, playlist and playback mode
+  const historyKey = getHistoryKey(sourceKey, config);
+  const provider = useMemo(() => getProviderForConfig(config), [sourceKey]);
+  // Favorites, hidden photos and ratings set on this TV (see photoMarks)
+  const markPhotos = list => applyMarks(list, getMarks(sourceKey));
+
+  const [indexedCount, setIndexedCount] = useState(0);
+  const [isIndexing, setIsIndexing] = useState(false);
+  const currentIndexRef = useRef(0);
+  currentIndexRef.current = currentIndex;
+  const [refreshedList, setRefreshedList] = useState(null);
+  // Listing whose metadata is read in the background (see indexPhotoMetadata)
+  const [unindexedList, setUnindexedList] = useState(null);
+  // The refreshed list was picked again with new metadata, not re-listed
+  const refreshedByIndexing = useRef(false);
+  const [focalPoints, setFocalPoints] = useState({});
+  // Transition for the next slide change; random picks a new one each time
+  const [transition, setTransition] = useState(() => pickTransition(config.transitionEffect));
+  const transitionDuration = getTransitionDuration(transition, config.transitionDuration);
+  const isKenBurns = transition.id === 'ken-burns';
+  // Slide waiting for the running transition to end
+  const pendingSlide = useRef(null);
+  const [toast, setToast] = useState(null);
+  // Smart playlist narrowing the listing (re-listed when it or its rules change)
+  const activePlaylist = getActivePlaylist(config);
+  const playlistKey = JSON.stringify(activePlaylist);
+  const shownPlaylistId = useRef(config.activePlaylist);
 
-  // Fetch photos from S3 or use mock photos for testing
+  // Fetch photos from the configured source (mock photos until one is set up)
   useEffect(() => {
+    let cancelled = false;
+
     const loadPhotos = async () => {
+      let streamed = false;
+      // Pages are applied in order, after the first one has been shuffled
+      let pageQueue = Promise.resolve();
+      // Modes that pick from the whole library wait for the full listing
+      const streamPages = !needsFullListing(config);
+
       try {
         setIsLoading(true);
         setError(null);
+        setIndexedCount(0);
+        setIsIndexing(true);
+        setResolvedUrls({});
+        setUnindexedList(null);
 
-        let photoList;
-
-        // Use mock photos if no S3 bucket configured (for local testing)
-        if (!config.s3Bucket) {
-          console.log('No S3 bucket configured, using mock photos for testing...');
-          photoList = await fetchMockPhotos();
-        } else {
-          photoList = await fetchPhotos(
-            config.s3Bucket,
-            config.s3Region,
-            config.s3Prefix
-          );
+        const listing = await provider.list(config, {
+          // Start playback on the first page while the rest is still listing
+          onPage: (listedPhotos, indexed) => {
+            if (cancelled) return;
+            setIndexedCount(indexed);
+
+            const pagePhotos = markPhotos(listedPhotos).filter(photo => !photo.hidden);
+            if (pagePhotos.length === 0 || !streamPages) return;
+
+            if (!streamed) {
+              streamed = true;
+              pageQueue = orderPlaylist(pagePhotos, config, { shownIds: getShownIds(historyKey) })
+                .then(firstPage => {
+                  if (cancelled) return;
+                  setCurrentIndex(0);
+                  setCurrentPartner(null);
+                  setNextIndex(1);
+                  setPhotos(firstPage);
+                  setIsLoading(false);
+                });
+            } else {
+              pageQueue = pageQueue.then(() => {
+                if (cancelled) return;
+                setPhotos(prev => config.shuffleMode
+                  ? insertRandomly(prev, pagePhotos, currentIndexRef.current + 2)
+                  : [...prev, ...pagePhotos]);
+              });
+            }
+          }
+        });
+
+        if (cancelled) return;
+        setIsIndexing(false);
+        setRetryAttempt(0);
+        const photoList = markPhotos(listing);
+
+        // Remember the listing so the slideshow can run from cache offline
+        if (photoList.length > 0) {
+          savePhotoList(sourceKey, photoList);
         }
 
+        // Every page has already been merged into the list
+        if (streamed) return;
+
         if (photoList.length === 0) {
-          setError('No photos found. Press MENU to configure S3 or add mock photos.');
+          setError(new PhotoSourceError(PHOTO_ERROR_TYPES.EMPTY, 'No photos found'));
           setIsLoading(false);
           return;
         }
 
-        // Shuffle if configured
-        const finalPhotoList = config.shuffleMode
-          ? shuffleArray([...photoList])
-          : photoList;
+        const playlist = await selectPlaylist(photoList, config);
+        if (cancelled) return;
+        if (playlist.notice) setToast(playlist.notice);
+
+        // Shuffle or sort if configured
+        const finalPhotoList = await orderPlaylist(playlist.photos, config, {
+          shownIds: getShownIds(historyKey)
+        });
+        if (cancelled) return;
 
+        setCurrentIndex(0);
+        setNextIndex(1);
         setPhotos(finalPhotoList);
+        setCurrentPartner(null);
         setIsLoading(false);
+        if (!streamPages) setUnindexedList(listing);
       } catch (err) {
+        if (cancelled) return;
         console.error('Error loading photos:', err);
-        setError(`Error loading photos: ${err.message}`);
+        setIsIndexing(false);
+
+        // Pages that already arrived keep playing
+        if (streamed) return;
+
+        // Play the last known listing while the source is unreachable; the
+        // background refresh picks the source up again when it's back
+        const cachedList = await loadPhotoList(sourceKey);
+        if (cancelled) return;
+
+        if (cachedList?.length > 0) {
+          const { photos: cachedPlaylist } = await selectPlaylist(markPhotos(cachedList), config);
+          const orderedPlaylist = await orderPlaylist(cachedPlaylist, config, {
+            shownIds: getShownIds(historyKey)
+          });
+          if (cancelled) return;
+
+          setCurrentIndex(0);
+          setCurrentPartner(null);
+          setNextIndex(1);
+          setPhotos(orderedPlaylist);
+          setToast(`Photo source unavailable: playing ${cachedList.length.toLocaleString()} cached photos`);
+          setIsLoading(false);
+          return;
+        }
+
+        setError(classifyError(err));
         setIsLoading(false);
       }
     };
 
     loadPhotos();
-  }, [config.s3Bucket, config.s3Region, config.s3Prefix, config.shuffleMode]);
 
-  // Preload current and next image
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, sourceKey, config.shuffleMode, config.playbackMode, config.orderMode, playlistKey, reloadCount]);
+
+  // Say which playlist is playing when it's switched (e.g. with a color key)
+  useEffect(() => {
+    if (shownPlaylistId.current === config.activePlaylist) return;
+    shownPlaylistId.current = config.activePlaylist;
+    setToast(activePlaylist ? `Playing "${activePlaylist.name}"` : 'Playing all photos');
+  }, [config.activePlaylist]);
+
+  // Re-list the source every refreshInterval minutes so new uploads appear
+  // without reloading the TV; the result is merged in by the effect below
+  const refreshMinutes = Number(config.refreshInterval) || 0;
+  useEffect(() => {
+    if (refreshMinutes <= 0 || isLoading || isIndexing || error) return;
+
+    let cancelled = false;
+    const interval = setInterval(async () => {
+      try {
+        const photoList = await provider.list(config);
+        // An empty listing is more likely a hiccup than a wiped library
+        if (cancelled || photoList.length === 0) return;
+
+        // Ordered like the list playing, so new photos can join by date or trip
+        const playlist = await selectPlaylist(markPhotos(photoList), config);
+        const orderedPlaylist = await orderPlaylist(playlist.photos, config, {
+          shownIds: getShownIds(historyKey)
+        });
+        if (!cancelled) {
+          setRefreshedList(orderedPlaylist);
+        }
+      } catch (err) {
+        console.warn('Background refresh failed, keeping the current list:', err);
+      }
+    }, refreshMinutes * 60 * 1000);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [provider, sourceKey, config.playbackMode, config.shuffleMode, config.orderMode, playlistKey, refreshMinutes, isLoading, isIndexing, error]);
+
+  // "On this day" picks new memories at midnight, even with refreshing off
+  useEffect(() => {
+    if (config.playbackMode !== 'on-this-day') return;
+    const timer = setTimeout(() => setReloadCount(count => count + 1), getTimeUntilTomorrow());
+    return () => clearTimeout(timer);
+  }, [config.playbackMode, reloadCount]);
+
+  // Playlists, On This Day, Top Rated and date orders pick photos by their
+  // metadata: read it for photos that haven't been shown yet, and pick again
+  // as it comes in
+  useEffect(() => {
+    if (!unindexedList) return;
+
+    let cancelled = false;
+    const reselect = async () => {
+      try {
+        const playlist = await selectPlaylist(markPhotos(unindexedList), config);
+        const orderedPlaylist = await orderPlaylist(playlist.photos, config, {
+          shownIds: getShownIds(historyKey)
+        });
+        if (cancelled) return;
+        refreshedByIndexing.current = true;
+        setRefreshedList(orderedPlaylist);
+      } catch (err) {
+        console.warn('Could not update the playlist with new metadata:', err);
+      }
+    };
+
+    indexPhotoMetadata(provider, unindexedList, config, {
+      isCancelled: () => cancelled,
+      onProgress: reselect
+    }).catch(err => console.warn('Background metadata indexing failed:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [unindexedList]);
+
+  // Merge a refreshed listing between transitions, keeping the photo on screen
+  useEffect(() => {
+    if (!refreshedList || isTransitioning) return;
+
+    // Date and trip orders take new photos where they belong, not up next
+    const orderMode = config.orderMode || 'listing';
+    const merged = mergePhotoLists(photos, refreshedList, currentIndex, {
+      shuffle: config.shuffleMode,
+      rebuild: orderMode === 'trips' || (orderMode !== 'listing' && !config.shuffleMode)
+    });
+    setRefreshedList(null);
+    const byIndexing = refreshedByIndexing.current;
+    refreshedByIndexing.current = false;
+
+    if (merged.added.length === 0 && merged.removed.length === 0) return;
+
+    // Keep the portrait pair together if its second photo survived
+    const partnerId = currentPartner != null ? photos[currentPartner]?.id : null;
+    const keepPartner = partnerId != null && merged.photos[merged.currentIndex + 1]?.id === partnerId;
+
+    setPhotos(merged.photos);
+    setCurrentIndex(merged.currentIndex);
+    setCurrentPartner(keepPartner ? merged.currentIndex + 1 : null);
+    setNextIndex((merged.currentIndex + (keepPartner ? 2 : 1)) % merged.photos.length);
+
+    if (merged.added.length > 0) {
+      const count = merged.added.length;
+      const photoCount = `${count.toLocaleString()} ${byIndexing ? 'more ' : 'new '}photo${count === 1 ? '' : 's'}`;
+      setToast(byIndexing ? `${photoCount} to play` : photoCount);
+    }
+  }, [refreshedList, isTransitioning]);
+
+  // Go to sleep when the sleep timer runs out
+  useEffect(() => {
+    if (!sleepTimer) return;
+    const timer = setTimeout(() => {
+      setSleepTimer(null);
+      setIsAsleep(true);
+    }, sleepTimer.endsAt - Date.now());
+    return () => clearTimeout(timer);
+  }, [sleepTimer]);
+
+  // Hide the toast after a few seconds
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // Start the backoff over when the source changes
+  useEffect(() => {
+    setRetryAttempt(0);
+  }, [sourceKey]);
+
+  // Retry automatically with exponential backoff while in an error state,
+  // and straight away when the network comes back
+  useEffect(() => {
+    if (!error) return;
+
+    const delay = getRetryDelay(retryAttempt);
+    const retryAt = Date.now() + delay;
+    setRetryIn(Math.ceil(delay / 1000));
+
+    const retry = () => {
+      setRetryAttempt(attempt => attempt + 1);
+      setReloadCount(count => count + 1);
+    };
+
+    const timer = setTimeout(retry, delay);
+    const countdown = setInterval(() => {
+      setRetryIn(Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)));
+    }, 1000);
+    window.addEventListener('online', retry);
+
+    return () => {
+      clearTimeout(timer);
+      clearInterval(countdown);
+      window.removeEventListener('online', retry);
+    };
+  }, [error, retryAttempt]);
+
+  // Remember shown photos so shuffle covers the whole library across reloads;
+  // title cards are never shown by the shuffle, so they don't count towards a cycle
+  const shuffleIds = useMemo(() => photos.filter(p => !isTitleCard(p)).map(p => p.id), [photos]);
+  useEffect(() => {
+    // Skip while indexing: a partial list would end the cycle too early
+    if (!config.shuffleMode || isLoading || isIndexing || photos.length === 0) return;
+    [photos[currentIndex], photos[currentPartner]].forEach(photo => {
+      if (photo && !isTitleCard(photo)) {
+        recordShown(historyKey, photo.id, shuffleIds);
+      }
+    });
+  }, [currentIndex, currentPartner, photos[currentIndex]?.id, isLoading, isIndexing, config.shuffleMode, historyKey]);
+
+  // Display URL for a photo; providers that need auth resolve it asynchronously
+  const getDisplayUrl = (photo) => photo && (photo.url || resolvedUrls[photo.id] || null);
+
+  // Forget URLs the provider has revoked, so those photos are resolved again
+  useEffect(() => {
+    if (!provider.onUrlEvicted) return;
+    return provider.onUrlEvicted(photoId => {
+      delete preloadedImages.current[photoId];
+      setResolvedUrls(prev => {
+        const next = { ...prev };
+        delete next[photoId];
+        return next;
+      });
+    });
+  }, [provider]);
+
+  // Preload current and next image (and again when a revoked URL was dropped)
   useEffect(() => {
     if (photos.length === 0) return;
 
-    const preloadImage = (url, index) => {
-      if (preloadedImages.current[index]) return;
+    const preloadImage = (photo) => {
+      if (!photo || isTitleCard(photo) || preloadedImages.current[photo.id]) return;
+      preloadedImages.current[photo.id] = true;
 
-      const img = new Image();
-      img.onload = () => {
-        preloadedImages.current[index] = url;
-      };
-      img.src = url;
+      Promise.resolve(photo.url || provider.resolveUrl(photo, config))
+        .then(url => {
+          if (!photo.url) {
+            setResolvedUrls(prev => ({ ...prev, [photo.id]: url }));
+          }
+          const img = new Image();
+          // Decoded size (already rotated) tells portrait pairing the orientation
+          img.onload = () => {
+            dimensions.current[photo.id] = { width: img.naturalWidth, height: img.naturalHeight };
+          };
+          img.src = url;
+        })
+        .catch(err => {
+          console.error('Error resolving photo URL:', err);
+          delete preloadedImages.current[photo.id];
+        });
     };
 
     // Preload current and next images
-    preloadImage(photos[currentIndex], currentIndex);
-    if (photos[nextIndex]) {
-      preloadImage(photos[nextIndex], nextIndex);
+    preloadImage(photos[currentIndex]);
+    preloadImage(photos[nextIndex]);
+
+    // ...and the photos that might be paired with them
+    if (config.pairPortraits) {
+      preloadImage(photos[currentIndex + 1]);
+      preloadImage(photos[nextIndex + 1]);
     }
-  }, [photos, currentIndex, nextIndex]);
+  }, [photos, currentIndex, nextIndex, provider, config.pairPortraits, resolvedUrls]);
+
+  // Ken Burns: estimate focal points for photos the manifest doesn't cover
+  useEffect(() => {
+    if (!isKenBurns || photos.length === 0) return;
+
+    [photos[currentIndex], photos[nextIndex]].forEach(photo => {
+      const url = getDisplayUrl(photo);
+      if (!url || photo.focus || focalPoints[photo.id]) return;
+
+      // Mark as in progress so it's only estimated once
+      setFocalPoints(prev => ({ ...prev, [photo.id]: DEFAULT_FOCUS }));
+      getFocalPoint(provider, photo, config, url).then(focus => {
+        setFocalPoints(prev => ({ ...prev, [photo.id]: focus }));
+      });
+    });
+  }, [isKenBurns, photos, currentIndex, nextIndex, resolvedUrls, provider]);
 
   // EXIF data cache
   const exifCache = useRef({});
@@ -88,16 +520,20 @@ function Slideshow({ config, onOpenSettings }) {
   useEffect(() => {
     if (photos.length === 0 || !config.exifDisplay.enabled) return;
 
-    const url = photos[currentIndex];
-    if (exifCache.current[url]) {
-      setExifData(exifCache.current[url]);
+    const photo = photos[currentIndex];
+    if (isTitleCard(photo)) {
+      setExifData(null);
+      return;
+    }
+    if (exifCache.current[photo.id]) {
+      setExifData(exifCache.current[photo.id]);
       return;
     }
 
     const loadExifData = async () => {
       try {
-        const data = await extractExifData(url);
-        exifCache.current[url] = data;
+        const data = await getPhotoMetadata(provider, photo, config);
+        exifCache.current[photo.id] = data;
         setExifData(data);
       } catch (err) {
         console.error('Error extracting EXIF data:', err);
@@ -106,73 +542,257 @@ function Slideshow({ config, onOpenSettings }) {
     };
 
     loadExifData();
-  }, [photos, currentIndex, config.exifDisplay.enabled]);
+  }, [photos, currentIndex, config.exifDisplay.enabled, provider]);
+
+  // EXIF data for the second half of a portrait pair
+  useEffect(() => {
+    const partner = photos[currentPartner];
+    if (!partner || !config.exifDisplay.enabled) {
+      setPartnerExifData(null);
+      return;
+    }
+
+    if (exifCache.current[partner.id]) {
+      setPartnerExifData(exifCache.current[partner.id]);
+      return;
+    }
+
+    getPhotoMetadata(provider, partner, config).then(data => {
+      exifCache.current[partner.id] = data;
+      setPartnerExifData(data);
+    }).catch(() => setPartnerExifData(null));
+  }, [photos, currentPartner, config.exifDisplay.enabled, provider]);
 
-  // Pre-fetch EXIF data for next photo
+  // Pre-fetch EXIF data for next photo (and the one after it, which it may
+  // be paired with; pairing also uses the capture date and place)
   useEffect(() => {
     if (photos.length === 0 || !config.exifDisplay.enabled) return;
 
-    const nextUrl = photos[nextIndex];
-    if (!nextUrl || exifCache.current[nextUrl]) return;
+    const upcoming = config.pairPortraits ? [nextIndex, nextIndex + 1] : [nextIndex];
+    upcoming.forEach(index => {
+      const nextPhoto = photos[index];
+      if (!nextPhoto || isTitleCard(nextPhoto) || exifCache.current[nextPhoto.id]) return;
 
-    extractExifData(nextUrl).then(data => {
-      exifCache.current[nextUrl] = data;
-    }).catch(() => {});
-  }, [photos, nextIndex, config.exifDisplay.enabled]);
+      getPhotoMetadata(provider, nextPhoto, config).then(data => {
+        exifCache.current[nextPhoto.id] = data;
+      }).catch(() => {});
+    });
+  }, [photos, nextIndex, config.exifDisplay.enabled, config.pairPortraits, provider]);
+
+  // Index of the portrait to show beside the photo at `index`, if any
+  const findPartnerAt = (index) => {
+    if (!config.pairPortraits) return null;
+
+    const partner = findPortraitPartner(photos, index, photo => ({
+      decoded: dimensions.current[photo.id],
+      exif: exifCache.current[photo.id] || photo.exif
+    }));
+    // Never pair with a photo that's already on screen
+    return partner === currentIndex ? null : partner;
+  };
 
   // Auto-advance slideshow
   useEffect(() => {
-    if (photos.length === 0 || isPaused || isTransitioning) return;
+    if (photos.length === 0 || isPaused || isTransitioning || isBlank) return;
 
     const interval = setInterval(() => {
       goToNextPhoto();
     }, config.displayDuration * 1000);
 
     return () => clearInterval(interval);
-  }, [photos.length, currentIndex, config.displayDuration, isPaused, isTransitioning]);
+  }, [photos.length, currentIndex, config.displayDuration, isPaused, isTransitioning, isBlank]);
 
-  const goToNextPhoto = useCallback(() => {
-    if (photos.length === 0) return;
+  // Pick a fresh transition when the setting changes
+  useEffect(() => {
+    setTransition(pickTransition(config.transitionEffect));
+  }, [config.transitionEffect]);
 
+  // Start the transition to the slide at `index` (paired with `partner`);
+  // finishTransition swaps it in once the transition has played
+  const showSlide = (index, partner) => {
+    // Canvas effects only draw photos; title cards fade in instead
+    if (transition.canvas && isTitleCard(photos[index])) {
+      setTransition(getTransition('fade'));
+    }
+    pendingSlide.current = { index, partner };
     setIsTransitioning(true);
-    const next = (currentIndex + 1) % photos.length;
-    setNextIndex(next);
-
-    // Wait for transition to complete
-    setTimeout(() => {
-      setCurrentIndex(next);
-      setNextIndex((next + 1) % photos.length);
-      setIsTransitioning(false);
-      // Set EXIF from cache in same batch so tag appears with the photo
-      const nextUrl = photos[next];
-      if (nextUrl && exifCache.current[nextUrl]) {
-        setExifData(exifCache.current[nextUrl]);
-      }
-    }, 1000); // Match transition duration in CSS
-  }, [photos.length, currentIndex]);
+    setNextIndex(index);
+    setNextPartner(partner);
+  };
+
+  const finishTransition = () => {
+    const pending = pendingSlide.current;
+    if (!pending) return;
+    pendingSlide.current = null;
+
+    const { index, partner } = pending;
+    setCurrentIndex(index);
+    setCurrentPartner(partner);
+    setNextIndex((index + (partner != null ? 2 : 1)) % photos.length);
+    setNextPartner(null);
+    setIsTransitioning(false);
+    // Chosen now so its resting styles are in place before it starts
+    setTransition(pickTransition(config.transitionEffect));
+    // Set EXIF from cache in same batch so tag appears with the photo
+    const photo = photos[index];
+    if (photo && exifCache.current[photo.id]) {
+      setExifData(exifCache.current[photo.id]);
+    }
+    const partnerPhoto = photos[partner];
+    setPartnerExifData(partnerPhoto ? exifCache.current[partnerPhoto.id] || null : null);
+  };
+
+  // Timers and canvas callbacks outlive the render they were created in
+  const finishTransitionRef = useRef(finishTransition);
+  finishTransitionRef.current = finishTransition;
+
+  // The incoming slide's transitionend ends CSS transitions; this is only a
+  // fallback for when it never arrives
+  useEffect(() => {
+    if (!isTransitioning) return;
+    const timer = setTimeout(() => finishTransitionRef.current(), transitionDuration + TRANSITION_END_GRACE);
+    return () => clearTimeout(timer);
+  }, [isTransitioning]);
+
+  const handleTransitionEnd = (e) => {
+    // Ignore transitions bubbling up from inside the slide
+    if (e.target === e.currentTarget) {
+      finishTransition();
+    }
+  };
+
+  const goToNextPhoto = useCallback(() => {
+    // Nothing else to show when the whole list is already on screen
+    if (photos.length < 2 || isTransitioning || (currentPartner != null && photos.length <= 2)) return;
+
+    const next = (currentIndex + (currentPartner != null ? 2 : 1)) % photos.length;
+    showSlide(next, findPartnerAt(next));
+  }, [photos, currentIndex, currentPartner, isTransitioning, config.pairPortraits]);
 
   const goToPreviousPhoto = useCallback(() => {
-    if (photos.length === 0 || isTransitioning) return;
+    if (photos.length < 2 || isTransitioning) return;
 
-    setIsTransitioning(true);
     const prev = currentIndex === 0 ? photos.length - 1 : currentIndex - 1;
-    setNextIndex(prev);
-
-    setTimeout(() => {
-      setCurrentIndex(prev);
-      setNextIndex((prev + 1) % photos.length);
-      setIsTransitioning(false);
-      const prevUrl = photos[prev];
-      if (prevUrl && exifCache.current[prevUrl]) {
-        setExifData(exifCache.current[prevUrl]);
-      }
-    }, 1000);
-  }, [photos.length, currentIndex, isTransitioning]);
+
+    // Step back over a whole pair if the previous photo is its second half
+    if (prev > 0 && prev - 1 !== currentIndex && findPartnerAt(prev - 1) === prev) {
+      showSlide(prev - 1, prev);
+    } else {
+      showSlide(prev, null);
+    }
+  }, [photos, currentIndex, isTransitioning, config.pairPortraits]);
 
   const togglePause = useCallback(() => {
     setIsPaused(prev => !prev);
   }, []);
 
+  // Each press picks the next sleep timer length, then turns it off
+  const cycleSleepTimer = useCallback(() => {
+    const minutes = getNextSleepTimer(sleepTimer?.minutes ?? null);
+    setSleepTimer(minutes ? { minutes, endsAt: Date.now() + minutes * 60 * 1000 } : null);
+    setToast(minutes ? `Sleeping in ${minutes} minutes` : 'Sleep timer off');
+  }, [sleepTimer]);
+
+  // Favorite, hide or rate the photo on screen; the choice is kept on this
+  // TV and, where the source allows, saved with the photo for the other TVs
+  const markCurrentPhoto = useCallback((changes, message) => {
+    const photo = photos[currentIndex];
+    if (!photo || isTitleCard(photo)) return null;
+
+    const marks = setMarks(sourceKey, photo, changes);
+    const marked = { ...photo, ...marks };
+    setPhotos(prev => prev.map(entry => (entry.id === photo.id ? marked : entry)));
+    setToast(message);
+
+    if (provider.saveMarks && config.saveMarksToSource !== false) {
+      provider.saveMarks(marked, marks, config).catch(err => {
+        console.warn('Could not save marks to the photo source:', err);
+        setToast(`${message} (on this TV only)`);
+      });
+    }
+    return marked;
+  }, [photos, currentIndex, sourceKey, provider, config]);
+
+  const toggleFavorite = useCallback(() => {
+    const favorite = !photos[currentIndex]?.favorite;
+    markCurrentPhoto({ favorite }, favorite ? '★ Added to favorites' : 'Removed from favorites');
+  }, [photos, currentIndex, markCurrentPhoto]);
+
+  // Pressing the photo's current rating again clears it
+  const ratePhoto = useCallback((rating) => {
+    const cleared = photos[currentIndex]?.rating === rating;
+    markCurrentPhoto(
+      { rating: cleared ? null : rating },
+      cleared ? 'Rating cleared' : `${'★'.repeat(rating)}${'☆'.repeat(MAX_RATING - rating)}`
+    );
+  }, [photos, currentIndex, markCurrentPhoto]);
+
+  // Hidden photos move on to the next one and drop out of the playlist
+  const hidePhoto = useCallback(() => {
+    if (photos.filter(photo => !isTitleCard(photo)).length < 2) {
+      setToast('The last photo can\'t be hidden');
+      return;
+    }
+
+    const hidden = markCurrentPhoto({ hidden: true }, 'Photo hidden: it won\'t play again');
+    if (!hidden) return;
+    goToNextPhoto();
+    setRefreshedList(photos.filter(photo => photo.id !== hidden.id));
+  }, [photos, markCurrentPhoto, goToNextPhoto]);
+
+  // Save where the photo on screen was taken as a place, named after it from
+  // now on; it's renamed (or its circle adjusted) in Settings
+  const saveCurrentPlace = useCallback(async () => {
+    const photo = photos[currentIndex];
+    if (!photo || isTitleCard(photo) || !onAddPlace) return;
+
+    let metadata = exifCache.current[photo.id];
+    if (!metadata) {
+      try {
+        metadata = await getPhotoMetadata(provider, photo, config);
+      } catch (err) {
+        metadata = null;
+      }
+    }
+    if (metadata?.latitude == null || metadata?.longitude == null) {
+      setToast('This photo has no location to save');
+      return;
+    }
+
+    const place = createPlace({
+      name: `Saved Place ${(config.places?.length || 0) + 1}`,
+      latitude: metadata.latitude,
+      longitude: metadata.longitude
+    });
+    onAddPlace(place);
+
+    // Photos already named need naming again
+    exifCache.current = {};
+    setExifData(prev => (prev ? { ...prev, locationName: place.name } : prev));
+    setToast(`Saved as "${place.name}": rename it in Settings`);
+  }, [photos, currentIndex, provider, config, onAddPlace]);
+
+  // OK pauses on a short press and favorites on a long one, and Up saves a
+  // place on a long one, so the choice is made when the key comes back up (or
+  // the hold runs long enough)
+  const longPress = useRef(null);
+
+  // Any key wakes a blank screen, and does nothing else: it's caught before
+  // the slideshow's keys and App's (menu, colored buttons) see it
+  useEffect(() => {
+    if (!isBlank) return;
+
+    const handleWake = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (isAsleep) setIsAsleep(false);
+      else schedule.wake();
+    };
+
+    window.addEventListener('keydown', handleWake, true);
+    return () => window.removeEventListener('keydown', handleWake, true);
+  }, [isBlank, isAsleep, schedule.wake]);
+
   // Keyboard controls
   useEffect(() => {
     const handleKeyPress = (e) => {
@@ -186,33 +806,119 @@ function Slideshow({ config, onOpenSettings }) {
           goToPreviousPhoto();
           break;
         case ' ':
-        case 'Enter':
         case 'MediaPlayPause':
           togglePause();
           break;
+        case 'Enter':
+        case 'ArrowUp': {
+          if (e.repeat || longPress.current) break;
+          const press = { key: e.key, handled: false };
+          press.timer = setTimeout(() => {
+            press.handled = true;
+            if (press.key === 'Enter') toggleFavorite();
+            else saveCurrentPlace();
+          }, LONG_PRESS_DURATION);
+          longPress.current = press;
+          break;
+        }
+        case 'ArrowDown':
+          cycleSleepTimer();
+          break;
+        case '0':
+          hidePhoto();
+          break;
         default:
+          if (MARK_KEY_NAMES.includes(e.key)) {
+            ratePhoto(Number(e.key));
+          }
           break;
       }
     };
 
+    const handleKeyUp = (e) => {
+      const press = longPress.current;
+      if (!press || e.key !== press.key) return;
+      longPress.current = null;
+      if (!press.handled) {
+        clearTimeout(press.timer);
+        if (press.key === 'Enter') togglePause();
+        else setToast('Hold Up to save this photo\'s location as a place');
+      }
+    };
+
     window.addEventListener('keydown', handleKeyPress);
-    return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [goToNextPhoto, goToPreviousPhoto, togglePause]);
+    window.addEventListener('keyup', handleKeyUp);
+    return () => {
+      window.removeEventListener('keydown', handleKeyPress);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [goToNextPhoto, goToPreviousPhoto, togglePause, cycleSleepTimer, toggleFavorite, ratePhoto, hidePhoto,
+    saveCurrentPlace]);
+
+  // Tizen only delivers the number keys once they're registered
+  useTizenKeys(MARK_KEY_NAMES);
+
+  // How a photo fills the screen (display mode from Settings or the manifest)
+  const getFit = (photo) => getPhotoFit(photo, {
+    mode: config.displayMode,
+    threshold: config.smartCoverThreshold,
+    image: getDisplayDimensions(photo, {
+      decoded: dimensions.current[photo.id],
+      exif: exifCache.current[photo.id] || photo.exif
+    }),
+    frame: { width: window.innerWidth, height: window.innerHeight }
+  });
+
+  // Background (and Ken Burns motion) for a slide
+  const getSlideStyle = (photo, fit) => {
+    const style = { backgroundImage: toBackgroundImage(getDisplayUrl(photo)) };
+    // Ken Burns always fills the frame
+    if (!isKenBurns) return { ...style, backgroundSize: fit.size };
+
+    const focus = photo.focus || focalPoints[photo.id] || DEFAULT_FOCUS;
+    const { start, end } = getKenBurnsRects(photo.id, focus);
+    return {
+      ...style,
+      backgroundPosition: `${focus.x * 100}% ${focus.y * 100}%`,
+      '--kb-from': rectToTransform(start),
+      '--kb-to': rectToTransform(end),
+      // Keep moving through the fade in and out on either side
+      '--kb-duration': `${Number(config.displayDuration) + 2 * transitionDuration / 1000}s`
+    };
+  };
+
+  // "On this day" title card for the photo on screen
+  const currentPhoto = photos[currentIndex];
+  const memoryTitle = config.playbackMode === 'on-this-day' && currentPhoto && !isTitleCard(currentPhoto)
+    ? getMemoryTitle(getPhotoDate(currentPhoto, exifCache.current[currentPhoto.id]))
+    : null;
 
   if (isLoading) {
     return (
       <div className="slideshow-loading">
         <div className="spinner"></div>
-        <p>Loading photos...</p>
+        <p>
+          {indexedCount > 0
+            ? `Indexed ${indexedCount.toLocaleString()} photos…`
+            : 'Loading photos...'}
+        </p>
       </div>
     );
   }
 
   if (error) {
+    const screen = ERROR_SCREENS[error.type] || ERROR_SCREENS[PHOTO_ERROR_TYPES.UNKNOWN];
     return (
-      <div className="slideshow-error">
-        <div className="error-icon">⚠</div>
-        <p>{error}</p>
+      <div className="slideshow-error" role="alert">
+        <div className="error-icon">{screen.icon}</div>
+        <h2 className="error-title">{screen.title}</h2>
+        <p className="error-hint">{screen.hint}</p>
+        {error.type !== PHOTO_ERROR_TYPES.EMPTY && (
+          <p className="error-detail">{error.message}</p>
+        )}
+        <p className="error-retry">
+          Retrying in {retryIn}s · Press MENU to change the photo source
+        </p>
       </div>
     );
   }
@@ -227,22 +933,101 @@ function Slideshow({ config, onOpenSettings }) {
 
   return (
     <div className="slideshow">
-      <div className={`slideshow-container ${config.transitionEffect}`}>
-        <div
-          className={`slide current ${isTransitioning ? 'transitioning-out' : ''}`}
-          style={{ backgroundImage: `url(${photos[currentIndex]})` }}
-        />
-        <div
-          className={`slide next ${isTransitioning ? 'transitioning-in' : ''}`}
-          style={{ backgroundImage: photos[nextIndex] ? `url(${photos[nextIndex]})` : 'none' }}
-        />
+      <div
+        className={`slideshow-container ${transition.className} ${isPaused ? 'paused' : ''}`}
+        style={{ '--slide-transition-duration': `${transitionDuration}ms` }}
+      >
+        {/* Keyed by photo so the incoming slide's element (and its Ken Burns
+            animation) carries on as the current slide after the swap */}
+        {getSlides(photos, currentIndex, nextIndex, currentPartner, nextPartner).map(({ photo, partner, role }) => {
+          const transitionClass = isTransitioning ? (role === 'current' ? 'transitioning-out' : 'transitioning-in') : '';
+          const onTransitionEnd = role === 'next' ? handleTransitionEnd : undefined;
+
+          // Trip mode's card between events
+          if (isTitleCard(photo)) {
+            return (
+              <div
+                key={photo.id}
+                className={`slide ${role} title-card ${transitionClass}`}
+                onTransitionEnd={onTransitionEnd}
+              >
+                <h2 className="title-card-title">{photo.title}</h2>
+                {photo.subtitle && <p className="title-card-subtitle">{photo.subtitle}</p>}
+              </div>
+            );
+          }
+
+          const fit = partner ? null : getFit(photo);
+          const blurFill = !isKenBurns && fit?.blurFill;
+          const backgroundImage = toBackgroundImage(getDisplayUrl(photo));
+
+          return (
+            <div
+              key={photo.id}
+              className={`slide ${role} ${partner ? 'paired' : ''} ${blurFill ? 'blur-fill' : ''} ${transitionClass}`}
+              style={partner || blurFill ? undefined : getSlideStyle(photo, fit)}
+              onTransitionEnd={onTransitionEnd}
+            >
+              {partner && [photo, partner].map(half => (
+                <div
+                  key={half.id}
+                  className="slide-half"
+                  style={{ backgroundImage: toBackgroundImage(getDisplayUrl(half)) }}
+                />
+              ))}
+              {blurFill && (
+                <>
+                  <div className="slide-fill" style={{ backgroundImage }} />
+                  <div className="slide-image" style={{ backgroundImage }} />
+                </>
+              )}
+            </div>
+          );
+        })}
+
+        {isTransitioning && transition.canvas && photos[nextIndex] && (
+          <TransitionCanvas
+            key={photos[nextIndex].id}
+            transition={transition}
+            slide={{
+              urls: [photos[nextIndex], photos[nextPartner]].filter(Boolean).map(getDisplayUrl),
+              fit: getFit(photos[nextIndex])
+            }}
+            duration={transitionDuration}
+            onEnd={() => finishTransitionRef.current()}
+          />
+        )}
       </div>
 
-      {config.exifDisplay.enabled && exifData && (
-        <ExifOverlay
-          exifData={exifData}
-          config={config.exifDisplay}
-        />
+      <WidgetLayer config={config} paired={currentPartner != null} />
+
+      {config.exifDisplay.enabled && exifData && !isTitleCard(currentPhoto) && (
+        currentPartner != null ? (
+          // One caption per half of a portrait pair
+          <div className="pair-overlays">
+            <div className="pair-overlay-half">
+              <ExifOverlay exifData={exifData} config={config.exifDisplay} />
+            </div>
+            <div className="pair-overlay-half">
+              {partnerExifData && (
+                <ExifOverlay exifData={partnerExifData} config={config.exifDisplay} />
+              )}
+            </div>
+          </div>
+        ) : (
+          <ExifOverlay
+            exifData={exifData}
+            config={config.exifDisplay}
+          />
+        )
+      )}
+
+      {memoryTitle && !isTransitioning && (
+        <div className="memory-title" key={memoryTitle}>{memoryTitle}</div>
+      )}
+
+      {toast && (
+        <div className="slideshow-toast" role="status">{toast}</div>
       )}
 
       {isPaused && (
@@ -259,7 +1044,14 @@ function Slideshow({ config, onOpenSettings }) {
       </div>
 
       <div className="slideshow-counter">
-        {currentIndex + 1} / {photos.length}
+        {currentIndex + 1}{currentPartner != null && `–${currentPartner + 1}`} / {photos.length.toLocaleString()}
+        {activePlaylist && <span className="counter-playlist"> · {activePlaylist.name}</span>}
+        {sleepTimer && (
+          <span className="counter-sleep"> · Sleep in {Math.ceil((sleepTimer.endsAt - Date.now()) / 60000)} min</span>
+        )}
+        {isIndexing && (
+          <span className="counter-indexing"> · Indexed {indexedCount.toLocaleString()}…</span>
+        )}
       </div>
 
       {onOpenSettings && (
@@ -267,18 +1059,33 @@ function Slideshow({ config, onOpenSettings }) {
           <span className="settings-icon">⚙️</span>
         </button>
       )}
+
+      {schedule.brightness < 100 && (
+        <div className="schedule-dim" style={{ opacity: 1 - schedule.brightness / 100 }} />
+      )}
+
+      {isBlank && <div className="schedule-blank" aria-hidden="true" />}
     </div>
   );
 }
 
-// Utility function to shuffle array
-function shuffleArray(array) {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+// The current and upcoming slides (just one when there's a single photo),
+// each with the portrait shown beside it, if paired
+function getSlides(photos, currentIndex, nextIndex, currentPartner, nextPartner) {
+  const current = photos[currentIndex];
+  const next = photos[nextIndex];
+  const getPartner = index => (index != null ? photos[index] || null : null);
+
+  const slides = current ? [{ photo: current, partner: getPartner(currentPartner), role: 'current' }] : [];
+  if (next && next.id !== current?.id) {
+    slides.push({ photo: next, partner: getPartner(nextPartner), role: 'next' });
   }
-  return shuffled;
+  return slides;
+}
+
+// CSS background-image value for a URL (quoted so spaces and parens survive)
+function toBackgroundImage(url) {
+  return url ? `url("${url.replace(/"/g, '%22')}")` : 'none';
 }
 
 export default Slideshow;
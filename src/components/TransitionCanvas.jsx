@@ -0,0 +1,121 @@
+import React, { useEffect, useRef } from 'react';
+
+// Matches the blurred fill in Slideshow.css
+const BLUR_FILTER = 'blur(40px) brightness(0.5)';
+const BLUR_OVERSCAN = 0.05;
+
+/**
+ * Load an image for drawing (no CORS needed: pixels are never read back)
+ */
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load ${url}`));
+    img.src = url;
+  });
+}
+
+/**
+ * Draw an image into a rectangle, centred, like background-size contain/cover
+ */
+function drawFitted(context, img, { x, y, width, height }, size) {
+  const scaleX = width / img.naturalWidth;
+  const scaleY = height / img.naturalHeight;
+  const scale = size === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+  const drawWidth = img.naturalWidth * scale;
+  const drawHeight = img.naturalHeight * scale;
+
+  context.save();
+  context.beginPath();
+  context.rect(x, y, width, height);
+  context.clip();
+  context.drawImage(img, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+  context.restore();
+}
+
+/**
+ * Render a slide the way the DOM draws it, to an offscreen canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {object} slide - { urls: one URL, or two for a portrait pair, fit }
+ * @returns {Promise<HTMLCanvasElement>} Rendered slide
+ */
+async function renderSlide(width, height, { urls, fit }) {
+  const images = await Promise.all(urls.map(loadImage));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#000';
+  context.fillRect(0, 0, width, height);
+
+  if (images.length === 2) {
+    drawFitted(context, images[0], { x: 0, y: 0, width: width / 2, height }, 'contain');
+    drawFitted(context, images[1], { x: width / 2, y: 0, width: width / 2, height }, 'contain');
+    return canvas;
+  }
+
+  const frame = { x: 0, y: 0, width, height };
+  if (fit.blurFill) {
+    context.filter = BLUR_FILTER;
+    drawFitted(context, images[0], {
+      x: -width * BLUR_OVERSCAN,
+      y: -height * BLUR_OVERSCAN,
+      width: width * (1 + 2 * BLUR_OVERSCAN),
+      height: height * (1 + 2 * BLUR_OVERSCAN)
+    }, 'cover');
+    context.filter = 'none';
+  }
+  drawFitted(context, images[0], frame, fit.size);
+  return canvas;
+}
+
+/**
+ * Plays a canvas transition over the outgoing slide
+ * Falls straight through to onEnd if the incoming photo can't be drawn
+ */
+function TransitionCanvas({ transition, slide, duration, onEnd }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+
+    let cancelled = false;
+    let frame = null;
+
+    renderSlide(canvas.width, canvas.height, slide)
+      .then(incoming => {
+        if (cancelled) return;
+        const draw = transition.canvas(canvas.getContext('2d'), incoming);
+        const start = performance.now();
+
+        const step = (now) => {
+          const progress = Math.min((now - start) / duration, 1);
+          draw(progress);
+          if (progress < 1) {
+            frame = requestAnimationFrame(step);
+          } else {
+            onEnd();
+          }
+        };
+        frame = requestAnimationFrame(step);
+      })
+      .catch(err => {
+        console.warn('Canvas transition failed, switching straight to the next photo:', err);
+        if (!cancelled) onEnd();
+      });
+
+    return () => {
+      cancelled = true;
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  return <canvas ref={canvasRef} className="transition-canvas" />;
+}
+
+export default TransitionCanvas;
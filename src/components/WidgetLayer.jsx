@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { layoutWidgets, formatClock, formatToday, formatCountdown } from '../utils/widgets';
+import { fetchWeather } from '../services/weatherService';
+import './WidgetLayer.css';
+
+/**
+ * Box around a widget, styled like the EXIF overlay style it's set to
+ */
+function WidgetFrame({ id, settings, children }) {
+  return (
+    <div className={`widget widget-${id} ${settings.style || 'style-minimal'}`}>
+      <div className="widget-content">{children}</div>
+    </div>
+  );
+}
+
+function ClockWidget({ settings, now }) {
+  return (
+    <WidgetFrame id="clock" settings={settings}>
+      <span className="widget-clock">{formatClock(now, settings.use24Hour)}</span>
+    </WidgetFrame>
+  );
+}
+
+function DateWidget({ settings, now }) {
+  return (
+    <WidgetFrame id="date" settings={settings}>
+      <span className="widget-text">{formatToday(now)}</span>
+    </WidgetFrame>
+  );
+}
+
+function CountdownWidget({ settings, now }) {
+  const text = formatCountdown(settings.date, settings.label, now);
+  if (!text) return null;
+
+  return (
+    <WidgetFrame id="countdown" settings={settings}>
+      <span className="widget-icon">⏳</span>
+      <span className="widget-text">{text}</span>
+    </WidgetFrame>
+  );
+}
+
+function WeatherWidget({ settings }) {
+  const [weather, setWeather] = useState(null);
+  const refreshMinutes = Math.max(1, Number(settings.refreshMinutes) || 30);
+
+  // Poll the endpoint, keeping the last reading if a request fails
+  useEffect(() => {
+    if (!settings.url) {
+      setWeather(null);
+      return;
+    }
+
+    let cancelled = false;
+    const load = () => {
+      fetchWeather(settings.url)
+        .then(data => {
+          if (!cancelled) setWeather(data);
+        })
+        .catch(error => console.warn('Weather unavailable:', error.message));
+    };
+
+    load();
+    const interval = setInterval(load, refreshMinutes * 60 * 1000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [settings.url, refreshMinutes]);
+
+  if (!weather) return null;
+
+  return (
+    <WidgetFrame id="weather" settings={settings}>
+      <div className="widget-weather-now">
+        {weather.icon && <span className="widget-weather-icon">{weather.icon}</span>}
+        <span className="widget-weather-temperature">
+          {Math.round(weather.temperature)}{weather.unit}
+        </span>
+      </div>
+      <div className="widget-weather-details">
+        {weather.condition && <span>{weather.condition}</span>}
+        {weather.high != null && weather.low != null && (
+          <span>H {Math.round(weather.high)}° · L {Math.round(weather.low)}°</span>
+        )}
+        {weather.location && <span>{weather.location}</span>}
+      </div>
+    </WidgetFrame>
+  );
+}
+
+// Component for each widget id (see WIDGET_IDS)
+const WIDGET_COMPONENTS = {
+  clock: ClockWidget,
+  date: DateWidget,
+  countdown: CountdownWidget,
+  weather: WeatherWidget
+};
+
+/**
+ * Clock, date, countdown and weather widgets over the slideshow
+ * Widgets sharing a position stack; positions the EXIF overlay uses are avoided
+ */
+function WidgetLayer({ config, paired = false }) {
+  const [now, setNow] = useState(() => new Date());
+
+  // Tick on the minute so the clock turns over with the wall clock
+  useEffect(() => {
+    const timer = setTimeout(() => setNow(new Date()), 60000 - (Date.now() % 60000));
+    return () => clearTimeout(timer);
+  }, [now]);
+
+  const stacks = layoutWidgets(config, { paired });
+  if (stacks.length === 0) return null;
+
+  return (
+    <div className="widget-layer">
+      {stacks.map(({ position, widgets }) => (
+        <div key={position} className={`widget-stack ${position}`}>
+          {widgets.map(({ id, settings }) => {
+            const Widget = WIDGET_COMPONENTS[id];
+            return <Widget key={id} settings={settings} now={now} />;
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default WidgetLayer;
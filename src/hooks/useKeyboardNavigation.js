@@ -1,10 +1,45 @@
 import { useEffect } from 'react';
 
+// Colored remote buttons, in order: red, green, yellow, blue
+const COLOR_KEY_NAMES = ['ColorF0Red', 'ColorF1Green', 'ColorF2Yellow', 'ColorF3Blue'];
+const COLOR_KEY_CODES = [403, 404, 405, 406];
+
+/**
+ * Index of the colored button a key event came from (0 red … 3 blue), or -1
+ */
+export function getColorKeyIndex(event) {
+  const byName = COLOR_KEY_NAMES.indexOf(event.key);
+  return byName !== -1 ? byName : COLOR_KEY_CODES.indexOf(event.keyCode);
+}
+
+/**
+ * Register remote keys that Tizen only delivers on request (colored and
+ * number buttons); does nothing on other platforms
+ * @param {string[]} keyNames - Tizen key names, e.g. 'ColorF0Red' or '1'
+ * @param {boolean} enabled - Register only while true
+ */
+export function useTizenKeys(keyNames, enabled = true) {
+  const keyList = keyNames.join(',');
+  useEffect(() => {
+    if (!enabled || !window.tizen?.tvinputdevice) return;
+    keyNames.forEach(name => {
+      try {
+        window.tizen.tvinputdevice.registerKey(name);
+      } catch (error) {
+        console.warn(`Could not register ${name}:`, error);
+      }
+    });
+  }, [keyList, enabled]);
+}
+
 /**
  * Hook for handling TV remote control and keyboard navigation
  * Supports standard TV remote keys and keyboard fallbacks
  */
-export function useKeyboardNavigation({ onMenu, onBack, onPlay, onPause }) {
+export function useKeyboardNavigation({ onMenu, onBack, onPlay, onPause, onColorKey }) {
+  // Tizen only delivers the colored buttons once they're registered
+  useTizenKeys(COLOR_KEY_NAMES, Boolean(onColorKey));
+
   useEffect(() => {
     const handleKeyDown = (event) => {
       // Prevent default for navigation keys
@@ -44,6 +79,16 @@ export function useKeyboardNavigation({ onMenu, onBack, onPlay, onPause }) {
         return;
       }
 
+      // Handle colored buttons (playlists)
+      const colorIndex = getColorKeyIndex(event);
+      if (colorIndex !== -1) {
+        if (onColorKey) {
+          event.preventDefault();
+          onColorKey(colorIndex);
+        }
+        return;
+      }
+
       // Handle play/pause
       if (
         event.key === ' ' ||
@@ -111,7 +156,7 @@ export function useKeyboardNavigation({ onMenu, onBack, onPlay, onPause }) {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keydown', handleTVKey);
     };
-  }, [onMenu, onBack, onPlay, onPause]);
+  }, [onMenu, onBack, onPlay, onPause, onColorKey]);
 }
 
 /**
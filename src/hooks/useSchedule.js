@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getScheduleState } from '../utils/schedule';
+
+// How often the schedule is checked
+const SCHEDULE_CHECK_INTERVAL = 30 * 1000;
+
+/**
+ * Hook that evaluates the weekly schedule (see utils/schedule) on a timer
+ * A blank window woken with a key stays off until it ends
+ * @param {object} config - App configuration
+ * @returns {{blank: object|null, brightness: number, playlistId: string|null, wake: Function}}
+ */
+export function useSchedule(config) {
+  const [now, setNow] = useState(() => new Date());
+  const [wokenId, setWokenId] = useState(null);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), SCHEDULE_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const state = getScheduleState(config.schedule, now, {
+    latitude: config.homeLatitude,
+    longitude: config.homeLongitude
+  });
+  const blankId = state.blank?.id ?? null;
+
+  // Forget the woken window once it's over, so it blanks again next time
+  useEffect(() => {
+    if (wokenId && blankId !== wokenId) setWokenId(null);
+  }, [blankId, wokenId]);
+
+  const wake = useCallback(() => setWokenId(blankId), [blankId]);
+
+  return {
+    ...state,
+    blank: blankId && blankId !== wokenId ? state.blank : null,
+    wake
+  };
+}
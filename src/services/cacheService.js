@@ -0,0 +1,201 @@
+import { createStore, isIndexedDbAvailable, PHOTO_INDEX_DB_NAME } from './idbStore';
+import { countCachedLocations, clearLocationCache } from './locationCache';
+
+/**
+ * Offline caches
+ *
+ *   - photos: Cache Storage, filled and LRU-evicted by the service worker
+ *     (public/sw.js), which indexes when each was last shown and its size
+ *   - EXIF: IndexedDB, keyed by photo id + ETag so a replaced photo is re-read
+ *   - photo lists: IndexedDB, the last successful listing per source, used
+ *     when the source can't be reached
+ *   - location names: IndexedDB, see locationCache
+ */
+
+// Keep in sync with PHOTO_CACHE in public/sw.js
+export const PHOTO_CACHE_NAME = 'tv-slideshow-photos-v2';
+
+export const DEFAULT_PHOTO_CACHE_LIMIT = 300;
+
+const exifStore = createStore('exif');
+const photoListStore = createStore('photoLists');
+const photoIndexStore = createStore('photos', PHOTO_INDEX_DB_NAME);
+
+/**
+ * Register the service worker that caches photos
+ * Only in production builds, so it doesn't interfere with the dev server
+ * @param {number} limit - Maximum number of photos to keep cached
+ */
+export async function registerServiceWorker(limit = DEFAULT_PHOTO_CACHE_LIMIT) {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  try {
+    // A new limit changes the script URL, which installs an updated worker.
+    // Relative to the base path, so a build served from a sub-folder works too
+    const base = import.meta.env.BASE_URL;
+    await navigator.serviceWorker.register(`${base}sw.js?limit=${limit}`, { scope: base });
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+  }
+}
+
+/**
+ * Build the EXIF cache key for a photo, or null if it has no version info
+ * Without an ETag (or last-modified date) a replaced photo couldn't be told
+ * apart from the original, so it isn't cached
+ */
+export function getExifCacheKey(photo) {
+  const version = photo.etag || (photo.lastModified && new Date(photo.lastModified).toISOString());
+  return version ? `${photo.id}@${version}` : null;
+}
+
+/**
+ * Read cached EXIF data for a photo
+ * @param {object} photo - Photo entry
+ * @returns {Promise<object|undefined>} Cached data, or undefined on a miss
+ */
+export async function getCachedExif(photo) {
+  const key = getExifCacheKey(photo);
+  if (!key) return undefined;
+
+  try {
+    return await exifStore.get(key);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Read cached EXIF data for many photos at once (a lookup per photo, in one
+ * transaction)
+ * @param {object[]} photos - Photo entries
+ * @returns {Promise<Map<string, object>>} EXIF data by photo id, for the photos that have it
+ */
+export async function getCachedExifMap(photos) {
+  const found = new Map();
+  if (!isIndexedDbAvailable()) return found;
+
+  const versioned = photos.filter(photo => getExifCacheKey(photo));
+  try {
+    const values = await exifStore.getMany(versioned.map(getExifCacheKey));
+    versioned.forEach((photo, index) => {
+      if (values[index]) found.set(photo.id, values[index]);
+    });
+  } catch (error) {
+    // IndexedDB unavailable: nothing cached
+  }
+
+  return found;
+}
+
+/**
+ * Store EXIF data for a photo
+ * Failed reads (null) aren't cached, so they are retried. Location names
+ * aren't either: they depend on the geocoder chain and the network, so
+ * they're looked up (from the location cache) each time the photo is read
+ * @param {object} photo - Photo entry
+ * @param {object|null} exifData - Extracted EXIF data
+ */
+export async function setCachedExif(photo, exifData) {
+  const key = getExifCacheKey(photo);
+  if (!key || !exifData || !isIndexedDbAvailable()) return;
+
+  const data = { ...exifData };
+  delete data.locationName;
+
+  try {
+    await exifStore.put(key, data);
+  } catch (error) {
+    console.warn('Could not cache EXIF data:', error);
+  }
+}
+
+/**
+ * Save the latest listing for a source
+ * @param {string} sourceKey - Key from getSourceKey
+ * @param {object[]} photos - Photo entries
+ */
+export async function savePhotoList(sourceKey, photos) {
+  if (!isIndexedDbAvailable()) return;
+
+  try {
+    await photoListStore.put(sourceKey, { photos, savedAt: Date.now() });
+  } catch (error) {
+    console.warn('Could not cache photo list:', error);
+  }
+}
+
+/**
+ * Load the last saved listing for a source
+ * @param {string} sourceKey - Key from getSourceKey
+ * @returns {Promise<object[]|null>} Photo entries, or null if none saved
+ */
+export async function loadPhotoList(sourceKey) {
+  try {
+    const saved = await photoListStore.get(sourceKey);
+    return saved?.photos || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Summarise what is cached, for Settings
+ * @returns {Promise<{photoCount: number, photoBytes: number, exifCount: number, locationCount: number}>}
+ */
+export async function getCacheStats() {
+  const stats = { photoCount: 0, photoBytes: 0, exifCount: 0, locationCount: 0 };
+
+  if (typeof caches !== 'undefined') {
+    const cache = await caches.open(PHOTO_CACHE_NAME);
+    const requests = await cache.keys();
+    stats.photoCount = requests.length;
+
+    // Sizes come from the service worker's index, so no photo is read
+    try {
+      const sizes = await photoIndexStore.getMany(requests.map(request => request.url));
+      stats.photoBytes = sizes.reduce((total, entry) => total + (entry?.bytes || 0), 0);
+    } catch (error) {
+      // IndexedDB unavailable: size unknown
+    }
+  }
+
+  try {
+    stats.exifCount = await exifStore.count();
+  } catch (error) {
+    // IndexedDB unavailable: nothing cached
+  }
+  stats.locationCount = await countCachedLocations();
+
+  return stats;
+}
+
+/**
+ * Delete cached photos, EXIF data, photo lists and location names
+ */
+export async function clearCaches() {
+  if (typeof caches !== 'undefined') {
+    await caches.delete(PHOTO_CACHE_NAME);
+  }
+
+  await Promise.allSettled([exifStore.clear(), photoListStore.clear(), clearLocationCache()]);
+}
+
+/**
+ * Format a byte count for display (e.g. "12.3 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
@@ -1,6 +1,30 @@
+import { DISPLAY_MODES } from '../utils/displayModes';
+import { PLAYBACK_MODES } from './playlistService';
+import { ORDER_MODES } from '../utils/photoOrder';
+import { SCHEDULE_ACTIONS, isValidScheduleTime } from '../utils/schedule';
+import { getTransition, MAX_TRANSITION_SECONDS } from '../utils/transitions';
+import { DEFAULT_WIDGETS, OVERLAY_POSITIONS, OVERLAY_STYLES } from '../utils/widgets';
+import { getGeocoder } from '../utils/geocoding';
+import { isValidPlace } from '../utils/geocoding/places';
+
 const CONFIG_KEY = 'tv-slideshow-config';
 const CONFIG_VERSION = '1.0';
 
+// Fields each photo source needs before it can list photos
+const SOURCE_REQUIRED_FIELDS = {
+  s3: ['s3Bucket', 's3Region'],
+  manifest: ['manifestUrl'],
+  webdav: ['webdavUrl'],
+  static: []
+};
+
+// Fields left out of exported settings files
+const CREDENTIAL_FIELDS = ['webdavUsername', 'webdavPassword'];
+
+// Limits for each geocoder's timeout (seconds) and radius (metres)
+const MAX_GEOCODER_TIMEOUT = 60;
+const MAX_GEOCODER_RADIUS = 100000;
+
 /**
  * Load configuration from localStorage
  * @returns {Promise<object|null>} Configuration object or null if not found
@@ -72,12 +96,24 @@ function migrateConfig(oldConfig) {
   return oldConfig.data || oldConfig;
 }
 
+/**
+ * Configuration as it's written to a settings file, without credentials
+ * (importing such a file keeps the credentials already entered)
+ * @param {object} config - Configuration to export
+ * @returns {object} Shareable configuration
+ */
+export function buildConfigExport(config) {
+  const shareable = { ...config };
+  for (const field of CREDENTIAL_FIELDS) delete shareable[field];
+  return shareable;
+}
+
 /**
  * Export configuration as JSON file
  * @param {object} config - Configuration to export
  */
 export function exportConfig(config) {
-  const dataStr = JSON.stringify(config, null, 2);
+  const dataStr = JSON.stringify(buildConfigExport(config), null, 2);
   const dataBlob = new Blob([dataStr], { type: 'application/json' });
   const url = URL.createObjectURL(dataBlob);
 
@@ -127,8 +163,11 @@ export function validateConfig(config) {
     return false;
   }
 
-  // Check required fields
-  const requiredFields = ['s3Bucket', 's3Region'];
+  // Check required fields for the selected photo source
+  const requiredFields = SOURCE_REQUIRED_FIELDS[config.photoSource || 's3'];
+  if (!requiredFields) {
+    return false;
+  }
   for (const field of requiredFields) {
     if (!config[field]) {
       return false;
@@ -140,9 +179,127 @@ export function validateConfig(config) {
     return false;
   }
 
+  // Validate selected albums (S3 prefixes)
+  if (config.s3Albums != null &&
+      (!Array.isArray(config.s3Albums) || config.s3Albums.some(album => typeof album !== 'string'))) {
+    return false;
+  }
+
+  // Validate refresh interval (minutes, 0 disables refreshing)
+  if (config.refreshInterval != null && (config.refreshInterval < 0 || config.refreshInterval > 1440)) {
+    return false;
+  }
+
+  // Validate offline photo cache size (number of photos)
+  if (config.photoCacheLimit != null && (config.photoCacheLimit < 10 || config.photoCacheLimit > 5000)) {
+    return false;
+  }
+
+  // Validate custom S3 endpoint URL
+  if (config.s3Endpoint) {
+    try {
+      const { protocol } = new URL(config.s3Endpoint);
+      if (protocol !== 'http:' && protocol !== 'https:') {
+        return false;
+      }
+    } catch {
+      return false;
+    }
+  }
+
+  // Validate playback mode
+  if (config.playbackMode && !PLAYBACK_MODES.includes(config.playbackMode)) {
+    return false;
+  }
+
+  // Validate order mode
+  if (config.orderMode && !ORDER_MODES.includes(config.orderMode)) {
+    return false;
+  }
+
+  // Validate smart playlists (each needs an id and a rules object)
+  if (config.playlists != null &&
+      (!Array.isArray(config.playlists) ||
+       config.playlists.some(playlist => typeof playlist?.id !== 'string' || !playlist.rules || typeof playlist.rules !== 'object'))) {
+    return false;
+  }
+
+  // Validate the weekly schedule
+  if (config.schedule != null &&
+      (!Array.isArray(config.schedule) ||
+       config.schedule.some(entry => !SCHEDULE_ACTIONS.includes(entry?.action) ||
+         !isValidScheduleTime(entry.start) || !isValidScheduleTime(entry.end) ||
+         (entry.action === 'dim' && !(Number(entry.brightness) >= 0 && Number(entry.brightness) <= 100))))) {
+    return false;
+  }
+
+  // Validate the home location (blank until set)
+  if (config.homeLatitude !== '' && config.homeLatitude != null &&
+      !(Math.abs(Number(config.homeLatitude)) <= 90)) {
+    return false;
+  }
+  if (config.homeLongitude !== '' && config.homeLongitude != null &&
+      !(Math.abs(Number(config.homeLongitude)) <= 180)) {
+    return false;
+  }
+
+  // Validate widget positions and styles, and the weather endpoint
+  if (config.widgets != null) {
+    if (typeof config.widgets !== 'object') {
+      return false;
+    }
+    const widgets = Object.values(config.widgets);
+    if (widgets.some(widget => (widget?.position && !OVERLAY_POSITIONS.includes(widget.position)) ||
+        (widget?.style && !OVERLAY_STYLES.includes(widget.style)))) {
+      return false;
+    }
+    const weatherUrl = config.widgets.weather?.url;
+    if (weatherUrl && !/^https?:\/\//.test(weatherUrl)) {
+      return false;
+    }
+  }
+
+  // Validate the geocoder chain: known geocoders, each listed once, with
+  // sensible timeouts and radii and an http(s) custom endpoint
+  if (config.geocoders != null) {
+    if (!Array.isArray(config.geocoders)) {
+      return false;
+    }
+    const ids = config.geocoders.map(settings => settings?.id);
+    if (ids.some(id => !getGeocoder(id)) || new Set(ids).size !== ids.length) {
+      return false;
+    }
+    if (config.geocoders.some(({ timeout, radius, url }) =>
+      (timeout != null && !(timeout > 0 && timeout <= MAX_GEOCODER_TIMEOUT)) ||
+      (radius != null && !(radius > 0 && radius <= MAX_GEOCODER_RADIUS)) ||
+      (url && !/^https?:\/\//.test(url)))) {
+      return false;
+    }
+  }
+
+  // Validate user-defined places (named circles)
+  if (config.places != null &&
+      (!Array.isArray(config.places) ||
+       config.places.some(place => typeof place?.id !== 'string' || !isValidPlace(place)))) {
+    return false;
+  }
+
+  // Validate display mode and how much smart-cover may crop (percent)
+  if (config.displayMode && !DISPLAY_MODES.includes(config.displayMode)) {
+    return false;
+  }
+  if (config.smartCoverThreshold != null && (config.smartCoverThreshold < 0 || config.smartCoverThreshold > 50)) {
+    return false;
+  }
+
   // Validate transition effect
-  const validTransitions = ['fade', 'slide-transition', 'zoom'];
-  if (config.transitionEffect && !validTransitions.includes(config.transitionEffect)) {
+  if (config.transitionEffect && !getTransition(config.transitionEffect)) {
+    return false;
+  }
+
+  // Validate transition duration (seconds, 0 uses each effect's own)
+  if (config.transitionDuration != null &&
+      (config.transitionDuration < 0 || config.transitionDuration > MAX_TRANSITION_SECONDS)) {
     return false;
   }
 
@@ -155,14 +312,40 @@ export function validateConfig(config) {
  */
 export function getDefaultConfig() {
   return {
+    photoSource: 's3',
     s3Bucket: '',
     s3Region: 'us-east-1',
     s3Prefix: '',
+    s3Endpoint: '',
+    s3AddressingStyle: 'auto',
+    s3Albums: [],
+    manifestUrl: '',
+    webdavUrl: '',
+    webdavUsername: '',
+    webdavPassword: '',
+    staticPath: '/photos/',
     displayDuration: 10,
     transitionEffect: 'fade',
+    transitionDuration: 0,
     shuffleMode: false,
+    refreshInterval: 0,
+    pairPortraits: false,
+    saveMarksToSource: true,
+    playbackMode: 'all',
+    orderMode: 'listing',
+    playlists: [],
+    activePlaylist: null,
+    schedule: [],
+    places: [],
+    homeLatitude: '',
+    homeLongitude: '',
+    displayMode: 'contain',
+    smartCoverThreshold: 20,
+    photoCacheLimit: 300,
+    widgets: DEFAULT_WIDGETS,
     exifDisplay: {
       enabled: true,
+      showCaption: true,
       showDateTime: true,
       showLocation: true,
       showCameraInfo: false,
@@ -0,0 +1,216 @@
+/**
+ * Small promise wrapper around IndexedDB
+ *
+ * Everything lives in one database with one object store per kind of data.
+ * Adding a store means adding its name to STORE_NAMES and bumping DB_VERSION.
+ * Changing what a store's entries hold means bumping DB_VERSION and listing
+ * the store in CLEARED_ON_UPGRADE, so entries in the old format are dropped.
+ *
+ * The service worker keeps its photo index in a database of its own
+ * (PHOTO_INDEX_DB_NAME), which the app only reads.
+ */
+
+const DB_NAME = 'tv-slideshow';
+const DB_VERSION = 3;
+const STORE_NAMES = ['exif', 'photoLists', 'locations'];
+
+// Store name → version whose upgrade clears it (3: EXIF gained XMP/IPTC
+// captions, titles, keywords and ratings)
+const CLEARED_ON_UPGRADE = { exif: 3 };
+
+// Keep in sync with INDEX_DB, INDEX_DB_VERSION and INDEX_STORE in public/sw.js
+export const PHOTO_INDEX_DB_NAME = 'tv-slideshow-photo-cache';
+
+// Database name → version and stores
+const DATABASES = {
+  [DB_NAME]: { version: DB_VERSION, storeNames: STORE_NAMES },
+  [PHOTO_INDEX_DB_NAME]: { version: 1, storeNames: ['photos'] }
+};
+
+// Database name → promise of the open connection
+const dbPromises = new Map();
+
+/**
+ * Check whether IndexedDB can be used in this browser
+ * @returns {boolean} True if available
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and upgrade, if needed) a database, the shared one by default
+ */
+function openDb(dbName = DB_NAME) {
+  if (!dbPromises.has(dbName)) {
+    if (!isIndexedDbAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const { version, storeNames } = DATABASES[dbName];
+    const request = indexedDB.open(dbName, version);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (const name of storeNames) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name);
+        } else if (event.oldVersion < (CLEARED_ON_UPGRADE[name] || 0)) {
+          request.transaction.objectStore(name).clear();
+        }
+      }
+    };
+
+    // Another tab holding the old version open blocks the upgrade: give up
+    // rather than wait (callers treat it like IndexedDB being unavailable),
+    // and close the connection if it opens after all
+    let blocked = false;
+    const opened = promisify(request).then(db => {
+      if (blocked) {
+        db.close();
+        throw new Error(`${dbName} opened after its upgrade was blocked`);
+      }
+      // Let another tab's upgrade go ahead; the next request opens it again
+      db.onversionchange = () => {
+        db.close();
+        dbPromises.delete(dbName);
+      };
+      return db;
+    });
+    const unblocked = new Promise((resolve, reject) => {
+      request.onblocked = () => {
+        blocked = true;
+        console.warn(`IndexedDB upgrade of ${dbName} is blocked by another tab`);
+        reject(new Error(`${dbName} upgrade blocked`));
+      };
+    });
+
+    dbPromises.set(dbName, Promise.race([opened, unblocked]).catch(error => {
+      dbPromises.delete(dbName);
+      throw error;
+    }));
+    // After a block, the late open is only there to be closed
+    opened.catch(() => {});
+  }
+  return dbPromises.get(dbName);
+}
+
+/**
+ * Run a single request against a store
+ */
+async function withStore(dbName, storeName, mode, callback) {
+  const db = await openDb(dbName);
+  const store = db.transaction(storeName, mode).objectStore(storeName);
+  return promisify(callback(store));
+}
+
+/**
+ * Run many requests against a store in one transaction; resolves with what
+ * callback returns once the transaction completes
+ */
+async function withTransaction(dbName, storeName, mode, callback) {
+  const db = await openDb(dbName);
+  const transaction = db.transaction(storeName, mode);
+  const result = callback(transaction.objectStore(storeName));
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Read every entry of a store with one cursor, in one transaction, so keys
+ * and values can't drift apart between reads. With select, the keys it
+ * picks from the entries are deleted in that same transaction
+ */
+async function walkEntries(dbName, storeName, mode, select) {
+  const db = await openDb(dbName);
+  const transaction = db.transaction(storeName, mode);
+  const store = transaction.objectStore(storeName);
+  const entries = [];
+
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      entries.push([cursor.key, cursor.value]);
+      cursor.continue();
+    } else if (select) {
+      for (const key of select(entries)) store.delete(key);
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(entries);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Read several keys of a store in one transaction
+ */
+function readMany(dbName, storeName, keys) {
+  return withTransaction(dbName, storeName, 'readonly', store => {
+    const values = new Array(keys.length);
+    keys.forEach((key, index) => {
+      const request = store.get(key);
+      request.onsuccess = () => { values[index] = request.result; };
+    });
+    return values;
+  });
+}
+
+/**
+ * Get a key/value interface to one object store
+ * @param {string} storeName - One of STORE_NAMES (or of the database's stores)
+ * @param {string} dbName - Database the store is in, the shared one by default
+ * @returns {object} Store with get, put, delete, clear, count, keys and getAll,
+ *   plus getMany(keys) (values in key order), putMany([key, value] pairs) and
+ *   deleteMany(keys) in one transaction, entries() for [key, value] pairs,
+ *   and prune(select), which deletes the keys select(entries) returns in the
+ *   transaction that read them
+ */
+export function createStore(storeName, dbName = DB_NAME) {
+  const run = (mode, callback) => withStore(dbName, storeName, mode, callback);
+  return {
+    get: key => run('readonly', store => store.get(key)),
+    put: (key, value) => run('readwrite', store => store.put(value, key)),
+    delete: key => run('readwrite', store => store.delete(key)),
+    clear: () => run('readwrite', store => store.clear()),
+    count: () => run('readonly', store => store.count()),
+    keys: () => run('readonly', store => store.getAllKeys()),
+    getAll: () => run('readonly', store => store.getAll()),
+    getMany: keys => readMany(dbName, storeName, keys),
+    putMany: entries => withTransaction(dbName, storeName, 'readwrite', store => {
+      for (const [key, value] of entries) store.put(value, key);
+    }),
+    deleteMany: keys => withTransaction(dbName, storeName, 'readwrite', store => {
+      for (const key of keys) store.delete(key);
+    }),
+    entries: () => walkEntries(dbName, storeName, 'readonly'),
+    prune: select => walkEntries(dbName, storeName, 'readwrite', select)
+  };
+}
+
+/**
+ * Close the database connections (used by tests between runs)
+ */
+export async function closeDb() {
+  const pending = Array.from(dbPromises.values());
+  dbPromises.clear();
+  for (const dbPromise of pending) {
+    const db = await dbPromise.catch(() => null);
+    if (db) db.close();
+  }
+}
@@ -0,0 +1,272 @@
+import { createStore, isIndexedDbAvailable } from './idbStore';
+
+/**
+ * Location name cache (IndexedDB 'locations' store)
+ *
+ * Names found by the geocoder chain are cached by coordinate (rounded to
+ * ~11 m) with the chain they came from; a name from another chain is a miss,
+ * and changing the chain deletes them. Entries expire after
+ * LOCATION_CACHE_TTL_DAYS, and the least recently used are evicted beyond
+ * LOCATION_CACHE_LIMIT. A 'meta' record holds the schema version: a store
+ * from another version is cleared.
+ *
+ * Imported names (see importLocationCache) belong to no chain and don't
+ * expire, so a cache precomputed by the photo uploader keeps naming photos
+ * on a TV that only uses the offline dataset.
+ */
+
+const SCHEMA_VERSION = 1;
+const META_KEY = 'meta';
+
+export const LOCATION_CACHE_LIMIT = 10000;
+export const LOCATION_CACHE_TTL_DAYS = 90;
+
+// Evict down to this share of the limit, so eviction doesn't run on every write
+const EVICT_TO = 0.9;
+
+// File format shared with the photo uploader's --location-cache option
+export const LOCATION_CACHE_EXPORT_TYPE = 'tv-slideshow-location-cache';
+const EXPORT_VERSION = 1;
+
+// Where location names were kept before they moved to IndexedDB
+const LEGACY_CACHE_KEY = 'tv-slideshow-location-cache';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const locationStore = createStore('locations');
+
+// Checked once per session (and the chain again when it changes)
+let schemaChecked = false;
+let checkedChain = null;
+
+/**
+ * Cache key for a coordinate, rounded to 4 decimal places (~11 m)
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {string} Key, e.g. "21.2650,-157.8226"
+ */
+export function getLocationCacheKey(latitude, longitude) {
+  return `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+}
+
+/**
+ * Clear a store from another schema version, moving the old localStorage
+ * cache in
+ */
+async function ensureSchema() {
+  if (schemaChecked) return;
+
+  const meta = await locationStore.get(META_KEY);
+  if (meta?.schemaVersion !== SCHEMA_VERSION) {
+    await locationStore.clear();
+    await locationStore.putMany(readLegacyCache());
+    await locationStore.put(META_KEY, { schemaVersion: SCHEMA_VERSION, chain: null });
+    localStorage.removeItem(LEGACY_CACHE_KEY);
+  }
+  schemaChecked = true;
+}
+
+/**
+ * Make sure the store matches the chain in use, deleting names found by a
+ * previous chain
+ */
+async function prepareStore(chainKey) {
+  if (checkedChain === chainKey) return;
+  await ensureSchema();
+
+  const meta = await locationStore.get(META_KEY);
+  if (meta.chain !== chainKey) {
+    await locationStore.prune(entries => entries
+      .filter(([key, entry]) => key !== META_KEY && entry.chain != null)
+      .map(([key]) => key));
+    await locationStore.put(META_KEY, { ...meta, chain: chainKey });
+  }
+  checkedChain = chainKey;
+}
+
+/**
+ * Entries from the localStorage cache, as imported names
+ */
+function readLegacyCache() {
+  try {
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_CACHE_KEY) || '{}');
+    const now = Date.now();
+    return Object.entries(legacy)
+      .filter(([, name]) => typeof name === 'string')
+      .map(([key, name]) => [key, { name, chain: null, savedAt: now, usedAt: now }]);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read a cached location name
+ * @param {string} key - Key from getLocationCacheKey
+ * @param {string} chainKey - Geocoder chain in use (see geocoding/getChainKey)
+ * @returns {Promise<string|undefined>} Name, or undefined on a miss
+ */
+export async function getCachedLocation(key, chainKey) {
+  if (!isIndexedDbAvailable()) return undefined;
+
+  try {
+    await prepareStore(chainKey);
+    const entry = await locationStore.get(key);
+    if (!entry || (entry.chain != null && entry.chain !== chainKey)) return undefined;
+    if (entry.chain != null && Date.now() - entry.savedAt > LOCATION_CACHE_TTL_DAYS * DAY_MS) {
+      return undefined;
+    }
+
+    // Eviction only needs a rough order, so a hit is written back once a day at most
+    if (!(Date.now() - entry.usedAt < DAY_MS)) {
+      await locationStore.put(key, { ...entry, usedAt: Date.now() });
+    }
+    return entry.name;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Cache a location name, evicting the least recently used past the limit
+ * @param {string} key - Key from getLocationCacheKey
+ * @param {string} name - Location name
+ * @param {string} chainKey - Geocoder chain that found it
+ */
+export async function setCachedLocation(key, name, chainKey) {
+  if (!isIndexedDbAvailable()) return;
+
+  try {
+    await prepareStore(chainKey);
+    const now = Date.now();
+    await locationStore.put(key, { name, chain: chainKey, savedAt: now, usedAt: now });
+
+    // The meta record is counted too
+    if (await locationStore.count() - 1 > LOCATION_CACHE_LIMIT) {
+      await evictLeastRecentlyUsed();
+    }
+  } catch (error) {
+    console.warn('Could not cache location name:', error);
+  }
+}
+
+async function evictLeastRecentlyUsed() {
+  await locationStore.prune(entries => {
+    const names = entries
+      .filter(([key]) => key !== META_KEY)
+      .sort(([, a], [, b]) => a.usedAt - b.usedAt);
+
+    const excess = names.length - Math.floor(LOCATION_CACHE_LIMIT * EVICT_TO);
+    return names.slice(0, Math.max(excess, 0)).map(([key]) => key);
+  });
+}
+
+/**
+ * Count cached location names, for Settings
+ * @returns {Promise<number>} Number of names
+ */
+export async function countCachedLocations() {
+  if (!isIndexedDbAvailable()) return 0;
+
+  try {
+    const keys = await locationStore.keys();
+    return keys.filter(key => key !== META_KEY).length;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Delete every cached location name
+ */
+export async function clearLocationCache() {
+  schemaChecked = false;
+  checkedChain = null;
+  if (!isIndexedDbAvailable()) return;
+  await locationStore.clear();
+}
+
+/**
+ * Cached names in the export file format
+ * @returns {Promise<{type: string, version: number, exportedAt: string,
+ *   entries: Object<string, string>}>} Export data
+ */
+export async function buildLocationCacheExport() {
+  const entries = {};
+  if (isIndexedDbAvailable()) {
+    for (const [key, entry] of await locationStore.entries()) {
+      if (key !== META_KEY) entries[key] = entry.name;
+    }
+  }
+
+  return {
+    type: LOCATION_CACHE_EXPORT_TYPE,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries
+  };
+}
+
+/**
+ * Add names from export data to the cache, replacing cached names for the
+ * same coordinates
+ * @param {object} data - Parsed export file (see buildLocationCacheExport)
+ * @returns {Promise<number>} Number of names added
+ */
+export async function seedLocationCache(data) {
+  if (data?.type !== LOCATION_CACHE_EXPORT_TYPE || data.version !== EXPORT_VERSION ||
+      !data.entries || typeof data.entries !== 'object') {
+    throw new Error('Not a location cache file');
+  }
+  if (!isIndexedDbAvailable()) {
+    throw new Error('IndexedDB is not available');
+  }
+  await ensureSchema();
+
+  const now = Date.now();
+  const entries = Object.entries(data.entries)
+    .filter(([key, name]) => /^-?\d+\.\d{4},-?\d+\.\d{4}$/.test(key) && typeof name === 'string' && name)
+    .map(([key, name]) => [key, { name, chain: null, savedAt: now, usedAt: now }]);
+
+  await locationStore.putMany(entries);
+  return entries.length;
+}
+
+/**
+ * Download the cached names as a JSON file
+ */
+export async function exportLocationCache() {
+  const dataStr = JSON.stringify(await buildLocationCacheExport(), null, 2);
+  const dataBlob = new Blob([dataStr], { type: 'application/json' });
+  const url = URL.createObjectURL(dataBlob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `tv-slideshow-locations-${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Import names from an exported (or uploader-built) JSON file
+ * @param {File} file - JSON file to import
+ * @returns {Promise<number>} Number of names added
+ */
+export async function importLocationCache(file) {
+  const text = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a location cache file');
+  }
+  return seedLocationCache(data);
+}
@@ -0,0 +1,283 @@
+/**
+ * photos.json manifest parsing
+ *
+ * Three formats are accepted:
+ *   - photos.txt: one file name or URL per line
+ *   - photos.json v1: a bare array of file names or URLs
+ *   - photos.json v2: { "version": 2, "photos": [ entry, ... ] } where each
+ *     entry is a file name or an object with per-photo metadata:
+ *
+ *     {
+ *       "file": "2023/beach.jpg",          (required; relative path or URL)
+ *       "caption": "First swim of the year",
+ *       "album": "2023 Hawaii",
+ *       "tags": ["beach", "kids"],
+ *       "exif": { "dateTime": "2023-07-04T10:12:00", "latitude": 21.27,
+ *                 "longitude": -157.82, "make": "Apple", "model": "iPhone 14" },
+ *       "location": "Waikiki Beach, Hawaii",
+ *       "width": 4032, "height": 3024,
+ *       "focus": { "x": 0.3, "y": 0.4 },     (subject position for Ken Burns, 0–1)
+ *       "displayMode": "cover",              (overrides the Display Mode setting)
+ *       "favorite": true,
+ *       "hidden": false,                     (never played)
+ *       "rating": 4,                         (1–5 stars)
+ *       "markedAt": 1720088000000,           (when the marks were last set; see photoMarks)
+ *       "ratedAt": 1720088000000,            (when the rating was last set from the remote)
+ *       "weight": 2                          (relative shuffle weight, default 1)
+ *     }
+ *
+ * Entries play in manifest order unless shuffle is on. Marks set from the
+ * remote are written back into photos.json when the server accepts a PUT.
+ */
+
+import { normalizeFocus } from '../utils/kenBurns';
+import { normalizeDisplayMode } from '../utils/displayModes';
+import { normalizeMarks } from './photoMarks';
+
+export const MANIFEST_VERSION = 2;
+
+// Tries at a conditional marks write: a conflict with another TV's write
+// (412 Precondition Failed) is read again and retried once
+export const MARK_WRITE_ATTEMPTS = 2;
+
+// Keys from an entry's "exif" block that map onto extractExifData's output
+const EXIF_FIELDS = [
+  'dateTime', 'latitude', 'longitude', 'altitude',
+  'make', 'model', 'lensModel',
+  'fNumber', 'exposureTime', 'iso', 'focalLength',
+  'width', 'height', 'orientation', 'locationName'
+];
+
+/**
+ * Get the file name portion of a key or path
+ */
+export function getFileName(key) {
+  return key.split('/').filter(Boolean).pop() || key;
+}
+
+/**
+ * Resolve a possibly relative URL or path against the page location
+ */
+export function toAbsoluteUrl(url) {
+  return new URL(url, window.location.href).href;
+}
+
+/**
+ * Coerce a value to a finite number, or null
+ */
+function toNumber(value) {
+  const number = Number(value);
+  return value != null && value !== '' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Normalise an entry's exif block, dropping unknown keys
+ */
+function parseExifBlock(exif) {
+  if (!exif || typeof exif !== 'object') return null;
+
+  const parsed = {};
+  for (const field of EXIF_FIELDS) {
+    parsed[field] = exif[field] ?? null;
+  }
+  return parsed;
+}
+
+/**
+ * Build a photo entry from a manifest line or object
+ */
+function toEntry(item, baseUrl) {
+  const isObject = item && typeof item === 'object';
+  const file = (isObject ? item.file : item)?.trim();
+  if (!file) return null;
+
+  const entry = {
+    id: file,
+    key: file,
+    url: new URL(file, baseUrl).href,
+    name: getFileName(file)
+  };
+
+  if (!isObject) return entry;
+
+  const weight = toNumber(item.weight);
+
+  return {
+    ...entry,
+    caption: item.caption || null,
+    album: item.album || null,
+    tags: Array.isArray(item.tags) ? item.tags.map(String) : [],
+    exif: parseExifBlock(item.exif),
+    location: item.location || null,
+    width: toNumber(item.width),
+    height: toNumber(item.height),
+    focus: normalizeFocus(item.focus),
+    displayMode: normalizeDisplayMode(item.displayMode),
+    ...normalizeMarks(item),
+    weight: weight != null && weight >= 0 ? weight : 1
+  };
+}
+
+/**
+ * Parse photos.json contents (v1 array or v2 versioned manifest)
+ * @param {Array|object} data - Parsed JSON
+ * @param {string} baseUrl - URL that relative entries resolve against
+ * @returns {object[]} Photo entries
+ */
+export function parseManifest(data, baseUrl) {
+  let items;
+
+  if (Array.isArray(data)) {
+    items = data;
+  } else if (data && typeof data === 'object' && Array.isArray(data.photos)) {
+    if (data.version > MANIFEST_VERSION) {
+      console.warn(`photos.json version ${data.version} is newer than supported (${MANIFEST_VERSION}); unknown fields are ignored`);
+    }
+    items = data.photos;
+  } else {
+    throw new Error('photos.json must be an array of file names or a { version, photos } manifest');
+  }
+
+  return items
+    .map(item => toEntry(item, baseUrl))
+    .filter(Boolean);
+}
+
+/**
+ * Parse photos.txt contents (one file name or URL per line)
+ * @param {string} text - File contents
+ * @param {string} baseUrl - URL that relative entries resolve against
+ * @returns {object[]} Photo entries
+ */
+export function parsePhotoListText(text, baseUrl) {
+  return text
+    .split('\n')
+    .map(line => toEntry(line, baseUrl))
+    .filter(Boolean);
+}
+
+/**
+ * Fetch and parse a single photo list file, choosing the parser by extension
+ * @param {string} listUrl - Absolute URL of photos.json or photos.txt
+ * @returns {Promise<object[]|null>} Photo entries, or null if the file is missing
+ */
+export async function fetchPhotoListFile(listUrl) {
+  const response = await fetch(listUrl);
+  if (!response.ok) {
+    return null;
+  }
+
+  if (/\.txt(\?|$)/i.test(listUrl)) {
+    return parsePhotoListText(await response.text(), listUrl);
+  }
+  return parseManifest(await response.json(), listUrl);
+}
+
+/**
+ * Fetch photos.json, falling back to photos.txt, from a folder URL
+ * @param {string} folderUrl - Absolute folder URL ending in "/"
+ * @returns {Promise<object[]|null>} Photo entries, or null if neither file exists
+ */
+export async function fetchPhotoListFromFolder(folderUrl) {
+  for (const fileName of ['photos.json', 'photos.txt']) {
+    try {
+      const photos = await fetchPhotoListFile(new URL(fileName, folderUrl).href);
+      if (photos) return photos;
+    } catch (err) {
+      console.log(`${fileName} not found`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Set a photo's marks in parsed photos.json contents
+ * A v1 array is upgraded to a v2 manifest so the entry can hold them
+ * @param {Array|object} data - Parsed JSON
+ * @param {string} file - The entry's "file" (the photo id)
+ * @param {object} marks - Marks to store (see normalizeMarks)
+ * @returns {object} Updated v2 manifest
+ * @throws {Error} If the manifest has no entry for the file
+ */
+export function setManifestMarks(data, file, marks) {
+  const manifest = Array.isArray(data) ? { version: MANIFEST_VERSION, photos: data } : { ...data };
+  const { favorite, hidden, rating, markedAt, ratedAt } = marks;
+  let found = false;
+
+  manifest.photos = manifest.photos.map(item => {
+    const isObject = item && typeof item === 'object';
+    if ((isObject ? item.file : item)?.trim() !== file) return item;
+
+    found = true;
+    return { ...(isObject ? item : { file }), favorite, hidden, rating, markedAt, ratedAt };
+  });
+
+  if (!found) {
+    throw new Error(`${file} is not in the manifest`);
+  }
+  return manifest;
+}
+
+/**
+ * Write a photo's marks back into photos.json with a PUT
+ * Only works where the server accepts uploads (WebDAV, a writable bucket...).
+ * The PUT is conditional on the manifest's ETag, so a change saved by another
+ * TV in between isn't overwritten; the manifest is read again and the write
+ * retried once if it was
+ * @param {string} listUrl - Absolute URL of photos.json
+ * @param {object} photo - Photo entry
+ * @param {object} marks - Marks to store (see normalizeMarks)
+ * @throws {Error} If the manifest is a text file, can't be read or rejects the PUT
+ */
+export async function saveManifestMarks(listUrl, photo, marks) {
+  if (/\.txt(\?|$)/i.test(listUrl)) {
+    throw new Error('photos.txt has no room for marks');
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetch(listUrl, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Could not read the manifest: ${response.status}`);
+    }
+
+    const etag = response.headers?.get('ETag');
+    const manifest = setManifestMarks(await response.json(), photo.id, marks);
+    const saved = await fetch(listUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...(etag && { 'If-Match': etag }) },
+      body: JSON.stringify(manifest, null, 2)
+    });
+    if (saved.status === 412 && attempt < MARK_WRITE_ATTEMPTS) continue;
+    if (!saved.ok) {
+      throw new Error(`The manifest server rejected the update: ${saved.status}`);
+    }
+    return;
+  }
+}
+
+/**
+ * Overlay manifest metadata (caption, album, location, dimensions) onto
+ * EXIF data, so the overlay shows both
+ * @param {object|null} exifData - Data from extractExifData, or null
+ * @param {object} photo - Photo entry
+ * @returns {object|null} Combined metadata
+ */
+export function mergeManifestMetadata(exifData, photo) {
+  const hasManifestData = photo.exif || photo.caption || photo.location || photo.album;
+  if (!hasManifestData) return exifData;
+
+  const merged = { ...(exifData || {}) };
+  if (photo.exif) {
+    for (const [field, value] of Object.entries(photo.exif)) {
+      if (value != null) merged[field] = value;
+    }
+  }
+  if (photo.location) merged.locationName = photo.location;
+  if (photo.caption) merged.caption = photo.caption;
+  if (photo.album) merged.album = photo.album;
+  if (photo.width && photo.height) {
+    merged.width = photo.width;
+    merged.height = photo.height;
+  }
+  return merged;
+}
@@ -0,0 +1,94 @@
+// Failure states a photo source can end up in
+export const PHOTO_ERROR_TYPES = {
+  CREDENTIALS: 'credentials',
+  BUCKET_NOT_FOUND: 'bucket-not-found',
+  CORS: 'cors',
+  EMPTY: 'empty',
+  OFFLINE: 'offline',
+  UNKNOWN: 'unknown'
+};
+
+// AWS / Cognito error codes that mean the credentials were rejected
+const CREDENTIAL_ERROR_CODES = new Set([
+  'AccessDenied', 'CredentialsProviderError', 'NotAuthorizedException',
+  'InvalidAccessKeyId', 'SignatureDoesNotMatch', 'ExpiredToken',
+  'InvalidIdentityPoolConfigurationException', 'InvalidToken'
+]);
+
+const NOT_FOUND_ERROR_CODES = new Set(['NoSuchBucket', 'NotFound', 'PermanentRedirect']);
+
+// Retry backoff: 5s, 10s, 20s... capped at 5 minutes
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+/**
+ * Error thrown when photos can't be loaded, tagged with a failure type
+ */
+export class PhotoSourceError extends Error {
+  constructor(type, message, { cause } = {}) {
+    super(message);
+    this.name = 'PhotoSourceError';
+    this.type = type;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Get the HTTP status of an SDK or fetch error, if any
+ */
+function getStatus(error) {
+  return error?.$metadata?.httpStatusCode ?? error?.status ?? null;
+}
+
+/**
+ * Classify any error from listing photos into a PhotoSourceError
+ * Browsers report CORS rejections and dropped connections as the same
+ * TypeError, so navigator.onLine is used to tell them apart
+ * @param {Error} error - Error thrown while listing
+ * @returns {PhotoSourceError} Typed error
+ */
+export function classifyError(error) {
+  if (error instanceof PhotoSourceError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  const codes = [error?.name, error?.Code, error?.code].filter(Boolean);
+  const status = getStatus(error);
+  const options = { cause: error };
+
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return new PhotoSourceError(PHOTO_ERROR_TYPES.OFFLINE, message, options);
+  }
+
+  if (
+    codes.some(code => CREDENTIAL_ERROR_CODES.has(code)) ||
+    status === 401 || status === 403 ||
+    /AccessDenied|Forbidden|credentials/i.test(message)
+  ) {
+    return new PhotoSourceError(PHOTO_ERROR_TYPES.CREDENTIALS, message, options);
+  }
+
+  if (
+    codes.some(code => NOT_FOUND_ERROR_CODES.has(code)) ||
+    status === 404 ||
+    /NoSuchBucket/i.test(message)
+  ) {
+    return new PhotoSourceError(PHOTO_ERROR_TYPES.BUCKET_NOT_FOUND, message, options);
+  }
+
+  if (error instanceof TypeError && /fetch|network|load failed/i.test(message)) {
+    return new PhotoSourceError(PHOTO_ERROR_TYPES.CORS, message, options);
+  }
+
+  return new PhotoSourceError(PHOTO_ERROR_TYPES.UNKNOWN, message, options);
+}
+
+/**
+ * Delay before the next automatic retry
+ * @param {number} attempt - Number of retries already made (0-based)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+}
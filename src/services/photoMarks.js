@@ -0,0 +1,130 @@
+/**
+ * Favorites, hidden photos and star ratings set from the remote
+ *
+ * Marks are kept per source and photo id as { favorite, hidden, rating,
+ * markedAt, ratedAt }; ratedAt is only set once a rating is set (or cleared)
+ * from the remote, so other marks leave the photo's own rating in play.
+ * Providers that can write (see PhotoProvider.saveMarks) also
+ * store them with the photo, so other TVs pick them up; whichever copy was
+ * marked most recently wins.
+ */
+
+const MARKS_KEY = 'tv-slideshow-photo-marks';
+
+// Star ratings the number keys set
+export const MAX_RATING = 5;
+
+/**
+ * Read the stored marks for every source
+ */
+function readMarks() {
+  try {
+    return JSON.parse(localStorage.getItem(MARKS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write the marks for every source
+ */
+function writeMarks(marks) {
+  try {
+    localStorage.setItem(MARKS_KEY, JSON.stringify(marks));
+  } catch { /* storage full or unavailable */ }
+}
+
+/**
+ * Normalize marks read from storage, a manifest or a sidecar file
+ * @param {object} data - Raw marks
+ * @returns {{favorite: boolean, hidden: boolean, rating: number|null,
+ *   markedAt: number|null, ratedAt: number|null}}
+ */
+export function normalizeMarks(data = {}) {
+  const rating = Math.round(Number(data.rating));
+  return {
+    favorite: Boolean(data.favorite),
+    hidden: Boolean(data.hidden),
+    rating: rating >= 1 && rating <= MAX_RATING ? rating : null,
+    markedAt: normalizeTime(data.markedAt),
+    ratedAt: normalizeTime(data.ratedAt)
+  };
+}
+
+/**
+ * A timestamp in milliseconds, or null
+ */
+function normalizeTime(value) {
+  const time = Number(value);
+  return Number.isFinite(time) && time > 0 ? time : null;
+}
+
+/**
+ * Get the marks set on this TV for a source
+ * @param {string} sourceKey - Key from getSourceKey
+ * @returns {Object<string, object>} Marks by photo id
+ */
+export function getMarks(sourceKey) {
+  return readMarks()[sourceKey] || {};
+}
+
+/**
+ * Change a photo's marks
+ * @param {string} sourceKey - Key from getSourceKey
+ * @param {object} photo - Photo entry (its current marks are the starting point)
+ * @param {object} changes - Marks to change, e.g. { favorite: true }
+ * @returns {object} The photo's new marks (see normalizeMarks)
+ */
+export function setMarks(sourceKey, photo, changes) {
+  const now = Date.now();
+  const marks = normalizeMarks({
+    ...photo,
+    ...changes,
+    markedAt: now,
+    ratedAt: 'rating' in changes ? now : photo.ratedAt
+  });
+
+  const all = readMarks();
+  all[sourceKey] = { ...all[sourceKey], [photo.id]: marks };
+  writeMarks(all);
+
+  return marks;
+}
+
+/**
+ * Apply marks set on this TV to a listing
+ * A photo keeps the marks it was listed with if they're newer
+ * @param {object[]} photos - Photo entries
+ * @param {Object<string, object>} marks - Marks by photo id (see getMarks)
+ * @returns {object[]} Photo entries with favorite, hidden and rating set
+ */
+export function applyMarks(photos, marks) {
+  return photos.map(photo => {
+    const local = marks[photo.id];
+    if (!local || (photo.markedAt || 0) > (local.markedAt || 0)) return photo;
+    return { ...photo, ...normalizeMarks(local) };
+  });
+}
+
+/**
+ * A photo's star rating: once it's been rated (or cleared) from the remote
+ * that rating counts, otherwise the one in its metadata (xmp:Rating, e.g.
+ * from Lightroom). Favoriting or hiding a photo doesn't touch its rating.
+ * @param {object} photo - Photo entry
+ * @param {object} exif - EXIF data (cached or from the manifest), if known
+ * @returns {number|null} Rating, 1–5
+ */
+export function getPhotoRating(photo, exif) {
+  if (photo.rating != null || photo.ratedAt) return photo.rating ?? null;
+  return exif?.rating ?? null;
+}
+
+/**
+ * Forget the marks set on this TV for a source
+ * @param {string} sourceKey - Key from getSourceKey
+ */
+export function clearMarks(sourceKey) {
+  const all = readMarks();
+  delete all[sourceKey];
+  writeMarks(all);
+}
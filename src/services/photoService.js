@@ -1,112 +1,424 @@
-import { S3Client, ListObjectsV2Command } from '@aws-sdk/client-s3';
-import { fromCognitoIdentityPool } from '@aws-sdk/credential-providers';
+import { ListObjectsV2Command, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import {
+  getEndpointConfig,
+  getS3Client,
+  getBucketBaseUrl,
+  buildObjectUrl,
+  hasCredentials,
+  parseObjectUrl
+} from './s3Endpoint';
+import { fetchPhotoListFromFolder, getFileName, MARK_WRITE_ATTEMPTS } from './manifestService';
+import { classifyError } from './photoErrors';
+import { normalizeMarks } from './photoMarks';
 
 // Supported image formats
-const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
 
 /**
- * Fetch list of photos from S3 bucket using Cognito Identity Pool credentials
- * Dynamically lists all image files in the bucket
+ * Check whether an S3 key is a displayable image (not the prefix or a manifest)
+ */
+function isPhotoKey(key, prefix) {
+  const lowerKey = key.toLowerCase();
+  // Skip the prefix itself and files like photos.txt/photos.json
+  return lowerKey !== prefix &&
+         !lowerKey.endsWith('.txt') &&
+         !lowerKey.endsWith('.json') &&
+         IMAGE_EXTENSIONS.some(ext => lowerKey.endsWith(ext));
+}
+
+/**
+ * Key of the sidecar file holding a photo's marks (favorite, hidden, rating)
+ * @param {string} key - Photo key
+ * @returns {string} Sidecar key, e.g. "photos/beach.jpg.json"
+ */
+export function getSidecarKey(key) {
+  return `${key}.json`;
+}
+
+/**
+ * Check whether an S3 key is a photo's marks sidecar
+ */
+function isSidecarKey(key) {
+  const lowerKey = key.toLowerCase();
+  return lowerKey.endsWith('.json') &&
+         IMAGE_EXTENSIONS.some(ext => lowerKey.slice(0, -'.json'.length).endsWith(ext));
+}
+
+// Sidecars downloaded at once while listing
+const SIDECAR_CONCURRENCY = 8;
+
+// Marks read from sidecars, by bucket and key, with the version they were read at
+const sidecarCache = new Map();
+
+/**
+ * Read marks sidecars, skipping any that can't be read
+ * Sidecars whose ETag (or last-modified date) hasn't changed since they were
+ * last read aren't downloaded again
+ * @param {object} s3Client - S3 client
+ * @param {string} bucket - S3 bucket name
+ * @param {object[]} sidecars - Listed sidecar objects ({ Key, ETag, LastModified })
+ * @returns {Promise<Map<string, object>>} Marks by photo key
+ */
+async function readSidecars(s3Client, bucket, sidecars) {
+  const marksByKey = new Map();
+  const pending = [...sidecars];
+
+  const work = async () => {
+    while (pending.length > 0) {
+      const { Key: sidecarKey, ETag: etag, LastModified: lastModified } = pending.shift();
+      const photoKey = sidecarKey.slice(0, -'.json'.length);
+      const cacheKey = `${bucket}/${sidecarKey}`;
+      const version = etag || (lastModified && new Date(lastModified).toISOString()) || null;
+
+      const cached = sidecarCache.get(cacheKey);
+      if (version && cached?.version === version) {
+        marksByKey.set(photoKey, cached.marks);
+        continue;
+      }
+
+      try {
+        const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: sidecarKey }));
+        const marks = normalizeMarks(await new Response(response.Body).json());
+        marksByKey.set(photoKey, marks);
+        if (version) sidecarCache.set(cacheKey, { version, marks });
+      } catch (error) {
+        console.warn(`Could not read ${sidecarKey}:`, error);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(SIDECAR_CONCURRENCY, sidecars.length) }, work));
+  return marksByKey;
+}
+
+/**
+ * List photos in an S3 bucket as photo entries ({ id, key, url, name, ... })
+ * Follows continuation tokens so listings larger than one page (1,000 keys)
+ * are returned in full. Marks in "<key>.json" sidecars are applied to their photos
  * @param {string} bucket - S3 bucket name
  * @param {string} region - AWS region
  * @param {string} prefix - Optional folder prefix
- * @returns {Promise<string[]>} Array of photo URLs
+ * @param {object} options - Optional listing callbacks and endpoint settings
+ * @param {Function} options.onPage - Called with (pagePhotos, indexedCount) as each page arrives
+ * @param {object} options.endpointConfig - Custom endpoint (see getEndpointConfig)
+ * @returns {Promise<object[]>} Array of photo entries
+ * @throws {PhotoSourceError} If the bucket can't be listed and has no manifest
  */
-export async function fetchPhotos(bucket, region = 'us-west-1', prefix = 'photos/') {
+export async function listPhotos(
+  bucket,
+  region = 'us-west-1',
+  prefix = 'photos/',
+  { onPage, endpointConfig = getEndpointConfig() } = {}
+) {
+  const photos = [];
+  let heldBack = [];
+
   try {
-    const identityPoolId = import.meta.env.VITE_AWS_IDENTITY_POOL_ID;
-
-    // Create S3 client with Cognito Identity Pool credentials
-    const s3Client = new S3Client({
-      region: region,
-      credentials: fromCognitoIdentityPool({
-        identityPoolId,
-        clientConfig: { region }
-      })
-    });
+    const s3Client = getS3Client(region, endpointConfig);
+    let continuationToken;
 
-    const command = new ListObjectsV2Command({
-      Bucket: bucket,
-      Prefix: prefix
-    });
+    do {
+      const command = new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      });
+
+      const response = await s3Client.send(command);
+      const contents = response.Contents || [];
+
+      // Sidecars sort after their photo, so they're on its page or a later one
+      const sidecars = contents.filter(item => isSidecarKey(item.Key));
+      const marksByKey = sidecars.length > 0
+        ? await readSidecars(s3Client, bucket, sidecars)
+        : new Map();
+      const withMarks = photo => (marksByKey.has(photo.key) ? { ...photo, ...marksByKey.get(photo.key) } : photo);
+
+      // Filter for image files only and create entries
+      const listed = [...heldBack, ...contents
+        .filter(item => isPhotoKey(item.Key, prefix))
+        .map(item => ({
+          id: item.Key,
+          key: item.Key,
+          url: buildObjectUrl(bucket, region, item.Key, endpointConfig),
+          name: getFileName(item.Key),
+          etag: item.ETag ? item.ETag.replace(/"/g, '') : null,
+          size: item.Size ?? null,
+          lastModified: item.LastModified || null
+        }))].map(withMarks);
 
-    const response = await s3Client.send(command);
+      // A photo whose sidecar would sort past the end of a truncated page is
+      // held back until the next page, so it's never passed on without its marks
+      const lastKey = contents.length > 0 ? contents[contents.length - 1].Key : '';
+      const pagePhotos = response.IsTruncated
+        ? listed.filter(photo => marksByKey.has(photo.key) || getSidecarKey(photo.key) <= lastKey)
+        : listed;
+      heldBack = listed.filter(photo => !pagePhotos.includes(photo));
 
-    if (!response.Contents || response.Contents.length === 0) {
+      photos.push(...pagePhotos);
+
+      if (onPage) {
+        onPage(pagePhotos, photos.length);
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    if (photos.length === 0) {
       console.warn('No files found in S3 bucket');
       return [];
     }
 
-    // Filter for image files only and create URLs
-    const baseUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
-    const photoUrls = response.Contents
-      .filter(item => {
-        const key = item.Key.toLowerCase();
-        // Skip the prefix itself and files like photos.txt/photos.json
-        return key !== prefix &&
-               !key.endsWith('.txt') &&
-               !key.endsWith('.json') &&
-               IMAGE_EXTENSIONS.some(ext => key.endsWith(ext));
-      })
-      .map(item => `${baseUrl}/${item.Key}`);
-
-    console.log(`Found ${photoUrls.length} photos in S3 bucket`);
-    return photoUrls;
+    console.log(`Found ${photos.length} photos in S3 bucket`);
+    return photos;
   } catch (error) {
+    // Keep whatever pages were already listed rather than discarding them
+    photos.push(...heldBack);
+    if (photos.length > 0) {
+      console.warn(`S3 listing interrupted after ${photos.length} photos:`, error);
+      return photos;
+    }
+
     console.error('Error fetching photos from S3:', error);
 
     // Fallback: try to fetch from photos.txt or photos.json
     console.log('Falling back to photos.txt/photos.json...');
-    return await fetchPhotosFromList(bucket, region, prefix);
+    const photoList = await fetchPhotosFromList(bucket, region, prefix, endpointConfig);
+    if (photoList) {
+      return photoList;
+    }
+
+    // Neither listing nor manifest worked: report why the listing failed
+    throw classifyError(error);
   }
 }
 
 /**
- * Fallback method to fetch photos from photos.json or photos.txt
+ * List the sub-folders directly under a prefix, to offer as albums
+ * Uses a delimiter listing, so only folder names come back, not every photo
+ * @param {string} bucket - S3 bucket name
+ * @param {string} region - AWS region
+ * @param {string} prefix - Folder prefix the albums live under
+ * @param {object} options - Optional endpoint settings
+ * @param {object} options.endpointConfig - Custom endpoint (see getEndpointConfig)
+ * @returns {Promise<{prefix: string, name: string}[]>} Albums sorted by name
  */
-async function fetchPhotosFromList(bucket, region, prefix) {
-  const baseUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+export async function listAlbums(
+  bucket,
+  region = 'us-west-1',
+  prefix = 'photos/',
+  { endpointConfig = getEndpointConfig() } = {}
+) {
+  const s3Client = getS3Client(region, endpointConfig);
+  const albums = [];
+  let continuationToken;
 
-  // Try photos.json first
-  try {
-    const response = await fetch(`${baseUrl}/${prefix}photos.json`);
-    if (response.ok) {
-      const photoList = await response.json();
-      return photoList.map(filename => `${baseUrl}/${prefix}${filename}`);
+  do {
+    const response = await s3Client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix,
+      Delimiter: '/',
+      ContinuationToken: continuationToken
+    }));
+
+    for (const { Prefix: albumPrefix } of response.CommonPrefixes || []) {
+      albums.push({ prefix: albumPrefix, name: getFileName(albumPrefix) });
+    }
+
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return albums.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * List photos from several album prefixes and combine them into one list
+ * Each photo is tagged with its album name unless a manifest already set one
+ * @param {string} bucket - S3 bucket name
+ * @param {string} region - AWS region
+ * @param {string[]} albumPrefixes - Album prefixes (see listAlbums)
+ * @param {object} options - Same options as listPhotos
+ * @returns {Promise<object[]>} Combined photo entries
+ */
+export async function listAlbumPhotos(bucket, region, albumPrefixes, { onPage, endpointConfig } = {}) {
+  const photos = [];
+  let lastError = null;
+
+  for (const albumPrefix of albumPrefixes) {
+    const album = getFileName(albumPrefix);
+    const tagAlbum = photo => ({ ...photo, album: photo.album || album });
+    const indexedBefore = photos.length;
+
+    try {
+      const albumPhotos = await listPhotos(bucket, region, albumPrefix, {
+        endpointConfig,
+        onPage: onPage && ((pagePhotos, indexed) => {
+          onPage(pagePhotos.map(tagAlbum), indexedBefore + indexed);
+        })
+      });
+      photos.push(...albumPhotos.map(tagAlbum));
+    } catch (error) {
+      // One missing album shouldn't hide the others
+      console.warn(`Could not list album ${album}:`, error);
+      lastError = error;
     }
-  } catch (err) {
-    console.log('photos.json not found');
   }
 
-  // Try photos.txt
+  if (photos.length === 0 && lastError) {
+    throw lastError;
+  }
+  return photos;
+}
+
+/**
+ * Fetch list of photos from S3 bucket using Cognito Identity Pool credentials
+ * Dynamically lists all image files in the bucket (see listPhotos)
+ * @param {string} bucket - S3 bucket name
+ * @param {string} region - AWS region
+ * @param {string} prefix - Optional folder prefix
+ * @param {object} options - Optional listing callbacks and endpoint settings
+ * @param {Function} options.onPage - Called with (pageUrls, indexedCount) as each page arrives
+ * @param {object} options.endpointConfig - Custom endpoint (see getEndpointConfig)
+ * @returns {Promise<string[]>} Array of photo URLs
+ */
+export async function fetchPhotos(bucket, region = 'us-west-1', prefix = 'photos/', options = {}) {
+  const { onPage, ...listOptions } = options;
+  const photos = await listPhotos(bucket, region, prefix, {
+    ...listOptions,
+    onPage: onPage && ((pagePhotos, indexed) => onPage(pagePhotos.map(photo => photo.url), indexed))
+  });
+  return photos.map(photo => photo.url);
+}
+
+/**
+ * Fallback method to fetch photos from photos.json or photos.txt
+ * Manifest entries keep their metadata; keys are made bucket-relative
+ * @returns {Promise<object[]|null>} Photo entries, or null if there is no list file
+ */
+async function fetchPhotosFromList(bucket, region, prefix, endpointConfig) {
+  const baseUrl = getBucketBaseUrl(bucket, region, endpointConfig);
+  const photoList = await fetchPhotoListFromFolder(`${baseUrl}/${prefix}`);
+
+  if (!photoList) {
+    console.warn('No photo list file found');
+    return null;
+  }
+
+  return photoList.map(photo => {
+    const isAbsolute = /^https?:\/\//i.test(photo.key);
+    const key = isAbsolute ? photo.key : `${prefix}${photo.key}`;
+    return { ...photo, id: key, key };
+  });
+}
+
+/**
+ * Read a photo's sidecar with its ETag
+ * @returns {Promise<{etag: string|undefined, marks: object|null}|null>} The
+ *   sidecar (marks are null if it isn't valid JSON), or null if there is none
+ */
+async function readSidecar(s3Client, bucket, sidecarKey) {
   try {
-    const response = await fetch(`${baseUrl}/${prefix}photos.txt`);
-    if (response.ok) {
-      const text = await response.text();
-      const photoList = text.split('\n').filter(line => line.trim());
-      return photoList.map(filename => `${baseUrl}/${prefix}${filename.trim()}`);
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: sidecarKey }));
+    const marks = await new Response(response.Body).json().then(normalizeMarks, () => null);
+    return { etag: response.ETag, marks };
+  } catch (error) {
+    if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Store a photo's marks in its sidecar file, so every TV sees them
+ * Needs credentials that may write "*.json" objects (see aws-infrastructure).
+ * The write is conditional on the sidecar read just before it, so marks saved
+ * by another TV in between are read again (and kept if they're newer)
+ * @param {string} bucket - S3 bucket name
+ * @param {string} region - AWS region
+ * @param {string} key - Photo key
+ * @param {object} marks - Marks to store (see normalizeMarks)
+ * @param {object} options - Optional endpoint settings
+ * @param {object} options.endpointConfig - Custom endpoint (see getEndpointConfig)
+ * @returns {Promise<void>}
+ * @throws {Error} If the bucket rejects the write
+ */
+export async function saveSidecarMarks(bucket, region, key, marks, { endpointConfig = getEndpointConfig() } = {}) {
+  const s3Client = getS3Client(region, endpointConfig);
+  const sidecarKey = getSidecarKey(key);
+
+  for (let attempt = 1; ; attempt++) {
+    const current = await readSidecar(s3Client, bucket, sidecarKey);
+    if ((current?.marks?.markedAt || 0) > (marks.markedAt || 0)) return;
+
+    try {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: sidecarKey,
+        Body: JSON.stringify(marks),
+        ContentType: 'application/json',
+        // Overwrite only the sidecar just read, or create one only if there was none
+        IfMatch: current?.etag,
+        IfNoneMatch: current ? undefined : '*'
+      }));
+      return;
+    } catch (error) {
+      const conflict = error.name === 'PreconditionFailed' || error.$metadata?.httpStatusCode === 412;
+      if (!conflict || attempt >= MARK_WRITE_ATTEMPTS) throw error;
     }
-  } catch (err) {
-    console.log('photos.txt not found');
+  }
+}
+
+/**
+ * Build a Range header value for the first `length` bytes of a file
+ * @param {number} length - Number of bytes
+ * @returns {string} Range header value
+ */
+export function getRangeHeader(length) {
+  return `bytes=0-${length - 1}`;
+}
+
+/**
+ * Fetch the bytes of an image, signing the request with S3 credentials when
+ * the URL points at a bucket, or with a plain fetch otherwise
+ * @param {string} imageUrl - URL of the image
+ * @param {object} options - Optional settings
+ * @param {object} options.endpointConfig - Custom endpoint (see getEndpointConfig)
+ * @param {number} options.range - Only fetch the first `range` bytes (a ranged
+ *   GET); servers that ignore ranges return the whole file, which still works
+ * @returns {Promise<ArrayBuffer>} Image bytes
+ * @throws {Error} If the download fails
+ */
+export async function fetchPhotoBytes(imageUrl, { endpointConfig = getEndpointConfig(), range } = {}) {
+  const s3Info = parseObjectUrl(imageUrl, endpointConfig);
+
+  if (s3Info && hasCredentials()) {
+    const region = s3Info.region || import.meta.env.VITE_AWS_REGION || 'us-west-1';
+    const command = new GetObjectCommand({
+      Bucket: s3Info.bucket,
+      Key: s3Info.key,
+      Range: range ? getRangeHeader(range) : undefined,
+    });
+    const response = await getS3Client(region, endpointConfig).send(command);
+    return new Response(response.Body).arrayBuffer();
   }
 
-  // Last resort: hardcoded list
-  console.warn('No photo list file found, using hardcoded list');
-  return [
-    `${baseUrl}/${prefix}Paul.jpg`,
-    `${baseUrl}/${prefix}carter_party.jpg`
-  ];
+  // Fallback for non-S3 URLs and unsigned local object stores
+  const response = await fetch(imageUrl, range ? { headers: { Range: getRangeHeader(range) } } : undefined);
+  if (!response.ok) {
+    throw new Error(`Photo download failed (${response.status}) for ${imageUrl}`);
+  }
+  return response.arrayBuffer();
 }
 
 /**
  * Test S3 connection by trying to fetch a photo
  * @param {string} bucket - S3 bucket name
  * @param {string} region - AWS region
+ * @param {object} endpointConfig - Custom endpoint (see getEndpointConfig)
  * @returns {Promise<boolean>} True if connection successful
  */
-export async function testS3Connection(bucket, region = 'us-west-1') {
+export async function testS3Connection(bucket, region = 'us-west-1', endpointConfig = getEndpointConfig()) {
   try {
-    const baseUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+    const baseUrl = getBucketBaseUrl(bucket, region, endpointConfig);
     const response = await fetch(`${baseUrl}/photos/`, { method: 'HEAD' });
     return response.ok;
   } catch (error) {
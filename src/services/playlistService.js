@@ -0,0 +1,141 @@
+import { getCachedExifMap } from './cacheService';
+import { nameLocation } from './providers';
+import { getPhotoDate, selectMemories } from '../utils/memories';
+import { getActivePlaylist, matchesRules } from '../utils/smartPlaylists';
+import { orderPhotos } from '../utils/photoOrder';
+import { smartShuffle } from '../utils/playlistUtils';
+import { applyPlaceName } from '../utils/geocoding/places';
+import { getPhotoRating } from './photoMarks';
+
+/**
+ * Playback modes (config.playbackMode)
+ *
+ *   all          every listed photo
+ *   on-this-day  photos from today's date in earlier years (see utils/memories)
+ *   top-rated    photos rated TOP_RATED_MIN stars or more, from the remote or
+ *                their metadata (see photoMarks/getPhotoRating)
+ *
+ * Hidden photos (see photoMarks) never play. A smart playlist
+ * (config.activePlaylist, see utils/smartPlaylists) narrows the listing
+ * first; the playback mode then picks from what's left.
+ */
+export const PLAYBACK_MODES = ['all', 'on-this-day', 'top-rated'];
+
+export const TOP_RATED_MIN = 4;
+
+// Photos named at once for trip title cards (cache and offline lookups only)
+const NAMING_CONCURRENCY = 4;
+
+/**
+ * Whether the slideshow has to see the whole listing before it can pick
+ * photos (so pages aren't streamed into the slideshow as they arrive)
+ * @param {object} config - App configuration
+ * @returns {boolean} True if the listing must finish first
+ */
+export function needsFullListing(config) {
+  return (config.playbackMode || 'all') !== 'all' ||
+    (config.orderMode || 'listing') !== 'listing' ||
+    Boolean(getActivePlaylist(config));
+}
+
+/**
+ * Narrow a listing to the photos the active playlist and playback mode play,
+ * leaving out hidden photos. Capture dates, places and cameras come from
+ * manifest EXIF, the EXIF cache and file names, so no photo is downloaded
+ * to build the list; photos without manifest EXIF match once their EXIF is
+ * cached (see providers/indexPhotoMetadata)
+ * @param {object[]} photos - Full listing
+ * @param {object} config - App configuration
+ * @param {object} options - Options
+ * @param {Date} options.today - Today (for tests)
+ * @returns {Promise<{photos: object[], notice: string|null}>} Photos to play,
+ *   and a message to show if nothing matched and every photo plays instead
+ */
+export async function selectPlaylist(photos, config, { today = new Date() } = {}) {
+  const visible = photos.some(photo => photo.hidden) ? photos.filter(photo => !photo.hidden) : photos;
+  if (visible.length === 0) {
+    return { photos, notice: 'Every photo is hidden: playing all photos' };
+  }
+
+  const playlist = getActivePlaylist(config);
+  const isMemories = config.playbackMode === 'on-this-day';
+  const isTopRated = config.playbackMode === 'top-rated';
+  if (!playlist && !isMemories && !isTopRated) {
+    return { photos: visible, notice: null };
+  }
+
+  const exifById = await getCachedExifMap(visible);
+  const getExif = photo => exifById.get(photo.id) || photo.exif;
+  let selected = visible;
+
+  if (playlist) {
+    selected = selected.filter(photo => matchesRules(photo, getExif(photo), playlist.rules));
+    if (selected.length === 0) {
+      return { photos: visible, notice: `No photos match "${playlist.name}" yet: playing all photos` };
+    }
+  }
+
+  if (isMemories) {
+    const memories = selectMemories(selected, photo => getPhotoDate(photo, getExif(photo)), today);
+    if (memories.photos.length === 0) {
+      const fallback = playlist ? `the whole "${playlist.name}" playlist` : 'all photos';
+      return { photos: selected, notice: `No photos from this time of year yet: playing ${fallback}` };
+    }
+    selected = memories.photos;
+  }
+
+  if (isTopRated) {
+    const topRated = selected.filter(photo => getPhotoRating(photo, getExif(photo)) >= TOP_RATED_MIN);
+    if (topRated.length === 0) {
+      const fallback = playlist ? `the whole "${playlist.name}" playlist` : 'all photos';
+      return { photos: selected, notice: `No photos rated ${TOP_RATED_MIN} stars or more yet: playing ${fallback}` };
+    }
+    selected = topRated;
+  }
+
+  return { photos: selected, notice: null };
+}
+
+/**
+ * Put the selected photos in playing order (config.orderMode, see utils/photoOrder)
+ * Shuffle overrides date order; in trips mode it shuffles whole events, which
+ * still play in date order
+ * @param {object[]} photos - Photos from selectPlaylist
+ * @param {object} config - App configuration
+ * @param {object} options - Options
+ * @param {Set<string>} options.shownIds - Ids already shown (see shuffleHistory)
+ * @returns {Promise<object[]>} Playlist; trips mode includes title cards
+ */
+export async function orderPlaylist(photos, config, { shownIds = new Set() } = {}) {
+  const mode = config.orderMode || 'listing';
+  if (mode === 'listing' && !config.shuffleMode) {
+    return photos;
+  }
+
+  // Shuffle spreads photos out by the date and place in their cached EXIF
+  const exifById = await getCachedExifMap(photos);
+  if (config.shuffleMode && mode !== 'trips') {
+    return smartShuffle(photos, shownIds, { getExif: photo => exifById.get(photo.id) || photo.exif });
+  }
+
+  // Trip title cards are named after places; the EXIF cache keeps only
+  // coordinates, so cached photos are named here without going online
+  if (mode === 'trips') {
+    const pending = photos.filter(photo => !photo.location && exifById.has(photo.id));
+    const work = async () => {
+      while (pending.length > 0) {
+        const photo = pending.shift();
+        exifById.set(photo.id, await nameLocation(exifById.get(photo.id), config, { offline: true }));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(NAMING_CONCURRENCY, pending.length) }, work));
+  }
+
+  return orderPhotos(photos, mode, {
+    getExif: photo => {
+      if (exifById.has(photo.id)) return exifById.get(photo.id);
+      return photo.location ? photo.exif : applyPlaceName(photo.exif, config.places);
+    },
+    shuffle: config.shuffleMode
+  });
+}
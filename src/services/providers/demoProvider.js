@@ -0,0 +1,34 @@
+import { fetchPhotos as fetchMockPhotos } from '../photoService.mock';
+
+/**
+ * Placeholder photos used until a real source is configured (local testing)
+ */
+const demoProvider = {
+  id: 'demo',
+  label: 'Demo Photos',
+  hidden: true,
+  configKeys: [],
+
+  isConfigured() {
+    return true;
+  },
+
+  async list(config, { onPage } = {}) {
+    console.log('No photo source configured, using mock photos for testing...');
+    const urls = await fetchMockPhotos();
+    const photos = urls.map(url => ({ id: url, key: url, url, name: url }));
+    if (onPage) onPage(photos, photos.length);
+    return photos;
+  },
+
+  resolveUrl(photo) {
+    return photo.url;
+  },
+
+  async fetchBytes(photo) {
+    const response = await fetch(photo.url);
+    return response.arrayBuffer();
+  }
+};
+
+export default demoProvider;
@@ -0,0 +1,248 @@
+import { extractExifData, extractThumbnail, EXIF_HEADER_BYTES } from '../../utils/exifUtils';
+import { DEFAULT_FOCUS, estimateFocalPoint, orientFocus } from '../../utils/kenBurns';
+import { getGeocoderChain, getLocationName } from '../../utils/geocoding';
+import { applyPlaceName } from '../../utils/geocoding/places';
+import { mergeManifestMetadata } from '../manifestService';
+import { getCachedExif, getCachedExifMap, getExifCacheKey, setCachedExif } from '../cacheService';
+import s3Provider from './s3Provider';
+import manifestProvider from './manifestProvider';
+import webdavProvider from './webdavProvider';
+import staticProvider from './staticProvider';
+import demoProvider from './demoProvider';
+
+/**
+ * A photo entry returned by a provider
+ * @typedef {object} Photo
+ * @property {string} id - Stable identifier within the source (object key or path)
+ * @property {string|null} url - Displayable URL, or null if resolveUrl must be awaited
+ * @property {string} name - File name
+ * @property {object} [exif] - Pre-extracted EXIF block from a v2 manifest
+ *   (see manifestService for the other optional manifest fields)
+ * @property {boolean} [favorite] - Marked as a favorite (see photoMarks)
+ * @property {boolean} [hidden] - Hidden from the slideshow
+ * @property {number|null} [rating] - Star rating, 1–5
+ */
+
+/**
+ * Common interface implemented by every photo source
+ * @typedef {object} PhotoProvider
+ * @property {string} id - Value stored in config.photoSource
+ * @property {string} label - Name shown in Settings
+ * @property {string[]} configKeys - Config fields that change what the source lists
+ * @property {boolean} [hidden] - Exclude from the Settings source picker
+ * @property {(config: object) => boolean} isConfigured - Enough config to list photos
+ * @property {(config: object, options: {onPage?: Function}) => Promise<Photo[]>} list
+ *   List photos; onPage(pagePhotos, indexedCount) streams partial results
+ * @property {(photo: Photo, config: object) => string|Promise<string>} resolveUrl
+ *   URL to display the photo with
+ * @property {(listener: (photoId: string) => void) => Function} [onUrlEvicted]
+ *   Optional subscription to URLs from resolveUrl being revoked (e.g. blob
+ *   URLs freed to save memory); the photo must be resolved again before it's
+ *   shown. Returns an unsubscribe function
+ * @property {(photo: Photo, config: object, options: {range?: number}) => Promise<ArrayBuffer>} fetchBytes
+ *   Download the photo's bytes (used for EXIF extraction); with a range, only
+ *   the first `range` bytes are needed
+ * @property {(photo: Photo, config: object) => Promise<object|null>} [getMetadata]
+ *   Optional metadata lookup that replaces EXIF extraction
+ * @property {(config: object) => Promise<{prefix: string, name: string}[]>} [listAlbums]
+ *   Optional sub-folder discovery for album selection in Settings
+ * @property {(photo: Photo, marks: object, config: object) => Promise<void>} [saveMarks]
+ *   Optional write-back of a photo's marks (see photoMarks) to the source, so
+ *   other TVs see them; rejects if the source doesn't accept the write
+ */
+
+const registry = new Map();
+
+/**
+ * Register a photo source provider (replaces any provider with the same id)
+ * @param {PhotoProvider} provider - Provider to register
+ */
+export function registerProvider(provider) {
+  registry.set(provider.id, provider);
+}
+
+/**
+ * Get a registered provider by id
+ * @param {string} id - Provider id
+ * @returns {PhotoProvider|null} Provider, or null if unknown
+ */
+export function getProvider(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * List providers that can be picked in Settings
+ * @returns {PhotoProvider[]} Selectable providers
+ */
+export function listProviders() {
+  return Array.from(registry.values()).filter(provider => !provider.hidden);
+}
+
+/**
+ * Pick the provider for a config
+ * Falls back to demo photos until the chosen source is configured, so the app
+ * still shows something during local development
+ * @param {object} config - App configuration
+ * @returns {PhotoProvider} Provider to load photos from
+ */
+export function getProviderForConfig(config) {
+  const provider = getProvider(config.photoSource || 's3') || s3Provider;
+  return provider.isConfigured(config) ? provider : demoProvider;
+}
+
+/**
+ * Build a string that changes whenever the photo source config changes
+ * Useful as an effect dependency for reloading the photo list
+ * @param {object} config - App configuration
+ * @returns {string} Source key
+ */
+export function getSourceKey(config) {
+  const provider = getProviderForConfig(config);
+  return JSON.stringify([provider.id, ...provider.configKeys.map(key => config[key] ?? null)]);
+}
+
+// Photos whose headers are downloaded at once while indexing a library
+const INDEX_CONCURRENCY = 2;
+
+// Photos indexed between progress reports
+const INDEX_BATCH_SIZE = 100;
+
+/**
+ * Read a photo's metadata from the provider, or from its bytes (only the
+ * header, see extractExifData), without naming the location
+ */
+function readMetadata(provider, photo, config) {
+  return provider.getMetadata
+    ? provider.getMetadata(photo, config)
+    : extractExifData(photo.url, {
+      fetchImageData: ({ range } = {}) => provider.fetchBytes(photo, config, { range }),
+      locate: false
+    });
+}
+
+/**
+ * Name the location of cached EXIF data with the current geocoder chain and
+ * places (see geocoding/getLocationName), which keep their own cache
+ * @param {object|null} exifData - EXIF data
+ * @param {object} config - App configuration
+ * @param {object} options - Options
+ * @param {boolean} options.offline - Only use cached names and offline geocoders
+ * @returns {Promise<object|null>} EXIF data with locationName set
+ */
+export async function nameLocation(exifData, config, { offline = false } = {}) {
+  if (exifData?.latitude == null || exifData.longitude == null) return exifData;
+
+  try {
+    const locationName = await getLocationName(exifData.latitude, exifData.longitude, getGeocoderChain(config), {
+      places: config.places,
+      offline
+    });
+    return { ...exifData, locationName };
+  } catch (error) {
+    console.warn('Could not fetch location name:', error);
+    return { ...exifData, locationName: null };
+  }
+}
+
+/**
+ * Get metadata for a photo
+ * A manifest EXIF block is used as-is so the original never has to be
+ * downloaded, with user-defined places renaming its location; otherwise it
+ * comes from the persistent EXIF cache, the provider, or the photo's bytes,
+ * and the location is named when it's read, so changing the geocoders or
+ * places (or coming back online) renames photos that are already cached.
+ * Manifest captions and locations are layered on top.
+ * @param {PhotoProvider} provider - Provider the photo came from
+ * @param {Photo} photo - Photo entry
+ * @param {object} config - App configuration
+ * @returns {Promise<object|null>} Formatted EXIF data
+ */
+export async function getPhotoMetadata(provider, photo, config) {
+  if (photo.exif) {
+    // A manifest's own location for the photo wins over places
+    const metadata = mergeManifestMetadata(null, photo);
+    return photo.location ? metadata : applyPlaceName(metadata, config.places);
+  }
+
+  let exifData = await getCachedExif(photo);
+
+  if (exifData === undefined) {
+    exifData = await readMetadata(provider, photo, config);
+    await setCachedExif(photo, exifData);
+  }
+
+  // A manifest's own location for the photo wins over the geocoders
+  const located = photo.location ? exifData : await nameLocation(exifData, config);
+  return mergeManifestMetadata(located, photo);
+}
+
+/**
+ * Estimate a photo's Ken Burns focal point (see kenBurns.estimateFocalPoint)
+ * A blob URL the provider already downloaded is read as it is; otherwise the
+ * thumbnail embedded in the photo's header is, so the original isn't
+ * downloaded a second time (with CORS) just to read its pixels. Photos
+ * without one get DEFAULT_FOCUS
+ * @param {PhotoProvider} provider - Provider the photo came from
+ * @param {Photo} photo - Photo entry
+ * @param {object} config - App configuration
+ * @param {string} displayUrl - URL the photo is shown with
+ * @returns {Promise<{x: number, y: number}>} Focal point
+ */
+export async function getFocalPoint(provider, photo, config, displayUrl) {
+  if (/^(blob|data):/.test(displayUrl)) return estimateFocalPoint(displayUrl);
+
+  try {
+    const thumbnail = await extractThumbnail(await provider.fetchBytes(photo, config, { range: EXIF_HEADER_BYTES }));
+    if (!thumbnail) return DEFAULT_FOCUS;
+
+    const thumbnailUrl = URL.createObjectURL(new Blob([thumbnail.data], { type: 'image/jpeg' }));
+    try {
+      return orientFocus(await estimateFocalPoint(thumbnailUrl), thumbnail.orientation);
+    } finally {
+      URL.revokeObjectURL(thumbnailUrl);
+    }
+  } catch (error) {
+    return DEFAULT_FOCUS;
+  }
+}
+
+/**
+ * Read and cache the metadata of photos that haven't been shown yet, so
+ * playlists, On This Day, Top Rated and date orders can pick from the whole
+ * library rather than just what has played. Photos with manifest EXIF or
+ * cached EXIF are skipped, as are photos without an ETag or date, which
+ * couldn't be cached.
+ * @param {PhotoProvider} provider - Provider the photos came from
+ * @param {Photo[]} photos - Listing to index
+ * @param {object} config - App configuration
+ * @param {object} options - Options
+ * @param {() => boolean} options.isCancelled - Stops indexing when it returns true
+ * @param {(indexed: number) => void} options.onProgress - Called with the
+ *   number of photos indexed so far, every INDEX_BATCH_SIZE photos and at the end
+ * @returns {Promise<number>} Number of photos indexed
+ */
+export async function indexPhotoMetadata(provider, photos, config, { isCancelled = () => false, onProgress } = {}) {
+  const cached = await getCachedExifMap(photos);
+  const pending = photos.filter(photo => !photo.exif && !cached.has(photo.id) && getExifCacheKey(photo));
+  let indexed = 0;
+
+  const work = async () => {
+    while (pending.length > 0 && !isCancelled()) {
+      const photo = pending.shift();
+      try {
+        await setCachedExif(photo, await readMetadata(provider, photo, config));
+      } catch (error) {
+        console.warn(`Could not index ${photo.name}:`, error);
+      }
+      indexed += 1;
+      if (onProgress && indexed % INDEX_BATCH_SIZE === 0) onProgress(indexed);
+    }
+  };
+
+  await Promise.all(Array.from({ length: INDEX_CONCURRENCY }, work));
+  if (onProgress && indexed % INDEX_BATCH_SIZE !== 0 && !isCancelled()) onProgress(indexed);
+  return indexed;
+}
+
+[s3Provider, manifestProvider, webdavProvider, staticProvider, demoProvider]
+  .forEach(registerProvider);
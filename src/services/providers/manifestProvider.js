@@ -0,0 +1,41 @@
+import { fetchPhotoListFile, saveManifestMarks, toAbsoluteUrl } from '../manifestService';
+import { fetchPhotoBytes } from '../photoService';
+import { PhotoSourceError, PHOTO_ERROR_TYPES } from '../photoErrors';
+
+/**
+ * Photos listed in a JSON (or plain text) manifest served over HTTP
+ * Relative entries resolve against the manifest URL; marks are written back
+ * into the manifest where the server accepts a PUT
+ */
+const manifestProvider = {
+  id: 'manifest',
+  label: 'HTTP Manifest (photos.json)',
+  configKeys: ['manifestUrl'],
+
+  isConfigured(config) {
+    return Boolean(config.manifestUrl);
+  },
+
+  async list(config, { onPage } = {}) {
+    const photos = await fetchPhotoListFile(toAbsoluteUrl(config.manifestUrl));
+    if (!photos) {
+      throw new PhotoSourceError(PHOTO_ERROR_TYPES.BUCKET_NOT_FOUND, `Manifest not found: ${config.manifestUrl}`);
+    }
+    if (onPage) onPage(photos, photos.length);
+    return photos;
+  },
+
+  resolveUrl(photo) {
+    return photo.url;
+  },
+
+  fetchBytes(photo, config, { range } = {}) {
+    return fetchPhotoBytes(photo.url, { range });
+  },
+
+  saveMarks(photo, marks, config) {
+    return saveManifestMarks(toAbsoluteUrl(config.manifestUrl), photo, marks);
+  }
+};
+
+export default manifestProvider;
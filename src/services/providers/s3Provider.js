@@ -0,0 +1,54 @@
+import { listPhotos, listAlbums, listAlbumPhotos, fetchPhotoBytes, saveSidecarMarks } from '../photoService';
+import { getEndpointConfig } from '../s3Endpoint';
+
+/**
+ * Photos listed from an S3 (or S3-compatible) bucket
+ * Sub-folders of the prefix are offered as albums; when some are selected
+ * (config.s3Albums) only those are played, combined into one list
+ * Marks are stored in a "<key>.json" sidecar next to each photo
+ */
+const s3Provider = {
+  id: 's3',
+  label: 'Amazon S3 / S3-compatible',
+  configKeys: ['s3Bucket', 's3Region', 's3Prefix', 's3Endpoint', 's3AddressingStyle', 's3Albums'],
+
+  isConfigured(config) {
+    return Boolean(config.s3Bucket);
+  },
+
+  list(config, { onPage } = {}) {
+    if (config.s3Albums?.length > 0) {
+      return listAlbumPhotos(config.s3Bucket, config.s3Region, config.s3Albums, {
+        onPage,
+        endpointConfig: getEndpointConfig(config)
+      });
+    }
+
+    return listPhotos(config.s3Bucket, config.s3Region, config.s3Prefix, {
+      onPage,
+      endpointConfig: getEndpointConfig(config)
+    });
+  },
+
+  listAlbums(config) {
+    return listAlbums(config.s3Bucket, config.s3Region, config.s3Prefix, {
+      endpointConfig: getEndpointConfig(config)
+    });
+  },
+
+  resolveUrl(photo) {
+    return photo.url;
+  },
+
+  fetchBytes(photo, config, { range } = {}) {
+    return fetchPhotoBytes(photo.url, { endpointConfig: getEndpointConfig(config), range });
+  },
+
+  saveMarks(photo, marks, config) {
+    return saveSidecarMarks(config.s3Bucket, config.s3Region, photo.key, marks, {
+      endpointConfig: getEndpointConfig(config)
+    });
+  }
+};
+
+export default s3Provider;
@@ -0,0 +1,35 @@
+import { fetchPhotoListFromFolder, toAbsoluteUrl } from '../manifestService';
+import { fetchPhotoBytes } from '../photoService';
+
+/**
+ * Photos served from the app's own origin (public/photos by default)
+ * Static hosts can't list directories, so the folder needs a photos.json or
+ * photos.txt next to the images
+ */
+const staticProvider = {
+  id: 'static',
+  label: 'Same-origin Folder (public/photos)',
+  configKeys: ['staticPath'],
+
+  isConfigured() {
+    return true;
+  },
+
+  async list(config, { onPage } = {}) {
+    const path = config.staticPath || '/photos/';
+    const folderUrl = toAbsoluteUrl(path.endsWith('/') ? path : `${path}/`);
+    const photos = await fetchPhotoListFromFolder(folderUrl) || [];
+    if (onPage) onPage(photos, photos.length);
+    return photos;
+  },
+
+  resolveUrl(photo) {
+    return photo.url;
+  },
+
+  fetchBytes(photo, config, { range } = {}) {
+    return fetchPhotoBytes(photo.url, { range });
+  }
+};
+
+export default staticProvider;
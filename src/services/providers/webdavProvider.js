@@ -0,0 +1,192 @@
+import { IMAGE_EXTENSIONS, getRangeHeader } from '../photoService';
+import { getFileName, toAbsoluteUrl } from '../manifestService';
+
+const DAV_NS = 'DAV:';
+
+// Guard against runaway crawls of very deep or cyclic folder trees
+const MAX_FOLDERS = 200;
+
+// Blob URLs kept alive for authenticated photos (current + next + a few
+// back), by source URL, least recently used first: { photoId, blobUrl }
+const MAX_BLOB_URLS = 8;
+const blobUrls = new Map();
+
+// Called with a photo id when its blob URL is revoked (see onUrlEvicted)
+const evictionListeners = new Set();
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getetag/>
+    <d:getlastmodified/>
+    <d:getcontentlength/>
+  </d:prop>
+</d:propfind>`;
+
+/**
+ * Build the Authorization header for the configured WebDAV account
+ */
+function getAuthHeaders(config) {
+  if (!config.webdavUsername) return {};
+  const token = btoa(`${config.webdavUsername}:${config.webdavPassword || ''}`);
+  return { Authorization: `Basic ${token}` };
+}
+
+/**
+ * Read the text of the first DAV: child element with the given name
+ */
+function getDavText(element, name) {
+  const node = element.getElementsByTagNameNS(DAV_NS, name)[0];
+  return node ? node.textContent.trim() : null;
+}
+
+/**
+ * A folder URL in the form used to compare it: percent-decoded and ending in
+ * "/", as servers differ in both when they list a folder's own href
+ */
+function normalizeFolderUrl(url) {
+  let decoded = url;
+  try {
+    decoded = decodeURIComponent(url);
+  } catch { /* malformed escapes: compare as listed */ }
+  return decoded.endsWith('/') ? decoded : `${decoded}/`;
+}
+
+/**
+ * List one WebDAV folder (Depth: 1) and return its direct children
+ */
+async function propfind(folderUrl, config) {
+  const response = await fetch(folderUrl, {
+    method: 'PROPFIND',
+    headers: {
+      Depth: '1',
+      'Content-Type': 'application/xml; charset=utf-8',
+      ...getAuthHeaders(config)
+    },
+    body: PROPFIND_BODY
+  });
+
+  if (!response.ok) {
+    // Keep the status so 401/404 are reported as credential/not-found errors
+    const error = new Error(`WebDAV listing failed (${response.status}) for ${folderUrl}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+
+  return Array.from(xml.getElementsByTagNameNS(DAV_NS, 'response'))
+    .map(element => ({
+      url: new URL(getDavText(element, 'href'), folderUrl).href,
+      isFolder: element.getElementsByTagNameNS(DAV_NS, 'collection').length > 0,
+      etag: getDavText(element, 'getetag')?.replace(/"/g, '') || null,
+      size: Number(getDavText(element, 'getcontentlength')) || null,
+      lastModified: getDavText(element, 'getlastmodified')
+    }))
+    // The folder itself is always part of its own listing
+    .filter(item => normalizeFolderUrl(item.url) !== normalizeFolderUrl(folderUrl));
+}
+
+/**
+ * Photos stored in a WebDAV folder (Nextcloud, Synology, Apache mod_dav...)
+ * Sub-folders are walked recursively
+ */
+const webdavProvider = {
+  id: 'webdav',
+  label: 'WebDAV Folder',
+  configKeys: ['webdavUrl', 'webdavUsername', 'webdavPassword'],
+
+  isConfigured(config) {
+    return Boolean(config.webdavUrl);
+  },
+
+  async list(config, { onPage } = {}) {
+    const rootUrl = toAbsoluteUrl(config.webdavUrl.endsWith('/') ? config.webdavUrl : `${config.webdavUrl}/`);
+    const needsAuth = Boolean(config.webdavUsername);
+    const photos = [];
+    const queue = [rootUrl];
+    const visited = new Set();
+
+    while (queue.length > 0 && visited.size < MAX_FOLDERS) {
+      const folderUrl = queue.shift();
+      if (visited.has(normalizeFolderUrl(folderUrl))) continue;
+      visited.add(normalizeFolderUrl(folderUrl));
+
+      const items = await propfind(folderUrl, config);
+
+      const folderPhotos = items
+        .filter(item => !item.isFolder)
+        .filter(item => IMAGE_EXTENSIONS.some(ext => item.url.toLowerCase().endsWith(ext)))
+        .map(item => {
+          const key = decodeURIComponent(item.url.slice(rootUrl.length));
+          return {
+            id: key,
+            key,
+            // Authenticated photos are loaded as blobs in resolveUrl
+            url: needsAuth ? null : item.url,
+            sourceUrl: item.url,
+            name: getFileName(key),
+            etag: item.etag,
+            size: item.size,
+            lastModified: item.lastModified
+          };
+        });
+
+      photos.push(...folderPhotos);
+      if (onPage) onPage(folderPhotos, photos.length);
+
+      queue.push(...items.filter(item => item.isFolder).map(item => item.url));
+    }
+
+    return photos;
+  },
+
+  async resolveUrl(photo, config) {
+    if (photo.url) return photo.url;
+
+    const cached = blobUrls.get(photo.sourceUrl);
+    if (cached) {
+      // Move to the most recently used end
+      blobUrls.delete(photo.sourceUrl);
+      blobUrls.set(photo.sourceUrl, cached);
+      return cached.blobUrl;
+    }
+
+    const bytes = await this.fetchBytes(photo, config);
+    const blobUrl = URL.createObjectURL(new Blob([bytes]));
+    blobUrls.set(photo.sourceUrl, { photoId: photo.id, blobUrl });
+
+    if (blobUrls.size > MAX_BLOB_URLS) {
+      const [oldestUrl, oldest] = blobUrls.entries().next().value;
+      URL.revokeObjectURL(oldest.blobUrl);
+      blobUrls.delete(oldestUrl);
+      evictionListeners.forEach(listener => listener(oldest.photoId));
+    }
+    return blobUrl;
+  },
+
+  onUrlEvicted(listener) {
+    evictionListeners.add(listener);
+    return () => evictionListeners.delete(listener);
+  },
+
+  async fetchBytes(photo, config, { range } = {}) {
+    // Reuse the blob already downloaded for display rather than fetching again
+    if (blobUrls.has(photo.sourceUrl)) {
+      const response = await fetch(blobUrls.get(photo.sourceUrl).blobUrl);
+      return response.arrayBuffer();
+    }
+
+    const headers = { ...getAuthHeaders(config) };
+    if (range) headers.Range = getRangeHeader(range);
+
+    const response = await fetch(photo.sourceUrl, { headers });
+    if (!response.ok) {
+      throw new Error(`WebDAV download failed (${response.status}) for ${photo.name}`);
+    }
+    return response.arrayBuffer();
+  }
+};
+
+export default webdavProvider;
@@ -0,0 +1,186 @@
+import { S3Client } from '@aws-sdk/client-s3';
+import { fromCognitoIdentityPool } from '@aws-sdk/credential-providers';
+
+// Clients are reused per region + endpoint so credentials are only resolved once
+const clientCache = new Map();
+
+/**
+ * Resolve the S3 endpoint settings from config overrides and build-time env
+ * A custom endpoint (LocalStack, MinIO, Garage...) defaults to path-style
+ * addressing, since most local object stores don't resolve bucket subdomains
+ * @param {object} overrides - Config values (s3Endpoint, s3AddressingStyle)
+ * @returns {{endpoint: string|null, forcePathStyle: boolean}} Endpoint config
+ */
+export function getEndpointConfig(overrides = {}) {
+  const endpoint = (overrides.s3Endpoint || import.meta.env.VITE_S3_ENDPOINT || '')
+    .trim()
+    .replace(/\/+$/, '');
+
+  let forcePathStyle = Boolean(endpoint);
+  const envPathStyle = import.meta.env.VITE_S3_FORCE_PATH_STYLE;
+  if (envPathStyle === 'true' || envPathStyle === 'false') {
+    forcePathStyle = envPathStyle === 'true';
+  }
+  if (overrides.s3AddressingStyle === 'path') {
+    forcePathStyle = true;
+  } else if (overrides.s3AddressingStyle === 'virtual-hosted') {
+    forcePathStyle = false;
+  }
+
+  return { endpoint: endpoint || null, forcePathStyle };
+}
+
+/**
+ * Check whether any credentials are configured for signed S3 requests
+ * @returns {boolean} True if Cognito or static credentials are available
+ */
+export function hasCredentials() {
+  return Boolean(
+    import.meta.env.VITE_AWS_IDENTITY_POOL_ID ||
+    (import.meta.env.VITE_S3_ACCESS_KEY_ID && import.meta.env.VITE_S3_SECRET_ACCESS_KEY)
+  );
+}
+
+/**
+ * Build credentials for the S3 client
+ * Static keys are meant for local stand-ins only (they end up in the bundle);
+ * everything else goes through the Cognito Identity Pool
+ */
+function getCredentials(region) {
+  const accessKeyId = import.meta.env.VITE_S3_ACCESS_KEY_ID;
+  const secretAccessKey = import.meta.env.VITE_S3_SECRET_ACCESS_KEY;
+  if (accessKeyId && secretAccessKey) {
+    return { accessKeyId, secretAccessKey };
+  }
+
+  const identityPoolId = import.meta.env.VITE_AWS_IDENTITY_POOL_ID;
+  if (identityPoolId) {
+    return fromCognitoIdentityPool({
+      identityPoolId,
+      clientConfig: { region }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Get an S3 client for a region and endpoint
+ * Falls back to unsigned requests when no credentials are configured, which
+ * works against public-read buckets on local object stores
+ * @param {string} region - AWS region
+ * @param {object} endpointConfig - Result of getEndpointConfig()
+ * @returns {S3Client} S3 client
+ */
+export function getS3Client(region, endpointConfig = getEndpointConfig()) {
+  const { endpoint, forcePathStyle } = endpointConfig;
+  const cacheKey = `${region}|${endpoint || ''}|${forcePathStyle}`;
+
+  if (!clientCache.has(cacheKey)) {
+    const credentials = getCredentials(region);
+
+    clientCache.set(cacheKey, new S3Client({
+      region,
+      forcePathStyle,
+      ...(endpoint && { endpoint }),
+      ...(credentials
+        ? { credentials }
+        : {
+          credentials: { accessKeyId: '', secretAccessKey: '' },
+          signer: { sign: async (request) => request }
+        })
+    }));
+  }
+
+  return clientCache.get(cacheKey);
+}
+
+/**
+ * Encode an object key for use in a URL, keeping "/" separators
+ */
+function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Get the base URL that object keys are appended to for a bucket
+ * @param {string} bucket - S3 bucket name
+ * @param {string} region - AWS region
+ * @param {object} endpointConfig - Result of getEndpointConfig()
+ * @returns {string} Base URL without a trailing slash
+ */
+export function getBucketBaseUrl(bucket, region, endpointConfig = getEndpointConfig()) {
+  const { endpoint, forcePathStyle } = endpointConfig;
+
+  if (endpoint) {
+    if (forcePathStyle) {
+      return `${endpoint}/${bucket}`;
+    }
+    const url = new URL(endpoint);
+    return `${url.protocol}//${bucket}.${url.host}${url.pathname.replace(/\/$/, '')}`;
+  }
+
+  return forcePathStyle
+    ? `https://s3.${region}.amazonaws.com/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+}
+
+/**
+ * Build the URL of an object in a bucket
+ * @param {string} bucket - S3 bucket name
+ * @param {string} region - AWS region
+ * @param {string} key - Object key
+ * @param {object} endpointConfig - Result of getEndpointConfig()
+ * @returns {string} Object URL
+ */
+export function buildObjectUrl(bucket, region, key, endpointConfig = getEndpointConfig()) {
+  return `${getBucketBaseUrl(bucket, region, endpointConfig)}/${encodeKey(key)}`;
+}
+
+/**
+ * Parse an object URL back into bucket, region and key
+ * Understands AWS virtual-hosted and path-style URLs, plus URLs under the
+ * configured custom endpoint (region is null for those)
+ * @param {string} url - Object URL
+ * @param {object} endpointConfig - Result of getEndpointConfig()
+ * @returns {{bucket: string, region: string|null, key: string}|null} Parsed parts
+ */
+export function parseObjectUrl(url, endpointConfig = getEndpointConfig()) {
+  const { endpoint, forcePathStyle } = endpointConfig;
+
+  if (endpoint) {
+    if (forcePathStyle && url.startsWith(`${endpoint}/`)) {
+      const match = url.slice(endpoint.length + 1).match(/^([^/]+)\/(.+)$/);
+      if (match) {
+        return { bucket: match[1], region: null, key: decodeURIComponent(match[2]) };
+      }
+    } else if (!forcePathStyle) {
+      const { host } = new URL(endpoint);
+      const escapedHost = host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const match = url.match(new RegExp(`^https?://(.+?)\\.${escapedHost}/(.+)$`));
+      if (match) {
+        return { bucket: match[1], region: null, key: decodeURIComponent(match[2]) };
+      }
+    }
+  }
+
+  const virtualHosted = url.match(/^https:\/\/(.+?)\.s3\.(.+?)\.amazonaws\.com\/(.+)$/);
+  if (virtualHosted) {
+    return {
+      bucket: virtualHosted[1],
+      region: virtualHosted[2],
+      key: decodeURIComponent(virtualHosted[3])
+    };
+  }
+
+  const pathStyle = url.match(/^https:\/\/s3\.(.+?)\.amazonaws\.com\/([^/]+)\/(.+)$/);
+  if (pathStyle) {
+    return {
+      bucket: pathStyle[2],
+      region: pathStyle[1],
+      key: decodeURIComponent(pathStyle[3])
+    };
+  }
+
+  return null;
+}
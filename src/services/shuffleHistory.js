@@ -0,0 +1,135 @@
+/**
+ * Shuffle history: the photos already shown in the current cycle
+ *
+ * Each source, smart playlist and playback mode has its own cycle (see
+ * getHistoryKey), so playing a subset of the library doesn't end the whole
+ * library's cycle. Shown photos are kept in memory and written to
+ * localStorage at most every WRITE_DELAY_MS, and when the page is hidden.
+ */
+
+const HISTORY_KEY = 'tv-slideshow-shuffle-history';
+
+// Histories remembered at once; the least recently used are forgotten first
+const MAX_HISTORIES = 10;
+
+const WRITE_DELAY_MS = 10 * 1000;
+
+// History read from localStorage, with changes not yet written back
+let history = null;
+let writeTimer = null;
+let listeningForPageHide = false;
+
+/**
+ * Read the stored histories, with each history's shown ids as a Set
+ */
+function readHistory() {
+  try {
+    const all = JSON.parse(localStorage.getItem(HISTORY_KEY) || '{}');
+    return Object.fromEntries(Object.entries(all).map(([key, entry]) => [
+      key,
+      { ...entry, shown: new Set(entry.shown || []) }
+    ]));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write the histories, keeping only the most recently used
+ */
+function writeHistory(all) {
+  const recent = Object.entries(all)
+    .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_HISTORIES)
+    .map(([key, entry]) => [key, { ...entry, shown: Array.from(entry.shown) }]);
+
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(Object.fromEntries(recent)));
+  } catch { /* storage full or unavailable */ }
+}
+
+/**
+ * In-memory history, read from localStorage on first use
+ */
+function getHistory() {
+  if (!history) history = readHistory();
+  return history;
+}
+
+/**
+ * Write the in-memory history soon, batching the slides shown meanwhile
+ */
+function scheduleWrite() {
+  if (!listeningForPageHide && typeof window !== 'undefined') {
+    window.addEventListener('pagehide', flushShownIds);
+    listeningForPageHide = true;
+  }
+  if (!writeTimer) {
+    writeTimer = setTimeout(flushShownIds, WRITE_DELAY_MS);
+  }
+}
+
+/**
+ * Write pending changes to localStorage now
+ * The in-memory copy is dropped, so the next read picks up the stored one
+ */
+export function flushShownIds() {
+  clearTimeout(writeTimer);
+  writeTimer = null;
+  if (history) writeHistory(history);
+  history = null;
+}
+
+/**
+ * Key of the history for what's playing
+ * @param {string} sourceKey - Key from getSourceKey
+ * @param {object} config - App configuration (active playlist, playback mode)
+ * @returns {string} History key
+ */
+export function getHistoryKey(sourceKey, config) {
+  return [sourceKey, config.activePlaylist || '', config.playbackMode || 'all'].join('|');
+}
+
+/**
+ * Get the ids of photos already shown in the current shuffle cycle
+ * @param {string} historyKey - Key from getHistoryKey
+ * @returns {Set<string>} Shown photo ids
+ */
+export function getShownIds(historyKey) {
+  return new Set(getHistory()[historyKey]?.shown);
+}
+
+/**
+ * Record that a photo was shown
+ * Once every photo in the list has been shown a new cycle starts, so the
+ * shuffle covers the whole list before anything repeats
+ * @param {string} historyKey - Key from getHistoryKey
+ * @param {string} photoId - Id of the photo on screen
+ * @param {string[]} photoIds - Ids of every photo in the list playing
+ */
+export function recordShown(historyKey, photoId, photoIds) {
+  const all = getHistory();
+  const shown = all[historyKey]?.shown || new Set();
+  shown.add(photoId);
+
+  // Only worth checking every id once enough have been shown
+  if (shown.size >= photoIds.length && photoIds.every(id => shown.has(id))) {
+    shown.clear();
+    shown.add(photoId);
+  }
+
+  all[historyKey] = { shown, updatedAt: Date.now() };
+  scheduleWrite();
+}
+
+/**
+ * Forget the shuffle history for a source, whatever was playing
+ * @param {string} sourceKey - Key from getSourceKey
+ */
+export function clearShownIds(sourceKey) {
+  const all = getHistory();
+  for (const key of Object.keys(all)) {
+    if (key === sourceKey || key.startsWith(`${sourceKey}|`)) delete all[key];
+  }
+  flushShownIds();
+}
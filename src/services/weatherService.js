@@ -0,0 +1,94 @@
+/**
+ * Weather for the widget layer, read from a configurable HTTP endpoint
+ *
+ * The endpoint returns JSON, either in the app's own shape:
+ *
+ *   { "temperature": 21, "unit": "°C", "condition": "Partly cloudy",
+ *     "icon": "⛅", "high": 24, "low": 15, "location": "Home" }
+ *
+ * or an Open-Meteo forecast with `current_weather` (and optionally `daily`),
+ * so a local stub server or https://api.open-meteo.com both work.
+ */
+
+// How long to wait for the endpoint
+const WEATHER_TIMEOUT = 5000;
+
+// Open-Meteo WMO weather codes, grouped
+const WEATHER_CODES = [
+  { codes: [0], condition: 'Clear', icon: '☀️' },
+  { codes: [1, 2], condition: 'Partly cloudy', icon: '⛅' },
+  { codes: [3], condition: 'Cloudy', icon: '☁️' },
+  { codes: [45, 48], condition: 'Fog', icon: '🌫️' },
+  { codes: [51, 53, 55, 56, 57, 61, 63, 65, 66, 67, 80, 81, 82], condition: 'Rain', icon: '🌧️' },
+  { codes: [71, 73, 75, 77, 85, 86], condition: 'Snow', icon: '🌨️' },
+  { codes: [95, 96, 99], condition: 'Thunderstorms', icon: '⛈️' }
+];
+
+const toNumber = value => (value == null || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+/**
+ * Normalize an endpoint response
+ * @param {object} data - Parsed JSON
+ * @returns {{temperature: number, unit: string, condition: string|null, icon: string|null,
+ *   high: number|null, low: number|null, location: string|null}|null} Weather, or
+ *   null if the response has no temperature
+ */
+export function parseWeather(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  if (data.current_weather) {
+    const current = data.current_weather;
+    const group = WEATHER_CODES.find(({ codes }) => codes.includes(current.weathercode));
+    const temperature = toNumber(current.temperature);
+    if (temperature == null) return null;
+
+    return {
+      temperature,
+      unit: data.current_weather_units?.temperature || '°C',
+      condition: group?.condition || null,
+      icon: group?.icon || null,
+      high: toNumber(data.daily?.temperature_2m_max?.[0]),
+      low: toNumber(data.daily?.temperature_2m_min?.[0]),
+      location: null
+    };
+  }
+
+  const temperature = toNumber(data.temperature);
+  if (temperature == null) return null;
+
+  return {
+    temperature,
+    unit: data.unit || '°',
+    condition: data.condition || null,
+    icon: data.icon || null,
+    high: toNumber(data.high),
+    low: toNumber(data.low),
+    location: data.location || null
+  };
+}
+
+/**
+ * Fetch the current weather
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<object>} Weather (see parseWeather)
+ * @throws {Error} If the request fails, times out or has no temperature
+ */
+export async function fetchWeather(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), WEATHER_TIMEOUT);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Weather request failed: ${response.status}`);
+    }
+
+    const weather = parseWeather(await response.json());
+    if (!weather) {
+      throw new Error('Weather response has no temperature');
+    }
+    return weather;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * How a photo fills a screen whose shape doesn't match it
+ *
+ *   contain       whole photo, with black bars
+ *   contain-blur  whole photo, with a blurred and darkened copy filling the bars
+ *   smart-cover   fill the screen if that crops little enough, otherwise contain-blur
+ *   cover         always fill the screen, cropping as needed
+ */
+
+export const DISPLAY_MODES = ['contain', 'contain-blur', 'smart-cover', 'cover'];
+
+export const DEFAULT_DISPLAY_MODE = 'contain';
+
+// Share of the photo smart-cover may crop away, in percent
+export const DEFAULT_SMART_COVER_THRESHOLD = 20;
+
+/**
+ * Validate a display mode, e.g. from a manifest entry
+ * @param {string} mode - Display mode
+ * @returns {string|null} The mode, or null if unknown
+ */
+export function normalizeDisplayMode(mode) {
+  return DISPLAY_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * Share of a photo that cover sizing would crop off
+ * @param {{width: number, height: number}} image - Photo dimensions
+ * @param {{width: number, height: number}} frame - Screen dimensions
+ * @returns {number} Fraction cropped (0–1)
+ */
+export function getCoverCrop(image, frame) {
+  const imageRatio = image.width / image.height;
+  const frameRatio = frame.width / frame.height;
+  return 1 - Math.min(imageRatio / frameRatio, frameRatio / imageRatio);
+}
+
+/**
+ * Decide how to draw a photo
+ * The photo's own mode (from the manifest) wins over the global setting;
+ * smart-cover falls back to contain-blur while the photo's size is unknown
+ * @param {object} photo - Photo entry
+ * @param {object} options - Display options
+ * @param {string} options.mode - Global display mode from Settings
+ * @param {number} options.threshold - Smart-cover crop limit, in percent
+ * @param {{width: number, height: number}|null} options.image - Photo dimensions, if known
+ * @param {{width: number, height: number}} options.frame - Screen dimensions
+ * @returns {{size: string, blurFill: boolean}} CSS background-size and whether
+ *   to draw the blurred fill
+ */
+export function getPhotoFit(photo, { mode, threshold = DEFAULT_SMART_COVER_THRESHOLD, image, frame }) {
+  const resolved = normalizeDisplayMode(photo.displayMode) || normalizeDisplayMode(mode) || DEFAULT_DISPLAY_MODE;
+
+  switch (resolved) {
+    case 'cover':
+      return { size: 'cover', blurFill: false };
+    case 'contain':
+      return { size: 'contain', blurFill: false };
+    case 'smart-cover': {
+      const fits = image && frame && getCoverCrop(image, frame) <= Number(threshold) / 100;
+      return fits ? { size: 'cover', blurFill: false } : { size: 'contain', blurFill: true };
+    }
+    default:
+      return { size: 'contain', blurFill: true };
+  }
+}
@@ -1,92 +1,133 @@
-import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
-import { fromCognitoIdentityPool } from '@aws-sdk/credential-providers';
 import exifr from 'exifr';
-
-// Cached S3 client for authenticated EXIF fetching
-let cachedS3Client = null;
-
-function getS3Client() {
-  if (!cachedS3Client) {
-    const region = import.meta.env.VITE_AWS_REGION || 'us-west-1';
-    const identityPoolId = import.meta.env.VITE_AWS_IDENTITY_POOL_ID;
-    if (!identityPoolId) return null;
-
-    cachedS3Client = new S3Client({
-      region,
-      credentials: fromCognitoIdentityPool({
-        identityPoolId,
-        clientConfig: { region }
-      })
-    });
-  }
-  return cachedS3Client;
-}
+import { getEndpointConfig } from '../services/s3Endpoint';
+import { fetchPhotoBytes } from '../services/photoService';
+import { calculateDistance } from './geocoding/distance';
+import { getLocationName } from './geocoding';
+
+export { calculateDistance };
+
+// Bytes read for EXIF: JPEG metadata (EXIF, IPTC, XMP) sits in the header
+// segments, which fit in the first 128 KB of almost every camera file
+export const EXIF_HEADER_BYTES = 128 * 1024;
+
+const EXIF_PARSE_OPTIONS = {
+  // Specify which EXIF tags to extract for better performance. A top-level
+  // `pick` would switch off every segment without a tag dictionary (XMP), so
+  // the EXIF tags are picked under `tiff`
+  tiff: [
+    // DateTime tags
+    'DateTimeOriginal', 'DateTime', 'CreateDate',
+    // GPS tags
+    'GPSLatitude', 'GPSLongitude', 'GPSAltitude',
+    'GPSLatitudeRef', 'GPSLongitudeRef',
+    // Camera info
+    'Make', 'Model', 'LensModel',
+    // Exposure settings
+    'FNumber', 'ExposureTime', 'ISO', 'FocalLength',
+    'FocalLengthIn35mmFormat',
+    // Image info
+    'ImageWidth', 'ImageHeight', 'Orientation'
+  ],
+  // Enable GPS parsing
+  gps: true,
+  // XMP (Lightroom and most editors): dc:title, dc:description, dc:subject, xmp:Rating
+  xmp: true,
+  // IPTC (older tools): title, headline, caption and keywords
+  iptc: { pick: ['ObjectName', 'Headline', 'Caption', 'Keywords'] }
+};
 
 /**
- * Parse an S3 URL to extract bucket, region, and key
+ * Check whether the start of a file holds all of its JPEG header segments
+ * @param {ArrayBuffer|ArrayBufferView} bytes - Start of the file
+ * @returns {'complete'|'truncated'|'unknown'} 'complete' if the image data
+ *   (start of scan) begins within the bytes, 'truncated' if a segment runs
+ *   past them, 'unknown' for other formats
  */
-function parseS3Url(url) {
-  const match = url.match(/^https:\/\/(.+?)\.s3\.(.+?)\.amazonaws\.com\/(.+)$/);
-  if (match) {
-    return { bucket: match[1], region: match[2], key: decodeURIComponent(match[3]) };
+export function getHeaderState(bytes) {
+  const data = ArrayBuffer.isView(bytes)
+    ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    : new Uint8Array(bytes);
+  if (data[0] !== 0xFF || data[1] !== 0xD8) return 'unknown';
+
+  let offset = 2;
+  while (offset + 2 <= data.length) {
+    if (data[offset] !== 0xFF) return 'unknown';
+    const marker = data[offset + 1];
+    // Start of scan or end of image: every metadata segment came before it
+    if (marker === 0xDA || marker === 0xD9) return 'complete';
+    // Fill bytes and markers without a length
+    if (marker === 0xFF) {
+      offset += 1;
+    } else if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += 2;
+    } else {
+      offset += 2 + ((data[offset + 2] << 8) | data[offset + 3]);
+    }
   }
-  return null;
+  return 'truncated';
 }
 
 /**
- * Fetch image data from S3 using Cognito credentials, or fall back to fetch
+ * Read the preview thumbnail embedded in a photo's EXIF header
+ * @param {ArrayBuffer} bytes - The photo's header (or whole file)
+ * @returns {Promise<{data: Uint8Array, orientation: number}|null>} JPEG bytes
+ *   and the photo's orientation (the thumbnail itself isn't rotated), or null
+ *   if there is none
  */
-async function fetchImageData(imageUrl) {
-  const s3Info = parseS3Url(imageUrl);
-  const s3Client = getS3Client();
-
-  if (s3Info && s3Client) {
-    const command = new GetObjectCommand({
-      Bucket: s3Info.bucket,
-      Key: s3Info.key,
-    });
-    const response = await s3Client.send(command);
-    return new Response(response.Body).arrayBuffer();
+export async function extractThumbnail(bytes) {
+  try {
+    const [data, orientation] = await Promise.all([exifr.thumbnail(bytes), exifr.orientation(bytes)]);
+    return data ? { data, orientation: orientation || 1 } : null;
+  } catch (error) {
+    return null;
   }
-
-  // Fallback for non-S3 URLs
-  const response = await fetch(imageUrl);
-  return response.arrayBuffer();
 }
 
 /**
  * Extract EXIF data from an image URL
+ * Only the file header is downloaded (a ranged GET); the whole file is read
+ * only if its metadata runs past the header range
  * @param {string} imageUrl - URL of the image
+ * @param {object} options - Optional settings
+ * @param {object} options.endpointConfig - Custom S3 endpoint (see getEndpointConfig)
+ * @param {Function} options.fetchImageData - Override for fetching the image
+ *   bytes; called with { range } (a byte count, or undefined for the whole file)
+ * @param {Array<object>} options.geocoders - Geocoder chain for the location
+ *   name (see geocoding/getGeocoderChain); the bundled dataset by default
+ * @param {object[]} options.places - User-defined places, which name photos
+ *   inside them instead of the geocoders (see geocoding/places)
+ * @param {boolean} options.locate - Look up the location name; off for data
+ *   that is cached, which is named when it's read instead
  * @returns {Promise<object>} Extracted EXIF data
  */
-export async function extractExifData(imageUrl) {
+export async function extractExifData(
+  imageUrl,
+  { endpointConfig = getEndpointConfig(), fetchImageData, geocoders, places, locate = true } = {}
+) {
+  const readBytes = (range) => (fetchImageData
+    ? fetchImageData({ range })
+    : fetchPhotoBytes(imageUrl, { endpointConfig, range }));
+
   try {
-    const buffer = await fetchImageData(imageUrl);
-
-    // Parse EXIF data using exifr
-    const exif = await exifr.parse(buffer, {
-      // Specify which tags to extract for better performance
-      pick: [
-        // DateTime tags
-        'DateTimeOriginal', 'DateTime', 'CreateDate',
-        // GPS tags
-        'GPSLatitude', 'GPSLongitude', 'GPSAltitude',
-        'GPSLatitudeRef', 'GPSLongitudeRef',
-        // Camera info
-        'Make', 'Model', 'LensModel',
-        // Exposure settings
-        'FNumber', 'ExposureTime', 'ISO', 'FocalLength',
-        'FocalLengthIn35mmFormat',
-        // Image info
-        'ImageWidth', 'ImageHeight', 'Orientation'
-      ],
-      // Enable GPS parsing
-      gps: true,
-      // Enable XMP parsing for additional metadata
-      xmp: true,
-      // Enable IPTC for location names
-      iptc: true
-    });
+    const header = await readBytes(EXIF_HEADER_BYTES);
+    let exif;
+    try {
+      exif = await exifr.parse(header, EXIF_PARSE_OPTIONS);
+
+      // Metadata can be cut off by the range without exifr noticing: a segment
+      // (e.g. a large XMP block) that runs past it, or a file whose metadata
+      // comes after it. Servers that ignore ranges already sent everything
+      const headerState = getHeaderState(header);
+      const empty = !exif || Object.keys(exif).length === 0;
+      if (header.byteLength >= EXIF_HEADER_BYTES &&
+          (headerState === 'truncated' || (headerState === 'unknown' && empty))) {
+        throw new Error(empty ? 'no metadata in the header' : 'a header segment runs past the range');
+      }
+    } catch (error) {
+      // Metadata was cut off by the range
+      console.warn('EXIF header read incomplete, reading the whole file:', error);
+      exif = await exifr.parse(await readBytes(), EXIF_PARSE_OPTIONS);
+    }
 
     if (!exif) {
       return null;
@@ -116,15 +157,23 @@ export async function extractExifData(imageUrl) {
       // Image dimensions
       width: exif.ImageWidth || null,
       height: exif.ImageHeight || null,
-      orientation: exif.Orientation || null
+      orientation: exif.Orientation || null,
+
+      // Descriptive metadata (XMP, falling back to IPTC)
+      title: getText(exif.title) || getText(exif.ObjectName) || getText(exif.Headline),
+      caption: getText(exif.description) || getText(exif.Caption),
+      keywords: getKeywords(exif.subject, exif.Keywords),
+      rating: getRating(exif.Rating)
     };
 
     // Try to get location name from GPS coordinates
-    if (formattedData.latitude && formattedData.longitude) {
+    if (locate && formattedData.latitude && formattedData.longitude) {
       try {
         const locationName = await getLocationName(
           formattedData.latitude,
-          formattedData.longitude
+          formattedData.longitude,
+          geocoders,
+          { places }
         );
         formattedData.locationName = locationName;
       } catch (error) {
@@ -141,195 +190,60 @@ export async function extractExifData(imageUrl) {
 }
 
 /**
- * Format exposure time to a readable string
- * @param {number} exposureTime - Exposure time in seconds
- * @returns {string} Formatted exposure time
+ * Text from an XMP or IPTC value: a string, a language alternative
+ * ({ lang, value }) or a list of either, of which the first is used
+ * @param {*} value - Parsed value
+ * @returns {string|null} Trimmed text
  */
-function formatExposureTime(exposureTime) {
-  if (!exposureTime) return null;
-
-  if (exposureTime >= 1) {
-    return `${exposureTime.toFixed(1)}`;
-  }
-
-  // Convert to fraction for fast shutter speeds
-  const denominator = Math.round(1 / exposureTime);
-  return `1/${denominator}`;
+function getText(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  const text = first && typeof first === 'object' ? first.value : first;
+  return text == null ? null : String(text).trim() || null;
 }
 
-// Persistent location cache (survives page reloads)
-const LOCATION_CACHE_KEY = 'tv-slideshow-location-cache';
-
-function getLocationCache() {
-  try {
-    return JSON.parse(localStorage.getItem(LOCATION_CACHE_KEY) || '{}');
-  } catch { return {}; }
-}
-
-function setLocationCache(key, value) {
-  try {
-    const cache = getLocationCache();
-    cache[key] = value;
-    localStorage.setItem(LOCATION_CACHE_KEY, JSON.stringify(cache));
-  } catch { /* storage full or unavailable */ }
-}
-
-// Venue types filtered out (low-value POIs)
-const FILTERED_VENUE_TYPES = new Set([
-  'parking', 'fuel', 'atm', 'bank', 'toilets'
-]);
-
-// Venue type priority tiers (lower = higher priority)
-const VENUE_PRIORITY = new Map([
-  // Tier 1 - Entertainment & dining
-  ['restaurant', 1], ['bar', 1], ['cafe', 1], ['pub', 1], ['nightclub', 1],
-  ['theme_park', 1], ['golf_course', 1], ['stadium', 1], ['museum', 1],
-  ['zoo', 1], ['aquarium', 1], ['attraction', 1],
-  // Tier 2 - Notable venues
-  ['theatre', 2], ['cinema', 2], ['casino', 2], ['hotel', 2],
-  ['library', 2], ['place_of_worship', 2],
-  // Tier 3 - Shopping
-  ['mall', 3], ['supermarket', 3], ['department_store', 3],
-]);
-
 /**
- * Select the best venue from Overpass results by priority then distance
+ * Keywords from XMP dc:subject and IPTC Keywords, without duplicates
+ * @param {...*} sources - A keyword or a list of them, per source
+ * @returns {string[]} Keywords, in the order found
  */
-function selectBestVenue(elements, lat, lon) {
-  const candidates = elements
-    .filter(el => el.tags?.name && !FILTERED_VENUE_TYPES.has(el.tags.amenity))
-    .map(el => {
-      const elLat = el.lat ?? el.center?.lat;
-      const elLon = el.lon ?? el.center?.lon;
-      const type = el.tags.amenity || el.tags.leisure || el.tags.tourism || el.tags.shop;
-      const priority = VENUE_PRIORITY.get(type) ?? 4;
-      const dist = (elLat != null && elLon != null)
-        ? calculateDistance(lat, lon, elLat, elLon)
-        : Infinity;
-      return { name: el.tags.name, priority, dist };
-    });
-
-  if (candidates.length === 0) return null;
-
-  candidates.sort((a, b) => a.priority - b.priority || a.dist - b.dist);
-  return candidates[0].name;
-}
-
-/**
- * Query Overpass API for nearby named venues
- */
-async function getVenueName(latitude, longitude) {
-  const radius = 150; // meters
-  const query = `[out:json][timeout:5];(
-    node["amenity"]["name"](around:${radius},${latitude},${longitude});
-    way["amenity"]["name"](around:${radius},${latitude},${longitude});
-    node["leisure"]["name"](around:${radius},${latitude},${longitude});
-    way["leisure"]["name"](around:${radius},${latitude},${longitude});
-    node["tourism"]["name"](around:${radius},${latitude},${longitude});
-    way["tourism"]["name"](around:${radius},${latitude},${longitude});
-    node["shop"]["name"](around:${radius},${latitude},${longitude});
-    way["shop"]["name"](around:${radius},${latitude},${longitude});
-  );out center;`;
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-  try {
-    const response = await fetch('https://overpass-api.de/api/interpreter', {
-      method: 'POST',
-      body: `data=${encodeURIComponent(query)}`,
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      signal: controller.signal,
-    });
-    clearTimeout(timeoutId);
-
-    if (!response.ok) return null;
-    const data = await response.json();
-    return selectBestVenue(data.elements || [], latitude, longitude);
-  } catch (error) {
-    clearTimeout(timeoutId);
-    console.warn('Overpass API query failed:', error.message);
-    return null;
+function getKeywords(...sources) {
+  const keywords = [];
+  for (const source of sources) {
+    for (const value of [].concat(source ?? [])) {
+      const keyword = getText(value);
+      if (keyword && !keywords.some(found => found.toLowerCase() === keyword.toLowerCase())) {
+        keywords.push(keyword);
+      }
+    }
   }
+  return keywords;
 }
 
 /**
- * Reverse geocode coordinates to "City, State" (or "City, State, Country" for non-US)
+ * Star rating from xmp:Rating; 0 (unrated) and -1 (rejected) aren't ratings
+ * @param {*} value - Parsed value
+ * @returns {number|null} Rating, 1–5
  */
-async function getNominatimLocationName(latitude, longitude) {
-  const response = await fetch(
-    `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=18&addressdetails=1`,
-    {
-      headers: {
-        'User-Agent': 'TV-Photo-Slideshow-App'
-      }
-    }
-  );
-
-  if (!response.ok) {
-    throw new Error('Geocoding request failed');
-  }
-
-  const data = await response.json();
-  const address = data.address || {};
-
-  // Extract venue name from Nominatim (used as fallback if Overpass misses)
-  const venueName = data.name && data.name !== address.city
-    && data.name !== address.town && data.name !== address.state
-    ? data.name : null;
-
-  const cityParts = [];
-
-  if (address.city) cityParts.push(address.city);
-  else if (address.town) cityParts.push(address.town);
-  else if (address.village) cityParts.push(address.village);
-  else if (address.county) cityParts.push(address.county);
-
-  if (address.state) cityParts.push(address.state);
-
-  // Drop "United States" to keep strings concise
-  if (address.country && address.country_code !== 'us') {
-    cityParts.push(address.country);
-  }
-
-  const location = cityParts.length > 0 ? cityParts.join(', ') : null;
-
-  return { location, venueName };
+function getRating(value) {
+  const rating = Math.round(Number(value));
+  return rating >= 1 && rating <= 5 ? rating : null;
 }
 
 /**
- * Get location name with optional venue — runs Nominatim + Overpass in parallel
+ * Format exposure time to a readable string
+ * @param {number} exposureTime - Exposure time in seconds
+ * @returns {string} Formatted exposure time
  */
-async function getLocationName(latitude, longitude) {
-  // Round to ~11m precision for cache key (4 decimal places)
-  const cacheKey = `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
-  const cached = getLocationCache()[cacheKey];
-  if (cached) return cached;
-
-  try {
-    const [nominatimResult, venueResult] = await Promise.allSettled([
-      getNominatimLocationName(latitude, longitude),
-      getVenueName(latitude, longitude),
-    ]);
-
-    const nominatim = nominatimResult.status === 'fulfilled' ? nominatimResult.value : {};
-    const overpassVenue = venueResult.status === 'fulfilled' ? venueResult.value : null;
-
-    // Prefer Overpass venue, fall back to Nominatim venue name
-    const venue = overpassVenue || nominatim.venueName || null;
-    const location = nominatim.location || null;
-
-    let result;
-    if (venue && location) result = `${venue}, ${location}`;
-    else if (venue) result = venue;
-    else result = location;
+function formatExposureTime(exposureTime) {
+  if (!exposureTime) return null;
 
-    if (result) setLocationCache(cacheKey, result);
-    return result;
-  } catch (error) {
-    console.error('Error getting location name:', error);
-    return null;
+  if (exposureTime >= 1) {
+    return `${exposureTime.toFixed(1)}`;
   }
+
+  // Convert to fraction for fast shutter speeds
+  const denominator = Math.round(1 / exposureTime);
+  return `1/${denominator}`;
 }
 
 /**
@@ -352,39 +266,6 @@ export function formatCoordinatesDMS(decimal, isLatitude) {
   return `${degrees}° ${minutes}' ${seconds}" ${direction}`;
 }
 
-/**
- * Calculate distance between two GPS coordinates (Haversine formula)
- * @param {number} lat1 - Latitude of first point
- * @param {number} lon1 - Longitude of first point
- * @param {number} lat2 - Latitude of second point
- * @param {number} lon2 - Longitude of second point
- * @returns {number} Distance in kilometers
- */
-export function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = toRadians(lat2 - lat1);
-  const dLon = toRadians(lon2 - lon1);
-
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c;
-
-  return distance;
-}
-
-/**
- * Convert degrees to radians
- * @param {number} degrees - Degrees
- * @returns {number} Radians
- */
-function toRadians(degrees) {
-  return degrees * (Math.PI / 180);
-}
-
 /**
  * Group photos by location (within a certain radius)
  * @param {Array} photos - Array of photos with EXIF data
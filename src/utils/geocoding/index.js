@@ -0,0 +1,217 @@
+/**
+ * Location names from a chain of geocoders (config.geocoders)
+ *
+ * Geocoders are tried in the order the chain lists them. Each answers with a
+ * location ("Town, Region") and/or a venue name; the first answer for each
+ * wins, and a geocoder is skipped once everything it could add is known.
+ * Online geocoders go through one shared queue per geocoder, so preloading
+ * a large library stays within each service's rate limit, and lookups for
+ * the same spot (to ~11 m) while one is in flight share its result.
+ */
+
+import { getCachedLocation, setCachedLocation, getLocationCacheKey } from '../../services/locationCache';
+import { createRequestQueue } from './requestQueue';
+import { findPlace } from './places';
+import { offlineGeocoder } from './offlineGeocoder';
+import { nominatimGeocoder, overpassGeocoder, customGeocoder } from './onlineGeocoders';
+
+/**
+ * A reverse geocoder in the chain
+ * @typedef {object} Geocoder
+ * @property {string} id - Value stored in config.geocoders[].id
+ * @property {string} label - Name shown in Settings
+ * @property {Array<'location'|'venue'>} provides - What its answers can name
+ * @property {boolean} [online] - Sends requests over the network
+ * @property {number} [minInterval] - Milliseconds between requests; set for
+ *   geocoders whose requests must be queued
+ * @property {{timeout?: number, radius?: number, url?: string}} defaults -
+ *   Default settings: timeout in seconds, radius in metres
+ * @property {(latitude: number, longitude: number, settings: object,
+ *   options: {signal?: AbortSignal}) => Promise<{location?: string|null, venue?: string|null}|null>} lookup
+ *   Name a coordinate; rejects if the geocoder couldn't answer
+ */
+
+// Chain order before the user changes it: venues from Overpass first, then
+// Nominatim, with the bundled dataset (the only one on) as the fallback
+const DEFAULT_ORDER = ['overpass', 'nominatim', 'custom', 'offline'];
+
+const registry = new Map();
+const queues = new Map();
+const inFlight = new Map();
+
+/**
+ * Register a geocoder (replaces any geocoder with the same id)
+ * @param {Geocoder} geocoder - Geocoder to register
+ */
+export function registerGeocoder(geocoder) {
+  registry.set(geocoder.id, geocoder);
+  queues.delete(geocoder.id);
+}
+
+/**
+ * Get a registered geocoder by id
+ * @param {string} id - Geocoder id
+ * @returns {Geocoder|null} Geocoder, or null if unknown
+ */
+export function getGeocoder(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * List registered geocoders, in registration order
+ * @returns {Geocoder[]} Geocoders
+ */
+export function listGeocoders() {
+  return [...registry.values()];
+}
+
+/**
+ * The geocoder chain from config, filled in with defaults
+ * Unknown geocoders are dropped, and geocoders the saved chain doesn't list
+ * are added at the end, switched off. A config saved before the chain
+ * existed turns Nominatim and Overpass on if it had online lookups on.
+ * @param {object} config - App configuration
+ * @returns {Array<{id: string, enabled: boolean, timeout?: number, radius?: number, url?: string}>}
+ *   Geocoder settings, in the order they're tried
+ */
+export function getGeocoderChain(config) {
+  const saved = Array.isArray(config.geocoders) ? config.geocoders : [];
+  const chain = saved
+    .filter(settings => registry.has(settings?.id))
+    .map(settings => ({ ...getGeocoder(settings.id).defaults, ...settings, enabled: Boolean(settings.enabled) }));
+
+  const missing = listGeocoders()
+    .filter(geocoder => !chain.some(settings => settings.id === geocoder.id))
+    .sort((a, b) => orderOf(a.id) - orderOf(b.id));
+
+  // Without a saved chain, only the bundled dataset is on (plus Nominatim
+  // and Overpass for a config from when online lookups were one checkbox)
+  const defaultOn = saved.length > 0 ? [] : ['offline', ...(config.onlineGeocoding ? ['nominatim', 'overpass'] : [])];
+  for (const geocoder of missing) {
+    chain.push({ id: geocoder.id, enabled: defaultOn.includes(geocoder.id), ...geocoder.defaults });
+  }
+
+  return chain;
+}
+
+function orderOf(id) {
+  const index = DEFAULT_ORDER.indexOf(id);
+  return index === -1 ? DEFAULT_ORDER.length : index;
+}
+
+/**
+ * Key for what a chain can answer: the enabled geocoders, in order, with the
+ * settings that change their answers (timeouts don't)
+ * @param {Array<object>} chain - Geocoder settings (see getGeocoderChain)
+ * @returns {string} Chain key, for the location cache
+ */
+export function getChainKey(chain) {
+  return JSON.stringify(chain
+    .filter(settings => settings.enabled && registry.has(settings.id))
+    .map(({ id, radius, url }) => [id, radius == null ? null : Number(radius), url || null]));
+}
+
+/**
+ * Run one geocoder's lookup, through its queue if it has one
+ * The timeout starts when the request does, not while it waits in the queue
+ */
+function runLookup(geocoder, latitude, longitude, settings) {
+  const request = async () => {
+    const controller = new AbortController();
+    const timeoutId = settings.timeout > 0
+      ? setTimeout(() => controller.abort(), settings.timeout * 1000)
+      : null;
+    try {
+      return await geocoder.lookup(latitude, longitude, settings, { signal: controller.signal });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+  if (geocoder.minInterval == null) return request();
+
+  if (!queues.has(geocoder.id)) {
+    queues.set(geocoder.id, createRequestQueue({ minInterval: geocoder.minInterval }));
+  }
+  return queues.get(geocoder.id).schedule(request);
+}
+
+/**
+ * Try the chain's geocoders in order until the location and venue are known
+ * @returns {Promise<{name: string|null, complete: boolean, online: boolean}>}
+ *   Name, whether every geocoder asked answered, and whether any was online
+ */
+async function resolveName(latitude, longitude, chain) {
+  let location = null;
+  let venue = null;
+  let complete = true;
+  let online = false;
+
+  for (const settings of chain) {
+    const geocoder = getGeocoder(settings.id);
+    const needed = geocoder.provides.some(field => (field === 'location' ? !location : !venue));
+    if (!needed) continue;
+
+    online = online || Boolean(geocoder.online);
+    try {
+      const result = await runLookup(geocoder, latitude, longitude, settings);
+      location = location || result?.location || null;
+      venue = venue || result?.venue || null;
+    } catch (error) {
+      complete = false;
+      console.warn(`${geocoder.label} lookup failed:`, error.message);
+    }
+  }
+
+  let name;
+  if (venue && location) name = `${venue}, ${location}`;
+  else name = venue || location;
+
+  return { name, complete, online };
+}
+
+/**
+ * Get a location name for coordinates
+ * A user-defined place (see places) containing the coordinates wins; then
+ * cached names (see services/locationCache) are used. Names found online
+ * are cached, unless a geocoder failed and should be asked again next time.
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Array<object>} chain - Geocoder settings (see getGeocoderChain)
+ * @param {object} options - Options
+ * @param {object[]} options.places - User-defined places (config.places)
+ * @param {boolean} options.offline - Skip online geocoders, e.g. to name a
+ *   whole library without waiting on rate limits; cached names still count
+ * @returns {Promise<string|null>} Location name, "Venue, Town, Region" when a venue is known
+ */
+export async function getLocationName(
+  latitude,
+  longitude,
+  chain = getGeocoderChain({}),
+  { places = [], offline = false } = {}
+) {
+  const place = findPlace(places, latitude, longitude);
+  if (place) return place.name.trim();
+
+  const enabled = chain.filter(settings => settings.enabled && registry.has(settings.id));
+  const cacheKey = getLocationCacheKey(latitude, longitude);
+  const chainKey = getChainKey(enabled);
+
+  const flightKey = `${cacheKey}|${offline}|${JSON.stringify(enabled)}`;
+  if (inFlight.has(flightKey)) return inFlight.get(flightKey);
+
+  const lookup = (async () => {
+    const cached = await getCachedLocation(cacheKey, chainKey);
+    if (cached) return cached;
+
+    const geocoders = offline ? enabled.filter(settings => !getGeocoder(settings.id).online) : enabled;
+    const { name, complete, online } = await resolveName(latitude, longitude, geocoders);
+    if (name && complete && online) await setCachedLocation(cacheKey, name, chainKey);
+    return name;
+  })().finally(() => inFlight.delete(flightKey));
+
+  inFlight.set(flightKey, lookup);
+  return lookup;
+}
+
+[offlineGeocoder, nominatimGeocoder, overpassGeocoder, customGeocoder].forEach(registerGeocoder);
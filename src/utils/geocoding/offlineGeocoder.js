@@ -0,0 +1,125 @@
+/**
+ * Offline reverse geocoding from a bundled dataset
+ *
+ * data/places.json (built by scripts/geocoder-data from GeoNames) holds
+ * ~25,000 towns and cities with their admin-1 region and country. A lookup
+ * names the nearest one, so a location needs no network request:
+ *
+ *   within CITY_RADIUS_KM     "Town, Region" ("Town, Region, Country" outside the US)
+ *   within REGION_RADIUS_KM   "Region, Country"
+ *   within COUNTRY_RADIUS_KM  "Country"
+ *   farther (open sea)        null
+ *
+ * The dataset is loaded on first use, in its own chunk. The town radius can
+ * be changed per geocoder chain (see offlineGeocoder below).
+ */
+
+import { createSpatialIndex } from './spatialIndex';
+
+// Photos this close to a town are named after it
+export const CITY_RADIUS_KM = 25;
+
+// ...then just their region, then just their country; farther than that
+// from any town (out at sea) nothing is named
+export const REGION_RADIUS_KM = 100;
+export const COUNTRY_RADIUS_KM = 400;
+
+let loading = null;
+
+/**
+ * Build a geocoder from dataset contents
+ * @param {object} data - Parsed places.json ({ countries, regions, places })
+ * @returns {{reverseGeocode: (latitude: number, longitude: number) => object|null}}
+ */
+export function createOfflineGeocoder({ countries, regions, places }) {
+  const index = createSpatialIndex(places, ([, latitude, longitude]) => [latitude, longitude]);
+
+  /**
+   * Name the place at a coordinate
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {object} options - Options
+   * @param {number} options.cityRadiusKm - How close a photo must be to a town to be named after it
+   * @returns {{city: string|null, region: string|null, country: string,
+   *   countryCode: string, distanceKm: number}|null} Place, or null if nothing is near
+   */
+  function reverseGeocode(latitude, longitude, { cityRadiusKm = CITY_RADIUS_KM } = {}) {
+    const regionRadiusKm = Math.max(REGION_RADIUS_KM, cityRadiusKm);
+    const match = index.nearest(latitude, longitude, Math.max(COUNTRY_RADIUS_KM, regionRadiusKm));
+    if (!match) return null;
+
+    const [name, , , regionIndex] = match.item;
+    const [countryCode, region] = regions[regionIndex];
+    return {
+      city: match.distanceKm <= cityRadiusKm ? name : null,
+      region: match.distanceKm <= regionRadiusKm ? region : null,
+      country: countries[countryCode] || countryCode,
+      countryCode,
+      distanceKm: match.distanceKm
+    };
+  }
+
+  return { reverseGeocode };
+}
+
+/**
+ * Load the bundled dataset (once) and build the geocoder
+ * @returns {Promise<{reverseGeocode: Function}>} Geocoder
+ */
+export function loadOfflineGeocoder() {
+  if (!loading) {
+    loading = import('./data/places.json')
+      .then(module => createOfflineGeocoder(module.default))
+      .catch(error => {
+        loading = null;
+        throw error;
+      });
+  }
+  return loading;
+}
+
+/**
+ * Format a place like the online geocoder does: the country is left out in
+ * the US, and repeated names ("Singapore, Singapore") are collapsed
+ * @param {object|null} place - Result of reverseGeocode
+ * @returns {string|null} Location name
+ */
+export function formatPlace(place) {
+  if (!place) return null;
+
+  const parts = [place.city, place.region];
+  // US places are named by their state; the country shows only when nothing closer is known
+  if (place.countryCode !== 'US' || (!place.city && !place.region)) parts.push(place.country);
+
+  const names = [];
+  for (const part of parts) {
+    if (part && part !== names[names.length - 1]) names.push(part);
+  }
+  return names.join(', ') || null;
+}
+
+/**
+ * Name the place at a coordinate from the bundled dataset
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {object} options - Options (see reverseGeocode)
+ * @returns {Promise<string|null>} Location name, or null if nothing is near
+ */
+export async function getOfflineLocationName(latitude, longitude, options) {
+  const geocoder = await loadOfflineGeocoder();
+  return formatPlace(geocoder.reverseGeocode(latitude, longitude, options));
+}
+
+/**
+ * The bundled dataset as a geocoder in the chain (see geocoding/index)
+ * @type {import('./index').Geocoder}
+ */
+export const offlineGeocoder = {
+  id: 'offline',
+  label: 'Offline (bundled towns and cities)',
+  provides: ['location'],
+  defaults: { radius: CITY_RADIUS_KM * 1000 },
+  lookup: async (latitude, longitude, { radius }) => ({
+    location: await getOfflineLocationName(latitude, longitude, { cityRadiusKm: radius / 1000 })
+  })
+};
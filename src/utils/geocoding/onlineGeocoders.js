@@ -0,0 +1,180 @@
+/**
+ * Online geocoders for the chain (see geocoding/index)
+ *
+ * Nominatim names the street-level place (and sometimes a venue), Overpass
+ * finds a named venue within a radius, and the custom geocoder asks your own
+ * HTTP endpoint. Each is sent through its own request queue, minInterval apart.
+ */
+
+import { calculateDistance } from './distance';
+
+// Venue types filtered out (low-value POIs)
+const FILTERED_VENUE_TYPES = new Set([
+  'parking', 'fuel', 'atm', 'bank', 'toilets'
+]);
+
+// Venue type priority tiers (lower = higher priority)
+const VENUE_PRIORITY = new Map([
+  // Tier 1 - Entertainment & dining
+  ['restaurant', 1], ['bar', 1], ['cafe', 1], ['pub', 1], ['nightclub', 1],
+  ['theme_park', 1], ['golf_course', 1], ['stadium', 1], ['museum', 1],
+  ['zoo', 1], ['aquarium', 1], ['attraction', 1],
+  // Tier 2 - Notable venues
+  ['theatre', 2], ['cinema', 2], ['casino', 2], ['hotel', 2],
+  ['library', 2], ['place_of_worship', 2],
+  // Tier 3 - Shopping
+  ['mall', 3], ['supermarket', 3], ['department_store', 3],
+]);
+
+/**
+ * Select the best venue from Overpass results by priority then distance
+ */
+export function selectBestVenue(elements, lat, lon) {
+  const candidates = elements
+    .filter(el => el.tags?.name && !FILTERED_VENUE_TYPES.has(el.tags.amenity))
+    .map(el => {
+      const elLat = el.lat ?? el.center?.lat;
+      const elLon = el.lon ?? el.center?.lon;
+      const type = el.tags.amenity || el.tags.leisure || el.tags.tourism || el.tags.shop;
+      const priority = VENUE_PRIORITY.get(type) ?? 4;
+      const dist = (elLat != null && elLon != null)
+        ? calculateDistance(lat, lon, elLat, elLon)
+        : Infinity;
+      return { name: el.tags.name, priority, dist };
+    });
+
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => a.priority - b.priority || a.dist - b.dist);
+  return candidates[0].name;
+}
+
+/**
+ * Reverse geocode coordinates to "City, State" (or "City, State, Country" for non-US)
+ * @type {import('./index').Geocoder}
+ */
+export const nominatimGeocoder = {
+  id: 'nominatim',
+  label: 'Nominatim (OpenStreetMap addresses)',
+  provides: ['location', 'venue'],
+  online: true,
+  // Nominatim's usage policy allows one request a second
+  minInterval: 1000,
+  defaults: { timeout: 10 },
+  lookup: async (latitude, longitude, settings, { signal } = {}) => {
+    const response = await fetch(
+      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=18&addressdetails=1`,
+      {
+        headers: {
+          'User-Agent': 'TV-Photo-Slideshow-App'
+        },
+        signal
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error('Geocoding request failed');
+    }
+
+    const data = await response.json();
+    const address = data.address || {};
+
+    // Venue name from Nominatim (a later geocoder's venue is used if this is empty)
+    const venue = data.name && data.name !== address.city
+      && data.name !== address.town && data.name !== address.state
+      ? data.name : null;
+
+    const cityParts = [];
+
+    if (address.city) cityParts.push(address.city);
+    else if (address.town) cityParts.push(address.town);
+    else if (address.village) cityParts.push(address.village);
+    else if (address.county) cityParts.push(address.county);
+
+    if (address.state) cityParts.push(address.state);
+
+    // Drop "United States" to keep strings concise
+    if (address.country && address.country_code !== 'us') {
+      cityParts.push(address.country);
+    }
+
+    const location = cityParts.length > 0 ? cityParts.join(', ') : null;
+
+    return { location, venue };
+  }
+};
+
+/**
+ * Query Overpass API for nearby named venues
+ * @type {import('./index').Geocoder}
+ */
+export const overpassGeocoder = {
+  id: 'overpass',
+  label: 'Overpass (OpenStreetMap venues)',
+  provides: ['venue'],
+  online: true,
+  minInterval: 1000,
+  defaults: { timeout: 5, radius: 150 },
+  lookup: async (latitude, longitude, { radius, timeout }, { signal } = {}) => {
+    const around = `(around:${radius},${latitude},${longitude})`;
+    // No timeout set (0 or blank) leaves Overpass on its own default
+    const serverTimeout = timeout > 0 ? `[timeout:${Math.ceil(timeout)}]` : '';
+    const query = `[out:json]${serverTimeout};(
+    node["amenity"]["name"]${around};
+    way["amenity"]["name"]${around};
+    node["leisure"]["name"]${around};
+    way["leisure"]["name"]${around};
+    node["tourism"]["name"]${around};
+    way["tourism"]["name"]${around};
+    node["shop"]["name"]${around};
+    way["shop"]["name"]${around};
+  );out center;`;
+
+    const response = await fetch('https://overpass-api.de/api/interpreter', {
+      method: 'POST',
+      body: `data=${encodeURIComponent(query)}`,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Overpass request failed (${response.status})`);
+    }
+    const data = await response.json();
+    return { venue: selectBestVenue(data.elements || [], latitude, longitude) };
+  }
+};
+
+/**
+ * Ask a custom HTTP endpoint
+ * The URL's {lat}, {lon} and {radius} placeholders are filled in, and the
+ * endpoint answers with JSON: { "location": "Town, Region", "venue": "Name" }
+ * (either may be null or missing)
+ * @type {import('./index').Geocoder}
+ */
+export const customGeocoder = {
+  id: 'custom',
+  label: 'Custom Endpoint',
+  provides: ['location', 'venue'],
+  online: true,
+  minInterval: 0,
+  defaults: { timeout: 5, radius: 150, url: '' },
+  lookup: async (latitude, longitude, { url, radius }, { signal } = {}) => {
+    if (!url) return null;
+
+    const values = { lat: latitude, lon: longitude, radius };
+    const response = await fetch(
+      url.replace(/\{(lat|lon|radius)\}/g, (match, name) => encodeURIComponent(values[name])),
+      { signal }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Custom geocoder request failed (${response.status})`);
+    }
+    const data = await response.json();
+    return {
+      location: typeof data?.location === 'string' ? data.location : null,
+      venue: typeof data?.venue === 'string' ? data.venue : null
+    };
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * User-defined places (config.places)
+ *
+ * A place is a named circle, e.g. "Grandma's House" within 100 m of a point:
+ *
+ *   { id: 'place-1700000000000', name: "Grandma's House",
+ *     latitude: 21.2650, longitude: -157.8226, radius: 100 }
+ *
+ * Photos inside a place are named after it, whatever the geocoders say.
+ * Where circles overlap, the smallest wins, so a house inside a
+ * neighbourhood is named after the house.
+ */
+
+import { calculateDistance } from './distance';
+
+// Metres
+export const DEFAULT_PLACE_RADIUS = 100;
+export const MAX_PLACE_RADIUS = 50000;
+
+/**
+ * Create a place
+ * @param {object} fields - Name, latitude, longitude and radius (metres)
+ * @returns {object} Place
+ */
+export function createPlace({ name = '', latitude = '', longitude = '', radius = DEFAULT_PLACE_RADIUS } = {}) {
+  return { id: `place-${Date.now()}`, name, latitude, longitude, radius };
+}
+
+/**
+ * Whether a place is complete: a name, a coordinate and a radius in range
+ * (Settings stores numbers as strings, so they're converted first)
+ * @param {object} place - Place
+ * @returns {boolean} True if valid
+ */
+export function isValidPlace(place) {
+  const latitude = Number(place?.latitude);
+  const longitude = Number(place?.longitude);
+  const radius = Number(place?.radius);
+  return typeof place?.name === 'string' && place.name.trim() !== '' &&
+    place.latitude !== '' && Math.abs(latitude) <= 90 &&
+    place.longitude !== '' && Math.abs(longitude) <= 180 &&
+    radius > 0 && radius <= MAX_PLACE_RADIUS;
+}
+
+/**
+ * The smallest place containing a coordinate
+ * @param {object[]} places - Places (incomplete ones are ignored)
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {object|null} Place, or null if the coordinate is in none
+ */
+export function findPlace(places, latitude, longitude) {
+  let best = null;
+  for (const place of places || []) {
+    if (!isValidPlace(place)) continue;
+
+    const radius = Number(place.radius);
+    const distance = calculateDistance(latitude, longitude, Number(place.latitude), Number(place.longitude)) * 1000;
+    if (distance <= radius && (!best || radius < Number(best.radius))) {
+      best = place;
+    }
+  }
+  return best;
+}
+
+/**
+ * Name metadata after the place its coordinates are in
+ * @param {object|null} metadata - EXIF data with latitude and longitude
+ * @param {object[]} places - Places
+ * @returns {object|null} Metadata, with locationName replaced inside a place
+ */
+export function applyPlaceName(metadata, places) {
+  if (metadata?.latitude == null || metadata?.longitude == null || !places?.length) return metadata;
+
+  const place = findPlace(places, metadata.latitude, metadata.longitude);
+  return place ? { ...metadata, locationName: place.name.trim() } : metadata;
+}
@@ -0,0 +1,47 @@
+/**
+ * Queue that runs requests one at a time, at least minInterval apart
+ * Intervals are measured between request starts, so a 1000 ms queue never
+ * sends more than one request a second however long each takes
+ * @param {object} options - Options
+ * @param {number} options.minInterval - Milliseconds between request starts
+ * @returns {{schedule: <T>(task: () => Promise<T>) => Promise<T>, size: number}}
+ *   Queue; schedule() settles with the task's result, size counts waiting tasks
+ */
+export function createRequestQueue({ minInterval = 0 } = {}) {
+  const pending = [];
+  let running = false;
+  let lastStart = -Infinity;
+
+  async function drain() {
+    running = true;
+    while (pending.length > 0) {
+      const wait = lastStart + minInterval - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+
+      const { task, resolve, reject } = pending.shift();
+      lastStart = Date.now();
+      try {
+        resolve(await task());
+      } catch (error) {
+        reject(error);
+      }
+    }
+    running = false;
+  }
+
+  function schedule(task) {
+    return new Promise((resolve, reject) => {
+      pending.push({ task, resolve, reject });
+      if (!running) drain();
+    });
+  }
+
+  return {
+    schedule,
+    get size() {
+      return pending.length;
+    }
+  };
+}
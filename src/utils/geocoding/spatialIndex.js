@@ -0,0 +1,70 @@
+import { calculateDistance } from './distance';
+
+// Kilometres per degree of latitude
+const KM_PER_DEGREE = 111.2;
+
+/**
+ * Grid index over points on the globe for nearest-neighbour lookups
+ * Points are bucketed into cells of cellDegrees × cellDegrees, so a lookup
+ * only measures the distance to points in the cells its radius can reach
+ * (wrapping across the antimeridian)
+ * @param {Array} items - Items to index
+ * @param {(item) => [number, number]} getPoint - An item's [latitude, longitude]
+ * @param {object} options - Options
+ * @param {number} options.cellDegrees - Cell size in degrees
+ * @returns {{nearest: (latitude: number, longitude: number, maxKm: number) =>
+ *   {item: *, distanceKm: number}|null, size: number}} Index
+ */
+export function createSpatialIndex(items, getPoint, { cellDegrees = 1 } = {}) {
+  const columns = Math.round(360 / cellDegrees);
+  const rows = Math.round(180 / cellDegrees);
+  const cells = new Map();
+
+  const rowOf = latitude => Math.min(rows - 1, Math.max(0, Math.floor((latitude + 90) / cellDegrees)));
+  const columnOf = longitude => ((Math.floor((longitude + 180) / cellDegrees) % columns) + columns) % columns;
+
+  items.forEach((item, order) => {
+    const [latitude, longitude] = getPoint(item);
+    const key = rowOf(latitude) * columns + columnOf(longitude);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push({ item, latitude, longitude, order });
+  });
+
+  /**
+   * Closest item within maxKm; on equal distance the item indexed first wins
+   */
+  function nearest(latitude, longitude, maxKm) {
+    const latitudeSpan = maxKm / KM_PER_DEGREE;
+    const firstRow = rowOf(latitude - latitudeSpan);
+    const lastRow = rowOf(latitude + latitudeSpan);
+    let best = null;
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      // Degrees of longitude shrink towards the poles; measure at the row's
+      // edge nearest the pole so the span is never too narrow
+      const poleward = Math.max(Math.abs(row * cellDegrees - 90), Math.abs((row + 1) * cellDegrees - 90));
+      const cosine = Math.cos(Math.min(poleward, 90) * Math.PI / 180);
+      const longitudeSpan = cosine > 0 ? maxKm / (KM_PER_DEGREE * cosine) : Infinity;
+
+      const cellSpan = Math.ceil(longitudeSpan / cellDegrees);
+      const center = columnOf(longitude);
+      const columnCount = Math.min(columns, 2 * cellSpan + 1);
+
+      for (let offset = 0; offset < columnCount; offset++) {
+        const column = ((center - Math.min(cellSpan, Math.floor(columns / 2)) + offset) % columns + columns) % columns;
+        for (const point of cells.get(row * columns + column) || []) {
+          const distanceKm = calculateDistance(latitude, longitude, point.latitude, point.longitude);
+          if (distanceKm > maxKm) continue;
+          if (!best || distanceKm < best.distanceKm ||
+              (distanceKm === best.distanceKm && point.order < best.order)) {
+            best = { item: point.item, distanceKm, order: point.order };
+          }
+        }
+      }
+    }
+
+    return best && { item: best.item, distanceKm: best.distanceKm };
+  }
+
+  return { nearest, size: items.length };
+}
@@ -0,0 +1,178 @@
+/**
+ * Ken Burns pan-and-zoom
+ *
+ * Rectangles are in normalised frame coordinates (0–1). The slide is drawn
+ * with background-size: cover and background-position at the focal point,
+ * which puts the image's focal point at the same relative spot in the frame,
+ * so image and frame coordinates agree for the focal point.
+ */
+
+// Most photos have their subject a little above centre
+export const DEFAULT_FOCUS = { x: 0.5, y: 0.4 };
+
+// How far the camera zooms in over one slide
+const ZOOM = 1.25;
+
+// Size of the thumbnail the saliency heuristic works on
+const SALIENCY_SIZE = 32;
+
+// How strongly the heuristic's result is pulled back towards DEFAULT_FOCUS
+const SALIENCY_BLEND = 0.7;
+
+const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Small stable hash, so each photo always zooms the same way
+ */
+function hashString(value) {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Validate a focal point, e.g. from a manifest entry
+ * @param {object} focus - { x, y } in 0–1
+ * @returns {{x: number, y: number}|null} Clamped focal point, or null if invalid
+ */
+export function normalizeFocus(focus) {
+  if (!focus || typeof focus !== 'object') return null;
+  const x = Number(focus.x);
+  const y = Number(focus.y);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  return { x: clamp(x, 0, 1), y: clamp(y, 0, 1) };
+}
+
+/**
+ * Pick start and end rectangles for a photo
+ * One end is the full frame, the other a tighter crop around the focal point;
+ * photos alternate between zooming in and zooming out
+ * @param {string} photoId - Photo id (decides the zoom direction)
+ * @param {{x: number, y: number}} focus - Focal point
+ * @returns {{start: object, end: object}} Rectangles
+ */
+export function getKenBurnsRects(photoId, focus = DEFAULT_FOCUS) {
+  const size = 1 / ZOOM;
+  const tight = {
+    x: clamp(focus.x - size / 2, 0, 1 - size),
+    y: clamp(focus.y - size / 2, 0, 1 - size),
+    width: size,
+    height: size
+  };
+
+  return hashString(photoId) % 2 === 0
+    ? { start: FULL_FRAME, end: tight }
+    : { start: tight, end: FULL_FRAME };
+}
+
+/**
+ * CSS transform that fills the frame with a rectangle
+ * (expects transform-origin: 0 0)
+ * @param {object} rect - Rectangle in frame coordinates
+ * @returns {string} CSS transform
+ */
+export function rectToTransform(rect) {
+  const scale = 1 / rect.width;
+  return `scale(${+scale.toFixed(4)}) translate(${+(-rect.x * 100).toFixed(2)}%, ${+(-rect.y * 100).toFixed(2)}%)`;
+}
+
+/**
+ * Find the most detailed region of a greyscale thumbnail
+ * Edge strength is weighted towards the centre, and the weighted centroid is
+ * blended with DEFAULT_FOCUS so busy backgrounds can't drag it to an edge
+ * @param {number[]} luminance - Row-major pixel brightness
+ * @param {number} width - Thumbnail width
+ * @param {number} height - Thumbnail height
+ * @returns {{x: number, y: number}} Focal point
+ */
+export function findSalientPoint(luminance, width, height) {
+  let total = 0;
+  let sumX = 0;
+  let sumY = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gradient = Math.abs(luminance[i + 1] - luminance[i - 1]) +
+        Math.abs(luminance[i + width] - luminance[i - width]);
+
+      const dx = x / (width - 1) - 0.5;
+      const dy = y / (height - 1) - 0.5;
+      const weight = gradient * (1 - Math.sqrt(dx * dx + dy * dy));
+
+      total += weight;
+      sumX += weight * x / (width - 1);
+      sumY += weight * y / (height - 1);
+    }
+  }
+
+  if (total === 0) return DEFAULT_FOCUS;
+
+  return {
+    x: SALIENCY_BLEND * (sumX / total) + (1 - SALIENCY_BLEND) * DEFAULT_FOCUS.x,
+    y: SALIENCY_BLEND * (sumY / total) + (1 - SALIENCY_BLEND) * DEFAULT_FOCUS.y
+  };
+}
+
+/**
+ * Map a focal point read from an image's stored pixels to how it's shown,
+ * for an EXIF orientation (embedded thumbnails aren't rotated)
+ * @param {{x: number, y: number}} point - Focal point in stored pixels
+ * @param {number} orientation - EXIF orientation, 1–8
+ * @returns {{x: number, y: number}} Focal point as displayed
+ */
+export function orientFocus({ x, y }, orientation = 1) {
+  switch (orientation) {
+    case 2: return { x: 1 - x, y };
+    case 3: return { x: 1 - x, y: 1 - y };
+    case 4: return { x, y: 1 - y };
+    case 5: return { x: y, y: x };
+    case 6: return { x: 1 - y, y: x };
+    case 7: return { x: 1 - y, y: 1 - x };
+    case 8: return { x: y, y: 1 - x };
+    default: return { x, y };
+  }
+}
+
+/**
+ * Estimate a photo's focal point from its pixels
+ * Falls back to DEFAULT_FOCUS if the image can't be read
+ * @param {string} imageUrl - URL whose pixels can be read without CORS, e.g.
+ *   a blob URL (see providers/getFocalPoint)
+ * @returns {Promise<{x: number, y: number}>} Focal point
+ */
+export function estimateFocalPoint(imageUrl) {
+  return new Promise(resolve => {
+    const img = new Image();
+
+    img.onload = () => {
+      try {
+        const width = SALIENCY_SIZE;
+        const height = Math.max(3, Math.round(SALIENCY_SIZE * img.naturalHeight / img.naturalWidth));
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d');
+        context.drawImage(img, 0, 0, width, height);
+        const { data } = context.getImageData(0, 0, width, height);
+
+        const luminance = [];
+        for (let i = 0; i < data.length; i += 4) {
+          luminance.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        }
+        resolve(findSalientPoint(luminance, width, height));
+      } catch (error) {
+        resolve(DEFAULT_FOCUS);
+      }
+    };
+    img.onerror = () => resolve(DEFAULT_FOCUS);
+    img.src = imageUrl;
+  });
+}
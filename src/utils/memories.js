@@ -0,0 +1,124 @@
+/**
+ * "On this day" memories
+ *
+ * Photos taken on today's month and day in earlier years come first; when
+ * there are too few, the window widens to this week and then this month.
+ */
+
+export const MEMORY_SCOPES = ['day', 'week', 'month'];
+
+// Fewest photos a scope needs before the window is widened
+export const MIN_MEMORIES = 5;
+
+// Days either side of today that count as "this week"
+const WEEK_RADIUS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Dates in camera and phone file names, e.g. IMG_20230704_101200.jpg or
+// 2023-07-04 10.12.00.jpg
+const FILE_NAME_DATE = /(?:^|\D)((?:19|20)\d{2})[-_.]?(0[1-9]|1[0-2])[-_.]?(0[1-9]|[12]\d|3[01])(?!\d)/;
+
+/**
+ * Capture date of a photo
+ * Uses EXIF (from the manifest or the EXIF cache), then a date in the file name
+ * @param {object} photo - Photo entry
+ * @param {object} exif - Cached EXIF data, if any
+ * @returns {Date|null} Capture date
+ */
+export function getPhotoDate(photo, exif) {
+  const dateTime = exif?.dateTime || photo.exif?.dateTime;
+  if (dateTime) {
+    const date = new Date(dateTime);
+    if (!isNaN(date)) return date;
+  }
+
+  const match = FILE_NAME_DATE.exec(photo.name || photo.id);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  return null;
+}
+
+/**
+ * Narrowest memory scope a date falls in
+ * @param {Date|null} date - Capture date
+ * @param {Date} today - Today
+ * @returns {string|null} 'day', 'week' or 'month', or null if it isn't a
+ *   memory (no date, or taken this year)
+ */
+export function getMemoryScope(date, today) {
+  // Earlier years only (a shot from last week of December isn't a memory in January)
+  if (!date || date.getFullYear() >= today.getFullYear() || today - date < YEAR_MS / 2) return null;
+
+  if (date.getMonth() === today.getMonth() && date.getDate() === today.getDate()) {
+    return 'day';
+  }
+
+  // Distance between the anniversary and today, across a year boundary too
+  const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const distance = Math.min(...[-1, 0, 1].map(offset => {
+    const anniversary = new Date(today.getFullYear() + offset, date.getMonth(), date.getDate());
+    return Math.abs(Math.round((anniversary - midnight) / DAY_MS));
+  }));
+  if (distance <= WEEK_RADIUS) return 'week';
+
+  return date.getMonth() === today.getMonth() ? 'month' : null;
+}
+
+/**
+ * Pick the photos to play in "On this day" mode
+ * @param {object[]} photos - Photo entries
+ * @param {Function} getDate - Capture date for a photo (see getPhotoDate)
+ * @param {Date} today - Today
+ * @param {number} minPhotos - Fewest photos before widening the window
+ * @returns {{photos: object[], scope: string|null}} Photos, oldest first, and
+ *   the scope used (null when nothing matched)
+ */
+export function selectMemories(photos, getDate, today = new Date(), minPhotos = MIN_MEMORIES) {
+  const dated = photos
+    .map(photo => {
+      const date = getDate(photo);
+      return { photo, date, rank: MEMORY_SCOPES.indexOf(getMemoryScope(date, today)) };
+    })
+    .filter(({ rank }) => rank >= 0)
+    .sort((a, b) => a.date - b.date);
+
+  for (const [rank, scope] of MEMORY_SCOPES.entries()) {
+    const matches = dated.filter(memory => memory.rank <= rank);
+    // The widest window plays whatever it found
+    if (matches.length >= minPhotos || (rank === MEMORY_SCOPES.length - 1 && matches.length > 0)) {
+      return { photos: matches.map(({ photo }) => photo), scope };
+    }
+  }
+
+  return { photos: [], scope: null };
+}
+
+/**
+ * Title card text for a memory, e.g. "3 years ago today"
+ * @param {Date} date - Capture date
+ * @param {Date} today - Today
+ * @returns {string|null} Title, or null if the photo isn't a memory
+ */
+export function getMemoryTitle(date, today = new Date()) {
+  const scope = getMemoryScope(date, today);
+  if (!scope) return null;
+
+  const years = Math.max(1, Math.round((today - date) / YEAR_MS));
+  const when = { day: 'today', week: 'this week', month: 'this month' }[scope];
+  return `${years} year${years === 1 ? '' : 's'} ago ${when}`;
+}
+
+/**
+ * Time until the next local midnight, when the memories change
+ * @param {Date} now - Now
+ * @returns {number} Milliseconds
+ */
+export function getTimeUntilTomorrow(now = new Date()) {
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  return tomorrow - now;
+}
@@ -0,0 +1,193 @@
+import { groupPhotosByLocation } from './exifUtils';
+import { getPhotoDate } from './memories';
+import { shuffleArray } from './playlistUtils';
+
+/**
+ * Order modes (config.orderMode)
+ *
+ *   listing  the order the source lists photos in
+ *   oldest   capture date, oldest first
+ *   newest   capture date, newest first
+ *   trips    photos clustered into events (date gaps and places), each
+ *            played in date order after a title card
+ *
+ * Photos without a known capture date play last, in listing order.
+ */
+export const ORDER_MODES = ['listing', 'oldest', 'newest', 'trips'];
+
+// A gap this long between photos starts a new event
+const EVENT_GAP_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Photos further apart than this within one run of dates are separate events
+const EVENT_RADIUS_KM = 50;
+
+/**
+ * Check whether a playlist entry is an event title card rather than a photo
+ * @param {object} entry - Playlist entry
+ * @returns {boolean} True for title cards
+ */
+export function isTitleCard(entry) {
+  return entry?.type === 'title';
+}
+
+/**
+ * Capture dates and EXIF for a list of photos, in listing order
+ */
+function getDatedItems(photos, getExif) {
+  return photos.map(photo => {
+    const exif = getExif(photo);
+    return { photo, exif, date: getPhotoDate(photo, exif) };
+  });
+}
+
+/**
+ * Sort photos by capture date
+ * @param {object[]} photos - Photo entries
+ * @param {Function} getExif - EXIF data for a photo (cached or manifest)
+ * @param {boolean} newestFirst - Reverse the order
+ * @returns {object[]} New array, undated photos last
+ */
+export function sortByDate(photos, getExif = photo => photo.exif, newestFirst = false) {
+  const items = getDatedItems(photos, getExif);
+  const dated = items
+    .filter(item => item.date)
+    .sort((a, b) => (newestFirst ? b.date - a.date : a.date - b.date));
+
+  return [...dated, ...items.filter(item => !item.date)].map(({ photo }) => photo);
+}
+
+/**
+ * Split a run of photos taken close together in time by place
+ * Photos without GPS join the place of the photo taken closest in time
+ */
+function splitByPlace(run) {
+  const places = groupPhotosByLocation(run, EVENT_RADIUS_KM);
+  if (places.length < 2) return [run];
+
+  const placeOf = new Map();
+  places.forEach((place, index) => place.photos.forEach(item => placeOf.set(item, index)));
+  const located = run.filter(item => placeOf.has(item));
+
+  const groups = places.map(() => []);
+  run.forEach(item => {
+    const nearest = placeOf.has(item)
+      ? item
+      : located.reduce((best, other) =>
+        (Math.abs(other.date - item.date) < Math.abs(best.date - item.date) ? other : best));
+    groups[placeOf.get(nearest)].push(item);
+  });
+  return groups;
+}
+
+/**
+ * Name of the place an event happened, from geocoded EXIF or the manifest
+ */
+function getPlaceName({ photo, exif }) {
+  return exif?.locationName || photo.location || photo.album || null;
+}
+
+/**
+ * Cluster photos into events
+ * Photos are sorted by capture date and split wherever two days pass without
+ * a photo, then split again by place (within 50 km) using groupPhotosByLocation
+ * @param {object[]} photos - Photo entries
+ * @param {Function} getExif - EXIF data for a photo (cached or manifest)
+ * @returns {Array<{photos: object[], start: Date|null, end: Date|null, place: string|null}>}
+ *   Events in date order, each oldest photo first; undated photos make up a
+ *   final event without dates
+ */
+export function groupIntoEvents(photos, getExif = photo => photo.exif) {
+  const items = getDatedItems(photos, getExif);
+  const dated = items.filter(item => item.date).sort((a, b) => a.date - b.date);
+  const undated = items.filter(item => !item.date);
+
+  const runs = [];
+  dated.forEach((item, index) => {
+    if (index === 0 || item.date - dated[index - 1].date > EVENT_GAP_MS) runs.push([]);
+    runs[runs.length - 1].push(item);
+  });
+
+  const events = runs
+    .flatMap(splitByPlace)
+    .map(group => ({
+      photos: group.map(({ photo }) => photo),
+      start: group[0].date,
+      end: group[group.length - 1].date,
+      place: group.map(getPlaceName).find(Boolean) || null
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  if (undated.length > 0) {
+    events.push({ photos: undated.map(({ photo }) => photo), start: null, end: null, place: null });
+  }
+  return events;
+}
+
+/**
+ * Format the dates an event spans, e.g. "July 4–9, 2023"
+ * @param {Date} start - First capture date
+ * @param {Date} end - Last capture date
+ * @returns {string} Date range
+ */
+export function formatDateRange(start, end) {
+  const format = (date, options) => date.toLocaleDateString('en-US', options);
+  const sameYear = start.getFullYear() === end.getFullYear();
+  const sameMonth = sameYear && start.getMonth() === end.getMonth();
+
+  if (sameMonth && start.getDate() === end.getDate()) {
+    return format(start, { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+  if (sameMonth) {
+    return `${format(start, { month: 'long' })} ${start.getDate()}–${end.getDate()}, ${end.getFullYear()}`;
+  }
+  if (sameYear) {
+    return `${format(start, { month: 'long', day: 'numeric' })} – ${format(end, { month: 'long', day: 'numeric' })}, ${end.getFullYear()}`;
+  }
+  const full = { year: 'numeric', month: 'long', day: 'numeric' };
+  return `${format(start, full)} – ${format(end, full)}`;
+}
+
+/**
+ * Title card played before an event
+ * @param {object} event - Event from groupIntoEvents
+ * @returns {object} Playlist entry with type 'title'; photoIds lists the
+ *   event's photos so the card can be dropped once they're all deleted
+ */
+export function createTitleCard(event) {
+  const dates = formatDateRange(event.start, event.end);
+  return {
+    type: 'title',
+    id: `title:${event.photos[0].id}`,
+    title: event.place || dates,
+    subtitle: event.place ? dates : null,
+    photoIds: event.photos.map(photo => photo.id)
+  };
+}
+
+/**
+ * Put photos in the order a mode plays them
+ * @param {object[]} photos - Photo entries
+ * @param {string} mode - Order mode (see ORDER_MODES)
+ * @param {object} options - Options
+ * @param {Function} options.getExif - EXIF data for a photo (cached or manifest)
+ * @param {boolean} options.shuffle - Shuffle events (trips mode)
+ * @returns {object[]} New playlist; trips mode includes title cards
+ */
+export function orderPhotos(photos, mode, { getExif = photo => photo.exif, shuffle = false } = {}) {
+  if (mode === 'oldest' || mode === 'newest') {
+    return sortByDate(photos, getExif, mode === 'newest');
+  }
+
+  if (mode === 'trips') {
+    const events = groupIntoEvents(photos, getExif);
+    const dated = events.filter(event => event.start);
+    const undated = events.filter(event => !event.start).flatMap(event => event.photos);
+
+    return [
+      ...(shuffle ? shuffleArray(dated) : dated).flatMap(event => [createTitleCard(event), ...event.photos]),
+      ...undated
+    ];
+  }
+
+  return [...photos];
+}
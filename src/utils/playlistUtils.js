@@ -0,0 +1,191 @@
+// Shuffle weight of favorites (see photoMarks): every photo still plays once
+// a cycle, but favorites tend to come up earlier in it
+export const FAVORITE_WEIGHT = 3;
+
+/**
+ * Relative shuffle weight of a photo: its manifest weight, boosted for favorites
+ * @param {object} photo - Photo entry
+ * @returns {number} Weight
+ */
+export function getShuffleWeight(photo) {
+  return (photo.weight ?? 1) * (photo.favorite ? FAVORITE_WEIGHT : 1);
+}
+
+/**
+ * Shuffle photos, honouring manifest display weights and favorites
+ * (weighted random sampling: higher weights tend to come up earlier)
+ * @param {object[]} photos - Photo entries
+ * @returns {object[]} New shuffled array
+ */
+export function shuffleArray(photos) {
+  return photos
+    .map(photo => ({ photo, sortKey: Math.random() ** (1 / Math.max(getShuffleWeight(photo), 0.001)) }))
+    .sort((a, b) => b.sortKey - a.sortKey)
+    .map(({ photo }) => photo);
+}
+
+// How many recent slides a cluster must stay clear of, and how far ahead
+// the spreader looks for a photo from a different cluster
+const CLUSTER_GAP = 3;
+const CLUSTER_LOOKAHEAD = 50;
+
+/**
+ * Keys that group photos taken at the same time or place
+ * Uses the capture date and rounded GPS position from EXIF (manifest or
+ * cached), falling back to the upload hour, which groups bursts uploaded
+ * together
+ * @param {object} photo - Photo entry
+ * @param {object} exif - EXIF data, if known (defaults to the manifest's)
+ * @returns {string[]} Cluster keys
+ */
+export function getClusterKeys(photo, exif = photo.exif) {
+  const keys = [];
+  const { dateTime, latitude, longitude } = exif || {};
+
+  const date = dateTime ? new Date(dateTime) : null;
+  if (date && !isNaN(date)) {
+    keys.push(`date:${date.toISOString().slice(0, 10)}`);
+  } else if (photo.lastModified) {
+    const uploaded = new Date(photo.lastModified);
+    if (!isNaN(uploaded)) keys.push(`upload:${uploaded.toISOString().slice(0, 13)}`);
+  }
+
+  if (latitude != null && longitude != null) {
+    // ~1 km grid
+    keys.push(`place:${Number(latitude).toFixed(2)},${Number(longitude).toFixed(2)}`);
+  }
+
+  return keys;
+}
+
+/**
+ * Reorder photos so ones sharing a cluster key don't play back to back
+ * Greedy: each slot takes the first photo (within a lookahead window) that
+ * shares no key with the last few placed, or the next photo if none does
+ * @param {object[]} photos - Shuffled photos
+ * @param {Function} getKeys - Cluster keys for a photo
+ * @returns {object[]} New array
+ */
+export function spreadClusters(photos, getKeys = getClusterKeys) {
+  const queue = photos.map(photo => ({ photo, keys: getKeys(photo) }));
+  const recentKeys = [];
+  const result = [];
+
+  while (queue.length > 0) {
+    const limit = Math.min(queue.length, CLUSTER_LOOKAHEAD);
+    let pick = 0;
+    for (let i = 0; i < limit; i++) {
+      if (!queue[i].keys.some(key => recentKeys.some(keys => keys.includes(key)))) {
+        pick = i;
+        break;
+      }
+    }
+
+    const [{ photo, keys }] = queue.splice(pick, 1);
+    result.push(photo);
+    recentKeys.push(keys);
+    if (recentKeys.length > CLUSTER_GAP) recentKeys.shift();
+  }
+
+  return result;
+}
+
+/**
+ * Shuffle that remembers what was already shown
+ * Photos not yet shown in this cycle come first, so the whole library plays
+ * before anything repeats; each group is weighted-shuffled and then spread
+ * so photos from the same day or place are separated
+ * @param {object[]} photos - Photo entries
+ * @param {Set<string>} shownIds - Ids already shown this cycle (see shuffleHistory)
+ * @param {object} options - Options
+ * @param {Function} options.getExif - EXIF data for a photo (e.g. from the
+ *   EXIF cache); the manifest's by default
+ * @returns {object[]} New shuffled array
+ */
+export function smartShuffle(photos, shownIds = new Set(), { getExif = photo => photo.exif } = {}) {
+  const unseen = photos.filter(photo => !shownIds.has(photo.id));
+  const seen = photos.filter(photo => shownIds.has(photo.id));
+  const getKeys = photo => getClusterKeys(photo, getExif(photo));
+
+  return [
+    ...spreadClusters(shuffleArray(unseen), getKeys),
+    ...spreadClusters(shuffleArray(seen), getKeys)
+  ];
+}
+
+/**
+ * Scatter newly listed photos randomly among the not-yet-shown tail of a
+ * shuffled list, so later pages don't all play after the first one
+ * @param {object[]} photos - Current playlist
+ * @param {object[]} items - Photos to insert
+ * @param {number} fromIndex - First index new photos may be placed at
+ * @returns {object[]} New playlist
+ */
+export function insertRandomly(photos, items, fromIndex) {
+  const result = [...photos];
+  const start = Math.min(fromIndex, result.length);
+  for (const item of items) {
+    const position = start + Math.floor(Math.random() * (result.length - start + 1));
+    result.splice(position, 0, item);
+  }
+  return result;
+}
+
+/**
+ * Merge a fresh listing into the playing list without disturbing playback
+ * Deleted photos are dropped (title cards once their whole event is) and
+ * surviving photos pick up updated metadata. By default survivors keep their
+ * order and new photos are queued right after the upcoming slide so they
+ * show up soon; with rebuild, the fresh list's own order is played instead
+ * (date and trip orders, where new photos belong in a particular place).
+ * The returned index still points at the photo that was on screen, or the
+ * one that would have followed it if it was deleted.
+ * @param {object[]} current - Playlist currently playing
+ * @param {object[]} fresh - Latest listing from the source, in playing order
+ * @param {number} currentIndex - Index of the photo on screen
+ * @param {object} options - Merge options
+ * @param {boolean} options.shuffle - Shuffle the new photos among themselves
+ * @param {boolean} options.rebuild - Play the fresh list in its own order
+ * @returns {{photos: object[], currentIndex: number, added: object[], removed: object[]}}
+ *   Merged playlist; added and removed list photos only, not title cards
+ */
+export function mergePhotoLists(current, fresh, currentIndex, { shuffle = false, rebuild = false } = {}) {
+  const freshById = new Map(fresh.map(photo => [photo.id, photo]));
+  const currentIds = new Set(current.map(photo => photo.id));
+
+  // Title cards (see utils/photoOrder) stay while any photo of their event does
+  const survives = photo => (photo.photoIds
+    ? photo.photoIds.some(id => freshById.has(id))
+    : freshById.has(photo.id));
+
+  const removed = current.filter(photo => !photo.photoIds && !freshById.has(photo.id));
+  const added = fresh.filter(photo => !photo.photoIds && !currentIds.has(photo.id));
+
+  if (rebuild) {
+    const freshIndex = new Map(fresh.map((photo, index) => [photo.id, index]));
+    const upcoming = [...current.slice(currentIndex), ...current.slice(0, currentIndex)];
+    const next = upcoming.find(photo => freshIndex.has(photo.id));
+    return { photos: fresh, currentIndex: next ? freshIndex.get(next.id) : 0, added, removed };
+  }
+
+  // Survivors before the current position tell us where it ends up
+  const survivorsBefore = current.slice(0, currentIndex).filter(survives).length;
+
+  const kept = current
+    .filter(survives)
+    .map(photo => freshById.get(photo.id) || photo);
+
+  if (kept.length === 0) {
+    return { photos: shuffle ? shuffleArray(added) : added, currentIndex: 0, added, removed };
+  }
+
+  const index = survivorsBefore % kept.length;
+  const insertAt = Math.min(index + 2, kept.length);
+  const photos = [
+    ...kept.slice(0, insertAt),
+    ...(shuffle ? shuffleArray(added) : added),
+    ...kept.slice(insertAt)
+  ];
+
+  return { photos, currentIndex: index, added, removed };
+}
@@ -0,0 +1,97 @@
+import { calculateDistance } from './exifUtils';
+
+// Photos this close in time or space count as the same occasion
+const MAX_PAIR_DAYS = 2;
+const MAX_PAIR_KM = 25;
+
+/**
+ * Get a photo's displayed width and height, if known
+ * Decoded image sizes already account for rotation; EXIF and manifest sizes
+ * are swapped for EXIF orientations 5–8 (rotated 90°)
+ * @param {object} photo - Photo entry
+ * @param {object} info - { decoded: {width, height}, exif } for the photo
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+export function getDisplayDimensions(photo, { decoded, exif } = {}) {
+  if (decoded?.width && decoded?.height) {
+    return decoded;
+  }
+
+  const width = photo.width || exif?.width;
+  const height = photo.height || exif?.height;
+  if (!width || !height) return null;
+
+  const rotated = exif?.orientation >= 5 && exif?.orientation <= 8;
+  return rotated ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Check whether dimensions are portrait (taller than wide)
+ * @param {{width: number, height: number}|null} dimensions - From getDisplayDimensions
+ * @returns {boolean} True for portrait
+ */
+export function isPortrait(dimensions) {
+  return Boolean(dimensions) && dimensions.height > dimensions.width;
+}
+
+/**
+ * Folder part of a photo key
+ */
+function getFolder(photo) {
+  const key = photo.key || photo.id;
+  return key.includes('/') ? key.slice(0, key.lastIndexOf('/')) : '';
+}
+
+/**
+ * Check whether two photos come from a similar date or place
+ * Uses capture dates and GPS when both photos have them, otherwise whether
+ * they sit in the same folder
+ * @param {object} a - First photo entry
+ * @param {object} b - Second photo entry
+ * @param {object} exifA - EXIF data for the first photo, if loaded
+ * @param {object} exifB - EXIF data for the second photo, if loaded
+ * @returns {boolean} True if they belong together
+ */
+export function arePhotosRelated(a, b, exifA, exifB) {
+  const dateA = exifA?.dateTime ? new Date(exifA.dateTime) : null;
+  const dateB = exifB?.dateTime ? new Date(exifB.dateTime) : null;
+  if (dateA && dateB && !isNaN(dateA) && !isNaN(dateB)) {
+    const days = Math.abs(dateA - dateB) / (24 * 60 * 60 * 1000);
+    if (days <= MAX_PAIR_DAYS) return true;
+  }
+
+  if (exifA?.latitude != null && exifA?.longitude != null &&
+      exifB?.latitude != null && exifB?.longitude != null) {
+    const km = calculateDistance(exifA.latitude, exifA.longitude, exifB.latitude, exifB.longitude);
+    if (km <= MAX_PAIR_KM) return true;
+  }
+
+  const hasMetadata = (dateA && dateB) || (exifA?.latitude != null && exifB?.latitude != null);
+  return !hasMetadata && getFolder(a) === getFolder(b);
+}
+
+/**
+ * Find the photo to show beside the one at `index`, if it should be paired
+ * Only the following photo is considered, and only when both are portrait
+ * and related; photos whose size isn't known yet are never paired
+ * @param {object[]} photos - Playlist
+ * @param {number} index - Index of the slide's first photo
+ * @param {Function} getInfo - Returns { decoded, exif } for a photo
+ * @returns {number|null} Index of the partner, or null
+ */
+export function findPortraitPartner(photos, index, getInfo) {
+  const photo = photos[index];
+  const partnerIndex = index + 1;
+  const partner = photos[partnerIndex];
+  if (!photo || !partner) return null;
+
+  const info = getInfo(photo);
+  const partnerInfo = getInfo(partner);
+
+  if (!isPortrait(getDisplayDimensions(photo, info)) ||
+      !isPortrait(getDisplayDimensions(partner, partnerInfo))) {
+    return null;
+  }
+
+  return arePhotosRelated(photo, partner, info.exif, partnerInfo.exif) ? partnerIndex : null;
+}
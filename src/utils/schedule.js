@@ -0,0 +1,168 @@
+/**
+ * Weekly schedule (config.schedule)
+ *
+ * Each entry covers a time window on some days of the week and does one of:
+ *
+ *   blank     black screen, slideshow paused (any key wakes it until the
+ *             window ends)
+ *   dim       darken the screen to `brightness` percent
+ *   playlist  play the smart playlist `playlistId` instead of the chosen one
+ *
+ * Window ends can be a time ("22:00") or "sunrise" / "sunset" at the home
+ * location. A window that ends before it starts runs overnight, e.g.
+ * 22:00–07:00; `days` (0 = Sunday) are the days it starts on, or every day
+ * when empty.
+ */
+export const SCHEDULE_ACTIONS = ['blank', 'dim', 'playlist'];
+
+export const SUN_EVENTS = ['sunrise', 'sunset'];
+
+// Sleep timer lengths the remote cycles through (minutes), then off
+export const SLEEP_TIMER_MINUTES = [15, 30, 60, 90];
+
+// Used for sunrise and sunset until a home location is set
+const DEFAULT_SUN_TIMES = { sunrise: 7 * 60, sunset: 19 * 60 };
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * New schedule entry with editable defaults (blank overnight, every day)
+ * @returns {object} Schedule entry
+ */
+export function createScheduleEntry() {
+  return {
+    id: `schedule-${Date.now()}`,
+    days: [],
+    start: '22:00',
+    end: '07:00',
+    action: 'blank',
+    brightness: 40,
+    playlistId: ''
+  };
+}
+
+/**
+ * Check whether a window end is a time ("HH:MM") or a sun event
+ * @param {string} value - Window start or end
+ * @returns {boolean} True if valid
+ */
+export function isValidScheduleTime(value) {
+  return SUN_EVENTS.includes(value) || TIME_PATTERN.test(value ?? '');
+}
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Sunrise and sunset for a day (NOAA solar position approximation)
+ * @param {Date} date - Day (local calendar date)
+ * @param {number} latitude - Home latitude
+ * @param {number} longitude - Home longitude
+ * @returns {{sunrise: Date, sunset: Date}|null} Times, or null during polar
+ *   day or night
+ */
+export function getSunTimes(date, latitude, longitude) {
+  // Worked out for the UTC day that holds local noon, so sunrise and sunset
+  // fall on the local date even where it differs from the UTC one
+  const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+  const midnight = Date.UTC(noon.getUTCFullYear(), noon.getUTCMonth(), noon.getUTCDate());
+  const dayOfYear = Math.round((midnight - Date.UTC(noon.getUTCFullYear(), 0, 1)) / DAY_MS) + 1;
+  const gamma = 2 * Math.PI / 365 * (dayOfYear - 1);
+
+  // Equation of time (minutes) and solar declination (radians)
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+    - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+    - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+    - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  // Hour angle of the sun's upper edge at the horizon, allowing for refraction
+  const lat = toRadians(latitude);
+  const cosHourAngle = Math.cos(toRadians(90.833)) / (Math.cos(lat) * Math.cos(declination))
+    - Math.tan(lat) * Math.tan(declination);
+  if (cosHourAngle < -1 || cosHourAngle > 1) return null;
+  const hourAngle = toDegrees(Math.acos(cosHourAngle));
+
+  const toDate = minutes => new Date(midnight + minutes * 60 * 1000);
+  return {
+    sunrise: toDate(720 - 4 * (longitude + hourAngle) - eqTime),
+    sunset: toDate(720 - 4 * (longitude - hourAngle) - eqTime)
+  };
+}
+
+/**
+ * Minutes after local midnight a window end stands for
+ */
+function toMinutes(value, sunTimes) {
+  if (SUN_EVENTS.includes(value)) {
+    const date = sunTimes?.[value];
+    return date ? date.getHours() * 60 + date.getMinutes() : DEFAULT_SUN_TIMES[value];
+  }
+  const [, hours, minutes] = TIME_PATTERN.exec(value).map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a schedule entry's window is running
+ * @param {object} entry - Schedule entry
+ * @param {Date} now - Current time
+ * @param {object|null} sunTimes - Today's sunrise and sunset (see getSunTimes)
+ * @returns {boolean} True while it applies
+ */
+export function isEntryActive(entry, now, sunTimes = null) {
+  if (!isValidScheduleTime(entry.start) || !isValidScheduleTime(entry.end)) return false;
+
+  const days = entry.days?.length > 0 ? entry.days : ALL_DAYS;
+  const today = now.getDay();
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const start = toMinutes(entry.start, sunTimes);
+  const end = toMinutes(entry.end, sunTimes);
+
+  if (start === end) return days.includes(today);
+  if (start < end) return days.includes(today) && minutes >= start && minutes < end;
+
+  // Overnight: started this evening, or yesterday evening and still running
+  return (days.includes(today) && minutes >= start) ||
+    (days.includes((today + 6) % 7) && minutes < end);
+}
+
+/**
+ * What the schedule wants right now
+ * Blank wins over everything; the dimmest dim entry and the first playlist
+ * entry apply when several windows overlap
+ * @param {object[]} schedule - Schedule entries
+ * @param {Date} now - Current time
+ * @param {object} home - Home location for sunrise and sunset
+ * @param {number|string} home.latitude - Latitude (blank until set)
+ * @param {number|string} home.longitude - Longitude (blank until set)
+ * @returns {{blank: object|null, brightness: number, playlistId: string|null}}
+ *   Active blank entry, screen brightness (percent) and playlist to play
+ */
+export function getScheduleState(schedule = [], now = new Date(), { latitude, longitude } = {}) {
+  const hasHome = latitude !== '' && latitude != null && longitude !== '' && longitude != null &&
+    Number.isFinite(Number(latitude)) && Number.isFinite(Number(longitude));
+  const sunTimes = hasHome ? getSunTimes(now, Number(latitude), Number(longitude)) : null;
+
+  const active = (schedule || []).filter(entry => isEntryActive(entry, now, sunTimes));
+  const brightness = active
+    .filter(entry => entry.action === 'dim')
+    .map(entry => Math.min(100, Math.max(0, Number(entry.brightness) || 0)));
+
+  return {
+    blank: active.find(entry => entry.action === 'blank') || null,
+    brightness: brightness.length > 0 ? Math.min(...brightness) : 100,
+    playlistId: active.find(entry => entry.action === 'playlist' && entry.playlistId)?.playlistId || null
+  };
+}
+
+/**
+ * Sleep timer length after the current one (the remote cycles through them)
+ * @param {number|null} minutes - Current length, or null when off
+ * @returns {number|null} Next length, or null to turn the timer off
+ */
+export function getNextSleepTimer(minutes) {
+  const index = SLEEP_TIMER_MINUTES.indexOf(minutes);
+  return index === SLEEP_TIMER_MINUTES.length - 1 ? null : SLEEP_TIMER_MINUTES[index + 1];
+}
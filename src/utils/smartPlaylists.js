@@ -0,0 +1,149 @@
+import { calculateDistance } from './exifUtils';
+import { getPhotoDate } from './memories';
+import { getPhotoRating } from '../services/photoMarks';
+
+/**
+ * Smart playlists: saved sets of rules a photo has to match
+ *
+ *   {
+ *     id: 'playlist-1700000000000',
+ *     name: 'Hawaii',
+ *     rules: {
+ *       dateFrom: '2023-07-01', dateTo: '2023-07-14',   (inclusive, YYYY-MM-DD)
+ *       latitude: 21.3, longitude: -157.8, radiusKm: 50, (within radiusKm of the point)
+ *       camera: 'iPhone',                                 (matches make or model)
+ *       albumPrefix: 'photos/2023 Hawaii/',               (key or album starts with it)
+ *       tags: 'beach, kids',                              (any of these manifest tags or keywords)
+ *       minRating: 4,                                     (rated at least this many stars)
+ *       favoritesOnly: true
+ *     }
+ *   }
+ *
+ * Empty rules match everything. The first four playlists are switched with
+ * the remote's red, green, yellow and blue buttons.
+ */
+
+export const PLAYLIST_COLORS = ['red', 'green', 'yellow', 'blue'];
+
+export const EMPTY_RULES = {
+  dateFrom: '',
+  dateTo: '',
+  latitude: '',
+  longitude: '',
+  radiusKm: '',
+  camera: '',
+  albumPrefix: '',
+  tags: '',
+  minRating: '',
+  favoritesOnly: false
+};
+
+/**
+ * Create an empty playlist
+ * @param {string} name - Playlist name
+ * @returns {object} Playlist
+ */
+export function createPlaylist(name) {
+  return { id: `playlist-${Date.now()}`, name, rules: { ...EMPTY_RULES } };
+}
+
+/**
+ * Split a comma-separated tag list
+ * @param {string|string[]} tags - Tags
+ * @returns {string[]} Lower-cased tags
+ */
+export function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Parse a YYYY-MM-DD date as local midnight
+ */
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * Coerce a rule value to a number, or null if it's blank
+ */
+function toNumber(value) {
+  return value === '' || value == null || !Number.isFinite(Number(value)) ? null : Number(value);
+}
+
+/**
+ * Check a photo against a playlist's rules
+ * @param {object} photo - Photo entry
+ * @param {object} exif - EXIF data (cached or from the manifest), if known
+ * @param {object} rules - Playlist rules
+ * @returns {boolean} True if every rule that's set matches
+ */
+export function matchesRules(photo, exif, rules = {}) {
+  if (rules.favoritesOnly && !photo.favorite) return false;
+
+  if (rules.albumPrefix) {
+    const key = photo.key || photo.id;
+    if (!key.startsWith(rules.albumPrefix) && !(photo.album || '').startsWith(rules.albumPrefix)) {
+      return false;
+    }
+  }
+
+  const tags = parseTags(rules.tags);
+  if (tags.length > 0) {
+    const photoTags = parseTags([...(photo.tags || []), ...(exif?.keywords || [])]);
+    if (!tags.some(tag => photoTags.includes(tag))) return false;
+  }
+
+  const minRating = toNumber(rules.minRating);
+  if (minRating != null && !(getPhotoRating(photo, exif) >= minRating)) return false;
+
+  if (rules.camera) {
+    const camera = `${exif?.make || ''} ${exif?.model || ''}`.toLowerCase();
+    if (!camera.includes(rules.camera.trim().toLowerCase())) return false;
+  }
+
+  const from = parseDay(rules.dateFrom);
+  const to = parseDay(rules.dateTo);
+  if (from || to) {
+    const date = getPhotoDate(photo, exif);
+    if (!date) return false;
+    if (from && date < from) return false;
+    // Inclusive: anything before the following midnight
+    if (to && date >= new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1)) return false;
+  }
+
+  const latitude = toNumber(rules.latitude);
+  const longitude = toNumber(rules.longitude);
+  const radiusKm = toNumber(rules.radiusKm);
+  if (latitude != null && longitude != null && radiusKm != null) {
+    if (exif?.latitude == null || exif?.longitude == null) return false;
+    if (calculateDistance(latitude, longitude, exif.latitude, exif.longitude) > radiusKm) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get the playlist selected in config, if any
+ * @param {object} config - App configuration
+ * @returns {object|null} Playlist
+ */
+export function getActivePlaylist(config) {
+  if (!config.activePlaylist) return null;
+  return (config.playlists || []).find(playlist => playlist.id === config.activePlaylist) || null;
+}
+
+/**
+ * Playlist to switch to when a color key is pressed
+ * Pressing the key of the playlist that's already playing goes back to all photos
+ * @param {object} config - App configuration
+ * @param {number} colorIndex - 0 red, 1 green, 2 yellow, 3 blue
+ * @returns {string|null|undefined} Playlist id, null for all photos, or
+ *   undefined if no playlist has that color
+ */
+export function getPlaylistForColorKey(config, colorIndex) {
+  const playlist = (config.playlists || [])[colorIndex];
+  if (!playlist || colorIndex >= PLAYLIST_COLORS.length) return undefined;
+  return playlist.id === config.activePlaylist ? null : playlist.id;
+}
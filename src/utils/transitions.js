@@ -0,0 +1,136 @@
+/**
+ * Slide transitions
+ *
+ * CSS transitions are a class on the slideshow container; Slideshow.css
+ * styles `.slide.current` / `.slide.next` and their `transitioning-out` /
+ * `transitioning-in` states under that class, timed by the
+ * `--slide-transition-duration` custom property. The incoming slide must animate
+ * for the whole duration: its transitionend event ends the transition.
+ *
+ * Canvas transitions draw the incoming slide over the outgoing one, frame by
+ * frame, and end when their duration has elapsed.
+ */
+
+/**
+ * @typedef {object} Transition
+ * @property {string} id - Value stored in config.transitionEffect
+ * @property {string} label - Name shown in Settings
+ * @property {number} duration - Default duration in milliseconds
+ * @property {string} className - Container class (CSS rules, or resting state
+ *   for canvas transitions)
+ * @property {(context: CanvasRenderingContext2D, incoming: HTMLCanvasElement) => (progress: number) => void} [canvas]
+ *   Canvas implementation: returns a function that draws the frame at
+ *   `progress` (0–1), given the incoming slide rendered to a canvas
+ * @property {boolean} [random] - Picks another transition for every slide
+ * @property {boolean} [excludeFromRandom] - Never picked by random
+ */
+
+export const DEFAULT_TRANSITION_DURATION = 1000;
+
+// Duration limits for the Settings override, in seconds
+export const MIN_TRANSITION_SECONDS = 0.2;
+export const MAX_TRANSITION_SECONDS = 10;
+
+// Block size for the dissolve, in pixels
+const DISSOLVE_BLOCK = 24;
+
+const registry = new Map();
+
+/**
+ * Register a transition (replaces any transition with the same id)
+ * @param {Transition} transition - Transition to register
+ */
+export function registerTransition(transition) {
+  registry.set(transition.id, transition);
+}
+
+/**
+ * Get a registered transition by id
+ * @param {string} id - Transition id
+ * @returns {Transition|null} Transition, or null if unknown
+ */
+export function getTransition(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * List registered transitions, in registration order
+ * @returns {Transition[]} Transitions
+ */
+export function listTransitions() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Resolve the configured effect to the transition for the next slide
+ * Random picks any other transition; unknown ids fall back to fade
+ * @param {string} id - Configured transition id
+ * @param {Function} random - Random number source (for tests)
+ * @returns {Transition} Transition to play
+ */
+export function pickTransition(id, random = Math.random) {
+  const transition = getTransition(id) || getTransition('fade');
+  if (!transition.random) return transition;
+
+  const pool = listTransitions().filter(t => !t.random && !t.excludeFromRandom);
+  return pool[Math.floor(random() * pool.length)];
+}
+
+/**
+ * Duration of a transition, in milliseconds
+ * @param {Transition} transition - Transition to play
+ * @param {number|string} seconds - Duration from Settings (0 or empty = the transition's own)
+ * @returns {number} Duration in milliseconds
+ */
+export function getTransitionDuration(transition, seconds) {
+  const override = Number(seconds);
+  if (override > 0) {
+    return Math.min(Math.max(override, MIN_TRANSITION_SECONDS), MAX_TRANSITION_SECONDS) * 1000;
+  }
+  return transition.duration ?? DEFAULT_TRANSITION_DURATION;
+}
+
+/**
+ * Dissolve: the incoming slide appears block by block in random order
+ */
+function dissolve(context, incoming) {
+  const { width, height } = context.canvas;
+  const blocks = [];
+  for (let y = 0; y < height; y += DISSOLVE_BLOCK) {
+    for (let x = 0; x < width; x += DISSOLVE_BLOCK) {
+      blocks.push([x, y]);
+    }
+  }
+
+  // Fisher–Yates, so every block shows up exactly once
+  for (let i = blocks.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [blocks[i], blocks[j]] = [blocks[j], blocks[i]];
+  }
+
+  // The canvas keeps earlier frames, so only new blocks are drawn
+  let drawn = 0;
+  return (progress) => {
+    const target = Math.round(progress * blocks.length);
+    for (; drawn < target; drawn++) {
+      const [x, y] = blocks[drawn];
+      context.drawImage(incoming, x, y, DISSOLVE_BLOCK, DISSOLVE_BLOCK, x, y, DISSOLVE_BLOCK, DISSOLVE_BLOCK);
+    }
+  };
+}
+
+[
+  { id: 'fade', label: 'Fade', duration: 1000, className: 'fade' },
+  { id: 'fade-through-black', label: 'Fade Through Black', duration: 1600, className: 'fade-through-black' },
+  { id: 'slide-transition', label: 'Slide', duration: 1000, className: 'slide-transition' },
+  { id: 'push', label: 'Push', duration: 1000, className: 'push' },
+  { id: 'wipe', label: 'Wipe', duration: 1000, className: 'wipe' },
+  { id: 'zoom', label: 'Zoom', duration: 1000, className: 'zoom' },
+  { id: 'dissolve', label: 'Dissolve', duration: 1500, className: 'dissolve', canvas: dissolve },
+  { id: 'cube', label: 'Cube', duration: 1200, className: 'cube' },
+  { id: 'page-curl', label: 'Page Curl', duration: 1400, className: 'page-curl' },
+  // Ken Burns moves every slide, so it's a mode of its own rather than a
+  // transition random can switch to between slides
+  { id: 'ken-burns', label: 'Ken Burns', duration: 1000, className: 'ken-burns', excludeFromRandom: true },
+  { id: 'random', label: 'Random (per slide)', duration: 1000, className: 'fade', random: true }
+].forEach(registerTransition);
@@ -0,0 +1,148 @@
+/**
+ * Widget layer (config.widgets)
+ *
+ * Clock, date, countdown and weather widgets sit over the slideshow with the
+ * same position and style options as the EXIF overlay. Widgets sharing a
+ * position stack in one column, and a widget whose position the EXIF
+ * overlay is using moves to the other edge of the screen.
+ */
+export const OVERLAY_POSITIONS = ['bottom-left', 'bottom-right', 'top-left', 'top-right', 'bottom-center'];
+
+export const OVERLAY_STYLES = [
+  'style-modern-blur',
+  'style-minimal',
+  'style-rounded-box',
+  'style-film-strip',
+  'style-corner-tag'
+];
+
+// EXIF styles that stretch across the whole top or bottom edge
+const FULL_WIDTH_STYLES = ['style-modern-blur', 'style-minimal', 'style-film-strip'];
+
+export const WIDGET_IDS = ['clock', 'date', 'countdown', 'weather'];
+
+export const DEFAULT_WIDGETS = {
+  clock: { enabled: false, position: 'top-right', style: 'style-minimal', use24Hour: false },
+  date: { enabled: false, position: 'top-right', style: 'style-minimal' },
+  countdown: { enabled: false, position: 'top-left', style: 'style-corner-tag', label: '', date: '' },
+  weather: { enabled: false, position: 'top-left', style: 'style-rounded-box', url: '', refreshMinutes: 30 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Settings for one widget, filled in with defaults
+ * @param {object} config - App configuration
+ * @param {string} id - Widget id (see WIDGET_IDS)
+ * @returns {object} Widget settings
+ */
+export function getWidgetConfig(config, id) {
+  return { ...DEFAULT_WIDGETS[id], ...config.widgets?.[id] };
+}
+
+// Screen sides covered by the two per-half overlays of a portrait pair
+const PAIRED_SIDES = {
+  left: ['left', 'center'],
+  center: ['left', 'right'],
+  right: ['center', 'right']
+};
+
+/**
+ * Positions the EXIF overlay covers
+ * @param {object} exifDisplay - EXIF overlay settings (config.exifDisplay)
+ * @param {object} [options]
+ * @param {boolean} [options.paired] - A portrait pair is showing, with one
+ *   overlay per half of the screen
+ * @returns {string[]} Covered positions (including 'top-center' for the full
+ *   width styles at the top)
+ */
+export function getOccupiedPositions(exifDisplay, { paired = false } = {}) {
+  if (!exifDisplay?.enabled) return [];
+
+  const position = exifDisplay.position || 'bottom-left';
+  const [edge, side] = position.split('-');
+  if (!FULL_WIDTH_STYLES.includes(exifDisplay.style || 'style-modern-blur')) {
+    return paired ? PAIRED_SIDES[side].map(s => `${edge}-${s}`) : [position];
+  }
+
+  return [`${edge}-left`, `${edge}-center`, `${edge}-right`];
+}
+
+/**
+ * Where a widget goes, moving it to the other edge if the EXIF overlay is there
+ * @param {string} position - Position chosen for the widget
+ * @param {string[]} occupied - Positions the EXIF overlay covers
+ * @returns {string} Position to draw the widget at
+ */
+export function resolveWidgetPosition(position, occupied) {
+  if (!occupied.includes(position)) return position;
+
+  const [edge, side] = position.split('-');
+  const flipped = `${edge === 'top' ? 'bottom' : 'top'}-${side}`;
+  return occupied.includes(flipped) ? position : flipped;
+}
+
+/**
+ * Group the enabled widgets by where they're drawn
+ * @param {object} config - App configuration
+ * @param {object} [options]
+ * @param {boolean} [options.paired] - A portrait pair is showing
+ * @returns {Array<{position: string, widgets: Array<{id: string, settings: object}>}>}
+ *   One stack per position, widgets in WIDGET_IDS order
+ */
+export function layoutWidgets(config, { paired = false } = {}) {
+  const occupied = getOccupiedPositions(config.exifDisplay, { paired });
+  const stacks = new Map();
+
+  WIDGET_IDS.forEach(id => {
+    const settings = getWidgetConfig(config, id);
+    if (!settings.enabled) return;
+
+    const position = resolveWidgetPosition(settings.position, occupied);
+    if (!stacks.has(position)) stacks.set(position, []);
+    stacks.get(position).push({ id, settings });
+  });
+
+  return [...stacks].map(([position, widgets]) => ({ position, widgets }));
+}
+
+/**
+ * Clock text, e.g. "7:05 PM" or "19:05"
+ * @param {Date} date - Time to show
+ * @param {boolean} use24Hour - 24-hour clock
+ * @returns {string} Time
+ */
+export function formatClock(date, use24Hour = false) {
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: !use24Hour });
+}
+
+/**
+ * Date text, e.g. "Thursday, July 4"
+ * @param {Date} date - Day to show
+ * @returns {string} Date
+ */
+export function formatToday(date) {
+  return date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Countdown text for an event, e.g. "12 days until Hawaii"
+ * @param {string} target - Event date (YYYY-MM-DD)
+ * @param {string} label - Event name
+ * @param {Date} now - Current time
+ * @returns {string|null} Text, or null once the day has passed (or without a date)
+ */
+export function formatCountdown(target, label, now = new Date()) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(target || '');
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = Math.round((new Date(year, month - 1, day) - today) / DAY_MS);
+  const name = label || 'the big day';
+
+  if (days < 0) return null;
+  if (days === 0) return label ? `${label} is today!` : 'Today is the day!';
+  if (days === 1) return `Tomorrow: ${name}`;
+  return `${days} days until ${name}`;
+}
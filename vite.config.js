@@ -15,6 +15,8 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: true,
+    // The offline geocoder's dataset (~900 kB) is its own lazily loaded chunk
+    chunkSizeWarningLimit: 1000,
     rollupOptions: {
       output: {
         manualChunks: {